@@ -35,6 +35,30 @@ class WorkflowChannel < ApplicationCable::Channel
                                  })
   end
 
+  # Track which step (and field) this user has open, so collaborators can
+  # show it on the step and warn before editing the same step
+  def update_cursor(data)
+    workflow = find_workflow
+    step_uuid = data["step_uuid"].presence
+    field = step_uuid && data["field"].presence
+
+    store_cursor(workflow, step_uuid ? { step_uuid: step_uuid, field: field } : nil)
+    broadcast_presence_update(workflow, { type: "cursor_moved", user: user_info })
+  end
+
+  # Apply UUID-keyed step operations (see StepOperationApplier) and relay the
+  # result to every collaborator. Accepted operations carry their new field
+  # versions; rejected ones are only acted on by the sender, matched by client_id.
+  def apply_operations(data)
+    workflow = find_workflow.reload
+    return unless workflow.can_be_edited_by?(current_user)
+
+    result = StepOperationApplier.call(workflow, Array(data["operations"]))
+
+    workflow.broadcast_step_operations(result, client_id: data["client_id"], user: current_user)
+    workflow.broadcast_steps_list if result.applied.any?
+  end
+
   private
 
   def find_workflow
@@ -42,11 +66,7 @@ class WorkflowChannel < ApplicationCable::Channel
   end
 
   def user_info
-    {
-      id: current_user.id,
-      email: current_user.email,
-      name: current_user.email.split("@").first.titleize
-    }
+    current_user.collaborator_info
   end
 
   # ==========================================================================
@@ -69,6 +89,7 @@ class WorkflowChannel < ApplicationCable::Channel
 
   def remove_presence(workflow)
     presence_key = presence_redis_key(workflow)
+    store_cursor(workflow, nil)
 
     if redis_available?
       redis_connection.srem(presence_key, current_user.id.to_s)
@@ -80,6 +101,42 @@ class WorkflowChannel < ApplicationCable::Channel
     end
   end
 
+  # Cursors are kept next to the presence set: a hash of user ID to
+  # { step_uuid, field }
+  def store_cursor(workflow, cursor)
+    cursor_key = cursor_redis_key(workflow)
+
+    if redis_available?
+      if cursor
+        redis_connection.hset(cursor_key, current_user.id.to_s, cursor.to_json)
+        redis_connection.expire(cursor_key, 3600)
+      else
+        redis_connection.hdel(cursor_key, current_user.id.to_s)
+      end
+    else
+      presence_mutex.synchronize do
+        if cursor
+          (memory_cursor_store[cursor_key] ||= {})[current_user.id] = cursor
+        else
+          memory_cursor_store[cursor_key]&.delete(current_user.id)
+          memory_cursor_store.delete(cursor_key) if memory_cursor_store[cursor_key]&.empty?
+        end
+      end
+    end
+  end
+
+  def get_cursors(workflow)
+    cursor_key = cursor_redis_key(workflow)
+
+    if redis_available?
+      redis_connection.hgetall(cursor_key).to_h do |user_id, json|
+        [user_id.to_i, JSON.parse(json).symbolize_keys]
+      end
+    else
+      presence_mutex.synchronize { (memory_cursor_store[cursor_key] || {}).dup }
+    end
+  end
+
   def get_active_users(workflow)
     presence_key = presence_redis_key(workflow)
 
@@ -93,8 +150,11 @@ class WorkflowChannel < ApplicationCable::Channel
 
     return [] if user_ids.empty?
 
+    cursors = get_cursors(workflow)
     User.where(id: user_ids).map do |user|
-      { id: user.id, email: user.email, name: user.email.split("@").first.titleize }
+      cursor = cursors[user.id] || {}
+      { id: user.id, email: user.email, name: user.email.split("@").first.titleize,
+        step_uuid: cursor[:step_uuid], field: cursor[:field] }
     end
   end
 
@@ -122,10 +182,18 @@ class WorkflowChannel < ApplicationCable::Channel
     "turboflows:presence:workflow:#{workflow.id}"
   end
 
+  def cursor_redis_key(workflow)
+    "#{presence_redis_key(workflow)}:cursors"
+  end
+
   def memory_presence_store
     @@memory_presence_store ||= {}
   end
 
+  def memory_cursor_store
+    @@memory_cursor_store ||= {}
+  end
+
   def presence_mutex
     @@presence_mutex ||= Mutex.new
   end
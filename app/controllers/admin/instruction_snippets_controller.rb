@@ -0,0 +1,52 @@
+class Admin::InstructionSnippetsController < Admin::BaseController
+  before_action :set_snippet, only: %i[edit update destroy]
+
+  def index
+    @groups = Group.order(:name)
+    @snippets = InstructionSnippet.includes(:group).ordered
+    @snippets = case params[:group_id]
+                when nil, "" then @snippets
+                when "everyone" then @snippets.where(group_id: nil)
+                else @snippets.where(group_id: params[:group_id])
+                end
+  end
+
+  def new
+    @snippet = InstructionSnippet.new
+  end
+
+  def create
+    @snippet = InstructionSnippet.new(snippet_params)
+
+    if @snippet.save
+      redirect_to admin_instruction_snippets_path, notice: "Snippet '#{@snippet.name}' was successfully created."
+    else
+      render :new, status: :unprocessable_content
+    end
+  end
+
+  def edit; end
+
+  def update
+    if @snippet.update(snippet_params)
+      redirect_to admin_instruction_snippets_path, notice: "Snippet '#{@snippet.name}' was successfully updated."
+    else
+      render :edit, status: :unprocessable_content
+    end
+  end
+
+  def destroy
+    @snippet.destroy
+    redirect_to admin_instruction_snippets_path, notice: "Snippet was successfully deleted."
+  end
+
+  private
+
+  def set_snippet
+    @snippet = InstructionSnippet.find(params[:id])
+  end
+
+  def snippet_params
+    params.require(:instruction_snippet).permit(:name, :category, :icon, :content, :group_id, :position)
+  end
+end
@@ -0,0 +1,54 @@
+class Admin::QuickActionsController < Admin::BaseController
+  before_action :set_quick_action, only: %i[edit update destroy]
+
+  def index
+    @groups = Group.order(:name)
+    @quick_actions = QuickAction.includes(:group)
+    @quick_actions = case params[:group_id]
+                     when nil, "" then @quick_actions
+                     when "default" then @quick_actions.defaults
+                     else @quick_actions.where(group_id: params[:group_id])
+                     end
+    # Least used first, to find buttons worth pruning
+    @quick_actions = params[:sort] == "usage" ? @quick_actions.order(:usage_count, :last_used_at) : @quick_actions.order(:group_id).ordered
+  end
+
+  def new
+    @quick_action = QuickAction.new
+  end
+
+  def create
+    @quick_action = QuickAction.new(quick_action_params)
+
+    if @quick_action.save
+      redirect_to admin_quick_actions_path, notice: "Quick action '#{@quick_action.label}' was successfully created."
+    else
+      render :new, status: :unprocessable_content
+    end
+  end
+
+  def edit; end
+
+  def update
+    if @quick_action.update(quick_action_params)
+      redirect_to admin_quick_actions_path, notice: "Quick action '#{@quick_action.label}' was successfully updated."
+    else
+      render :edit, status: :unprocessable_content
+    end
+  end
+
+  def destroy
+    @quick_action.destroy
+    redirect_to admin_quick_actions_path, notice: "Quick action was successfully deleted."
+  end
+
+  private
+
+  def set_quick_action
+    @quick_action = QuickAction.find(params[:id])
+  end
+
+  def quick_action_params
+    params.require(:quick_action).permit(:label, :icon, :template, :group_id, :position)
+  end
+end
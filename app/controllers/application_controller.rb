@@ -59,6 +59,17 @@ class ApplicationController < ActionController::Base
 
   private
 
+  # Status line after an autosave. Inline autosave replaying edits queued
+  # offline sends how many are still waiting, so the count goes down as it goes
+  def autosave_status_stream
+    pending = params[:autosave_pending].to_i
+    turbo_stream.replace(
+      "autosave-status",
+      partial: "workflows/autosave_status",
+      locals: { status: pending.positive? ? :offline : :saved, pending: pending }
+    )
+  end
+
   def resolve_layout
     if devise_controller? && !(controller_name == 'registrations' && action_name == 'edit')
       'devise'
@@ -0,0 +1,63 @@
+# Branch templates saved from the builder's branch template picker, as JSON:
+# the current user's own and those shared with their groups (see
+# BranchTemplate). Only the editor who saved a template, or an admin, can
+# delete it.
+class BranchTemplatesController < ApplicationController
+  before_action :ensure_editor_or_admin!
+
+  # GET /branch_templates.json
+  def index
+    templates = BranchTemplate.available_to(current_user).includes(:group, :user).order(:name)
+
+    render json: templates.map { |template| template_json(template) }
+  end
+
+  # POST /branch_templates.json
+  # Takes the branches as they are on the step; BranchTemplate.from_branches
+  # turns their variable and values into placeholders.
+  def create
+    attributes = branch_template_params
+    template = BranchTemplate.from_branches(
+      attributes[:branches], variable: attributes[:variable],
+      user: current_user, name: attributes[:name], description: attributes[:description], group_id: attributes[:group_id].presence
+    )
+
+    if template.save
+      render json: template_json(template), status: :created
+    else
+      render json: { errors: template.errors.full_messages }, status: :unprocessable_content
+    end
+  end
+
+  # DELETE /branch_templates/:id.json
+  def destroy
+    template = BranchTemplate.available_to(current_user).find(params[:id])
+
+    if template.user_id == current_user.id || current_user.admin?
+      template.destroy
+      head :no_content
+    else
+      render json: { error: "Only #{template.user.display_label} can delete this template." }, status: :forbidden
+    end
+  end
+
+  private
+
+  def branch_template_params
+    params.require(:branch_template).permit(:name, :description, :group_id, :variable, branches: %i[condition label])
+  end
+
+  def template_json(template)
+    {
+      id: template.id,
+      name: template.name,
+      description: template.description,
+      variable: template.variable,
+      branches: template.branches,
+      placeholders: template.placeholders,
+      group: template.group&.name,
+      created_by: template.user.display_label,
+      deletable: template.user_id == current_user.id || current_user.admin?
+    }
+  end
+end
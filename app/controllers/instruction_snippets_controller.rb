@@ -0,0 +1,28 @@
+# Snippets for the builder's instruction templates panel, as JSON: those for
+# everyone plus the current user's and the workflow's groups. Snippets are
+# managed in Admin::InstructionSnippetsController.
+class InstructionSnippetsController < ApplicationController
+  before_action :ensure_editor_or_admin!
+
+  # GET /instruction_snippets.json?workflow_id=12
+  def index
+    workflow = Workflow.visible_to(current_user).find_by(id: params[:workflow_id]) if params[:workflow_id].present?
+    snippets = InstructionSnippet.available_to(current_user, workflow:).includes(:group).ordered
+
+    render json: snippets.map { |snippet| snippet_json(snippet) }
+  end
+
+  private
+
+  def snippet_json(snippet)
+    {
+      id: snippet.id,
+      name: snippet.name,
+      category: snippet.category,
+      icon: snippet.icon,
+      content: snippet.content,
+      variables: snippet.variables,
+      group: snippet.group&.name
+    }
+  end
+end
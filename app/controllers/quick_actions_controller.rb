@@ -0,0 +1,15 @@
+# Counts clicks on the builder's quick-action buttons, so admins can see
+# which ones are rarely used (Admin::QuickActionsController).
+class QuickActionsController < ApplicationController
+  before_action :ensure_editor_or_admin!
+
+  # POST /quick_actions/:id/use?workflow_id=12
+  # Only the quick actions shown on a workflow the user can edit are counted.
+  def use
+    workflow = Workflow.find_by(id: params[:workflow_id])
+    return head :not_found unless workflow&.can_be_edited_by?(current_user)
+
+    QuickAction.for_workflow(workflow).find(params[:id]).record_use!
+    head :no_content
+  end
+end
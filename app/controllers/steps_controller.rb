@@ -5,6 +5,22 @@ class StepsController < ApplicationController
   before_action :ensure_can_edit!
   before_action :set_step, only: %i[show edit update destroy reorder panel_edit]
 
+  # GET /workflows/:workflow_id/steps.json
+  # Editor-shaped snapshot of every step, which the builder's undo history
+  # diffs into step operations.
+  def index
+    respond_to do |format|
+      format.json do
+        render json: {
+          steps: helpers.serialize_steps_for_editor(@workflow),
+          start_node_uuid: @workflow.start_step&.uuid,
+          lock_version: @workflow.lock_version,
+          subflow_workflow_ids: existing_subflow_workflow_ids
+        }
+      end
+    end
+  end
+
   # GET /workflows/:workflow_id/steps/:id
   def show
     respond_to do |format|
@@ -58,15 +74,36 @@ class StepsController < ApplicationController
 
     @step = step_class.new(attrs)
 
-    if @step.save
+    # An "add after" step is only kept once it's placed and connected
+    previous_step = nil
+    saved = Step.transaction do
+      raise ActiveRecord::Rollback unless @step.save
+
       ensure_start_step_assigned
+      previous_step = insert_after(params[:after]) if params[:after].present?
+      true
+    rescue ActiveRecord::RecordInvalid => e
+      @step.errors.add(:base, e.record.errors.full_messages.to_sentence)
+      raise ActiveRecord::Rollback
+    end
+
+    if saved
+      # The builder's undo history records the change against this step
+      response.set_header("X-Step-Uuid", @step.uuid)
 
       respond_to do |format|
         format.turbo_stream do
+          list_stream = if previous_step
+                          turbo_stream.update("steps-list",
+                                              partial: "workflows/steps_list_items",
+                                              locals: { workflow: @workflow, steps: ordered_steps })
+                        else
+                          turbo_stream.append("steps-list",
+                                              partial: "workflows/step_row",
+                                              locals: { step: @step, workflow: @workflow })
+                        end
           streams = [
-            turbo_stream.append("steps-list",
-                                partial: "workflows/step_row",
-                                locals: { step: @step, workflow: @workflow }),
+            list_stream,
             turbo_stream.remove("builder-empty-state"),
             turbo_stream.update("builder-panel",
                                 partial: "steps/panel_edit",
@@ -78,7 +115,7 @@ class StepsController < ApplicationController
         format.json { render json: step_json(@step), status: :created }
       end
 
-      broadcast_step_row(@step)
+      previous_step ? @workflow.broadcast_steps_list : broadcast_step_row(@step)
     else
       respond_to do |format|
         format.turbo_stream do
@@ -95,14 +132,20 @@ class StepsController < ApplicationController
   def update
     if @step.update(permitted_step_params)
       sync_transitions_from_json if step_params[:transitions_json].present?
+      # Step forms send lock_version back with their next save
+      response.set_header("X-Lock-Version", @step.lock_version.to_s)
+      response.set_header("X-Step-Uuid", @step.uuid)
 
       respond_to do |format|
         format.turbo_stream do
-          render turbo_stream: turbo_stream.replace(
-            dom_id(@step),
-            partial: "workflows/step_row",
-            locals: { step: @step.reload, workflow: @workflow }
-          )
+          render turbo_stream: [
+            turbo_stream.replace(
+              dom_id(@step),
+              partial: "workflows/step_row",
+              locals: { step: @step.reload, workflow: @workflow }
+            ),
+            autosave_status_stream
+          ]
         end
         format.html { redirect_to workflow_path(@workflow, edit: true), notice: "Step updated." }
         format.json { render json: step_json(@step) }
@@ -122,6 +165,22 @@ class StepsController < ApplicationController
         format.json { render json: { errors: @step.errors.full_messages }, status: :unprocessable_content }
       end
     end
+  rescue ActiveRecord::StaleObjectError
+    # Someone else saved the step since the form loaded; inline autosave
+    # merges with their copy and saves again with its lock_version
+    @step.reload
+    @step.errors.add(:base, "This step was changed by someone else")
+    respond_to do |format|
+      format.turbo_stream do
+        render turbo_stream: turbo_stream.replace(
+          "autosave-status",
+          partial: "workflows/autosave_status",
+          locals: { status: :error, errors: @step.errors }
+        ), status: :conflict
+      end
+      format.html { redirect_to workflow_path(@workflow, edit: true), alert: @step.errors.full_messages.join(", ") }
+      format.json { render json: { errors: @step.errors.full_messages }, status: :conflict }
+    end
   end
 
   # DELETE /workflows/:workflow_id/steps/:id
@@ -129,6 +188,7 @@ class StepsController < ApplicationController
     @step.destroy
     Step.rebalance_positions(@workflow)
     remaining_steps = @workflow.steps.reload.count
+    response.set_header("X-Step-Uuid", @step.uuid)
 
     respond_to do |format|
       format.turbo_stream do
@@ -175,6 +235,14 @@ class StepsController < ApplicationController
     @step = @workflow.steps.unscoped.find(params[:id])
   end
 
+  # Sub-flow targets that still exist, so the builder's lint can flag the rest
+  def existing_subflow_workflow_ids
+    target_ids = @workflow.steps.where(type: "Steps::SubFlow").where.not(sub_flow_workflow_id: nil).pluck(:sub_flow_workflow_id)
+    return [] if target_ids.empty?
+
+    Workflow.where(id: target_ids.uniq).pluck(:id)
+  end
+
   def ensure_can_edit!
     unless @workflow.can_be_edited_by?(current_user)
       redirect_to workflows_path, alert: "You don't have permission to edit this workflow."
@@ -254,6 +322,25 @@ class StepsController < ApplicationController
     @step.errors.add(:base, "Invalid transitions JSON: #{e.message}")
   end
 
+  # "Add after" (the builder's command palette): the new step goes right after
+  # the given step (by uuid) and, when that step doesn't lead anywhere yet,
+  # follows on from it.
+  def insert_after(previous_uuid)
+    previous = @workflow.steps.find_by(uuid: previous_uuid)
+    return unless previous
+
+    StepReorderer.call(@workflow.reload, @step, previous.position + 1) unless @step.position == previous.position + 1
+    if previous.transitions.none? && !previous.is_a?(Steps::Resolve)
+      Transition.create!(step: previous, target_step: @step, position: 0)
+      previous.bump_field_versions!("transitions")
+    end
+    previous
+  end
+
+  def ordered_steps
+    @workflow.steps.reload.includes(:transitions, :incoming_transitions)
+  end
+
   def broadcast_step_row(step)
     Turbo::StreamsChannel.broadcast_replace_to(
       "workflow_#{@workflow.id}",
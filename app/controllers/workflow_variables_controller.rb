@@ -0,0 +1,55 @@
+# Declared variables (type, allowed values, description, sample value),
+# edited from the builder's variables panel. Each action goes back to the
+# panel; see VariableRegistry for how declarations combine with the types
+# inferred from the steps.
+class WorkflowVariablesController < ApplicationController
+  before_action :set_workflow
+  before_action :ensure_can_edit!
+
+  # POST /workflows/:workflow_id/variables
+  def create
+    save_declaration(params.dig(:workflow_variable, :name).to_s.strip)
+  end
+
+  # PATCH /workflows/:workflow_id/variables/:name
+  def update
+    save_declaration(params[:name])
+  end
+
+  # DELETE /workflows/:workflow_id/variables/:name
+  # Forgets the declaration; the inferred type applies again.
+  def destroy
+    @workflow.variable_definitions.find_by(name: params[:name])&.destroy
+    redirect_to variables_workflow_path(@workflow, mode: "edit")
+  end
+
+  private
+
+  def set_workflow
+    @workflow = Workflow.find(params[:workflow_id])
+  end
+
+  def ensure_can_edit!
+    unless @workflow.can_be_edited_by?(current_user)
+      redirect_to workflows_path, alert: "You don't have permission to edit this workflow."
+    end
+  end
+
+  def save_declaration(name)
+    variable = @workflow.variable_definitions.find_or_initialize_by(name: name)
+
+    if variable.update(variable_params)
+      redirect_to variables_workflow_path(@workflow, mode: "edit")
+    else
+      usages = VariableUsages.call(@workflow)
+      render partial: "workflows/variables_panel",
+             locals: { workflow: @workflow, variables: usages, registry: VariableRegistry.call(@workflow, usages:),
+                       invalid_variable: variable },
+             layout: false, status: :unprocessable_content
+    end
+  end
+
+  def variable_params
+    params.fetch(:workflow_variable, {}).permit(:variable_type, :allowed_values, :description, :sample_value)
+  end
+end
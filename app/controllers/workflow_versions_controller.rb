@@ -7,6 +7,21 @@ class WorkflowVersionsController < ApplicationController
   def show
   end
 
+  # GET /workflows/:workflow_id/versions/compare?from=:id&to=draft
+  #
+  # Either side is a version id or "draft" (the unpublished steps). Defaults
+  # to the published version against the draft: what publishing would change.
+  def compare
+    @versions = @workflow.versions.newest_first.includes(:published_by)
+    @from = params[:from].presence || @workflow.published_version&.id&.to_s || @versions.first&.id&.to_s || "draft"
+    @to = params[:to].presence || "draft"
+
+    from_snapshot = comparison_snapshot(@from)
+    to_snapshot = comparison_snapshot(@to)
+    @diff = WorkflowVersionDiff.call(from_snapshot, to_snapshot)
+    @step_titles = (from_snapshot[:steps] + to_snapshot[:steps]).to_h { |step| [step["id"], step["title"]] }
+  end
+
   def restore
     unless @workflow.can_be_edited_by?(current_user)
       redirect_to @workflow, alert: "You don't have permission to restore versions."
@@ -33,6 +48,23 @@ class WorkflowVersionsController < ApplicationController
     @version = @workflow.versions.find(params[:id])
   end
 
+  def comparison_snapshot(side)
+    if side == "draft"
+      {
+        steps: StepSerializer.call(@workflow),
+        metadata: {
+          "title" => @workflow.title,
+          "description" => @workflow.description_text,
+          "graph_mode" => @workflow.graph_mode,
+          "start_node_uuid" => @workflow.start_step&.uuid
+        }
+      }
+    else
+      version = @workflow.versions.find(side)
+      { steps: version.steps_snapshot, metadata: version.metadata_snapshot }
+    end
+  end
+
   def restore_ar_steps_from_snapshot(steps_snapshot, start_node_uuid)
     StepBuilder.call(@workflow, steps_snapshot, start_node_uuid: start_node_uuid, replace: true)
   end
@@ -1,9 +1,9 @@
 class WorkflowsController < ApplicationController
   before_action :set_workflow,
-                only: %i[show edit update destroy export export_pdf preview variables save_as_template start begin_execution publish versions sync_steps flow_diagram settings]
-  before_action :ensure_editor_or_admin!, only: %i[new create import import_file]
-  before_action :ensure_can_view_workflow!, only: %i[show export export_pdf start begin_execution preview variables versions flow_diagram settings]
-  before_action :ensure_can_edit_workflow!, only: %i[edit update save_as_template publish sync_steps]
+                only: %i[show edit update destroy export export_pdf export_mermaid export_drawio preview variables save_as_template start begin_execution publish versions sync_steps apply_operations extract_subflow rename_variable flow_diagram simulate settings]
+  before_action :ensure_editor_or_admin!, only: %i[new create import import_file import_preview]
+  before_action :ensure_can_view_workflow!, only: %i[show export export_pdf export_mermaid export_drawio start begin_execution preview variables versions flow_diagram simulate settings]
+  before_action :ensure_can_edit_workflow!, only: %i[edit update save_as_template publish sync_steps apply_operations extract_subflow rename_variable]
   before_action :ensure_can_delete_workflow!, only: [:destroy]
   before_action :parse_transitions_json, only: %i[create update]
 
@@ -136,13 +136,7 @@ class WorkflowsController < ApplicationController
           end
 
           respond_to do |format|
-            format.turbo_stream do
-              render turbo_stream: turbo_stream.replace(
-                "autosave-status",
-                partial: "workflows/autosave_status",
-                locals: { status: :saved }
-              )
-            end
+            format.turbo_stream { render turbo_stream: autosave_status_stream }
             format.json { render json: { status: "saved", title: @workflow.title } }
             format.html { redirect_to @workflow, notice: "Workflow was successfully updated." }
           end
@@ -206,7 +200,46 @@ class WorkflowsController < ApplicationController
     )
 
     if result.success?
-      render json: { success: true, lock_version: result.lock_version }
+      @workflow.broadcast_steps_list
+      render json: {
+        success: true,
+        lock_version: result.lock_version,
+        field_versions: Step.unscoped.where(workflow_id: @workflow.id).pluck(:uuid, :field_versions).to_h
+      }
+    else
+      render json: { error: result.error }, status: :unprocessable_content
+    end
+  end
+
+  # PATCH /workflows/:id/apply_operations
+  # UUID-keyed step operations (StepOperationApplier) over HTTP, for the list
+  # builder's undo/redo. Collaborators get the result as from WorkflowChannel.
+  def apply_operations
+    result = StepOperationApplier.call(@workflow, Array(params[:operations]))
+
+    if result.applied.any?
+      @workflow.broadcast_step_operations(result, client_id: params[:client_id], user: current_user)
+      @workflow.broadcast_steps_list
+    end
+    render json: { applied: result.applied, rejected: result.rejected, lock_version: result.lock_version }
+  end
+
+  # POST /workflows/:id/extract_subflow
+  # Moves the selected steps (step_uuids) into a new workflow, run from a sub_flow step
+  def extract_subflow
+    result = SubflowExtractor.call(@workflow, params[:step_uuids], user: current_user, title: params[:title])
+
+    if result.success?
+      @workflow.broadcast_steps_list
+      render json: {
+        success: true,
+        step_uuid: result.subflow_step.uuid,
+        workflow_id: result.workflow.id,
+        workflow_url: workflow_path(result.workflow),
+        published: result.published,
+        variable_mapping: result.variable_mapping,
+        lock_version: @workflow.reload.lock_version
+      }
     else
       render json: { error: result.error }, status: :unprocessable_content
     end
@@ -218,26 +251,26 @@ class WorkflowsController < ApplicationController
   end
 
   def export
-    # Build comprehensive export data including Graph Mode fields
-    # Use AR steps if available, otherwise fall back to JSONB
-    steps_data = serialize_ar_steps_for_export(@workflow)
-    start_uuid = @workflow.start_step&.uuid || @workflow.steps.first&.uuid
-
-    export_data = {
-      title: @workflow.title,
-      description: @workflow.description_text || "",
-      graph_mode: true,
-      start_node_uuid: start_uuid,
-      steps: steps_data,
-      exported_at: Time.current.iso8601,
-      export_version: "2.0"
-    }
-
-    send_data export_data.to_json,
+    send_data WorkflowExporters::JsonExporter.call(@workflow).to_json,
               filename: "#{@workflow.title.parameterize}.json",
               type: "application/json"
   end
 
+  # GET /workflows/export_bundle?ids[]=1&ids[]=2&include_subflows=1
+  # Several workflows in one JSON file, optionally with the sub-flows they run
+  def export_bundle
+    bundle = WorkflowExporters::BundleExporter.call(current_user, params[:ids], include_subflows: params[:include_subflows] == "1")
+
+    if bundle[:workflows].empty?
+      redirect_to workflows_path, alert: "Select at least one workflow to export."
+      return
+    end
+
+    send_data bundle.to_json,
+              filename: "workflows-bundle-#{Date.current.iso8601}.json",
+              type: "application/json"
+  end
+
   def export_pdf
     require "prawn"
 
@@ -255,6 +288,22 @@ class WorkflowsController < ApplicationController
     send_data pdf.render, filename: "#{@workflow.title.parameterize}.pdf", type: "application/pdf"
   end
 
+  # GET /workflows/:id/export_mermaid
+  # Mermaid flowchart text, for documentation sites and wikis
+  def export_mermaid
+    send_data WorkflowExporters::MermaidExporter.call(@workflow),
+              filename: "#{@workflow.title.parameterize}.mmd",
+              type: "text/plain"
+  end
+
+  # GET /workflows/:id/export_drawio
+  # An uncompressed draw.io (diagrams.net) file
+  def export_drawio
+    send_data WorkflowExporters::DrawioExporter.call(@workflow),
+              filename: "#{@workflow.title.parameterize}.drawio",
+              type: "application/xml"
+  end
+
   def preview
     # Parse step data from params
     step_data = parse_step_from_params
@@ -270,11 +319,36 @@ class WorkflowsController < ApplicationController
            formats: [:html]
   end
 
+  # GET /workflows/:id/variables
+  # JSON: the variables questions and actions set (for autocomplete), the
+  # typed registry (VariableRegistry) and where every variable is used.
+  # HTML: the builder's variables panel, editable when opened from edit mode.
   def variables
-    # Return available variables from workflow
-    variables = @workflow.variables
+    usages = VariableUsages.call(@workflow)
+    registry = VariableRegistry.call(@workflow, usages:)
 
-    render json: { variables: variables }
+    respond_to do |format|
+      format.json { render json: { variables: @workflow.variables, registry: registry, usages: usages } }
+      format.html do
+        render partial: "workflows/variables_panel",
+               locals: { workflow: @workflow, variables: usages, registry: registry,
+                         readonly: params[:mode] != "edit" || !@workflow.can_be_edited_by?(current_user) },
+               layout: false
+      end
+    end
+  end
+
+  # PATCH /workflows/:id/rename_variable
+  # Renames a variable (from → to) everywhere the workflow uses it
+  def rename_variable
+    result = VariableRenamer.call(@workflow, from: params[:from], to: params[:to])
+
+    if result.success?
+      @workflow.broadcast_steps_list
+      render json: { success: true, step_uuids: result.step_uuids, lock_version: result.lock_version }
+    else
+      render json: { error: result.error }, status: :unprocessable_content
+    end
   end
 
   def save_as_template
@@ -335,11 +409,21 @@ class WorkflowsController < ApplicationController
   end
 
   # GET /workflows/:id/flow_diagram
+  # The diagram is laid out and drawn client-side (flow_diagram_controller.js).
   def flow_diagram
     eager_load_steps
-    levels = FlowDiagramService.call(@workflow)
     render partial: "workflows/flow_diagram_panel",
-           locals: { workflow: @workflow, levels: levels },
+           locals: { workflow: @workflow },
+           layout: false
+  end
+
+  # GET /workflows/:id/simulate
+  # In-browser simulator; the panel walks the steps client-side and never
+  # creates Scenario records. Declared sample values seed the run.
+  def simulate
+    eager_load_steps
+    render partial: "workflows/simulator_panel",
+           locals: { workflow: @workflow, registry: VariableRegistry.call(@workflow) },
            layout: false
   end
 
@@ -375,7 +459,12 @@ class WorkflowsController < ApplicationController
     format = detect_file_format(uploaded_file.original_filename, uploaded_file.content_type)
 
     unless format
-      redirect_to import_workflows_path, alert: "Unsupported file format. Please use JSON, CSV, YAML, or Markdown files."
+      redirect_to import_workflows_path, alert: "Unsupported file format. Please use JSON, CSV, YAML, Markdown, Mermaid, or draw.io files."
+      return
+    end
+
+    if format == :json && WorkflowBundleImporter.bundle?(file_content)
+      import_bundle(file_content)
       return
     end
 
@@ -398,8 +487,55 @@ class WorkflowsController < ApplicationController
     end
   end
 
+  # POST /workflows/import_preview
+  # JSON: the steps and transitions importing the file would create, with the
+  # parser's warnings and errors. Nothing is saved.
+  def import_preview
+    uploaded_file = params[:file]
+    unless uploaded_file.present?
+      render json: { errors: ["Please select a file to import."] }, status: :unprocessable_content
+      return
+    end
+
+    if uploaded_file.size > 10.megabytes
+      render json: { errors: ["File is too large. Maximum size is 10MB."] }, status: :unprocessable_content
+      return
+    end
+
+    format = detect_file_format(uploaded_file.original_filename, uploaded_file.content_type)
+    unless format
+      render json: { errors: ["Unsupported file format."] }, status: :unprocessable_content
+      return
+    end
+
+    file_content = uploaded_file.read.force_encoding("UTF-8")
+    preview = if format == :json && WorkflowBundleImporter.bundle?(file_content)
+                WorkflowBundleImporter.new(current_user, content: file_content).preview
+              else
+                WorkflowImporter.new(current_user, format: format, content: file_content).preview
+              end
+
+    render json: preview.merge(format: format), status: preview[:errors].any? ? :unprocessable_content : :ok
+  end
+
   private
 
+  # A bundle of workflows from export_bundle, with a skip/overwrite/copy
+  # choice per workflow that already exists (resolutions[<bundle id>])
+  def import_bundle(content)
+    resolutions = params.fetch(:resolutions, {}).to_unsafe_h
+    result = WorkflowBundleImporter.new(current_user, content: content, resolutions: resolutions).call
+
+    if result.success?
+      notice = "Imported #{helpers.pluralize(result.workflows.size, 'workflow')} from the bundle."
+      notice += " Skipped #{result.skipped.size} already here." if result.skipped.any?
+      notice += " #{result.warnings.count} warning(s) occurred." if result.warnings.any?
+      redirect_to workflows_path, notice: notice
+    else
+      redirect_to import_workflows_path, alert: "Failed to import bundle: #{truncate_for_flash(result.errors, max_items: 3)}"
+    end
+  end
+
   # Generate sample variable values for preview interpolation
   # This creates realistic sample data so users can see what interpolated text looks like
   def generate_sample_variables(workflow)
@@ -473,11 +609,6 @@ class WorkflowsController < ApplicationController
     @subflow_targets = Workflow.where(id: subflow_ids).index_by(&:id) if subflow_ids.any?
   end
 
-  # Serialize AR steps to JSONB-compatible format for export
-  def serialize_ar_steps_for_export(workflow)
-    StepSerializer.call(workflow)
-  end
-
   # PDF export for AR steps
   def export_pdf_ar_steps(pdf)
     @workflow.steps.includes(:transitions).each_with_index do |step, index|
@@ -635,6 +766,10 @@ class WorkflowsController < ApplicationController
       :yaml
     when '.md', '.markdown'
       :markdown
+    when '.mmd', '.mermaid'
+      :mermaid
+    when '.drawio', '.xml'
+      :drawio
     else
       # Try content type as fallback
       case content_type
@@ -646,6 +781,10 @@ class WorkflowsController < ApplicationController
         :yaml
       when 'text/markdown', 'text/x-markdown'
         :markdown
+      when 'text/vnd.mermaid'
+        :mermaid
+      when 'application/vnd.jgraph.mxfile'
+        :drawio
       end
     end
   end
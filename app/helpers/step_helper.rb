@@ -87,6 +87,7 @@ module StepHelper
         "description" => s.try(:description).to_s,
         "position_x" => s.position_x,
         "position_y" => s.position_y,
+        "field_versions" => s.field_versions || {},
         "transitions" => s.transitions.map { |t|
           target = steps_by_id[t.target_step_id]
           {
@@ -0,0 +1,65 @@
+module WorkflowVersionsHelper
+  # Label for one side of a comparison: "v3 (current)" or "Current draft"
+  def version_side_label(workflow, side)
+    return "Current draft" if side == "draft"
+
+    version = workflow.versions.find_by(id: side)
+    return "Unknown version" unless version
+
+    label = "v#{version.version_number}"
+    version == workflow.published_version ? "#{label} (published)" : label
+  end
+
+  def version_compare_options(workflow, versions, selected)
+    options = [["Current draft", "draft"]] + versions.map do |version|
+      label = "v#{version.version_number} — #{version.published_at.strftime('%b %d, %Y')}"
+      label += " (published)" if version == workflow.published_version
+      [label, version.id.to_s]
+    end
+    options_for_select(options, selected)
+  end
+
+  # Word diff of a rich text field, with <ins>/<del> marking the changes
+  def version_rich_text_diff(before, after)
+    segments = WorkflowVersionDiff.word_diff(before, after)
+    return tag.em("(empty)") if segments.empty?
+
+    safe_join(segments.map do |type, text|
+      case type
+      when :added then tag.ins(text)
+      when :removed then tag.del(text)
+      else text
+      end
+    end)
+  end
+
+  def version_field_value(field, value, step_titles)
+    return tag.em("(empty)") if value.blank? && value != false
+    return (value ? "Yes" : "No") if [true, false].include?(value)
+
+    if field == "transitions"
+      Array(value).map do |t|
+        target = step_titles[t["target_uuid"]] || "a removed step"
+        t["condition"].present? ? "→ #{target} (#{t['condition']})" : "→ #{target}"
+      end.join(", ")
+    elsif value.is_a?(Array)
+      value.map { |item| item.is_a?(Hash) ? (item["label"] || item["value"] || item.to_json) : item }.join(", ")
+    elsif value.is_a?(Hash)
+      value.to_json
+    else
+      value.to_s
+    end
+  end
+
+  def version_field_label(field)
+    { "transitions" => "Connections", "type" => "Step type" }.fetch(field) { field.humanize }
+  end
+
+  # Steps for the diagram overlay: everything in either snapshot, with a
+  # removed step keeping the connections it had
+  def version_diff_diagram_steps(diff)
+    diff.steps.map do |change|
+      change.step.slice("id", "type", "title", "transitions").merge("status" => change.status.to_s)
+    end
+  end
+end
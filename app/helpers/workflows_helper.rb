@@ -196,6 +196,44 @@ module WorkflowsHelper
     var&.dig(:answer_type)
   end
 
+  # Describe where a VariableUsages::Usage is, e.g. "Sets it" or "Condition"
+  def variable_usage_label(usage)
+    case usage.field
+    when 'variable_name' then 'Sets it (answer)'
+    when 'output_fields' then 'Sets it (output field)'
+    when 'variable_mapping' then 'Passed to and from the sub-flow'
+    when 'transitions' then 'Condition'
+    when 'jumps' then 'Jump condition'
+    else "#{usage.field.humanize} text"
+    end
+  end
+
+  VARIABLE_TYPE_LABELS = {
+    'text' => 'Text',
+    'number' => 'Number',
+    'boolean' => 'Yes / No',
+    'enum' => 'List of values',
+    'date' => 'Date'
+  }.freeze
+
+  # Label for a WorkflowVariable type, e.g. "List of values" for enum
+  def variable_type_label(type)
+    VARIABLE_TYPE_LABELS[type] || type.to_s.humanize
+  end
+
+  # ============================================================================
+  # Quick Actions
+  # ============================================================================
+
+  # The workflow's quick actions (QuickAction.for_workflow) as the
+  # quick-action controller's actions value
+  def quick_actions_data(workflow)
+    QuickAction.for_workflow(workflow).map do |action|
+      { id: action.id, label: action.label, icon: action.icon, template: action.template,
+        use_url: use_quick_action_path(action, workflow_id: workflow&.id) }
+    end
+  end
+
   # ============================================================================
   # Workflow Icon
   # ============================================================================
@@ -90,24 +90,15 @@ export function subscribeToWorkflow(workflowId, callbacks = {}) {
         this.perform("autosave", data)
       },
       
-      // Send step update to other users
-      stepUpdate(data) {
-        this.perform("step_update", data)
+      // Send UUID-keyed step operations (services/step_operations). The
+      // server applies them and broadcasts a "step_operations" message.
+      applyOperations(data) {
+        this.perform("apply_operations", data)
       },
       
-      // Send step addition to other users
-      stepAdded(data) {
-        this.perform("step_added", data)
-      },
-      
-      // Send step removal to other users
-      stepRemoved(data) {
-        this.perform("step_removed", data)
-      },
-      
-      // Send step reordering to other users
-      stepsReordered(data) {
-        this.perform("steps_reordered", data)
+      // Tell collaborators which step (and field) this user has open
+      updateCursor(data) {
+        this.perform("update_cursor", data)
       },
       
       // Send metadata update to other users
@@ -118,20 +109,12 @@ export function subscribeToWorkflow(workflowId, callbacks = {}) {
   )
   
   // Expose helper methods
-  subscription.broadcastStepUpdate = function(stepIndex, stepData) {
-    this.stepUpdate({ step_index: stepIndex, step_data: stepData })
-  }
-  
-  subscription.broadcastStepAdded = function(stepIndex, stepType, stepData) {
-    this.stepAdded({ step_index: stepIndex, step_type: stepType, step_data: stepData })
-  }
-  
-  subscription.broadcastStepRemoved = function(stepIndex) {
-    this.stepRemoved({ step_index: stepIndex })
+  subscription.broadcastOperations = function(operations, clientId) {
+    this.applyOperations({ operations: operations, client_id: clientId })
   }
   
-  subscription.broadcastStepsReordered = function(newOrder) {
-    this.stepsReordered({ new_order: newOrder })
+  subscription.broadcastCursor = function(stepUuid, field) {
+    this.updateCursor({ step_uuid: stepUuid, field: field })
   }
   
   subscription.broadcastMetadataUpdate = function(field, value) {
@@ -156,7 +156,6 @@ export default class extends Controller {
       return
     }
 
-    console.log("Autosave: Starting autosave...")
     this.updateStatus("saving", "Saving...")
     
     // Collect form data
@@ -3,10 +3,12 @@ import { BranchTemplateService } from "services/branch_template_service"
 import { renderIcon, UI_ICON_PATHS, ANSWER_ICON_PATHS } from "services/icon_service"
 
 export default class extends Controller {
-  static targets = ["panel", "templatesContainer", "customizationPanel", "customizationContent", "backdrop"]
+  static targets = ["panel", "templatesContainer", "customizationPanel", "customizationContent", "backdrop",
+                     "saveForm", "saveName", "saveDescription", "saveGroup", "saveError"]
   static values = {
     variable: String,
-    answerType: String
+    answerType: String,
+    templatesUrl: String
   }
 
   connect() {
@@ -155,6 +157,15 @@ export default class extends Controller {
     })
   }
 
+  // Saved templates are fetched the first time the panel opens
+  loadSavedTemplates() {
+    if (!this.hasTemplatesUrlValue || this.savedTemplatesRequest) return
+
+    this.savedTemplatesRequest = BranchTemplateService.loadSavedTemplates(this.templatesUrlValue)
+      .then(() => this.loadTemplates())
+      .catch(error => console.warn('[Branch Template Selector] Could not load saved templates:', error))
+  }
+
   resolveTemplateIcon(iconKey) {
     const allPaths = { ...UI_ICON_PATHS, ...ANSWER_ICON_PATHS }
     const pathData = allPaths[iconKey]
@@ -167,6 +178,8 @@ export default class extends Controller {
     // Don't disable buttons - let the handler check and show alert if needed
     const requiresVariable = template.requiresVariable && !this.variableValue
 
+    const saved = template.category === 'saved'
+
     return `
       <div class="template-card ${requiresVariable ? 'is-disabled' : ''}">
         <div class="template-card__header">
@@ -175,10 +188,19 @@ export default class extends Controller {
             <h5 class="template-card__name">${this.escapeHtml(template.name)}</h5>
             <p class="template-card__description">${this.escapeHtml(template.description)}</p>
           </div>
+          ${saved ? `<span class="badge">${this.escapeHtml(template.group || 'Saved')}</span>` : ''}
         </div>
 
         <div class="template-card__footer">
           <span class="template-card__branches">${branchesCount} branch${branchesCount !== 'N' && branchesCount !== 1 ? 'es' : ''}</span>
+          ${saved && template.deletable ? `
+            <button type="button"
+                    class="btn btn--plain btn--sm"
+                    data-saved-template-id="${template.id}"
+                    data-action="click->branch-template-selector#deleteTemplate">
+              Delete
+            </button>
+          ` : ''}
           <button type="button"
                   class="btn btn--primary btn--sm ${requiresVariable ? 'is-disabled' : ''}"
                   data-template-id="${template.id}"
@@ -234,7 +256,8 @@ export default class extends Controller {
     if (template.customizable) {
       this.showCustomizationPanel(template)
     } else {
-      // Apply template directly
+      // Apply template directly, without another template's customization
+      this.hideCustomizationPanel()
       this.applyTemplate()
     }
   }
@@ -246,6 +269,8 @@ export default class extends Controller {
     
     if (template.id === 'numeric_range') {
       customizationHtml = this.renderNumericRangeCustomization(template)
+    } else if (template.category === 'saved') {
+      customizationHtml = this.renderSavedTemplateCustomization(template)
     }
     
     this.customizationContentTarget.innerHTML = customizationHtml
@@ -296,6 +321,33 @@ export default class extends Controller {
     `
   }
 
+  // The variable and the values a saved template was saved with, to change
+  // before applying it
+  renderSavedTemplateCustomization(template) {
+    const variable = this.variableValue || template.variable || ''
+
+    return `
+      <div class="range-customization">
+        <div class="range-customization__row">
+          <label class="range-label">Variable:</label>
+          <input type="text"
+                 class="range-customization__input"
+                 value="${this.escapeAttribute(variable)}"
+                 data-template-variable>
+        </div>
+        ${template.placeholders.map((placeholder, index) => `
+          <div class="range-customization__row">
+            <label class="range-label">Value ${index + 1}:</label>
+            <input type="${placeholder.numeric ? 'number' : 'text'}"
+                   class="range-customization__input"
+                   value="${this.escapeAttribute(placeholder.default)}"
+                   data-value-key="${placeholder.key}">
+          </div>
+        `).join('')}
+      </div>
+    `
+  }
+
   applyTemplate(event) {
     if (event) {
       event.preventDefault()
@@ -337,7 +389,7 @@ export default class extends Controller {
       const options = this.getOptionsForVariable()
       
       // Use a default variable if none is set (for templates that don't require it)
-      const variable = this.variableValue || 'variable'
+      const variable = this.customizations.variable || this.variableValue || this.selectedTemplate.variable || 'variable'
       
       console.log('[Branch Template] Generating branches with:', {
         templateId: this.selectedTemplate.id,
@@ -365,8 +417,8 @@ export default class extends Controller {
       return
     }
     
-    // Find the multi-branch controller element (parent container)
-    const multiBranchElement = this.element.closest('[data-controller*="multi-branch"]')
+    // Find the multi-branch or step-transitions controller element (parent container)
+    const multiBranchElement = this.element.closest('[data-controller*="multi-branch"], [data-controller*="step-transitions"]')
     if (!multiBranchElement) {
       console.error('[Branch Template] Multi-branch controller not found')
       alert('Could not find the branch container. Please refresh the page.')
@@ -446,7 +498,13 @@ export default class extends Controller {
       ranges[index][field] = input.value
     })
     
-    this.customizations = { ranges }
+    const values = {}
+    this.customizationContentTarget.querySelectorAll('[data-value-key]').forEach(input => {
+      values[input.dataset.valueKey] = input.value
+    })
+    const variableInput = this.customizationContentTarget.querySelector('[data-template-variable]')
+    
+    this.customizations = { ranges, values, variable: variableInput?.value.trim() }
   }
 
   getOptionsForVariable() {
@@ -488,6 +546,89 @@ export default class extends Controller {
     if (this.hasCustomizationPanelTarget) {
       this.customizationPanelTarget.classList.add('is-hidden')
     }
+    if (this.hasCustomizationContentTarget) {
+      this.customizationContentTarget.innerHTML = ''
+    }
+  }
+
+  toggleSaveForm(event) {
+    if (event) event.preventDefault()
+    if (!this.hasSaveFormTarget) return
+
+    this.saveFormTarget.classList.toggle('is-hidden')
+    this.saveErrorTarget.classList.add('is-hidden')
+    if (!this.saveFormTarget.classList.contains('is-hidden')) this.saveNameTarget.focus()
+  }
+
+  // Enter in the save form's fields saves the template instead of
+  // submitting the step form around it
+  handleSaveKeydown(event) {
+    if (event.key !== 'Enter') return
+
+    event.preventDefault()
+    this.saveCurrentBranches()
+  }
+
+  async saveCurrentBranches(event) {
+    if (event) event.preventDefault()
+
+    const branches = this.currentBranches()
+    if (branches.length === 0) {
+      this.showSaveError('This step has no connections to save yet.')
+      return
+    }
+
+    try {
+      await BranchTemplateService.saveTemplate(this.templatesUrlValue, {
+        name: this.saveNameTarget.value.trim(),
+        description: this.saveDescriptionTarget.value.trim(),
+        group_id: this.hasSaveGroupTarget ? this.saveGroupTarget.value : '',
+        branches
+      })
+    } catch (error) {
+      this.showSaveError(error.message)
+      return
+    }
+
+    this.saveNameTarget.value = ''
+    this.saveDescriptionTarget.value = ''
+    this.saveFormTarget.classList.add('is-hidden')
+    this.loadTemplates()
+  }
+
+  // The step's connections, from the step-transitions controller's hidden input
+  currentBranches() {
+    const host = this.element.closest('[data-controller*="step-transitions"]')
+    const input = host?.querySelector('[data-step-transitions-target="hiddenInput"]')
+    if (!input?.value) return []
+
+    try {
+      return JSON.parse(input.value).map(({ condition, label }) => ({ condition: condition || '', label: label || '' }))
+    } catch (error) {
+      console.error('[Branch Template] Failed to parse connections:', error)
+      return []
+    }
+  }
+
+  showSaveError(message) {
+    this.saveErrorTarget.textContent = message
+    this.saveErrorTarget.classList.remove('is-hidden')
+  }
+
+  async deleteTemplate(event) {
+    event.preventDefault()
+    event.stopPropagation()
+
+    const templateId = event.currentTarget.dataset.savedTemplateId
+    const template = BranchTemplateService.getTemplate(templateId)
+    if (!template || !confirm(`Delete the template "${template.name}"?`)) return
+
+    try {
+      await BranchTemplateService.deleteTemplate(this.templatesUrlValue, templateId)
+      this.loadTemplates()
+    } catch (error) {
+      alert(error.message)
+    }
   }
 
   togglePanel(event) {
@@ -517,6 +658,7 @@ export default class extends Controller {
         this.backdropTarget.classList.remove('is-hidden')
       }
       this.loadTemplates()
+      this.loadSavedTemplates()
       
       // Prevent body scroll
       document.body.style.overflow = 'hidden'
@@ -576,5 +718,9 @@ export default class extends Controller {
     div.textContent = text
     return div.innerHTML
   }
+
+  escapeAttribute(text) {
+    return this.escapeHtml(String(text ?? '')).replace(/"/g, '&quot;')
+  }
 }
 
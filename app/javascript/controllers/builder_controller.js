@@ -1,16 +1,59 @@
 import { Controller } from "@hotwired/stimulus"
+import { CommandHistory, historyShortcut } from "services/command_history"
+import { copySteps, pasteSteps, writeClipboard, readClipboard, describeExternalReferences } from "services/step_clipboard"
+import { showNotification } from "services/notifications"
+import { changeOperations, rebaseVersions, VERSIONED_FIELDS } from "services/step_operations"
 
-// Manages the builder shell: panel open/close, mode toggle, keyboard shortcuts.
+// Types offered by "Add … after current", in the type picker's order
+const STEP_TYPES = [
+  { type: "question", label: "Question" },
+  { type: "action", label: "Action" },
+  { type: "message", label: "Message" },
+  { type: "escalate", label: "Escalate" },
+  { type: "resolve", label: "Resolve" },
+  { type: "sub_flow", label: "Sub-flow" }
+]
+
+// Manages the builder shell: panel open/close, mode toggle, keyboard shortcuts,
+// and the list builder's undo/redo history.
+//
+// History entries are UUID-keyed step operations (services/step_operations)
+// that undo and redo one saved change. They're worked out by comparing the
+// steps (editor step JSON from stepsUrl) before and after the change, for the
+// steps it was made to only, and sent to apply_operations, which re-broadcasts
+// the step list. Other people's edits are left alone, and the server turns
+// down undoing a field someone has changed since.
+//
+// Shift/Ctrl/Cmd-click picks several rows; Ctrl+C / Ctrl+V copy the picked
+// (or open) steps and paste them as new steps at the end of the list, the
+// same way, through apply_operations. "Extract to sub-flow" moves the picked steps
+// (or the canvas selection) into a new workflow run from one sub_flow step.
+// Renames from the variables panel are recorded as one change.
+//
+// Ctrl+K / Cmd+K opens the command palette (command_palette_controller) with
+// commands built here: go to any step, add a step after the current one, and
+// the toolbar actions and settings.
 export default class extends Controller {
-  static targets = ["panel", "titleInput"]
+  static targets = ["panel", "titleInput", "visualToggle", "undoBtn", "redoBtn", "insertForm",
+    "extractDialog", "extractLabel", "extractTitle"]
   static values = {
     mode: { type: String, default: "view" },
-    workflowId: Number
+    workflowId: Number,
+    stepsUrl: String,
+    operationsUrl: String,
+    extractUrl: String
   }
 
   connect() {
     this.boundKeydown = this.handleKeydown.bind(this)
     document.addEventListener("keydown", this.boundKeydown)
+
+    if (this.modeValue === "edit" && this.hasStepsUrlValue && this.hasOperationsUrlValue) {
+      this.history = new CommandHistory({ onChange: () => this.updateHistoryButtons() })
+      this.clientId = crypto.randomUUID()
+      this.refreshSnapshot()
+      this.updateHistoryButtons()
+    }
   }
 
   disconnect() {
@@ -24,6 +67,12 @@ export default class extends Controller {
     event.preventDefault()
     event.stopPropagation()
 
+    if (this.modeValue === "edit" && (event.shiftKey || event.ctrlKey || event.metaKey)) {
+      event.currentTarget.classList.toggle("builder__list-row--picked")
+      return
+    }
+    this.clearPickedRows()
+
     this.element.querySelectorAll(".builder__list-row--selected").forEach(el => {
       el.classList.remove("builder__list-row--selected")
     })
@@ -41,6 +90,21 @@ export default class extends Controller {
     }
   }
 
+  openSimulator() {
+    const url = this.element.querySelector("[data-builder-simulate-url-value]")
+      ?.dataset.builderSimulateUrlValue
+    if (!url) return
+
+    this.clearSelectedRow()
+    // From the visual editor, the panel opens above the canvas so the
+    // simulated step stays in view there
+    if (this.visualEditor) {
+      this.element.classList.add("builder--canvas-simulator")
+      this.element.querySelector(".builder__main")?.classList.remove("is-hidden")
+    }
+    this.loadPanel(url)
+  }
+
   openSettings() {
     const url = this.element.querySelector("[data-builder-settings-url-value]")
       ?.dataset.builderSettingsUrlValue
@@ -50,9 +114,53 @@ export default class extends Controller {
     }
   }
 
+  openVariables() {
+    const url = this.element.querySelector("[data-builder-variables-url-value]")
+      ?.dataset.builderVariablesUrlValue
+    if (url) {
+      this.clearSelectedRow()
+      this.loadPanel(url)
+    }
+  }
+
+  // variable-rename:renamed from the variables panel. The server rewrote every
+  // usage; record it, refresh the canvas and the panel, and let autocomplete
+  // pick up the new name.
+  async variableRenamed(event) {
+    const { from, to, stepUuids } = event.detail
+    this.recordChange(`Rename ${from} to ${to}`, stepUuids)
+    this.showStatus("saved", "Saved")
+    showNotification(`Renamed ${from} to ${to} in ${stepUuids.length === 1 ? "1 step" : `${stepUuids.length} steps`}.`, "success")
+    document.dispatchEvent(new CustomEvent("workflow-builder:variables-changed"))
+
+    // Reloading drops canvas edits made since the rename was sent
+    const editor = this.canvasEditor
+    if (editor && await this.flushSaves()) {
+      await editor.reloadFromServer().catch(e => console.error("[Builder] Failed to reload the canvas:", e))
+    }
+
+    this.openVariables()
+  }
+
+  // Save the canvas's pending edits and let the history catch up, before a
+  // server-side change works from the saved steps. False when the edits
+  // couldn't be saved.
+  async flushSaves() {
+    const editor = this.canvasEditor
+    if (editor && !(await editor.flushSave())) return false
+    await this.pendingRecord
+    return true
+  }
+
   closePanel() {
     this.element.classList.remove("builder--panel-open")
     this.clearSelectedRow()
+    this.dispatch("panel-closed")
+
+    if (this.element.classList.contains("builder--canvas-simulator")) {
+      this.element.classList.remove("builder--canvas-simulator")
+      this.element.querySelector(".builder__main")?.classList.add("is-hidden")
+    }
 
     if (this.hasPanelTarget) {
       this.panelTarget.removeAttribute("src")
@@ -62,6 +170,27 @@ export default class extends Controller {
     }
   }
 
+  // Swap the step list for the visual canvas editor. The canvas saves through
+  // sync_steps, so the server-rendered list is reloaded when returning to it.
+  toggleVisualEditor() {
+    const editor = document.getElementById("visual-editor-container")
+    const main = this.element.querySelector(".builder__main")
+    if (!editor || !main) return
+
+    const showVisual = editor.classList.contains("is-hidden")
+    if (!showVisual && editor.dataset.changed === "true") {
+      window.location.reload()
+      return
+    }
+
+    this.closePanel()
+    editor.classList.toggle("is-hidden", !showVisual)
+    main.classList.toggle("is-hidden", showVisual)
+    if (this.hasVisualToggleTarget) {
+      this.visualToggleTarget.classList.toggle("builder__toolbar-btn--active", showVisual)
+    }
+  }
+
   panelLoaded() {
     this.element.classList.add("builder--panel-open")
   }
@@ -107,9 +236,458 @@ export default class extends Controller {
     })
   }
 
+  clearPickedRows() {
+    this.element.querySelectorAll(".builder__list-row--picked").forEach(el => {
+      el.classList.remove("builder__list-row--picked")
+    })
+  }
+
   handleKeydown(event) {
+    // Lexxy uses Ctrl+K for links
+    if (event.key?.toLowerCase() === "k" && (event.ctrlKey || event.metaKey) && !event.shiftKey && !event.altKey &&
+        !event.target.closest?.("lexxy-editor")) {
+      event.preventDefault()
+      this.openCommandPalette()
+      return
+    }
+    // Escape in a dialog (the palette, the merge dialog) only closes the dialog
+    if (event.target.closest?.("dialog")) return
+
     if (event.key === "Escape" && this.element.classList.contains("builder--panel-open")) {
       this.closePanel()
+      return
     }
+    if (event.key === "Escape") this.clearPickedRows()
+
+    // Text fields keep their native undo; the visual editor has its own history
+    const shortcut = historyShortcut(event)
+    if (!shortcut || !this.history) return
+    if (event.target.closest("input, textarea, select, [contenteditable], lexxy-editor")) return
+    if (document.getElementById("visual-editor-container")?.classList.contains("is-hidden") === false) return
+
+    event.preventDefault()
+    this.history[shortcut]()
   }
+
+  // ===========================================================================
+  // Command palette
+  // ===========================================================================
+
+  openCommandPalette() {
+    const element = document.getElementById("command-palette")
+    const palette = element && this.application.getControllerForElementAndIdentifier(element, "command-palette")
+    palette?.open(this.paletteCommands())
+  }
+
+  paletteCommands() {
+    const editing = this.modeValue === "edit"
+    const current = this.currentStepUuid()
+    const commands = []
+    const add = (section, title, run, { hint = "", keywords = [] } = {}) => {
+      commands.push({ id: `${section}:${title}`, section, title, hint, keywords, run })
+    }
+
+    if (editing && current) {
+      STEP_TYPES.forEach(({ type, label }) => {
+        add("Actions", `Add ${label.toLowerCase()} after current`, () => this.addStepAfter(type, current),
+          { hint: "Add", keywords: ["new", "insert", "step", type] })
+      })
+    }
+    add("Actions", "Open flow diagram", () => this.openFlowDiagram(), { keywords: ["view flow", "graph"] })
+    add("Actions", "Run simulation", () => this.openSimulator(), { keywords: ["simulate", "test", "preview"] })
+    add("Actions", "Variables", () => this.openVariables(), { keywords: ["rename", "types"] })
+    if (editing) {
+      const publishForm = this.element.querySelector(".builder__header form[action$='/publish']")
+      if (publishForm) add("Actions", "Publish", () => publishForm.requestSubmit(), { keywords: ["release"] })
+      add("Actions", "Toggle visual editor", () => this.toggleVisualEditor(), { keywords: ["canvas", "list"] })
+      if (this.history?.canUndo) add("Actions", `Undo ${this.history.undoLabel}`, () => this.undo(), { hint: "Ctrl+Z" })
+      if (this.history?.canRedo) add("Actions", `Redo ${this.history.redoLabel}`, () => this.redo(), { hint: "Ctrl+Shift+Z" })
+      add("Actions", "Extract to sub-flow", () => this.extractSubflow(), { keywords: ["move", "workflow"] })
+    }
+
+    this.paletteSteps().forEach(({ uuid, title, type }) => {
+      add("Go to step", title, () => this.goToStep(uuid),
+        { hint: STEP_TYPES.find(t => t.type === type)?.label || "", keywords: [type] })
+    })
+
+    add("Settings", "Workflow details", () => this.openSettings(), { keywords: ["settings", "description", "groups"] })
+    if (editing && this.hasTitleInputTarget) {
+      add("Settings", "Rename workflow", () => {
+        this.titleInputTarget.focus()
+        this.titleInputTarget.select()
+      }, { keywords: ["title"] })
+    }
+    return commands
+  }
+
+  // The canvas's steps when it's showing, the list rows otherwise
+  paletteSteps() {
+    const editor = this.visualEditor
+    if (editor) {
+      return editor.steps.map(step => ({ uuid: step.id, title: step.title || "Untitled step", type: step.type }))
+    }
+    return [...this.element.querySelectorAll(".builder__list-row[data-step-uuid]")].map(row => ({
+      uuid: row.dataset.stepUuid,
+      title: row.querySelector(".builder__step-title")?.textContent.trim() || "Untitled step",
+      type: row.dataset.stepType
+    }))
+  }
+
+  currentStepUuid() {
+    const editor = this.visualEditor
+    if (editor) return editor.selectedId || null
+    return this.element.querySelector(".builder__list-row--selected[data-step-uuid]")?.dataset.stepUuid || null
+  }
+
+  goToStep(uuid) {
+    const editor = this.visualEditor
+    if (editor) {
+      editor.select(uuid)
+      editor.element.querySelector(`[data-step-id="${CSS.escape(uuid)}"]`)
+        ?.scrollIntoView({ block: "center", inline: "center" })
+      return
+    }
+
+    const row = this.element.querySelector(`.builder__list-row[data-step-uuid="${CSS.escape(uuid)}"]`)
+    if (!row) return
+    this.clearPickedRows()
+    this.clearSelectedRow()
+    row.classList.add("builder__list-row--selected")
+    row.scrollIntoView({ block: "nearest" })
+    if (row.dataset.builderUrlParam) this.loadPanel(row.dataset.builderUrlParam)
+  }
+
+  // On the canvas the step goes below the current one; in the list the server
+  // inserts it after the current row. Either way it follows on from the
+  // current step when that step doesn't lead anywhere yet.
+  addStepAfter(type, previousUuid) {
+    const editor = this.visualEditor
+    if (editor) {
+      const previous = editor.findStep(previousUuid)
+      if (!previous) return
+
+      const { width, height } = editor.nodeSize
+      const step = editor.addStep(type, previous.position_x + width / 2, previous.position_y + height * 1.5 + 60)
+      if ((previous.transitions || []).length === 0 && previous.type !== "resolve") {
+        editor.addTransition(previous.id, step.id)
+      }
+      return
+    }
+
+    if (!this.hasInsertFormTarget) return
+    this.insertFormTarget.querySelector("input[name='step_type']").value = type
+    this.insertFormTarget.querySelector("input[name='after']").value = previousUuid
+    this.insertFormTarget.requestSubmit()
+  }
+
+  // ===========================================================================
+  // Undo / redo history
+  // ===========================================================================
+
+  undo() {
+    this.history?.undo()
+  }
+
+  redo() {
+    this.history?.redo()
+  }
+
+  // turbo:submit-end from step forms: type picker (add), row delete, panel
+  // autosave (edit). The server names the step in X-Step-Uuid.
+  recordSubmit(event) {
+    if (!this.history || !event.detail.success) return
+
+    const form = event.target
+    const stepUuid = event.detail.fetchResponse?.response.headers.get("X-Step-Uuid")
+    if (!this.isStepsUrl(form.action) || !stepUuid) return
+
+    const method = (form.querySelector('input[name="_method"]')?.value || form.method).toLowerCase()
+    if (method === "delete") {
+      this.recordChange("Remove step", [stepUuid])
+    } else if (method === "post") {
+      this.recordChange("Add step", [stepUuid])
+    } else {
+      this.recordChange("Edit step", [stepUuid], { fields: submittedFields(form) })
+    }
+  }
+
+  recordReorder() {
+    this.recordChange("Reorder steps", [], { order: true })
+  }
+
+  // Changes are recorded one at a time so each "before" is the previous "after"
+  recordChange(label, stepUuids, options = {}) {
+    if (!this.history) return
+
+    this.pendingRecord = (this.pendingRecord || Promise.resolve()).then(async () => {
+      const before = this.snapshot
+      const after = await this.fetchSnapshot()
+      this.snapshot = after
+      if (!before || !after) return
+
+      const change = changeOperations(before.steps, after.steps, stepUuids, {
+        beforeStartUuid: before.start_node_uuid,
+        afterStartUuid: after.start_node_uuid,
+        ...options
+      })
+      this.recordOperations(label, change)
+    }).catch(e => console.error("[Builder] Failed to record history:", e))
+  }
+
+  // Each direction's result updates the versions the other one is sent with
+  recordOperations(label, change) {
+    if (change.undo.length === 0 && change.redo.length === 0) return
+
+    this.history.record({
+      label,
+      undo: async () => { change.redo = rebaseVersions(change.redo, await this.applyOperations(change.undo)) },
+      redo: async () => { change.undo = rebaseVersions(change.undo, await this.applyOperations(change.redo)) }
+    })
+  }
+
+  async fetchSnapshot() {
+    const response = await fetch(this.stepsUrlValue, { headers: { "Accept": "application/json" } })
+    if (!response.ok) return null
+
+    const data = await response.json()
+    return { steps: data.steps, start_node_uuid: data.start_node_uuid }
+  }
+
+  refreshSnapshot() {
+    this.pendingRecord = this.fetchSnapshot().then(state => { this.snapshot = state })
+      .catch(e => console.error("[Builder] Failed to record history:", e))
+  }
+
+  // Send operations to apply_operations; resolves to the applied ones.
+  // Operations on fields someone else changed since are turned down and
+  // reported; the rest still apply.
+  async applyOperations(operations) {
+    await this.pendingRecord
+
+    // The open panel's form would be stale (or point at a removed step)
+    this.closePanel()
+
+    const token = document.querySelector('meta[name="csrf-token"]')?.content
+    const response = await fetch(this.operationsUrlValue, {
+      method: "PATCH",
+      headers: {
+        "Content-Type": "application/json",
+        "Accept": "application/json",
+        "X-CSRF-Token": token
+      },
+      body: JSON.stringify({ operations, client_id: this.clientId })
+    })
+    const data = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      this.showStatus("error", "Save failed")
+      throw new Error(`apply_operations returned ${response.status}`)
+    }
+
+    this.refreshSnapshot()
+    const rejected = (data.rejected || []).filter(op => op.reason !== "exists")
+    if (rejected.length > 0) {
+      this.showStatus("conflict", "Saved — kept changes someone else made since")
+      showNotification("Someone else changed part of this since, so their version was kept.", "warning")
+    } else {
+      this.showStatus("saved", "Saved")
+    }
+    return data.applied || []
+  }
+
+  // ===========================================================================
+  // Copy / paste
+  // ===========================================================================
+
+  async copySteps(event) {
+    if (!this.listActive(event)) return
+
+    const ids = this.pickedStepUuids()
+    if (ids.length === 0) return
+
+    // The rows only carry UUIDs, so the steps come from the server; the
+    // event's clipboardData is gone by then and the Clipboard API writes instead
+    event.preventDefault()
+    const current = await this.fetchSnapshot()
+    const payload = current && copySteps(current.steps, ids, { workflowId: this.workflowIdValue })
+    if (!payload) return
+
+    writeClipboard(payload)
+    this.showStatus("saved", `Copied ${payload.steps.length} ${payload.steps.length === 1 ? "step" : "steps"}`)
+  }
+
+  async pasteSteps(event) {
+    if (!this.listActive(event)) return
+
+    event.preventDefault()
+    const payload = await readClipboard(event.clipboardData)
+    if (!payload) return
+
+    await this.pendingRecord
+    const current = await this.fetchSnapshot()
+    if (!current) return
+
+    // Beside the originals in the same workflow; elsewhere the visual editor lays them out
+    const sameWorkflow = payload.workflowId === this.workflowIdValue
+    const pasted = pasteSteps(payload, { offset: { x: 40, y: 40 } })
+    if (!sameWorkflow) pasted.steps.forEach(step => { step.position_x = null; step.position_y = null })
+    const change = changeOperations(current.steps, [...current.steps, ...pasted.steps], pasted.steps.map(step => step.id), {
+      beforeStartUuid: current.start_node_uuid,
+      afterStartUuid: current.start_node_uuid || pasted.steps[0].id
+    })
+
+    try {
+      change.undo = rebaseVersions(change.undo, await this.applyOperations(change.redo))
+    } catch (e) {
+      console.error("[Builder] Failed to paste steps:", e)
+      return
+    }
+    this.recordOperations(pasted.steps.length === 1 ? "Paste step" : "Paste steps", change)
+    this.clearPickedRows()
+
+    if (pasted.externalReferences.length > 0) {
+      showNotification(describeExternalReferences(pasted.externalReferences), "warning")
+    }
+  }
+
+  // ===========================================================================
+  // Extract to sub-flow
+  // ===========================================================================
+
+  extractSubflow() {
+    const editor = this.visualEditor
+    const ids = editor ? [...editor.selectedIds] : this.pickedStepUuids()
+    if (ids.length === 0) {
+      showNotification("Select the steps to extract first (Shift-click to select several).", "warning")
+      return
+    }
+    if (!this.hasExtractDialogTarget) return
+
+    this.extractIds = ids
+    this.extractLabelTarget.textContent = `Name the new workflow for ${ids.length === 1 ? "this step" : `these ${ids.length} steps`}`
+    this.extractTitleTarget.value = ""
+    this.extractDialogTarget.showModal()
+    this.extractTitleTarget.focus()
+  }
+
+  closeExtractDialog() {
+    this.extractDialogTarget.close()
+  }
+
+  // The new workflow can't be taken back by undo, so earlier history would
+  // restore steps that now live in it; the history starts over instead
+  async confirmExtractSubflow(event) {
+    event.preventDefault()
+    const ids = this.extractIds || []
+    const title = this.extractTitleTarget.value.trim()
+    if (ids.length === 0 || !title) return
+    this.closeExtractDialog()
+
+    const editor = this.visualEditor
+    if (editor && !(await editor.flushSave())) {
+      showNotification("Save your changes before extracting a sub-flow.", "error")
+      return
+    }
+
+    this.showStatus("saving", "Extracting...")
+    await this.pendingRecord
+
+    let response
+    let data
+    try {
+      const token = document.querySelector('meta[name="csrf-token"]')?.content
+      response = await fetch(this.extractUrlValue, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept": "application/json",
+          "X-CSRF-Token": token
+        },
+        body: JSON.stringify({ step_uuids: ids, title })
+      })
+      data = await response.json().catch(() => ({}))
+    } catch (e) {
+      console.error("[Builder] Extract failed:", e)
+      this.showStatus("error", "Extract failed")
+      showNotification("Couldn't reach the server. Try again.", "error")
+      return
+    }
+
+    if (!response.ok) {
+      this.showStatus("error", "Extract failed")
+      showNotification(data.error || "Couldn't extract a sub-flow from these steps.", "error")
+      return
+    }
+
+    this.showStatus("saved", "Saved")
+    this.clearPickedRows()
+    this.history?.clear()
+    this.refreshSnapshot()
+    if (editor) {
+      await editor.reloadFromServer()
+      editor.select(data.step_uuid)
+    }
+
+    const variables = Object.keys(data.variable_mapping || {})
+    const mapped = variables.length > 0 ? ` Passing ${variables.join(", ")}.` : ""
+    const publish = data.published ? "" : " Publish the new workflow before running this one."
+    showNotification(`Moved ${ids.length === 1 ? "1 step" : `${ids.length} steps`} to a new workflow.${mapped}${publish} This can't be undone.`, "success")
+  }
+
+  // The canvas editor, shown or not
+  get canvasEditor() {
+    const element = document.getElementById("visual-editor-container")
+    return element && this.application.getControllerForElementAndIdentifier(element, "visual-editor")
+  }
+
+  get visualEditor() {
+    const element = document.getElementById("visual-editor-container")
+    if (!element || element.classList.contains("is-hidden")) return null
+    return this.application.getControllerForElementAndIdentifier(element, "visual-editor")
+  }
+
+  pickedStepUuids() {
+    let rows = this.element.querySelectorAll(".builder__list-row--picked[data-step-uuid]")
+    if (rows.length === 0) rows = this.element.querySelectorAll(".builder__list-row--selected[data-step-uuid]")
+    return [...rows].map(row => row.dataset.stepUuid)
+  }
+
+  // The list (not the visual editor or a text field) has the keyboard
+  listActive(event) {
+    if (!this.history || this.modeValue !== "edit") return false
+    if (event.target.closest?.("input, textarea, select, [contenteditable], lexxy-editor")) return false
+    return document.getElementById("visual-editor-container")?.classList.contains("is-hidden") !== false
+  }
+
+  showStatus(status, message) {
+    const statusEl = document.getElementById("autosave-status")
+    if (!statusEl) return
+    statusEl.textContent = message
+    statusEl.className = `builder__autosave builder__autosave--${status}`
+  }
+
+  isStepsUrl(url) {
+    const stepsPath = new URL(this.stepsUrlValue, window.location.origin).pathname
+    const path = new URL(url, window.location.origin).pathname
+    return path === stepsPath || path.startsWith(`${stepsPath}/`)
+  }
+
+  updateHistoryButtons() {
+    if (!this.history) return
+
+    if (this.hasUndoBtnTarget) {
+      this.undoBtnTarget.disabled = !this.history.canUndo
+      this.undoBtnTarget.title = this.history.canUndo ? `Undo ${this.history.undoLabel} (Ctrl+Z)` : "Undo (Ctrl+Z)"
+    }
+    if (this.hasRedoBtnTarget) {
+      this.redoBtnTarget.disabled = !this.history.canRedo
+      this.redoBtnTarget.title = this.history.canRedo ? `Redo ${this.history.redoLabel} (Ctrl+Shift+Z)` : "Redo (Ctrl+Shift+Z)"
+    }
+  }
+}
+
+// The versioned step fields a step form saves: step[title] is title,
+// step[transitions_json] is transitions
+function submittedFields(form) {
+  const names = [...new FormData(form).keys()].map(name => name.match(/^step\[(\w+?)(?:_json)?\]/)?.[1])
+  return [...new Set(names)].filter(name => VERSIONED_FIELDS.includes(name))
 }
@@ -0,0 +1,23 @@
+import { Controller } from "@hotwired/stimulus"
+
+// Shows the bundle export bar on the workflow list while any workflow is
+// ticked. The checkboxes sit in the list items and join the bar's form
+// through their form attribute, so they submit as ids[].
+export default class extends Controller {
+  static targets = ["checkbox", "bar", "count"]
+
+  connect() {
+    this.update()
+  }
+
+  update() {
+    const selected = this.checkboxTargets.filter(checkbox => checkbox.checked).length
+    this.barTarget.hidden = selected === 0
+    this.countTarget.textContent = `${selected} selected`
+  }
+
+  clear() {
+    this.checkboxTargets.forEach(checkbox => { checkbox.checked = false })
+    this.update()
+  }
+}
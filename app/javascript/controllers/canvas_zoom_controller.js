@@ -0,0 +1,120 @@
+import { Controller } from "@hotwired/stimulus"
+
+const MIN_ZOOM = 0.25
+const MAX_ZOOM = 2
+const ZOOM_STEP = 0.1
+
+/**
+ * Canvas Zoom Controller
+ *
+ * Zooms and pans a scrollable canvas. Zoom is applied to canvasContent with
+ * CSS `zoom` so the scroll area follows the scaled size. Dragging empty
+ * canvas (or Alt/middle-button dragging anywhere) pans.
+ *
+ * Dispatches:
+ *   canvas-zoom:changed  { zoom }  after every zoom change
+ *   canvas-zoom:arrange           when the Auto-arrange button is pressed
+ */
+export default class extends Controller {
+  static targets = ["canvas", "canvasContent", "zoomLevel"]
+
+  connect() {
+    this.zoom = 1
+  }
+
+  zoomIn() {
+    this.setZoom(this.zoom + ZOOM_STEP)
+  }
+
+  zoomOut() {
+    this.setZoom(this.zoom - ZOOM_STEP)
+  }
+
+  fitToScreen() {
+    const content = this.canvasContentTarget
+    const width = parseFloat(content.style.width) || content.scrollWidth
+    const height = parseFloat(content.style.height) || content.scrollHeight
+    if (!width || !height) return
+
+    const scale = Math.min(this.canvasTarget.clientWidth / width, this.canvasTarget.clientHeight / height)
+    this.setZoom(Math.min(scale, 1))
+    this.canvasTarget.scrollTo({ left: 0, top: 0 })
+  }
+
+  autoArrange() {
+    this.dispatch("arrange")
+  }
+
+  setZoom(value, anchor = null) {
+    const zoom = Math.round(Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, value)) * 100) / 100
+    if (zoom === this.zoom) return
+
+    const canvas = this.canvasTarget
+    const focus = anchor || { x: canvas.clientWidth / 2, y: canvas.clientHeight / 2 }
+    const contentX = (canvas.scrollLeft + focus.x) / this.zoom
+    const contentY = (canvas.scrollTop + focus.y) / this.zoom
+
+    this.zoom = zoom
+    this.canvasContentTarget.style.zoom = zoom
+    if (this.hasZoomLevelTarget) this.zoomLevelTarget.textContent = `${Math.round(zoom * 100)}%`
+
+    // Keep the point under the cursor (or the viewport centre) in place
+    canvas.scrollLeft = contentX * zoom - focus.x
+    canvas.scrollTop = contentY * zoom - focus.y
+
+    this.dispatch("changed", { detail: { zoom } })
+  }
+
+  handleCanvasWheel(event) {
+    if (!event.ctrlKey && !event.metaKey) return
+
+    event.preventDefault()
+    const rect = this.canvasTarget.getBoundingClientRect()
+    const direction = event.deltaY < 0 ? 1 : -1
+    this.setZoom(this.zoom + direction * ZOOM_STEP, { x: event.clientX - rect.left, y: event.clientY - rect.top })
+  }
+
+  // ===========================================================================
+  // Panning
+  // ===========================================================================
+
+  handleCanvasMouseDown(event) {
+    const onBackground = !event.target.closest(".ve-node, .edge-group, .editor-minimap")
+    const forced = event.button === 1 || (event.button === 0 && event.altKey)
+    if (!forced && !(event.button === 0 && onBackground)) return
+
+    event.preventDefault()
+    this.pan = {
+      startX: event.clientX,
+      startY: event.clientY,
+      scrollLeft: this.canvasTarget.scrollLeft,
+      scrollTop: this.canvasTarget.scrollTop,
+      moved: false
+    }
+  }
+
+  handleCanvasMouseMove(event) {
+    if (!this.pan) return
+
+    const dx = event.clientX - this.pan.startX
+    const dy = event.clientY - this.pan.startY
+    if (Math.abs(dx) + Math.abs(dy) > 3) this.pan.moved = true
+
+    this.canvasTarget.scrollLeft = this.pan.scrollLeft - dx
+    this.canvasTarget.scrollTop = this.pan.scrollTop - dy
+    this.canvasTarget.classList.toggle("is-panning", this.pan.moved)
+  }
+
+  handleCanvasMouseUp() {
+    if (!this.pan) return
+
+    // A pan ends in a click on the background; tell listeners to ignore it
+    if (this.pan.moved) {
+      const swallow = event => event.stopImmediatePropagation()
+      this.canvasTarget.addEventListener("click", swallow, { capture: true, once: true })
+      setTimeout(() => this.canvasTarget.removeEventListener("click", swallow, { capture: true }), 0)
+    }
+    this.pan = null
+    this.canvasTarget.classList.remove("is-panning")
+  }
+}
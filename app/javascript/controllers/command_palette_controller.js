@@ -0,0 +1,147 @@
+import { Controller } from "@hotwired/stimulus"
+import Fuse from "fuse.js"
+
+const MAX_RESULTS = 50
+
+/**
+ * Command Palette Controller
+ *
+ * Ctrl+K / Cmd+K palette for the builder. builder_controller builds the
+ * commands (steps to go to, actions, settings) each time it opens the
+ * palette, so they always match the current mode, selection and steps; this
+ * controller only searches and runs them.
+ *
+ * Commands:
+ *   { id, title, section, hint, keywords: [String], run: Function }
+ *
+ * Typing fuzzy-matches titles, keywords and sections with Fuse.js; with no
+ * query the commands are listed in the order given. Arrow keys move,
+ * Enter runs, Escape closes.
+ *
+ * Usage (from another controller):
+ *   const palette = this.application.getControllerForElementAndIdentifier(element, "command-palette")
+ *   palette.open(commands)
+ */
+export default class extends Controller {
+  static targets = ["dialog", "input", "list", "empty"]
+
+  open(commands) {
+    this.commands = commands
+    this.fuse = new Fuse(commands, {
+      keys: [
+        { name: "title", weight: 3 },
+        { name: "keywords", weight: 2 },
+        { name: "section", weight: 1 }
+      ],
+      threshold: 0.4,
+      ignoreLocation: true
+    })
+
+    this.inputTarget.value = ""
+    this.search()
+    if (!this.dialogTarget.open) this.dialogTarget.showModal()
+    this.inputTarget.focus()
+  }
+
+  close() {
+    if (this.dialogTarget.open) this.dialogTarget.close()
+  }
+
+  search() {
+    const query = this.inputTarget.value.trim()
+    this.results = query
+      ? this.fuse.search(query, { limit: MAX_RESULTS }).map(result => result.item)
+      : this.commands.slice(0, MAX_RESULTS)
+    this.activeIndex = 0
+    this.render()
+  }
+
+  navigate(event) {
+    switch (event.key) {
+      case "ArrowDown":
+        event.preventDefault()
+        this.moveActive(1)
+        break
+      case "ArrowUp":
+        event.preventDefault()
+        this.moveActive(-1)
+        break
+      case "Enter":
+        event.preventDefault()
+        this.run(this.results[this.activeIndex])
+        break
+    }
+  }
+
+  choose(event) {
+    this.run(this.results[event.params.index])
+  }
+
+  hover(event) {
+    this.activeIndex = event.params.index
+    this.highlight()
+  }
+
+  // Clicking the backdrop (the dialog itself, outside its content) closes it
+  closeOnBackdrop(event) {
+    if (event.target === this.dialogTarget) this.close()
+  }
+
+  // ===========================================================================
+  // Private
+  // ===========================================================================
+
+  run(command) {
+    if (!command) return
+
+    this.close()
+    // Let the dialog return focus before the command moves it
+    setTimeout(() => command.run(), 0)
+  }
+
+  moveActive(delta) {
+    if (this.results.length === 0) return
+    this.activeIndex = (this.activeIndex + delta + this.results.length) % this.results.length
+    this.highlight()
+  }
+
+  render() {
+    let section = null
+    this.listTarget.innerHTML = this.results.map((command, index) => {
+      const heading = command.section !== section
+        ? `<li class="command-palette__section" role="presentation">${this.escapeHtml(command.section)}</li>`
+        : ""
+      section = command.section
+      return `
+        ${heading}
+        <li class="command-palette__item" role="option" id="command-palette-item-${index}"
+            data-action="click->command-palette#choose mousemove->command-palette#hover"
+            data-command-palette-index-param="${index}">
+          <span class="command-palette__title">${this.escapeHtml(command.title)}</span>
+          ${command.hint ? `<span class="command-palette__hint">${this.escapeHtml(command.hint)}</span>` : ""}
+        </li>
+      `
+    }).join("")
+
+    this.emptyTarget.hidden = this.results.length > 0
+    this.highlight()
+  }
+
+  highlight() {
+    this.listTarget.querySelectorAll(".command-palette__item").forEach(item => {
+      const active = Number(item.dataset.commandPaletteIndexParam) === this.activeIndex
+      item.classList.toggle("is-active", active)
+      item.setAttribute("aria-selected", active)
+      if (active) {
+        item.scrollIntoView({ block: "nearest" })
+        this.inputTarget.setAttribute("aria-activedescendant", item.id)
+      }
+    })
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div")
+    div.textContent = text ?? ""
+    return div.innerHTML
+  }
+}
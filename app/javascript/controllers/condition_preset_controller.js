@@ -1,4 +1,6 @@
 import { Controller } from "@hotwired/stimulus"
+import { simpleComparison } from "services/condition_language"
+import { loadVariableRegistry, findVariable, variablesUrl } from "services/variable_registry"
 
 /**
  * Condition Preset Controller
@@ -19,6 +21,8 @@ import { Controller } from "@hotwired/stimulus"
  * Values:
  *   - condition: The current condition string
  *   - label: The current label string
+ *   - variablesUrl: The workflow's variables endpoint. A declared type for the
+ *     step's variable (see services/variable_registry) overrides the answer type.
  */
 export default class extends Controller {
   static targets = [
@@ -33,7 +37,8 @@ export default class extends Controller {
 
   static values = {
     condition: String,
-    label: String
+    label: String,
+    variablesUrl: String
   }
 
   connect() {
@@ -44,9 +49,37 @@ export default class extends Controller {
       this.labelManuallyEdited = false
       this.populateDropdown()
       this.restoreExistingCondition()
+      this.applyDeclaredType()
     }, 0)
   }
 
+  /**
+   * Rebuild the presets from the variable's declared type and allowed values,
+   * when the author has declared one
+   */
+  async applyDeclaredType() {
+    const registry = await loadVariableRegistry(this.registryUrl())
+    const entry = findVariable(registry, this.stepInfo?.variableName)
+    if (!entry?.declared || this.stepInfo.stepType !== 'question') return
+
+    const answerTypes = { boolean: 'multiple_choice', enum: 'dropdown', number: 'number', date: 'date', text: 'text' }
+    this.stepInfo = {
+      ...this.stepInfo,
+      answerType: answerTypes[entry.type] || 'text',
+      options: (entry.allowed_values || []).map(value => ({ label: value, value }))
+    }
+    this.presets = this.buildPresets()
+    this.populateDropdown()
+    this.restoreExistingCondition()
+  }
+
+  registryUrl() {
+    if (this.variablesUrlValue) return this.variablesUrlValue
+
+    const workflowId = this.element.closest('[data-builder-workflow-id-value]')?.dataset.builderWorkflowIdValue
+    return workflowId ? variablesUrl(workflowId) : null
+  }
+
   /**
    * Detect the source step's type, answer_type, variable_name, and options
    * by reading from the DOM
@@ -367,37 +400,25 @@ export default class extends Controller {
    */
   matchNumericCondition(condition) {
     const varName = this.stepInfo?.variableName || 'answer'
-    const operators = ['>=', '<=', '!=', '==', '>', '<']
-
-    for (const op of operators) {
-      const pattern = new RegExp(`^${this.escapeRegex(varName)}\\s*${this.escapeRegex(op)}\\s*(\\d+)$`)
-      const match = condition.match(pattern)
-
-      if (match) {
-        const presetIdMap = {
-          '>': 'num_gt',
-          '>=': 'num_gte',
-          '<': 'num_lt',
-          '<=': 'num_lte',
-          '==': 'num_eq',
-          '!=': 'num_neq'
-        }
-        return {
-          presetId: presetIdMap[op],
-          operator: op,
-          value: match[1]
-        }
-      }
+    const comparison = simpleComparison(condition)
+    if (!comparison || comparison.variable !== varName || !comparison.isNumeric) return null
+
+    const presetIdMap = {
+      '>': 'num_gt',
+      '>=': 'num_gte',
+      '<': 'num_lt',
+      '<=': 'num_lte',
+      '==': 'num_eq',
+      '!=': 'num_neq'
     }
+    const presetId = presetIdMap[comparison.operator]
+    if (!presetId) return null
 
-    return null
-  }
-
-  /**
-   * Escape special regex characters
-   */
-  escapeRegex(str) {
-    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    return {
+      presetId,
+      operator: comparison.operator,
+      value: comparison.value
+    }
   }
 
   /**
@@ -0,0 +1,54 @@
+import { Controller } from "@hotwired/stimulus"
+import { standaloneSvg, svgToPng, posterHtml, printHtml, downloadBlob } from "services/diagram_export"
+
+/**
+ * Diagram Export Controller
+ *
+ * SVG, PNG and printable poster exports for the flowchart rendered inside
+ * this element (flow diagram panel, template previews). The exports keep
+ * the type colors and icons; see services/diagram_export.js.
+ *
+ * Values:
+ *   filename  file name without extension (default "flow-diagram")
+ *   title     printed on each poster page
+ */
+export default class extends Controller {
+  static values = {
+    filename: { type: String, default: "flow-diagram" },
+    title: { type: String, default: "Flow diagram" }
+  }
+
+  exportSvg() {
+    const diagram = this.diagram()
+    if (!diagram) return
+
+    downloadBlob(new Blob([diagram.svg], { type: "image/svg+xml" }), `${this.filenameValue}.svg`)
+  }
+
+  async exportPng(event) {
+    const diagram = this.diagram()
+    if (!diagram) return
+
+    const button = event?.currentTarget
+    if (button) button.disabled = true
+    try {
+      downloadBlob(await svgToPng(diagram.svg, diagram.width, diagram.height), `${this.filenameValue}.png`)
+    } catch (e) {
+      console.error("[DiagramExport] PNG export failed:", e)
+    } finally {
+      if (button) button.disabled = false
+    }
+  }
+
+  printPoster() {
+    const diagram = this.diagram()
+    if (!diagram) return
+
+    printHtml(posterHtml(diagram.svg, diagram.width, diagram.height, { title: this.titleValue }))
+  }
+
+  diagram() {
+    const svg = this.element.querySelector(".flowchart-svg")
+    return svg ? standaloneSvg(svg) : null
+  }
+}
@@ -1,6 +1,7 @@
 import { Controller } from "@hotwired/stimulus"
 
 // File upload controller to handle file selection feedback
+// Dispatches file-upload:selected ({ file }) and file-upload:cleared
 export default class extends Controller {
   static targets = ["fileInput", "dropZone", "emptyState", "fileSelected", "fileName", "fileSize"]
 
@@ -39,14 +40,16 @@ export default class extends Controller {
       const fileName = file.name.toLowerCase()
       if (fileName.endsWith('.json') || fileName.endsWith('.csv') || 
           fileName.endsWith('.yaml') || fileName.endsWith('.yml') || 
-          fileName.endsWith('.md') || fileName.endsWith('.markdown')) {
+          fileName.endsWith('.md') || fileName.endsWith('.markdown') ||
+          fileName.endsWith('.mmd') || fileName.endsWith('.mermaid') ||
+          fileName.endsWith('.drawio') || fileName.endsWith('.xml')) {
         // Create a data transfer object to set files
         const dataTransfer = new DataTransfer()
         dataTransfer.items.add(file)
         this.fileInputTarget.files = dataTransfer.files
         this.showFileSelected(file)
       } else {
-        alert("Please select a JSON, CSV, YAML, or Markdown file.")
+        alert("Please select a JSON, CSV, YAML, Markdown, Mermaid, or draw.io file.")
       }
     }
   }
@@ -55,6 +58,7 @@ export default class extends Controller {
     this.fileInputTarget.value = ""
     this.emptyStateTarget.classList.remove("is-hidden")
     this.fileSelectedTarget.classList.add("is-hidden")
+    this.dispatch("cleared")
   }
 
   showFileSelected(file) {
@@ -62,6 +66,7 @@ export default class extends Controller {
     this.fileSizeTarget.textContent = this.formatFileSize(file.size)
     this.emptyStateTarget.classList.add("is-hidden")
     this.fileSelectedTarget.classList.remove("is-hidden")
+    this.dispatch("selected", { detail: { file } })
   }
 
   formatFileSize(bytes) {
@@ -0,0 +1,73 @@
+import { Controller } from "@hotwired/stimulus"
+import { FlowchartRenderer } from "services/flowchart_renderer"
+
+/**
+ * Flow Diagram Controller
+ *
+ * Draws the builder's flow diagram panel: the steps laid out with dagre
+ * (services/flowchart_renderer.js), with labeled transition edges and loops
+ * drawn as back-edges. canvas-zoom on the same element zooms and pans; the
+ * diagram is fitted to the panel once it's drawn.
+ *
+ * Nodes open their step through builder#openStep, by click or Enter.
+ *
+ * Dispatches:
+ *   flow-diagram:rendered  after drawing, so graph-lint can mark problem steps
+ */
+export default class extends Controller {
+  static targets = ["stepsData", "urlsData", "canvasContent"]
+  static values = { startUuid: String }
+
+  connect() {
+    const steps = this.parseData(this.stepsDataTarget, [])
+    if (steps.length === 0 || !this.hasCanvasContentTarget) return
+
+    const urls = this.parseData(this.urlsDataTarget, {})
+    const renderer = new FlowchartRenderer({ interactive: true, startId: this.startUuidValue, nodeWidth: 180, nodeMargin: 32 })
+    this.canvasContentTarget.innerHTML = renderer.render(steps)
+
+    // canvas-zoom fits to the content's inline size
+    const chart = this.canvasContentTarget.querySelector(".flowchart-canvas")
+    this.canvasContentTarget.style.width = chart.style.width
+    this.canvasContentTarget.style.height = chart.style.height
+
+    this.canvasContentTarget.querySelectorAll(".flowchart-node[data-step-id]").forEach(node => {
+      const id = node.dataset.stepId
+      node.classList.toggle("is-start", id === this.startUuidValue)
+      if (!urls[id]) return
+
+      node.dataset.action = "click->builder#openStep keydown->flow-diagram#openWithKeyboard"
+      node.dataset.builderUrlParam = urls[id]
+      node.setAttribute("tabindex", "0")
+      node.setAttribute("role", "button")
+    })
+
+    // canvas-zoom may connect after this controller
+    this.fitFrame = requestAnimationFrame(() => this.fitToScreen())
+    this.dispatch("rendered")
+  }
+
+  disconnect() {
+    cancelAnimationFrame(this.fitFrame)
+  }
+
+  fitToScreen() {
+    this.application.getControllerForElementAndIdentifier(this.element, "canvas-zoom")?.fitToScreen()
+  }
+
+  openWithKeyboard(event) {
+    if (event.key !== "Enter" && event.key !== " ") return
+
+    event.preventDefault()
+    event.currentTarget.dispatchEvent(new MouseEvent("click", { bubbles: true }))
+  }
+
+  parseData(target, fallback) {
+    try {
+      return JSON.parse(target.textContent.trim() || "null") ?? fallback
+    } catch (e) {
+      console.error("[FlowDiagram] Could not parse diagram data:", e)
+      return fallback
+    }
+  }
+}
@@ -0,0 +1,184 @@
+import { Controller } from "@hotwired/stimulus"
+import { lintGraph, problemsByStep } from "services/graph_lint"
+
+const REFRESH_DELAY = 300
+
+/**
+ * Graph Lint Controller
+ *
+ * Lints the workflow as it is edited (services/graph_lint) and shows the
+ * results as badges on step rows and visual-editor nodes, outlines on
+ * flow-diagram nodes, plus a "Problems" list in the builder toolbar.
+ *
+ * Steps are fetched from the builder's steps endpoint after every save; while
+ * the visual editor is open its in-memory steps are linted directly.
+ */
+export default class extends Controller {
+  static targets = ["button", "count", "panel", "list"]
+  static values = { url: String, workflowId: Number }
+
+  connect() {
+    this.problems = []
+    this.subflowWorkflowIds = null
+    this.handleStreamRender = this.handleStreamRender.bind(this)
+    document.addEventListener("turbo:before-stream-render", this.handleStreamRender)
+    this.refresh()
+  }
+
+  disconnect() {
+    document.removeEventListener("turbo:before-stream-render", this.handleStreamRender)
+    clearTimeout(this.refreshTimer)
+  }
+
+  // Re-lint after any save. Debounced: one edit can fire several events.
+  refresh() {
+    clearTimeout(this.refreshTimer)
+    this.refreshTimer = setTimeout(() => this.fetchAndLint(), REFRESH_DELAY)
+  }
+
+  async fetchAndLint() {
+    if (!this.hasUrlValue) return
+
+    try {
+      const response = await fetch(this.urlValue, { headers: { "Accept": "application/json" } })
+      if (!response.ok) return
+
+      const data = await response.json()
+      this.subflowWorkflowIds = data.subflow_workflow_ids || null
+      this.lint(data.steps || [], data.start_node_uuid)
+    } catch (e) {
+      console.error("[GraphLint] Could not load steps:", e)
+    }
+  }
+
+  // visual-editor:changed carries the editor's unsaved steps
+  lintEditor(event) {
+    const { steps, startNodeUuid } = event.detail || {}
+    if (steps) this.lint(steps, startNodeUuid)
+  }
+
+  lint(steps, startUuid) {
+    this.problems = lintGraph(steps, startUuid, {
+      workflowId: this.workflowIdValue,
+      subflowWorkflowIds: this.subflowWorkflowIds
+    })
+    this.titles = new Map(steps.map(step => [step.id, step.title]))
+    this.renderList()
+    this.decorate()
+  }
+
+  // Broadcast step-list updates replace the rows, so lint again once they land
+  handleStreamRender(event) {
+    const render = event.detail.render
+    event.detail.render = async (stream) => {
+      await render(stream)
+      this.refresh()
+    }
+  }
+
+  // ===========================================================================
+  // Badges
+  // ===========================================================================
+
+  decorate() {
+    this.element.querySelectorAll(".lint-badge").forEach(badge => badge.remove())
+    const grouped = problemsByStep(this.problems)
+
+    this.element.querySelectorAll(".builder__list-row[data-step-uuid]").forEach(row => {
+      const problems = grouped.get(row.dataset.stepUuid)
+      if (problems) row.querySelector(".builder__step-connections")?.prepend(this.badge(problems))
+    })
+
+    // Flow diagram nodes are SVG, so they're outlined instead of badged
+    this.element.querySelectorAll(".flow-diagram .flowchart-node[data-step-id]").forEach(node => {
+      const problems = grouped.get(node.dataset.stepId)
+      const severity = problems && (problems.some(p => p.severity === "error") ? "error" : "warning")
+      node.classList.toggle("flowchart-node--lint-error", severity === "error")
+      node.classList.toggle("flowchart-node--lint-warning", severity === "warning")
+      node.querySelector(".flowchart-node__lint")?.remove()
+      if (problems) {
+        const title = document.createElementNS("http://www.w3.org/2000/svg", "title")
+        title.classList.add("flowchart-node__lint")
+        title.textContent = problems.map(p => p.message).join("\n")
+        node.prepend(title)
+      }
+    })
+
+    this.element.querySelectorAll(".ve-node[data-step-id]").forEach(node => {
+      const problems = grouped.get(node.dataset.stepId)
+      if (problems) node.appendChild(this.badge(problems))
+    })
+  }
+
+  badge(problems) {
+    const badge = document.createElement("span")
+    const severity = problems.some(p => p.severity === "error") ? "error" : "warning"
+    badge.className = `lint-badge lint-badge--${severity}`
+    badge.textContent = problems.length === 1 ? "!" : `${problems.length}`
+    badge.title = problems.map(p => p.message).join("\n")
+    return badge
+  }
+
+  // ===========================================================================
+  // Problems list
+  // ===========================================================================
+
+  toggle() {
+    this.panelTarget.classList.toggle("is-hidden")
+  }
+
+  close() {
+    this.panelTarget.classList.add("is-hidden")
+  }
+
+  closeOnOutsideClick(event) {
+    if (this.panelTarget.contains(event.target) || this.buttonTarget.contains(event.target)) return
+    this.close()
+  }
+
+  renderList() {
+    const errors = this.problems.filter(p => p.severity === "error").length
+    this.countTarget.textContent = this.problems.length
+    this.buttonTarget.classList.toggle("builder__toolbar-btn--error", errors > 0)
+    this.buttonTarget.classList.toggle("builder__toolbar-btn--warning", errors === 0 && this.problems.length > 0)
+
+    if (this.problems.length === 0) {
+      this.listTarget.innerHTML = `<li class="lint-problems__empty">No problems found.</li>`
+      return
+    }
+
+    this.listTarget.innerHTML = this.problems.map(problem => `
+      <li>
+        <button type="button" class="lint-problems__item"
+                data-action="click->graph-lint#reveal"
+                data-graph-lint-step-id-param="${this.escapeHtml(problem.stepId)}">
+          <span class="lint-problems__severity lint-problems__severity--${problem.severity}">${problem.severity === "error" ? "Error" : "Warning"}</span>
+          <span class="lint-problems__step">${this.escapeHtml(this.titles.get(problem.stepId) || "Untitled")}</span>
+          <span class="lint-problems__message">${this.escapeHtml(problem.message)}</span>
+        </button>
+      </li>
+    `).join("")
+  }
+
+  // Open the step in whichever view is showing: the list row opens the
+  // edit panel, a canvas node selects it in the visual editor
+  reveal(event) {
+    const id = String(event.params.stepId)
+    const selector = `.builder__list-row[data-step-uuid="${CSS.escape(id)}"], .ve-node[data-step-id="${CSS.escape(id)}"]`
+    const target = [...this.element.querySelectorAll(selector)].find(el => el.offsetParent !== null)
+    if (!target) return
+
+    this.close()
+    target.scrollIntoView({ block: "center", inline: "center", behavior: "smooth" })
+    target.click()
+  }
+
+  escapeHtml(text) {
+    return String(text ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;")
+  }
+}
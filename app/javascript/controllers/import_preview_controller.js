@@ -0,0 +1,293 @@
+import { Controller } from "@hotwired/stimulus"
+import { FlowchartRenderer } from "services/flowchart_renderer"
+import { CSV_FIELDS, csvNeedsRemap, importFormat, readCsvColumns, readSteps, remapCsv } from "services/import_preview"
+
+/**
+ * Import Preview Controller
+ *
+ * Shows what importing the selected file would create before the form is
+ * submitted: a table of the detected steps and their transitions with any
+ * problems per row, and the steps drawn as a flowchart. Every file goes to
+ * import_preview on the server, which parses and checks it without saving;
+ * JSON and YAML steps are listed from the browser's own read while it does.
+ *
+ * Bundles of several workflows (export_bundle) are listed by workflow
+ * instead, with a skip / overwrite / copy choice for each one that already
+ * exists; the choices are submitted as resolutions[<bundle id>].
+ *
+ * CSV files also get a column picker per header. When the columns are mapped
+ * differently than the server would read them, the file is previewed and
+ * submitted with matching headers. Files the server would reject block the
+ * submit button.
+ *
+ * Listens for file-upload:selected / file-upload:cleared on the same form.
+ *
+ * Values:
+ *   url  the import_preview endpoint
+ */
+export default class extends Controller {
+  static targets = ["panel", "summary", "mapping", "mappingFields", "table", "rows", "bundle", "bundleRows", "canvas", "messages", "fileInput", "submit"]
+  static values = { url: String }
+
+  async load(event) {
+    const file = event.detail?.file
+    if (!file) return
+
+    this.request?.abort()
+    this.file = file
+    this.csv = null
+    this.show(`Reading ${file.name}…`)
+    this.reset()
+
+    const format = importFormat(file.name)
+    this.text = format ? await file.text() : null
+    if (this.file !== file) return
+
+    if (format === "csv") {
+      this.csv = readCsvColumns(this.text)
+      this.renderMapping(this.csv)
+    } else {
+      const steps = format && readSteps(this.text, format)
+      if (steps) this.renderRows(steps.steps)
+    }
+    await this.fetchPreview()
+  }
+
+  clear() {
+    this.request?.abort()
+    this.file = null
+    this.csv = null
+    this.reset()
+    this.panelTarget.hidden = true
+  }
+
+  // Preview the CSV again after a column picker changes
+  remap() {
+    const mapping = Array.from(this.mappingFieldsTarget.querySelectorAll("select"), select => select.value)
+    this.csv = readCsvColumns(this.text, mapping)
+    this.fetchPreview()
+  }
+
+  submit(event) {
+    if (this.blocked) {
+      event.preventDefault()
+      return
+    }
+    if (!this.remapped) return
+
+    const transfer = new DataTransfer()
+    transfer.items.add(this.upload)
+    this.fileInputTarget.files = transfer.files
+  }
+
+  // The file as the server should read it: CSVs get the mapped headers
+  get upload() {
+    if (!this.remapped) return this.file
+    return new File([remapCsv(this.text, this.csv.mapping)], this.file.name, { type: "text/csv" })
+  }
+
+  get remapped() {
+    return Boolean(this.csv) && csvNeedsRemap(this.csv.headers, this.csv.mapping)
+  }
+
+  async fetchPreview() {
+    this.request?.abort()
+    if (this.csv?.errors.length > 0) {
+      this.render(serverPreview({ errors: this.csv.errors }))
+      return
+    }
+
+    const request = this.request = new AbortController()
+    const body = new FormData()
+    body.append("file", this.upload)
+    this.show(`Checking ${this.file.name}…`)
+
+    try {
+      const token = document.querySelector('meta[name="csrf-token"]')?.content
+      const response = await fetch(this.urlValue, {
+        method: "POST",
+        headers: { "Accept": "application/json", "X-CSRF-Token": token },
+        body,
+        signal: request.signal
+      })
+      const data = await response.json().catch(() => ({ errors: ["The server couldn't read this file."] }))
+      if (data.bundle) this.renderBundle(data)
+      else this.render(serverPreview(data))
+    } catch (error) {
+      if (error.name === "AbortError") return
+
+      console.error("[ImportPreview] Preview failed:", error)
+      this.render(serverPreview({ errors: ["Couldn't reach the server to preview this file."] }))
+    }
+  }
+
+  render({ title, startId, steps, errors, warnings }) {
+    this.blocked = errors.length > 0
+    if (this.hasSubmitTarget) this.submitTarget.disabled = this.blocked
+
+    const transitions = steps.reduce((count, step) => count + step.transitions.length, 0)
+    const problems = steps.filter(step => step.issues.length > 0).length
+    this.show(this.blocked
+      ? "This file can't be imported."
+      : `“${title || "Imported Workflow"}”: ${pluralize(steps.length, "step")}, ${pluralize(transitions, "transition")}` +
+        (problems > 0 ? `, ${pluralize(problems, "step")} to check` : ""))
+
+    this.renderRows(steps)
+
+    this.canvasTarget.innerHTML = ""
+    if (steps.length > 0) {
+      const renderer = new FlowchartRenderer({ compact: true, startId, nodeWidth: 140, nodeHeight: 80, nodeMargin: 24 })
+      this.canvasTarget.innerHTML = renderer.render(steps.map(step => ({
+        ...step,
+        transitions: step.transitions.filter(transition => !transition.dangling)
+      })))
+    }
+    this.canvasTarget.hidden = steps.length === 0
+    this.renderMessages(errors, warnings)
+  }
+
+  renderBundle({ title, workflows = [], warnings = [], errors = [] }) {
+    this.blocked = errors.length > 0
+    if (this.hasSubmitTarget) this.submitTarget.disabled = this.blocked
+
+    const existing = workflows.filter(workflow => workflow.duplicate).length
+    this.show(this.blocked
+      ? "This bundle can't be imported."
+      : `${title}` + (existing > 0 ? `, ${pluralize(existing, "workflow")} already here` : ""))
+
+    this.bundleTarget.hidden = workflows.length === 0
+    this.bundleRowsTarget.replaceChildren(...workflows.map(workflow => this.bundleRow(workflow)))
+    this.renderMessages(errors, warnings)
+  }
+
+  bundleRow({ key, title, step_count: stepCount, subflows = [], duplicate, resolution }) {
+    const row = document.createElement("tr")
+
+    const calls = document.createElement("ul")
+    calls.className = "import-preview__links"
+    calls.append(...subflows.map(subflow => {
+      const item = document.createElement("li")
+      item.textContent = `→ ${subflow.title || "Unknown workflow"}${subflow.in_bundle ? "" : " (not in bundle)"}`
+      return item
+    }))
+
+    let choice = "Import as new"
+    if (duplicate) {
+      choice = document.createElement("select")
+      choice.name = `resolutions[${key}]`
+      choice.className = "form-select import-preview__select"
+      choice.add(new Option("Skip, keep the existing one", "skip"))
+      choice.add(new Option("Overwrite the existing one", "overwrite"))
+      choice.add(new Option("Import as a copy", "copy"))
+      choice.options[1].disabled = !duplicate.editable
+      choice.value = resolution
+    }
+
+    row.append(cell(title), cell(String(stepCount)), cell(calls), cell(duplicate ? duplicate.title : "—"), cell(choice))
+    return row
+  }
+
+  renderMessages(errors, warnings) {
+    this.messagesTarget.replaceChildren(
+      ...errors.map(text => this.message({ level: "error", message: text })),
+      ...warnings.map(text => this.message({ level: "warning", message: text }))
+    )
+  }
+
+  renderMapping(csv) {
+    this.mappingTarget.hidden = !csv
+    if (!csv) return
+
+    this.mappingFieldsTarget.replaceChildren(...csv.headers.map((header, column) => {
+      const label = document.createElement("label")
+      label.className = "import-preview__column"
+      const name = document.createElement("span")
+      name.textContent = header || `Column ${column + 1}`
+
+      const select = document.createElement("select")
+      select.className = "form-select import-preview__select"
+      select.dataset.action = "change->import-preview#remap"
+      select.add(new Option("Ignore", ""))
+      CSV_FIELDS.forEach(field => select.add(new Option(field.label, field.key)))
+      select.value = csv.mapping[column] || ""
+
+      label.append(name, select)
+      return label
+    }))
+  }
+
+  renderRows(steps) {
+    const byId = new Map(steps.map(step => [step.id, step]))
+    this.tableTarget.hidden = steps.length === 0
+
+    this.rowsTarget.replaceChildren(...steps.map(step => {
+      const row = document.createElement("tr")
+      if (step.issues.some(issue => issue.level === "error")) row.className = "import-preview__row--error"
+
+      const links = document.createElement("ul")
+      links.className = "import-preview__links"
+      links.append(...step.transitions.map(transition => {
+        const item = document.createElement("li")
+        const target = byId.get(String(transition.target_uuid))
+        item.textContent = `→ ${target ? target.title : transition.target_uuid || "(no target)"}`
+        if (transition.condition) item.textContent += ` if ${transition.condition}`
+        else if (transition.label) item.textContent += ` (${transition.label})`
+        if (transition.dangling) item.className = "import-preview__message--error"
+        return item
+      }))
+
+      const issues = document.createElement("ul")
+      issues.className = "import-preview__messages"
+      issues.append(...step.issues.map(issue => this.message(issue)))
+
+      row.append(cell(step.row), cell(step.type), cell(step.title), cell(links), cell(issues))
+      return row
+    }))
+  }
+
+  reset() {
+    this.blocked = false
+    if (this.hasSubmitTarget) this.submitTarget.disabled = false
+    this.mappingTarget.hidden = true
+    this.tableTarget.hidden = true
+    this.bundleTarget.hidden = true
+    this.bundleRowsTarget.replaceChildren()
+    this.canvasTarget.hidden = true
+    this.messagesTarget.replaceChildren()
+  }
+
+  show(summary) {
+    this.summaryTarget.textContent = summary
+    this.panelTarget.hidden = false
+  }
+
+  message({ level, message }) {
+    const item = document.createElement("li")
+    item.className = `import-preview__message import-preview__message--${level}`
+    item.textContent = message
+    return item
+  }
+}
+
+// import_preview's JSON as table rows. Transitions to a step that isn't in
+// the file are dropped on import; the server's warnings say so.
+function serverPreview({ title, steps = [], start_node_uuid: startId, warnings = [], errors = [] }) {
+  const ids = new Set(steps.map(step => String(step.id)))
+  const rows = steps.map((step, index) => ({
+    ...step,
+    row: `Step ${index + 1}`,
+    transitions: (step.transitions || []).map(transition => ({ ...transition, dangling: !ids.has(String(transition.target_uuid)) })),
+    issues: (step._import_errors || []).map(message => ({ level: "warning", message }))
+  }))
+  return { title, startId: startId || rows[0]?.id, steps: rows, errors, warnings }
+}
+
+function cell(content) {
+  const td = document.createElement("td")
+  td.append(content)
+  return td
+}
+
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`
+}
@@ -1,13 +1,44 @@
 import { Controller } from "@hotwired/stimulus"
+import { Turbo } from "@hotwired/turbo-rails"
+import { AutosaveOutbox, unsavedChangesLabel } from "services/autosave_outbox"
+import { mergeValue } from "services/three_way_merge"
+import { sameValue } from "services/step_operations"
+
+// Outbox keys are the form's action, so a step's queued edits replace each other
+const OUTBOX_PREFIX = "form:"
+
+// Sent with every save but not part of the edit
+const UNMERGED_FIELDS = ["authenticity_token", "_method", "autosave_pending"]
+
+// Workflows whose queued form saves are being sent; every form on the page
+// replays the same outbox, so only one of them does it at a time
+const replaying = new Set()
 
 /**
  * Inline Autosave Controller
  *
  * Simplified autosave for Turbo Frame step forms.
  * Debounces input events and calls requestSubmit() on the form.
+ *
+ * Saves that can't reach the server (offline, dropped connection) are kept
+ * in the autosave outbox and sent again, oldest first, when the browser is
+ * back online or the next form connects. While they wait the status line
+ * shows how many edits are unsaved.
+ *
+ * Forms with a lock_version field get a 409 when someone else saved the
+ * record since. The form's fields are then merged three ways: the last
+ * saved values are the base, the form is mine and the server's current form
+ * is theirs. Fields only one side changed merge on their own; the rest go
+ * to the merge conflict dialog. The merge is saved against the server's
+ * lock_version. Queued saves that get a 409 on replay are merged the same
+ * way, against the last saved values at the time they were queued, and stay
+ * in the outbox until the merge is saved.
  */
 export default class extends Controller {
-  static values = { delay: { type: Number, default: 2000 } }
+  static values = {
+    delay: { type: Number, default: 2000 },
+    workflowId: Number
+  }
 
   connect() {
     // Lexxy rich text editors fire lexxy:change instead of input events.
@@ -15,6 +46,23 @@ export default class extends Controller {
     // events loaded via Turbo Frames, so we listen programmatically.
     this.boundSchedule = this.schedule.bind(this)
     this.element.addEventListener("lexxy:change", this.boundSchedule)
+
+    this.boundFetchResponse = this.fetchResponse.bind(this)
+    this.element.addEventListener("turbo:before-fetch-response", this.boundFetchResponse)
+    // The last values the server accepted: the common base for merges
+    this.saved = formFields(this.element)
+    // Where the form came from, to load the server's version of it when merging
+    const frame = this.element.closest("turbo-frame")
+    this.source = frame?.src ? { url: frame.src, frameId: frame.id } : null
+
+    if (!this.hasWorkflowIdValue) return
+
+    this.outbox = new AutosaveOutbox(this.workflowIdValue)
+    this.boundSubmitEnd = this.submitEnd.bind(this)
+    this.boundReplay = this.replayOutbox.bind(this)
+    this.element.addEventListener("turbo:submit-end", this.boundSubmitEnd)
+    window.addEventListener("online", this.boundReplay)
+    this.replayOutbox()
   }
 
   schedule() {
@@ -29,6 +77,11 @@ export default class extends Controller {
 
     // If the form is still in the DOM, use requestSubmit (Turbo-aware)
     if (this.element.isConnected) {
+      if (this.outbox && navigator.onLine === false) {
+        this.queue(this.element.action, new FormData(this.element))
+        return
+      }
+      this.submitted = formFields(this.element)
       this.element.requestSubmit()
       return
     }
@@ -37,15 +90,9 @@ export default class extends Controller {
     // Send the saved FormData snapshot directly via fetch.
     // Use POST with _method=patch in the body (same as browser form submission).
     if (this.lastFormData && this.formAction) {
-      const token = document.querySelector('meta[name="csrf-token"]')?.content
-      fetch(this.formAction, {
-        method: "POST",
-        headers: {
-          "X-CSRF-Token": token,
-          "Accept": "text/vnd.turbo-stream.html"
-        },
-        body: this.lastFormData
-      })
+      const formData = this.lastFormData
+      const action = this.formAction
+      this.send(action, formData).catch(() => this.queue(action, formData))
     }
   }
 
@@ -55,7 +102,278 @@ export default class extends Controller {
     this.lastFormData = new FormData(this.element)
     this.formAction = this.element.action
     this.element.removeEventListener("lexxy:change", this.boundSchedule)
+    this.element.removeEventListener("turbo:before-fetch-response", this.boundFetchResponse)
+    if (this.outbox) {
+      this.element.removeEventListener("turbo:submit-end", this.boundSubmitEnd)
+      window.removeEventListener("online", this.boundReplay)
+    }
     // Flush pending save using the snapshot
     this.save()
   }
+
+  // A submission without a response never reached the server; one the
+  // server answered (even with errors) is not retried
+  submitEnd(event) {
+    if (event.detail.success || event.detail.fetchResponse) return
+    this.queue(this.element.action, new FormData(this.element))
+  }
+
+  // Keep lock_version current after each save; a conflict is merged here
+  // instead of Turbo rendering the error
+  fetchResponse(event) {
+    const { fetchResponse } = event.detail
+    if (fetchResponse.statusCode === 409 && this.lockVersionField) {
+      event.preventDefault()
+      event.stopPropagation()
+      this.mergeWithServer()
+      return
+    }
+    if (!fetchResponse.succeeded) return
+
+    this.updateLockVersion(fetchResponse.response.headers.get("X-Lock-Version"))
+    if (this.submitted) this.saved = this.submitted
+    this.submitted = null
+  }
+
+  send(action, formData) {
+    const token = document.querySelector('meta[name="csrf-token"]')?.content
+    return fetch(action, {
+      method: "POST",
+      headers: {
+        "X-CSRF-Token": token,
+        "Accept": "text/vnd.turbo-stream.html"
+      },
+      body: formData
+    })
+  }
+
+  // ===========================================================================
+  // Merge
+  // ===========================================================================
+
+  get lockVersionField() {
+    return this.element.querySelector("input[name$='[lock_version]']")
+  }
+
+  get mergeConflict() {
+    const element = document.getElementById("merge-conflict")
+    return element && this.application.getControllerForElementAndIdentifier(element, "merge-conflict")
+  }
+
+  updateLockVersion(value) {
+    if (value && this.lockVersionField) this.lockVersionField.value = value
+  }
+
+  async mergeWithServer() {
+    const merge = await this.mergeAndSave({
+      action: this.element.action,
+      source: this.source,
+      base: this.saved,
+      mine: formFields(this.element)
+    })
+    if (merge) this.applyMerge(merge)
+  }
+
+  // Merge an edit three ways with the server's current form and save it
+  // against the server's lock_version. Returns the merged fields and the new
+  // lock_version, or null when the server's form couldn't be loaded, a
+  // conflict was left unresolved or the save failed.
+  async mergeAndSave({ action, source, base, mine }) {
+    const theirsForm = source && await this.fetchServerForm(source, action)
+    if (!theirsForm || !this.mergeConflict) {
+      this.showStatus("error", "Save failed — this step was changed by someone else")
+      return null
+    }
+
+    const theirs = formFields(theirsForm)
+    const merged = new Map()
+    const conflicts = {}
+    const names = [...new Set([...base.keys(), ...mine.keys(), ...theirs.keys()])]
+      .filter(name => !UNMERGED_FIELDS.includes(name) && !name.endsWith("[lock_version]"))
+    names.forEach(name => {
+      const result = mergeValue(base.get(name) || [], mine.get(name) || [], theirs.get(name) || [])
+      merged.set(name, result.value)
+      if (result.conflict) conflicts[name] = result
+    })
+
+    if (Object.keys(conflicts).length > 0) {
+      const resolved = await this.mergeConflict.open({ base: [], mine: [], theirs: [], values: this.conflictValues(theirsForm, conflicts) })
+      if (!resolved) {
+        this.showStatus("error", "Save failed — this step was changed by someone else")
+        return null
+      }
+      Object.entries(resolved.values).forEach(([name, value]) => merged.set(name, [value ?? ""].flat()))
+    }
+
+    const formData = new FormData()
+    UNMERGED_FIELDS.forEach(name => mine.get(name)?.forEach(value => formData.append(name, value)))
+    merged.forEach((values, name) => values.forEach(value => formData.append(name, value)))
+    const lockVersion = theirsForm.querySelector("input[name$='[lock_version]']")
+    if (lockVersion) formData.append(lockVersion.name, lockVersion.value)
+
+    this.showStatus("saving", "Saving merged changes...")
+    const response = await this.send(action, formData).catch(() => null)
+    if (!response?.ok) {
+      this.showStatus("error", "Save failed")
+      return null
+    }
+
+    if (response.headers.get("Content-Type")?.includes("turbo-stream")) {
+      Turbo.renderStreamMessage(await response.text())
+    }
+    return {
+      fields: merged,
+      lockVersion: response.headers.get("X-Lock-Version"),
+      // Their changes aren't in my form yet
+      theirsChanged: names.some(name => !sameValue(merged.get(name), mine.get(name) || []))
+    }
+  }
+
+  // Bring this form up to a merge saved for it
+  applyMerge({ fields, lockVersion, theirsChanged }) {
+    this.saved = fields
+    this.updateLockVersion(lockVersion)
+    if (theirsChanged) this.element.closest("turbo-frame")?.reload()
+  }
+
+  // The form as the server renders it now, from the frame it was loaded into
+  async fetchServerForm(source, action) {
+    try {
+      const response = await fetch(source.url, { headers: { "Accept": "text/html", "Turbo-Frame": source.frameId } })
+      if (!response.ok) return null
+
+      const doc = new DOMParser().parseFromString(await response.text(), "text/html")
+      return [...doc.querySelectorAll("form")].find(form => sameAction(form.getAttribute("action"), action)) || null
+    } catch (e) {
+      console.error("[InlineAutosave] Could not load the saved form:", e)
+      return null
+    }
+  }
+
+  // Single values (text, rich text) go to the dialog as they are, so rich
+  // text gets a word diff. Labels come from the server's form, which is there
+  // for queued saves of steps that aren't open too.
+  conflictValues(form, conflicts) {
+    return Object.fromEntries(Object.entries(conflicts).map(([name, { base, mine, theirs }]) => {
+      const value = list => (list.length > 1 ? list : list[0] ?? "")
+      const richText = Boolean(form.querySelector(`lexxy-editor[name="${CSS.escape(name)}"]`))
+      return [name, { label: this.fieldLabel(form, name), richText, base: value(base), mine: value(mine), theirs: value(theirs) }]
+    }))
+  }
+
+  fieldLabel(form, name) {
+    const field = form.querySelector(`[name="${CSS.escape(name)}"]`)
+    const label = field?.id && form.querySelector(`label[for="${CSS.escape(field.id)}"]`)
+    if (label) return label.textContent.trim()
+
+    const key = name.match(/\[(\w+)\](?:\[\])*$/)?.[1] || name
+    return key.replace(/_/g, " ").replace(/^\w/, c => c.toUpperCase())
+  }
+
+  showStatus(status, message) {
+    const statusEl = document.getElementById("autosave-status")
+    if (!statusEl) return
+
+    statusEl.textContent = message
+    statusEl.className = `builder__autosave builder__autosave--${status}`
+  }
+
+  // ===========================================================================
+  // Outbox
+  // ===========================================================================
+
+  async queue(action, formData) {
+    if (!this.outbox) return
+
+    const key = OUTBOX_PREFIX + action
+    try {
+      const existing = await this.outbox.get(key)
+      // The base and source stay those of the first queued edit: the last
+      // values the server accepted, for merging on a 409
+      const payload = {
+        action,
+        fields: [...formData],
+        base: existing?.payload.base || [...this.saved],
+        source: existing?.payload.source || this.source
+      }
+      await this.outbox.put(key, payload, { changes: (existing?.changes || 0) + 1 })
+      this.showPending(await this.outbox.pendingChanges())
+    } catch (e) {
+      console.error("[InlineAutosave] Could not store unsaved changes:", e)
+    }
+  }
+
+  async replayOutbox() {
+    const workflowId = this.workflowIdValue
+    if (!this.outbox || replaying.has(workflowId) || navigator.onLine === false) return
+
+    replaying.add(workflowId)
+    try {
+      const entries = (await this.outbox.entries()).filter(entry => entry.key.startsWith(OUTBOX_PREFIX))
+      for (const entry of entries) {
+        const formData = new FormData()
+        entry.payload.fields.forEach(([name, value]) => formData.append(name, value))
+        // The server's status line counts what is still waiting after this one
+        formData.set("autosave_pending", (await this.outbox.pendingChanges()) - entry.changes)
+
+        const response = await this.send(entry.payload.action, formData)
+        if (response.status === 409) {
+          // Saved by someone else since it was queued: merged like a live
+          // conflict, and kept until the merge is saved
+          if (await this.replayMerge(entry, formData)) await this.outbox.remove(entry.key)
+          continue
+        }
+        // Answered otherwise: a rejected edit (validation, a step deleted
+        // since) would be rejected again
+        await this.outbox.remove(entry.key)
+        if (response.headers.get("Content-Type")?.includes("turbo-stream")) {
+          Turbo.renderStreamMessage(await response.text())
+        }
+      }
+    } catch (e) {
+      // Still unreachable; the rest wait for the next "online"
+      console.error("[InlineAutosave] Replay failed:", e)
+      this.showPending(await this.outbox.pendingChanges().catch(() => 0))
+    } finally {
+      replaying.delete(workflowId)
+    }
+  }
+
+  async replayMerge(entry, formData) {
+    const { action, base, source } = entry.payload
+    const merge = await this.mergeAndSave({ action, source, base: new Map(base || []), mine: fieldValues(formData) })
+    if (merge && sameAction(action, this.element.action)) this.applyMerge(merge)
+    return Boolean(merge)
+  }
+
+  showPending(count) {
+    if (count > 0) this.showStatus("offline", unsavedChangesLabel(count))
+  }
+}
+
+// Field name => values. Lexxy editors in a fetched (inert) document aren't
+// upgraded, so their value comes from the attribute.
+function formFields(form) {
+  const fields = fieldValues(new FormData(form))
+  form.querySelectorAll("lexxy-editor[name]").forEach(editor => {
+    const name = editor.getAttribute("name")
+    if (!fields.has(name)) fields.set(name, [editor.getAttribute("value") || ""])
+  })
+  return fields
+}
+
+function fieldValues(formData) {
+  const fields = new Map()
+  for (const [name, value] of formData) {
+    if (typeof value !== "string") continue
+    if (!fields.has(name)) fields.set(name, [])
+    fields.get(name).push(value)
+  }
+  return fields
+}
+
+// Form actions compared as paths: the queued action is the absolute URL from
+// form.action, a fetched form's attribute is relative
+function sameAction(a, b) {
+  return new URL(a, location.href).pathname === new URL(b, location.href).pathname
 }
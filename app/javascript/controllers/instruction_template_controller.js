@@ -1,11 +1,19 @@
 import { Controller } from "@hotwired/stimulus"
+import { insertSnippet, snippetText, TabStops } from "services/snippets"
 
 /**
  * Instruction Template Controller
  * 
  * Sprint 2: Action Step Simplification
  * Provides pre-written instruction snippets for common CSR tasks.
- * Templates can be inserted into the instructions textarea with one click.
+ * Templates can be inserted into the instructions field with one click.
+ *
+ * Snippets come from the server (InstructionSnippet, managed in the admin
+ * panel): those for everyone plus the ones for the user's and the workflow's
+ * groups. Tabs are built from their categories.
+ *
+ * After inserting a snippet with tab stops (see services/snippets), Tab and
+ * Shift+Tab move between them. Works with a textarea or a Lexxy editor.
  */
 export default class extends Controller {
   static targets = [
@@ -18,6 +26,7 @@ export default class extends Controller {
   ]
 
   static values = {
+    url: String,
     insertMode: { type: String, default: "append" } // "append" | "replace"
   }
 
@@ -47,141 +56,31 @@ export default class extends Controller {
     "calendar": "M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"
   }
 
-  // Pre-defined instruction templates organized by category
-  templates = {
-    greeting: [
-      {
-        id: "greet-standard",
-        name: "Standard Greeting",
-        icon: "chat",
-        content: "Thank the customer for calling and introduce yourself by name. Verify you're speaking with the account holder."
-      },
-      {
-        id: "greet-callback",
-        name: "Callback Greeting",
-        icon: "phone",
-        content: "Thank the customer for returning the call. Reference the previous ticket/issue and confirm they're ready to continue troubleshooting."
-      },
-      {
-        id: "greet-escalation",
-        name: "Escalation Introduction",
-        icon: "arrow-up",
-        content: "Introduce yourself as a senior support representative. Acknowledge the customer's previous experience and assure them you'll work to resolve the issue."
-      }
-    ],
-    verification: [
-      {
-        id: "verify-account",
-        name: "Account Verification",
-        icon: "shield",
-        content: "Ask the customer to verify their account by providing:\n- Full name on the account\n- Email address associated with the account\n- Last 4 digits of payment method (if applicable)"
-      },
-      {
-        id: "verify-domain",
-        name: "Domain Ownership",
-        icon: "globe",
-        content: "Verify domain ownership by asking the customer to confirm:\n- Domain name\n- Registrant email address\n- Date of registration (approximate)"
-      },
-      {
-        id: "verify-2fa",
-        name: "Two-Factor Auth",
-        icon: "device",
-        content: "Inform the customer a verification code has been sent to their registered phone/email. Ask them to provide the code to proceed."
-      }
-    ],
-    troubleshooting: [
-      {
-        id: "ts-clear-cache",
-        name: "Clear Browser Cache",
-        icon: "trash",
-        content: "Ask the customer to clear their browser cache and cookies:\n1. Press Ctrl+Shift+Delete (Windows) or Cmd+Shift+Delete (Mac)\n2. Select 'All time' for the time range\n3. Check 'Cached images and files' and 'Cookies'\n4. Click 'Clear data'\n5. Restart the browser and try again"
-      },
-      {
-        id: "ts-different-browser",
-        name: "Try Different Browser",
-        icon: "window",
-        content: "Ask the customer to try accessing the service using a different browser (Chrome, Firefox, Safari, or Edge) to rule out browser-specific issues."
-      },
-      {
-        id: "ts-incognito",
-        name: "Try Incognito Mode",
-        icon: "eye-off",
-        content: "Ask the customer to open an incognito/private browsing window:\n- Chrome: Ctrl+Shift+N (Windows) or Cmd+Shift+N (Mac)\n- Firefox: Ctrl+Shift+P (Windows) or Cmd+Shift+P (Mac)\n- Then navigate to the page and try again"
-      },
-      {
-        id: "ts-restart-device",
-        name: "Restart Device",
-        icon: "refresh",
-        content: "Ask the customer to restart their device (computer/phone) and try the operation again after it fully reboots."
-      }
-    ],
-    email: [
-      {
-        id: "email-check-spam",
-        name: "Check Spam Folder",
-        icon: "mail",
-        content: "Ask the customer to check their spam/junk folder for the expected email. If found, mark it as 'Not Spam' to ensure future emails arrive in the inbox."
-      },
-      {
-        id: "email-whitelist",
-        name: "Whitelist Our Domain",
-        icon: "check-circle",
-        content: "Ask the customer to add our email domain to their contacts or safe senders list to prevent future emails from being filtered."
-      },
-      {
-        id: "email-resend",
-        name: "Resend Verification Email",
-        icon: "mail-open",
-        content: "Inform the customer you're resending the verification email. Ask them to wait 5-10 minutes and check both inbox and spam folders."
-      }
-    ],
-    dns: [
-      {
-        id: "dns-propagation",
-        name: "DNS Propagation Wait",
-        icon: "clock",
-        content: "Explain to the customer that DNS changes can take up to 24-48 hours to propagate globally. Recommend checking back in 24 hours if changes are not yet visible."
-      },
-      {
-        id: "dns-flush-cache",
-        name: "Flush DNS Cache",
-        icon: "refresh",
-        content: "Guide the customer to flush their local DNS cache:\n\nWindows:\n1. Open Command Prompt as Administrator\n2. Type: ipconfig /flushdns\n3. Press Enter\n\nMac:\n1. Open Terminal\n2. Type: sudo dscacheutil -flushcache; sudo killall -HUP mDNSResponder\n3. Press Enter and provide password if prompted"
-      },
-      {
-        id: "dns-check-records",
-        name: "Verify DNS Records",
-        icon: "search",
-        content: "Use a DNS lookup tool to verify the customer's DNS records are correctly configured. Check A records, CNAME records, MX records, and TXT records as applicable."
-      }
-    ],
-    closing: [
-      {
-        id: "close-resolved",
-        name: "Issue Resolved",
-        icon: "check-circle",
-        content: "Confirm with the customer that the issue has been resolved. Ask if there's anything else you can help with today. Thank them for their patience and for choosing our service."
-      },
-      {
-        id: "close-followup",
-        name: "Follow-up Required",
-        icon: "calendar",
-        content: "Explain that the issue requires further investigation. Provide a ticket number and expected follow-up timeframe. Assure the customer they'll receive an update via email."
-      },
-      {
-        id: "close-escalation",
-        name: "Escalation Handoff",
-        icon: "arrow-up",
-        content: "Explain that you're escalating the issue to a specialist team. Provide the escalation ticket number and expected response time. Thank the customer for their patience."
-      }
-    ]
+  connect() {
+    this.snippets = []
+    this.currentCategory = null
+
+    this.loadSnippets()
   }
 
-  connect() {
-    this.currentCategory = "greeting"
-    this.filteredTemplates = []
-    
-    // Render initial templates
+  disconnect() {
+    this.tabStops?.stop()
+  }
+
+  async loadSnippets() {
+    if (!this.urlValue) return
+
+    try {
+      const response = await fetch(this.urlValue, { headers: { "Accept": "application/json" } })
+      this.snippets = response.ok ? await response.json() : []
+    } catch (error) {
+      console.error("[InstructionTemplate] Couldn't load snippets:", error)
+      this.snippets = []
+    }
+
+    this.categories = [...new Set(this.snippets.map(snippet => snippet.category))]
+    this.currentCategory = this.categories[0] || null
+    this.renderCategories()
     this.renderTemplates()
   }
 
@@ -212,18 +111,9 @@ export default class extends Controller {
    * Switch category tab
    */
   selectCategory(event) {
-    const category = event.currentTarget.dataset.category
-    this.currentCategory = category
-    
-    // Update tab styles
-    if (this.hasCategoryTabsTarget) {
-      this.categoryTabsTarget.querySelectorAll("button").forEach(btn => {
-        const isActive = btn.dataset.category === category
-        btn.classList.toggle("is-active", isActive)
-        btn.classList.toggle("is-inactive", !isActive)
-      })
-    }
-    
+    this.currentCategory = event.currentTarget.dataset.category
+    this.updateTabs()
+
     // Clear search and render templates
     if (this.hasSearchInputTarget) {
       this.searchInputTarget.value = ""
@@ -239,40 +129,70 @@ export default class extends Controller {
     this.renderTemplates(query)
   }
 
+  /**
+   * Render one tab per category
+   */
+  renderCategories() {
+    if (!this.hasCategoryTabsTarget) return
+
+    this.categoryTabsTarget.replaceChildren(...this.categories.map(category => {
+      const button = document.createElement("button")
+      button.type = "button"
+      button.className = "btn btn--sm inline-flex items-center gap-1 whitespace-nowrap"
+      button.dataset.action = "click->instruction-template#selectCategory"
+      button.dataset.category = category
+      button.textContent = category
+      return button
+    }))
+    this.updateTabs()
+  }
+
+  updateTabs() {
+    if (!this.hasCategoryTabsTarget) return
+
+    this.categoryTabsTarget.querySelectorAll("button").forEach(btn => {
+      const isActive = btn.dataset.category === this.currentCategory
+      btn.classList.toggle("btn--secondary", isActive)
+      btn.classList.toggle("btn--plain", !isActive)
+    })
+  }
+
   /**
    * Render templates for current category (optionally filtered)
    */
   renderTemplates(searchQuery = "") {
     if (!this.hasTemplateListTarget) return
-    
-    let templates = this.templates[this.currentCategory] || []
-    
+
+    let templates = this.snippets.filter(snippet => snippet.category === this.currentCategory)
+
     // Filter by search query if provided
     if (searchQuery) {
       // Search across all categories
-      templates = Object.values(this.templates).flat().filter(t =>
+      templates = this.snippets.filter(t =>
         t.name.toLowerCase().includes(searchQuery) ||
-        t.content.toLowerCase().includes(searchQuery)
+        t.category.toLowerCase().includes(searchQuery) ||
+        snippetText(t.content).toLowerCase().includes(searchQuery)
       )
     }
-    
+
     // Render template items
-    this.templateListTarget.innerHTML = templates.map(template => `
+    this.templateListTarget.innerHTML = templates.map(template => {
+      const text = snippetText(template.content)
+      return `
       <button type="button"
               class="template-list-item"
-              data-action="click->instruction-template#insertTemplate"
-              data-template-id="${template.id}"
-              data-template-content="${this.escapeHtml(template.content)}">
+              data-action="click->instruction-template#insertTemplate mouseenter->instruction-template#previewTemplate mouseleave->instruction-template#hidePreview"
+              data-template-id="${template.id}">
         <div class="template-list-item__inner">
           <svg class="icon icon--sm template-list-item__icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${this.iconPaths[template.icon] || this.iconPaths['chat']}"/>
           </svg>
           <div class="template-list-item__content">
             <div class="template-list-item__name">
-              ${template.name}
+              ${this.escapeHtml(template.name)}${template.group ? ` <span class="badge">${this.escapeHtml(template.group)}</span>` : ""}
             </div>
             <div class="template-list-item__preview">
-              ${this.escapeHtml(template.content.substring(0, 80))}${template.content.length > 80 ? '...' : ''}
+              ${this.escapeHtml(text.substring(0, 80))}${text.length > 80 ? '...' : ''}
             </div>
           </div>
           <svg class="icon icon--sm template-list-item__add-icon" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -280,7 +200,8 @@ export default class extends Controller {
           </svg>
         </div>
       </button>
-    `).join("")
+    `
+    }).join("")
 
     // Show empty state if no templates
     if (templates.length === 0) {
@@ -298,32 +219,30 @@ export default class extends Controller {
   /**
    * Insert a template into the instructions field
    */
-  insertTemplate(event) {
-    const content = event.currentTarget.dataset.templateContent
-    if (!content || !this.hasInstructionsFieldTarget) return
-    
-    const textarea = this.instructionsFieldTarget
-    const currentValue = textarea.value
-    
-    if (this.insertModeValue === "replace" || currentValue.trim() === "") {
-      // Replace mode or empty field
-      textarea.value = content
-    } else {
-      // Append mode - add to existing content
-      textarea.value = currentValue + (currentValue.endsWith("\n") ? "" : "\n\n") + content
-    }
-    
-    // Trigger input event for autosave and preview
-    textarea.dispatchEvent(new Event("input", { bubbles: true }))
-    
+  async insertTemplate(event) {
+    const template = this.findTemplate(event)
+    if (!template || !this.hasInstructionsFieldTarget) return
+
+    this.tabStops?.stop()
+
     // Close panel
     this.closePanel()
-    
-    // Focus textarea
-    textarea.focus()
-    
+
+    const field = this.instructionsFieldTarget
+    const stops = await insertSnippet(field, template.content, { position: this.insertModeValue })
+
     // Scroll textarea to show new content
-    textarea.scrollTop = textarea.scrollHeight
+    if (field.tagName === "TEXTAREA") field.scrollTop = field.scrollHeight
+
+    if (stops?.length) {
+      this.tabStops = new TabStops(field, stops)
+      this.tabStops.start()
+    }
+  }
+
+  findTemplate(event) {
+    const id = event.currentTarget.dataset.templateId
+    return this.snippets.find(snippet => String(snippet.id) === id)
   }
 
   /**
@@ -331,11 +250,12 @@ export default class extends Controller {
    */
   previewTemplate(event) {
     if (!this.hasPreviewPanelTarget) return
-    
-    const content = event.currentTarget.dataset.templateContent
-    if (!content) return
-    
-    this.previewPanelTarget.textContent = content
+
+    const template = this.findTemplate(event)
+    if (!template) return
+
+    const preview = this.previewPanelTarget.querySelector("pre") || this.previewPanelTarget
+    preview.textContent = snippetText(template.content)
     this.previewPanelTarget.classList.remove("is-hidden")
   }
 
@@ -359,9 +279,7 @@ export default class extends Controller {
    * Get all templates as flat array (for external use)
    */
   getAllTemplates() {
-    return Object.entries(this.templates).flatMap(([category, templates]) =>
-      templates.map(t => ({ ...t, category }))
-    )
+    return this.snippets
   }
 
   /**
@@ -373,4 +291,3 @@ export default class extends Controller {
     return div.innerHTML
   }
 }
-
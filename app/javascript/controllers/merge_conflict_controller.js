@@ -0,0 +1,260 @@
+import { Controller } from "@hotwired/stimulus"
+import { mergeSteps, mergeValue, resolveMerge, diffWords } from "services/three_way_merge"
+import { STEP_FIELDS, htmlToText } from "services/step_fields"
+
+// Moved around on the canvas: merged automatically, not worth a row
+const HIDDEN_FIELDS = ["position_x", "position_y"]
+const RICH_TEXT_FIELDS = ["instructions", "content", "notes"]
+const FIELD_LABELS = { title: "Title", type: "Type", description: "Description", transitions: "Connections" }
+const KIND_LABELS = {
+  added_mine: "Added by you",
+  added_theirs: "Added by them",
+  removed_mine: "You removed this step; they edited it",
+  removed_theirs: "They removed this step; you edited it"
+}
+
+/**
+ * Merge Conflict Controller
+ *
+ * Three-way merge dialog for save conflicts: shows each step that differs
+ * between the server's copy ("theirs") and the local one ("mine"), with the
+ * last saved copy as the common base (services/three_way_merge). Users pick
+ * a side per step or per field; rich text fields show word diffs against
+ * the base.
+ *
+ * Callers await open(), which resolves with the merged steps or null when
+ * the dialog is dismissed:
+ *
+ *   const merged = await mergeConflict.open({ base, mine, theirs, baseStartUuid, ... })
+ */
+export default class extends Controller {
+  static targets = ["dialog", "body", "summary"]
+
+  disconnect() {
+    this.finish(null)
+  }
+
+  /**
+   * @param {Object} conflict
+   * @param {Array<Object>} conflict.base - Steps as last saved
+   * @param {Array<Object>} conflict.mine - Local steps
+   * @param {Array<Object>} conflict.theirs - The server's steps
+   * @param {string} [conflict.baseStartUuid]
+   * @param {string} [conflict.mineStartUuid]
+   * @param {string} [conflict.theirsStartUuid]
+   * @param {Object} [conflict.values] - Workflow- or form-level values, { name: { label, base, mine, theirs, richText } }
+   * @returns {Promise<{steps: Array<Object>, startUuid: string|null, values: Object}|null>}
+   */
+  open({ base, mine, theirs, baseStartUuid = null, mineStartUuid = null, theirsStartUuid = null, values = {} }) {
+    this.finish(null)
+
+    this.merge = mergeSteps(base, mine, theirs, { baseStartUuid, mineStartUuid, theirsStartUuid })
+    this.values = Object.fromEntries(Object.entries(values).map(([name, v]) => [name, { label: v.label || name, richText: v.richText, ...mergeValue(v.base, v.mine, v.theirs) }]))
+    this.choices = {}
+    this.valueChoices = {}
+    this.titles = new Map([...base, ...theirs, ...mine].map(step => [step.id, step.title]))
+
+    this.render()
+    this.dialogTarget.showModal()
+    return new Promise(resolve => { this.resolve = resolve })
+  }
+
+  save() {
+    const merged = resolveMerge(this.merge, this.choices)
+    merged.values = Object.fromEntries(Object.entries(this.values).map(([name, v]) => {
+      const side = this.valueChoices[name]
+      return [name, side ? v[side] : v.value]
+    }))
+    this.finish(merged)
+  }
+
+  cancel() {
+    this.finish(null)
+  }
+
+  finish(result) {
+    if (this.hasDialogTarget && this.dialogTarget.open) this.dialogTarget.close()
+    const resolve = this.resolve
+    this.resolve = null
+    resolve?.(result)
+  }
+
+  // ===========================================================================
+  // Choices
+  // ===========================================================================
+
+  chooseField(event) {
+    const { stepId, field, side } = event.target.dataset
+    if (stepId) {
+      this.choiceFor(stepId).fields[field] = side
+    } else {
+      this.valueChoices[field] = side
+    }
+    event.target.closest(".merge-field__options").querySelectorAll(".merge-field__option").forEach(option => {
+      option.classList.toggle("is-chosen", option.contains(event.target))
+    })
+  }
+
+  chooseStep(event) {
+    const { stepId, side } = event.currentTarget.dataset
+    const stepMerge = this.merge.steps.find(s => s.id === stepId)
+    if (!stepMerge) return
+
+    const choice = this.choiceFor(stepId)
+    if (stepMerge.kind === "both") {
+      stepMerge.fields.forEach(field => { choice.fields[field.field] = side })
+    } else {
+      choice.keep = Boolean(stepMerge[side])
+    }
+    this.renderStep(stepId)
+  }
+
+  toggleKeep(event) {
+    this.choiceFor(event.target.dataset.stepId).keep = event.target.checked
+  }
+
+  choiceFor(stepId) {
+    return (this.choices[stepId] ||= { fields: {} })
+  }
+
+  // ===========================================================================
+  // Rendering
+  // ===========================================================================
+
+  render() {
+    const steps = this.listedSteps()
+    const conflicts = steps.filter(s => s.conflicted).length + Object.values(this.values).filter(v => v.conflict).length
+    if (this.hasSummaryTarget) {
+      this.summaryTarget.textContent = conflicts > 0
+        ? `${conflicts} ${conflicts === 1 ? "conflict needs" : "conflicts need"} a decision. Changes only one side made are already merged.`
+        : "No direct conflicts. Review the merged changes and save."
+    }
+
+    const values = Object.entries(this.values).filter(([, v]) => v.source !== "both")
+    this.bodyTarget.innerHTML = `
+      ${values.length > 0 ? `
+        <section class="merge-step${values.some(([, v]) => v.conflict) ? " merge-step--conflict" : ""}">
+          <header class="merge-step__header"><strong>Workflow</strong></header>
+          ${values.map(([name, v]) => this.fieldRow(null, { field: name, ...v }, v.label)).join("")}
+        </section>` : ""}
+      ${steps.map(stepMerge => `<section class="merge-step${stepMerge.conflicted ? " merge-step--conflict" : ""}" data-step-id="${this.escapeHtml(stepMerge.id)}">${this.stepHtml(stepMerge)}</section>`).join("")}
+      ${steps.length === 0 && values.length === 0 ? `<p class="merge-dialog__empty">Both copies are the same.</p>` : ""}
+    `
+  }
+
+  renderStep(stepId) {
+    const section = this.bodyTarget.querySelector(`.merge-step[data-step-id="${CSS.escape(stepId)}"]`)
+    const stepMerge = this.merge.steps.find(s => s.id === stepId)
+    if (section && stepMerge) section.innerHTML = this.stepHtml(stepMerge)
+  }
+
+  listedSteps() {
+    return this.merge.steps.filter(stepMerge => {
+      if (stepMerge.kind === "removed_both") return false
+      if (stepMerge.kind !== "both") return true
+      return stepMerge.fields.some(field => !HIDDEN_FIELDS.includes(field.field))
+    })
+  }
+
+  stepHtml(stepMerge) {
+    const choice = this.choices[stepMerge.id] || { fields: {} }
+    const header = `
+      <header class="merge-step__header">
+        <strong>${this.escapeHtml(stepMerge.title)}</strong>
+        ${KIND_LABELS[stepMerge.kind] ? `<span class="merge-step__kind">${KIND_LABELS[stepMerge.kind]}</span>` : ""}
+        <span class="merge-step__actions">
+          <button type="button" class="btn btn--plain btn--sm" data-step-id="${this.escapeHtml(stepMerge.id)}" data-side="mine"
+                  data-action="click->merge-conflict#chooseStep">Use mine</button>
+          <button type="button" class="btn btn--plain btn--sm" data-step-id="${this.escapeHtml(stepMerge.id)}" data-side="theirs"
+                  data-action="click->merge-conflict#chooseStep">Use theirs</button>
+        </span>
+      </header>`
+
+    if (stepMerge.kind !== "both") {
+      const keep = choice.keep ?? stepMerge.keep
+      return `${header}
+        <label class="merge-step__keep">
+          <input type="checkbox" class="form-checkbox" data-step-id="${this.escapeHtml(stepMerge.id)}"
+                 data-action="change->merge-conflict#toggleKeep" ${keep ? "checked" : ""}>
+          Keep this step
+        </label>`
+    }
+
+    const type = stepMerge.theirs.type || stepMerge.mine.type
+    const rows = stepMerge.fields
+      .filter(field => !HIDDEN_FIELDS.includes(field.field))
+      .map(field => this.fieldRow(stepMerge.id, field, this.fieldLabel(type, field.field), choice.fields[field.field]))
+    return `${header}${rows.join("")}`
+  }
+
+  fieldRow(stepId, field, label, chosen = null) {
+    const side = chosen || (stepId ? null : this.valueChoices[field.field]) || (field.source === "mine" ? "mine" : "theirs")
+    const name = `merge-${stepId || "workflow"}-${field.field}`
+    const note = field.conflict ? "Both changed" : `Only ${field.source === "mine" ? "you" : "they"} changed this`
+    const option = (which, heading) => `
+      <label class="merge-field__option${side === which ? " is-chosen" : ""}">
+        <span class="merge-field__option-head">
+          <input type="radio" name="${this.escapeHtml(name)}" ${side === which ? "checked" : ""}
+                 data-step-id="${this.escapeHtml(stepId || "")}" data-field="${this.escapeHtml(field.field)}" data-side="${which}"
+                 data-action="change->merge-conflict#chooseField">
+          ${heading}
+        </span>
+        <span class="merge-field__value">${this.valueHtml(field.field, field.base, field[which], field.richText)}</span>
+      </label>`
+
+    return `
+      <div class="merge-field${field.conflict ? " merge-field--conflict" : ""}">
+        <div class="merge-field__label">${this.escapeHtml(label)} <span class="merge-field__note">${note}</span></div>
+        <div class="merge-field__options">
+          ${option("mine", "Mine")}
+          ${option("theirs", "Theirs")}
+        </div>
+      </div>`
+  }
+
+  // Rich text shows what changed since the base; everything else its value
+  valueHtml(field, base, value, richText = RICH_TEXT_FIELDS.includes(field)) {
+    if (richText) {
+      const segments = diffWords(htmlToText(base), htmlToText(value))
+      if (segments.length === 0) return `<em>(empty)</em>`
+      return segments.map(segment => {
+        const text = this.escapeHtml(segment.text)
+        if (segment.type === "added") return `<ins>${text}</ins>`
+        if (segment.type === "removed") return `<del>${text}</del>`
+        return text
+      }).join("")
+    }
+    return this.escapeHtml(this.formatValue(field, value))
+  }
+
+  formatValue(field, value) {
+    if (value === null || value === undefined || value === "") return "(empty)"
+    if (typeof value === "boolean") return value ? "Yes" : "No"
+    if (field === "transitions" && Array.isArray(value)) {
+      if (value.length === 0) return "(none)"
+      return value.map(t => {
+        const target = this.titles.get(t.target_uuid) || "a removed step"
+        return t.condition ? `→ ${target} (${t.condition})` : `→ ${target}`
+      }).join(", ")
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => (item && typeof item === "object") ? (item.label || item.value || item.name || JSON.stringify(item)) : item).join(", ")
+    }
+    if (typeof value === "object") return JSON.stringify(value)
+    return String(value)
+  }
+
+  fieldLabel(type, field) {
+    const defined = (STEP_FIELDS[type] || []).find(f => f.name === field)
+    return defined?.label || FIELD_LABELS[field] || field.replace(/_/g, " ").replace(/^\w/, c => c.toUpperCase())
+  }
+
+  escapeHtml(text) {
+    return String(text ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;")
+  }
+}
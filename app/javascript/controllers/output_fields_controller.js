@@ -85,6 +85,8 @@ export default class extends Controller {
     })
     
     this.outputFieldsInputTarget.value = JSON.stringify(fields)
+    // Let an enclosing inline-autosave form pick up the change (and the builder's undo history)
+    this.outputFieldsInputTarget.dispatchEvent(new Event("input", { bubbles: true }))
   }
 
   escapeHtml(text) {
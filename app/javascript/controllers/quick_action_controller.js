@@ -1,11 +1,21 @@
 import { Controller } from "@hotwired/stimulus"
+import { iconPath, renderIcon } from "services/icon_service"
+import { insertSnippet, TabStops } from "services/snippets"
 
 /**
  * Quick Action Controller
- * 
+ *
  * Sprint 2: Action Step Simplification
  * Provides one-click action buttons for common CSR tasks.
  * Buttons insert pre-formatted text with placeholders into the instructions field.
+ *
+ * The buttons are the workflow's quick actions (QuickAction, set up per
+ * group in the admin panel). Templates use the snippet syntax (see
+ * services/snippets): the first placeholder is selected after insertion and
+ * Tab moves to the next. Each click is counted on the server.
+ *
+ * Values:
+ *   actions  [{ id, label, icon, template, use_url }] (quick_actions_data)
  */
 export default class extends Controller {
   static targets = [
@@ -14,57 +24,7 @@ export default class extends Controller {
     "buttonsContainer"
   ]
 
-  // Quick action definitions with prefixes and optional action types
-  quickActions = [
-    {
-      id: "tell-customer",
-      label: "Tell customer...",
-      prefix: "Tell the customer: ",
-      placeholder: "[what to tell them]"
-    },
-    {
-      id: "ask-customer",
-      label: "Ask customer...",
-      prefix: "Ask the customer: ",
-      placeholder: "[question to ask]"
-    },
-    {
-      id: "verify-that",
-      label: "Verify that...",
-      prefix: "Verify that: ",
-      placeholder: "[what to verify]"
-    },
-    {
-      id: "navigate-to",
-      label: "Navigate to...",
-      prefix: "Navigate to: ",
-      placeholder: "[location/page/section]"
-    },
-    {
-      id: "click-on",
-      label: "Click on...",
-      prefix: "Click on: ",
-      placeholder: "[button/link/element]"
-    },
-    {
-      id: "wait-for",
-      label: "Wait for...",
-      prefix: "Wait for: ",
-      placeholder: "[condition/time period]"
-    },
-    {
-      id: "confirm-with",
-      label: "Confirm with...",
-      prefix: "Confirm with the customer that: ",
-      placeholder: "[what to confirm]"
-    },
-    {
-      id: "document-in",
-      label: "Document in...",
-      prefix: "Document the following in the ticket: ",
-      placeholder: "[what to document]"
-    }
-  ]
+  static values = { actions: Array }
 
   connect() {
     // Render quick action buttons if container exists
@@ -73,104 +33,69 @@ export default class extends Controller {
     }
   }
 
+  disconnect() {
+    this.tabStops?.stop()
+  }
+
   /**
    * Render quick action buttons
    */
   renderButtons() {
     if (!this.hasButtonsContainerTarget) return
-    
-    this.buttonsContainerTarget.innerHTML = this.quickActions.map(action => `
+
+    this.buttonsContainerTarget.innerHTML = this.actionsValue.map(action => `
       <button type="button"
               class="quick-action-btn"
-              style="background-color: #f8fafc; color: #475569; border-color: #e2e8f0;"
-              onmouseover="this.style.backgroundColor='#f1f5f9'"
-              onmouseout="this.style.backgroundColor='#f8fafc'"
               data-action="click->quick-action#insertAction"
-              data-prefix="${this.escapeHtml(action.prefix)}"
-              data-placeholder="${this.escapeHtml(action.placeholder)}">
-        ${action.label}
+              data-quick-action-id="${action.id}">
+        ${renderIcon(iconPath(action.icon), "icon icon--xs")}
+        ${this.escapeHtml(action.label)}
       </button>
     `).join("")
+
+    // Set through the DOM: templates may hold quotes
+    this.buttonsContainerTarget.querySelectorAll(".quick-action-btn").forEach((button, index) => {
+      button.title = this.actionsValue[index].template
+    })
   }
 
   /**
-   * Insert a quick action prefix into the instructions field
+   * Insert a quick action's template at the caret in the instructions field
    */
-  insertAction(event) {
-    const prefix = event.currentTarget.dataset.prefix
-    const placeholder = event.currentTarget.dataset.placeholder
-    
-    if (!prefix || !this.hasInstructionsFieldTarget) return
-    
-    const textarea = this.instructionsFieldTarget
-    const currentValue = textarea.value
-    const cursorPosition = textarea.selectionStart
-    const textToInsert = prefix + placeholder
-    
-    // If there's existing content, add a newline before
-    let newValue
-    let newCursorPosition
-    
-    if (currentValue.trim() === "") {
-      // Empty field - just insert
-      newValue = textToInsert
-      newCursorPosition = prefix.length
-    } else if (cursorPosition === currentValue.length) {
-      // Cursor at end - append with newline
-      const needsNewline = !currentValue.endsWith("\n")
-      newValue = currentValue + (needsNewline ? "\n" : "") + textToInsert
-      newCursorPosition = newValue.length - placeholder.length
-    } else {
-      // Cursor in middle - insert at cursor position
-      const before = currentValue.substring(0, cursorPosition)
-      const after = currentValue.substring(cursorPosition)
-      const needsNewlineBefore = before.length > 0 && !before.endsWith("\n")
-      const needsNewlineAfter = after.length > 0 && !after.startsWith("\n")
-      
-      newValue = before + 
-                 (needsNewlineBefore ? "\n" : "") + 
-                 textToInsert + 
-                 (needsNewlineAfter ? "\n" : "") + 
-                 after
-      newCursorPosition = before.length + (needsNewlineBefore ? 1 : 0) + prefix.length
-    }
-    
-    // Update textarea
-    textarea.value = newValue
-    
-    // Trigger input event for autosave and preview
-    textarea.dispatchEvent(new Event("input", { bubbles: true }))
-    
-    // Focus and select the placeholder text
-    textarea.focus()
-    textarea.setSelectionRange(newCursorPosition, newCursorPosition + placeholder.length)
+  async insertAction(event) {
+    const action = this.actionsValue.find(entry => String(entry.id) === event.currentTarget.dataset.quickActionId)
+    if (!action || !this.hasInstructionsFieldTarget) return
+
+    this.recordUse(action)
+    await this.insertCustomAction(action.template)
   }
 
   /**
    * Insert a custom quick action (for external use)
+   * @param {string} template - Text in the snippet syntax, e.g. "Ask the customer: ${1:[question]}"
    */
-  insertCustomAction(prefix, placeholder = "") {
+  async insertCustomAction(template) {
     if (!this.hasInstructionsFieldTarget) return
-    
-    const textarea = this.instructionsFieldTarget
-    const currentValue = textarea.value
-    const textToInsert = prefix + placeholder
-    
-    if (currentValue.trim() === "") {
-      textarea.value = textToInsert
-    } else {
-      textarea.value = currentValue + (currentValue.endsWith("\n") ? "" : "\n") + textToInsert
-    }
-    
-    textarea.dispatchEvent(new Event("input", { bubbles: true }))
-    textarea.focus()
-    
-    if (placeholder) {
-      const start = textarea.value.length - placeholder.length
-      textarea.setSelectionRange(start, textarea.value.length)
+
+    this.tabStops?.stop()
+    const field = this.instructionsFieldTarget
+    const stops = await insertSnippet(field, template, { position: "cursor" })
+
+    if (stops?.length) {
+      this.tabStops = new TabStops(field, stops)
+      this.tabStops.start()
     }
   }
 
+  // Fire and forget: a lost count isn't worth bothering the author about
+  recordUse(action) {
+    if (!action.use_url) return
+
+    const token = document.querySelector('meta[name="csrf-token"]')?.content
+    fetch(action.use_url, { method: "POST", headers: { "X-CSRF-Token": token } })
+      .catch(error => console.warn("[QuickAction] Couldn't record use:", error))
+  }
+
   /**
    * Escape HTML to prevent XSS
    */
@@ -180,4 +105,3 @@ export default class extends Controller {
     return div.innerHTML
   }
 }
-
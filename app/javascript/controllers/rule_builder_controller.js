@@ -1,4 +1,6 @@
 import { Controller } from "@hotwired/stimulus"
+import { simpleComparison, buildComparison } from "services/condition_language"
+import { loadVariableRegistry, findVariable, operatorsFor } from "services/variable_registry"
 
 export default class extends Controller {
   static targets = [
@@ -122,6 +124,9 @@ export default class extends Controller {
         // Merge form variables with API variables (form takes precedence)
         const allVariables = [...new Set([...formVariables, ...apiVariables])]
         this.populateVariableDropdown(allVariables)
+        // Declared types may change the operators and suggested values
+        this.updateOperatorOptions()
+        this.updateValueSuggestions()
       }).catch(error => {
         // Fallback to form variables only
         this.populateVariableDropdown(formVariables)
@@ -225,33 +230,18 @@ export default class extends Controller {
     const condition = this.conditionInputTarget.value
     if (!condition || condition.trim() === "") return
     
-    // Parse condition like "variable == 'value'" or "variable != 'value'"
-    // Support: ==, !=, >, <, >=, <=
-    const patterns = [
-      /^(\w+)\s*(==|!=)\s*['"]([^'"]*)['"]$/,  // variable == 'value'
-      /^(\w+)\s*(>|>=|<|<=)\s*(\d+)$/          // variable > 10
-    ]
-    
-    for (const pattern of patterns) {
-      const match = condition.match(pattern)
-      if (match) {
-        const variable = match[1]
-        const operator = match[2]
-        const value = match[3] || ""
-        
-        // Set dropdowns/input
-        if (this.hasVariableSelectTarget) {
-          this.variableSelectTarget.value = variable
-        }
-        if (this.hasOperatorSelectTarget) {
-          this.operatorSelectTarget.value = operator
-        }
-        if (this.hasValueInputTarget) {
-          this.valueInputTarget.value = value
-        }
-        
-        return
-      }
+    // Only single comparisons (variable <op> value) map onto the dropdowns
+    const comparison = simpleComparison(condition)
+    if (!comparison) return
+
+    if (this.hasVariableSelectTarget) {
+      this.variableSelectTarget.value = comparison.variable
+    }
+    if (this.hasOperatorSelectTarget) {
+      this.operatorSelectTarget.value = comparison.operator
+    }
+    if (this.hasValueInputTarget) {
+      this.valueInputTarget.value = comparison.value
     }
   }
 
@@ -282,17 +272,14 @@ export default class extends Controller {
     
     if (operator === "==" || operator === "!=") {
       // String operators need quotes
-      condition = `${variable} ${operator} '${value}'`
+      condition = buildComparison(variable, operator, value)
     } else {
       // Numeric operators (>, <, >=, <=)
-      if (varType === 'numeric' && value && !isNaN(value)) {
-        condition = `${variable} ${operator} ${value}`
-      } else if (varType === 'numeric' && !value) {
+      if (varType === 'numeric' && !value) {
         // Invalid: numeric operator without value
         condition = ""
       } else {
-        // Treat as string comparison
-        condition = `${variable} ${operator} '${value}'`
+        condition = buildComparison(variable, operator, value, { numeric: varType === 'numeric' })
       }
     }
     
@@ -327,7 +314,7 @@ export default class extends Controller {
     }
     
     // Check if string operators have values
-    if (['==', '!='].includes(operator) && !value) {
+    if (['==', '!=', 'contains'].includes(operator) && !value) {
       return { valid: false, message: "Please enter a value" }
     }
     
@@ -351,6 +338,10 @@ export default class extends Controller {
   
   getVariableType(variable) {
     if (!variable) return 'string'
+
+    // The workflow's variable registry knows declared and saved types
+    const entry = findVariable(this.registry, variable)
+    if (entry) return entry.type === 'number' ? 'numeric' : 'string'
     
     // Try to find the question step for this variable
     const form = this.element.closest("form")
@@ -423,7 +414,8 @@ export default class extends Controller {
       { value: "<=", label: "Less or Equal (<=)" }
     ]
     
-    const operators = varType === 'numeric' ? numericOperators : stringOperators
+    const entry = findVariable(this.registry, variable)
+    const operators = entry ? operatorsFor(entry) : (varType === 'numeric' ? numericOperators : stringOperators)
     
     // Clear and repopulate
     this.operatorSelectTarget.innerHTML = '<option value="">-- Select --</option>'
@@ -445,6 +437,18 @@ export default class extends Controller {
     
     const variable = this.variableSelectTarget.value
     if (!variable) return
+
+    const entry = findVariable(this.registry, variable)
+    if (entry?.allowed_values?.length && this.hasValueSuggestionsTarget) {
+      this.valueSuggestionsTarget.innerHTML = ""
+      entry.allowed_values.forEach(value => {
+        const option = document.createElement('option')
+        option.value = value
+        this.valueSuggestionsTarget.appendChild(option)
+      })
+      this.valueInputTarget.setAttribute('list', 'value-suggestions')
+      return
+    }
     
     // Find question step options for this variable
     const form = this.element.closest("form")
@@ -540,16 +544,8 @@ export default class extends Controller {
   async loadVariables() {
     if (!this.hasVariablesUrlValue || !this.variablesUrlValue) return []
     
-    try {
-      const response = await fetch(this.variablesUrlValue)
-      if (!response.ok) return []
-      
-      const data = await response.json()
-      return data.variables || []
-    } catch (error) {
-      console.error("Failed to load variables:", error)
-      return []
-    }
+    this.registry = await loadVariableRegistry(this.variablesUrlValue)
+    return this.registry.map(entry => entry.name)
   }
 }
 
@@ -0,0 +1,354 @@
+import { Controller } from "@hotwired/stimulus"
+import { FlowSimulator } from "services/flow_simulator"
+import { FlowchartRenderer } from "services/flowchart_renderer"
+import { findOrphans } from "services/graph_utils"
+import { findVariable, sampleResults } from "services/variable_registry"
+
+const OUTCOME_LABELS = {
+  resolved: "Resolved",
+  escalated: "Escalated",
+  completed: "Reached the end of the flow"
+}
+
+/**
+ * Simulator Controller
+ *
+ * Builder panel that walks the workflow with FlowSimulator. The author
+ * answers questions and acknowledges steps; the panel shows the current step
+ * with {{variables}} filled in, the variable table (for the current step or
+ * any step in the path) and the flow diagram with the active node highlighted.
+ * Each move is also dispatched as simulator:step on the document so the
+ * visual editor canvas can highlight the same step.
+ * Sample values from the variable registry are set before the first step and
+ * pre-fill answer inputs.
+ */
+export default class extends Controller {
+  static targets = ["stepsData", "registryData", "stage", "variables", "variablesCaption", "path", "diagram", "orphanNote", "backBtn"]
+  static values = { startUuid: String }
+
+  connect() {
+    this.steps = this.parseSteps()
+    if (this.steps.length === 0) return
+
+    this.registry = this.parseRegistry()
+    this.simulator = new FlowSimulator({
+      steps: this.steps,
+      startUuid: this.startUuidValue,
+      initialResults: sampleResults(this.registry)
+    })
+    this.selectedIndex = null
+    this.renderDiagram()
+    this.render()
+  }
+
+  disconnect() {
+    this.dispatch("step", { target: document, detail: { stepId: null, visitedIds: [] } })
+  }
+
+  parseSteps() {
+    try {
+      return JSON.parse(this.stepsDataTarget.textContent.trim() || "[]")
+    } catch (e) {
+      console.error("[Simulator] Could not parse steps:", e)
+      return []
+    }
+  }
+
+  parseRegistry() {
+    if (!this.hasRegistryDataTarget) return []
+
+    try {
+      return JSON.parse(this.registryDataTarget.textContent.trim() || "[]")
+    } catch (e) {
+      console.error("[Simulator] Could not parse variable registry:", e)
+      return []
+    }
+  }
+
+  // ===========================================================================
+  // Actions
+  // ===========================================================================
+
+  answer(event) {
+    this.advance(event.params.answer)
+  }
+
+  submitAnswer(event) {
+    event.preventDefault()
+    const input = event.target.querySelector("[name='answer']")
+    this.advance(input?.value)
+  }
+
+  continue() {
+    this.advance()
+  }
+
+  resolveHere() {
+    this.advance(null, { resolvedHere: true })
+  }
+
+  back() {
+    if (this.simulator.back()) {
+      this.selectedIndex = null
+      this.render()
+    }
+  }
+
+  restart() {
+    this.simulator.start()
+    this.selectedIndex = null
+    this.render()
+  }
+
+  selectEntry(event) {
+    const index = event.params.index
+    this.selectedIndex = this.selectedIndex === index ? null : index
+    this.renderVariables()
+    this.renderPath()
+  }
+
+  advance(answer = null, options = {}) {
+    if (!this.simulator.submit(answer, options) && !this.simulator.error) return
+
+    this.selectedIndex = null
+    this.render()
+  }
+
+  // ===========================================================================
+  // Rendering
+  // ===========================================================================
+
+  render() {
+    this.renderStage()
+    this.renderVariables()
+    this.renderPath()
+    this.highlightDiagram()
+    this.dispatch("step", {
+      target: document,
+      detail: { stepId: this.simulator.currentId, visitedIds: this.simulator.path.map(entry => entry.stepId) }
+    })
+    if (this.hasBackBtnTarget) this.backBtnTarget.disabled = this.simulator.path.length === 0
+  }
+
+  renderStage() {
+    const sim = this.simulator
+    const step = sim.currentStep
+
+    if (sim.error) {
+      this.stageTarget.innerHTML = `<div class="simulator__card simulator__card--error">${this.escapeHtml(sim.error)}</div>`
+      return
+    }
+
+    if (!step || sim.complete) {
+      this.stageTarget.innerHTML = `
+        <div class="simulator__card simulator__card--done">
+          <strong>${this.escapeHtml(OUTCOME_LABELS[sim.outcome] || OUTCOME_LABELS.completed)}</strong>
+          <span>${sim.path.length} ${sim.path.length === 1 ? "step" : "steps"} taken</span>
+        </div>
+      `
+      return
+    }
+
+    this.stageTarget.innerHTML = `
+      <div class="simulator__card simulator__card--${this.escapeHtml(step.type)}">
+        <span class="builder__panel-type-badge builder__panel-type-badge--${this.escapeHtml(step.type)}">${this.escapeHtml(step.type.replace("_", "-"))}</span>
+        <strong class="simulator__title">${this.escapeHtml(sim.interpolate(step.title || "Untitled"))}</strong>
+        ${this.stepBody(step)}
+      </div>
+    `
+    this.stageTarget.querySelector("input[name='answer'], select[name='answer']")?.focus()
+  }
+
+  stepBody(step) {
+    const sim = this.simulator
+
+    switch (step.type) {
+      case "question":
+        return `
+          ${step.question ? `<p class="simulator__text">${this.escapeHtml(sim.interpolate(step.question))}</p>` : ""}
+          ${this.answerInput(step)}
+        `
+      case "action":
+        return `
+          ${this.richText(step.instructions)}
+          ${this.outputFieldsPreview(step)}
+          ${this.continueButtons(step, "Mark complete")}
+        `
+      case "message":
+        return `${this.richText(step.content)}${this.continueButtons(step, "Continue")}`
+      case "escalate":
+        return `
+          <p class="simulator__text">
+            Escalate to ${this.escapeHtml([step.target_type, step.target_value].filter(Boolean).join(": ") || "—")}
+            (${this.escapeHtml(step.priority || "normal")} priority)
+          </p>
+          ${this.richText(step.notes)}
+          ${this.continueButtons(step, "Continue")}
+        `
+      case "resolve":
+        return `
+          <p class="simulator__text">
+            Resolution: ${this.escapeHtml(step.resolution_type || "success")}${step.resolution_code ? ` (${this.escapeHtml(step.resolution_code)})` : ""}
+          </p>
+          ${this.continueButtons(step, "Resolve")}
+        `
+      case "sub_flow":
+        return `
+          <p class="simulator__text">Runs another workflow — skipped in simulation.</p>
+          ${this.continueButtons(step, "Continue")}
+        `
+      default:
+        return this.continueButtons(step, "Continue")
+    }
+  }
+
+  answerInput(step) {
+    const options = (Array.isArray(step.options) ? step.options : [])
+      .map(option => ({ label: option.label || option.value, value: option.value || option.label }))
+      .filter(option => option.value)
+
+    if (step.answer_type === "yes_no") {
+      return this.choiceButtons([{ label: "Yes", value: "yes" }, { label: "No", value: "no" }])
+    }
+    if (["multiple_choice", "dropdown"].includes(step.answer_type) && options.length > 0) {
+      return this.choiceButtons(options)
+    }
+
+    const inputType = { number: "number", date: "date" }[step.answer_type] || "text"
+    const sample = findVariable(this.registry, step.variable_name)?.sample_value || ""
+    return `
+      <form class="simulator__answer" data-action="submit->simulator#submitAnswer">
+        <input type="${inputType}" name="answer" class="form-input form-input--sm" required
+               value="${this.escapeHtml(sample)}"
+               placeholder="${step.answer_type === "file" ? "File name" : "Type an answer..."}">
+        <button type="submit" class="btn btn--primary btn--sm">Next</button>
+      </form>
+    `
+  }
+
+  choiceButtons(options) {
+    return `
+      <div class="simulator__choices">
+        ${options.map(option => `
+          <button type="button" class="btn btn--secondary btn--sm"
+                  data-action="click->simulator#answer"
+                  data-simulator-answer-param="${this.escapeHtml(option.value)}">${this.escapeHtml(option.label)}</button>
+        `).join("")}
+      </div>
+    `
+  }
+
+  continueButtons(step, label) {
+    const resolve = step.can_resolve && ["action", "message"].includes(step.type)
+    return `
+      <div class="simulator__choices">
+        <button type="button" class="btn btn--primary btn--sm" data-action="click->simulator#continue">${this.escapeHtml(label)}</button>
+        ${resolve ? `<button type="button" class="btn btn--positive btn--sm" data-action="click->simulator#resolveHere">Resolved here</button>` : ""}
+      </div>
+    `
+  }
+
+  outputFieldsPreview(step) {
+    const fields = (Array.isArray(step.output_fields) ? step.output_fields : []).filter(field => field?.name)
+    if (fields.length === 0) return ""
+
+    return `
+      <p class="simulator__text simulator__text--muted">
+        Sets ${fields.map(field => `<code>${this.escapeHtml(field.name)}</code> = “${this.escapeHtml(this.simulator.interpolate(field.value || ""))}”`).join(", ")}
+      </p>
+    `
+  }
+
+  // Rich text bodies are stored as sanitized HTML; only the substituted
+  // values need escaping.
+  richText(html) {
+    if (!html || !html.trim()) return ""
+    return `<div class="simulator__rich-text">${this.simulator.interpolate(html, { escape: true })}</div>`
+  }
+
+  renderVariables() {
+    const sim = this.simulator
+    const entry = this.selectedIndex === null ? null : sim.path[this.selectedIndex]
+    const results = entry ? entry.results : sim.results
+
+    this.variablesCaptionTarget.textContent = entry
+      ? `after “${entry.title || "Untitled"}”`
+      : "now"
+
+    const rows = Object.entries(results)
+    if (rows.length === 0) {
+      this.variablesTarget.innerHTML = `<p class="simulator__text simulator__text--muted">No variables set yet.</p>`
+      return
+    }
+
+    const before = entry ? entry.resultsBefore : (sim.path[sim.path.length - 1]?.resultsBefore || sim.initialResults)
+    this.variablesTarget.innerHTML = `
+      <table class="simulator__variables">
+        <tbody>
+          ${rows.map(([name, value]) => `
+            <tr class="${before[name] !== value ? "is-changed" : ""}">
+              <th scope="row">${this.escapeHtml(name)}</th>
+              <td>${this.escapeHtml(typeof value === "object" ? JSON.stringify(value) : String(value ?? ""))}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    `
+  }
+
+  renderPath() {
+    const path = this.simulator.path
+    this.pathTarget.innerHTML = path.map((entry, index) => `
+      <li>
+        <button type="button"
+                class="simulator__path-item ${index === this.selectedIndex ? "is-selected" : ""}"
+                data-action="click->simulator#selectEntry"
+                data-simulator-index-param="${index}">
+          <span>${this.escapeHtml(entry.title || "Untitled")}</span>
+          ${entry.answer !== undefined ? `<span class="simulator__path-answer">${this.escapeHtml(entry.answer)}</span>` : ""}
+          ${entry.skipped ? `<span class="simulator__path-answer">skipped</span>` : ""}
+        </button>
+      </li>
+    `).join("")
+  }
+
+  renderDiagram() {
+    const renderer = new FlowchartRenderer({ compact: true, nodeWidth: 120, nodeHeight: 80, nodeMargin: 20 })
+    this.diagramTarget.innerHTML = renderer.render(this.steps)
+
+    const orphans = findOrphans(this.steps, this.simulator.startUuid)
+    orphans.forEach(id => this.diagramNode(id)?.classList.add("is-unreachable"))
+    if (orphans.size > 0) {
+      this.orphanNoteTarget.textContent = `${orphans.size} ${orphans.size === 1 ? "step isn't" : "steps aren't"} reachable from the start step.`
+      this.orphanNoteTarget.classList.remove("is-hidden")
+    }
+  }
+
+  highlightDiagram() {
+    const visited = new Set(this.simulator.path.map(entry => entry.stepId))
+    this.diagramTarget.querySelectorAll(".flowchart-node").forEach(node => {
+      node.classList.toggle("is-visited", visited.has(node.dataset.stepId))
+      node.classList.remove("is-active")
+    })
+
+    const active = this.diagramNode(this.simulator.currentId)
+    if (!active) return
+
+    active.classList.add("is-active")
+    active.scrollIntoView?.({ block: "nearest", inline: "nearest" })
+  }
+
+  diagramNode(id) {
+    if (!id) return null
+    return this.diagramTarget.querySelector(`.flowchart-node[data-step-id="${CSS.escape(id)}"]`)
+  }
+
+  escapeHtml(text) {
+    return String(text ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;")
+  }
+}
@@ -41,6 +41,8 @@ export default class extends Controller {
   }
 
   handleReorder(event) {
+    if (event.oldIndex === event.newIndex) return
+
     const stepId = event.item.dataset.stepId
     const newPosition = event.newIndex
     const url = this.reorderUrlValue.replace(":id", stepId)
@@ -53,6 +55,9 @@ export default class extends Controller {
         "X-CSRF-Token": token
       },
       body: JSON.stringify({ position: newPosition })
+    }).then(response => {
+      // builder#recordReorder adds the move to the undo history
+      if (response.ok) this.dispatch("reordered", { detail: { stepId, position: newPosition } })
     })
   }
 
@@ -5,6 +5,8 @@ import { Controller } from "@hotwired/stimulus"
  *
  * Manages the connections/transitions UI for graph mode workflows.
  * Each step can have multiple transitions to other steps, with optional conditions.
+ * A branch template (branch_template_selector_controller) replaces the
+ * conditions and labels, keeping the targets already picked.
  */
 export default class extends Controller {
   static targets = ["transitionsList", "hiddenInput"]
@@ -15,6 +17,13 @@ export default class extends Controller {
 
   connect() {
     this.refresh()
+
+    this.handleTemplateApplied = this.handleTemplateApplied.bind(this)
+    this.element.addEventListener("template-applied", this.handleTemplateApplied)
+  }
+
+  disconnect() {
+    this.element.removeEventListener("template-applied", this.handleTemplateApplied)
   }
 
   /**
@@ -131,6 +140,26 @@ export default class extends Controller {
     }
   }
 
+  /**
+   * Replace the transitions with a template's branches
+   */
+  handleTemplateApplied(event) {
+    const { branches } = event.detail
+    if (!branches || branches.length === 0) return
+
+    // Tells the selector the branches were taken, so it doesn't dispatch again
+    event.preventDefault()
+    this.syncFromDOM()
+
+    this.transitions = branches.map((branch, index) => ({
+      target_uuid: this.transitions[index]?.target_uuid || branch.path || "",
+      condition: branch.condition || "",
+      label: branch.label || ""
+    }))
+    this.saveTransitions()
+    this.renderTransitions()
+  }
+
   /**
    * Render the transitions list
    */
@@ -1,7 +1,11 @@
 import { Controller } from "@hotwired/stimulus"
+import { loadVariableRegistry, findVariable, variablesUrl, TYPE_LABELS } from "services/variable_registry"
+import { tokenizeVariables, caretVariableQuery, insertVariable as insertRichTextVariable } from "services/rich_text_variables"
 
-// Provides variable autocomplete when typing {{ in text inputs/textareas
-// Shows a dropdown with available variables from the workflow
+// Provides variable autocomplete when typing {{ in text inputs/textareas and
+// Lexxy rich text editors (see services/rich_text_variables)
+// Shows a dropdown with available variables from the workflow, with each
+// variable's type and description from the variable registry
 export default class extends Controller {
   static targets = ["input"]
   static values = { 
@@ -16,6 +20,9 @@ export default class extends Controller {
     this.currentStartPos = -1
     this.currentEndPos = -1
     this.filteredVariables = []
+    this.richTextQuery = null
+    this.richTextReleases = []
+    this.boundRichTextKeydown = this.handleRichTextKeydown.bind(this)
     
     // Load variables if workflow ID is provided
     if (this.workflowIdValue) {
@@ -24,6 +31,10 @@ export default class extends Controller {
     
     // Set up input listeners
     this.inputTargets.forEach(input => {
+      if (input.tagName === "LEXXY-EDITOR") {
+        this.attachRichText(input)
+        return
+      }
       input.addEventListener("input", this.handleInput.bind(this))
       input.addEventListener("keydown", this.handleKeydown.bind(this))
       input.addEventListener("blur", this.handleBlur.bind(this), true) // Use capture phase
@@ -32,7 +43,7 @@ export default class extends Controller {
     // Hide dropdown when clicking outside
     document.addEventListener("click", this.handleDocumentClick.bind(this))
     
-    // Reload variables when steps are added/removed
+    // Reload variables when steps are added/removed or a variable is renamed
     this.boundStepChangeHandler = () => {
       // Debounce variable reload
       if (this.reloadDebounceTimer) {
@@ -46,6 +57,7 @@ export default class extends Controller {
     }
     document.addEventListener("workflow-builder:step-added", this.boundStepChangeHandler)
     document.addEventListener("workflow-builder:step-removed", this.boundStepChangeHandler)
+    document.addEventListener("workflow-builder:variables-changed", this.boundStepChangeHandler)
   }
 
   disconnect() {
@@ -57,6 +69,9 @@ export default class extends Controller {
     document.removeEventListener("click", this.handleDocumentClick.bind(this))
     document.removeEventListener("workflow-builder:step-added", this.boundStepChangeHandler)
     document.removeEventListener("workflow-builder:step-removed", this.boundStepChangeHandler)
+    document.removeEventListener("workflow-builder:variables-changed", this.boundStepChangeHandler)
+    this.richTextReleases.forEach(release => release())
+    this.inputTargets.forEach(input => input.removeEventListener("keydown", this.boundRichTextKeydown, true))
     if (this.reloadDebounceTimer) {
       clearTimeout(this.reloadDebounceTimer)
     }
@@ -64,20 +79,59 @@ export default class extends Controller {
   }
 
   async loadVariables() {
-    try {
-      const url = this.variablesUrlValue || `/workflows/${this.workflowIdValue}/variables.json`
-      const response = await fetch(url)
-      const data = await response.json()
-      
-      if (data.variables && Array.isArray(data.variables)) {
-        this.variables = data.variables
+    const url = this.variablesUrlValue || variablesUrl(this.workflowIdValue)
+    this.registry = await loadVariableRegistry(url)
+    this.variables = this.registry.map(entry => entry.name)
+  }
+
+  // Lexxy editors have no value/selectionStart; the Lexical editor reports
+  // changes, and only exists once lexxy:initialize has fired
+  attachRichText(element) {
+    if (!element.editor) {
+      element.addEventListener("lexxy:initialize", () => this.attachRichText(element), { once: true })
+      return
+    }
+
+    const editor = element.editor
+    this.richTextReleases.push(tokenizeVariables(element))
+    this.richTextReleases.push(editor.registerUpdateListener(({ dirtyLeaves }) => {
+      // Typing, or moving the caret while the dropdown is open
+      if (dirtyLeaves.size > 0 || this.richTextQuery?.element === element) {
+        this.handleRichTextInput(element)
       }
-    } catch (error) {
-      console.error("Failed to load variables:", error)
-      this.variables = []
+    }))
+    element.addEventListener("keydown", this.boundRichTextKeydown, true)
+    element.addEventListener("blur", this.handleBlur.bind(this), true)
+  }
+
+  handleRichTextInput(element) {
+    const query = caretVariableQuery(element)
+    if (!query) {
+      if (this.richTextQuery?.element === element) this.hideDropdown()
+      return
+    }
+
+    this.filteredVariables = this.variables.filter(v =>
+      v.toLowerCase().includes(query.query.toLowerCase())
+    )
+
+    if (this.filteredVariables.length > 0) {
+      this.richTextQuery = { ...query, element }
+      this.showDropdown(element, null, query.rect)
+    } else {
+      this.hideDropdown()
     }
   }
 
+  // Capture phase: Lexical would otherwise move the caret or start a new
+  // paragraph before handleKeydown sees the key
+  handleRichTextKeydown(event) {
+    if (!this.richTextQuery || !["ArrowDown", "ArrowUp", "Enter", "Tab", "Escape"].includes(event.key)) return
+
+    event.stopPropagation()
+    this.handleKeydown(event)
+  }
+
   handleInput(event) {
     const input = event.target
     const value = input.value
@@ -161,7 +215,7 @@ export default class extends Controller {
     }
   }
 
-  showDropdown(input, openBracePos) {
+  showDropdown(input, openBracePos, anchorRect = input.getBoundingClientRect()) {
     if (!this.filteredVariables.length) return
     
     // Remove existing dropdown
@@ -177,14 +231,24 @@ export default class extends Controller {
       item.className = `variable-item${index === 0 ? ' is-selected' : ''}`
       item.dataset.variable = variable
       item.textContent = variable
+
+      const entry = findVariable(this.registry, variable)
+      if (entry) {
+        const meta = document.createElement("span")
+        meta.className = "variable-item__meta"
+        meta.textContent = [TYPE_LABELS[entry.type] || entry.type, entry.description].filter(Boolean).join(" · ")
+        item.appendChild(meta)
+      }
+      // Keep focus (and the caret) in the input while clicking
+      item.addEventListener("mousedown", event => event.preventDefault())
       item.addEventListener("click", () => {
         this.insertVariable(variable)
       })
       this.dropdownContainer.appendChild(item)
     })
     
-    // Position dropdown near the cursor
-    const inputRect = input.getBoundingClientRect()
+    // Position dropdown near the cursor (rich text passes the caret's rect)
+    const inputRect = anchorRect
     const scrollTop = window.pageYOffset || document.documentElement.scrollTop
     const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft
     
@@ -194,7 +258,7 @@ export default class extends Controller {
     this.dropdown.style.position = "absolute"
     this.dropdown.style.top = `${inputRect.bottom + scrollTop + 4}px`
     this.dropdown.style.left = `${inputRect.left + scrollLeft}px`
-    this.dropdown.style.minWidth = `${inputRect.width}px`
+    this.dropdown.style.minWidth = input.tagName === "LEXXY-EDITOR" ? "16rem" : `${inputRect.width}px`
     this.dropdown.appendChild(this.dropdownContainer)
     
     document.body.appendChild(this.dropdown)
@@ -205,6 +269,7 @@ export default class extends Controller {
     this.currentStartPos = -1
     this.currentEndPos = -1
     this.filteredVariables = []
+    this.richTextQuery = null
   }
 
   removeDropdown() {
@@ -252,6 +317,13 @@ export default class extends Controller {
   }
 
   insertVariable(variable) {
+    if (this.richTextQuery) {
+      const { element, ...query } = this.richTextQuery
+      this.hideDropdown()
+      insertRichTextVariable(element, query, variable)
+      return
+    }
+
     // Find the currently focused input
     let input = document.activeElement
     if (!input || (this.inputTargets.length > 0 && !this.inputTargets.includes(input))) {
@@ -0,0 +1,68 @@
+import { Controller } from "@hotwired/stimulus"
+
+/**
+ * Variable Rename Controller
+ *
+ * One variable's rename form in the builder's variables panel. Sends the new
+ * name to rename_variable, which rewrites every usage in one change, and
+ * dispatches "variable-rename:renamed" ({ from, to, stepUuids }) for the
+ * builder to pick up. The builder's unsaved canvas edits are saved first, so
+ * the rename sees them. Refused renames (e.g. a name already in use) are
+ * shown under the form.
+ */
+export default class extends Controller {
+  static targets = ["input", "button", "error"]
+  static values = { url: String, from: String }
+
+  async rename(event) {
+    event.preventDefault()
+    const to = this.inputTarget.value.trim()
+    if (to === this.fromValue) return
+
+    this.showError(null)
+    this.buttonTarget.disabled = true
+
+    try {
+      if (this.builder && !(await this.builder.flushSaves())) {
+        this.showError("Couldn't save your other changes first. Try again.")
+        return
+      }
+
+      const token = document.querySelector('meta[name="csrf-token"]')?.content
+      const response = await fetch(this.urlValue, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept": "application/json",
+          "X-CSRF-Token": token
+        },
+        body: JSON.stringify({ from: this.fromValue, to })
+      })
+      const data = await response.json().catch(() => ({}))
+
+      if (!response.ok) {
+        this.showError(data.error || "Couldn't rename the variable.")
+        return
+      }
+
+      this.dispatch("renamed", {
+        detail: { from: this.fromValue, to, stepUuids: data.step_uuids || [], lockVersion: data.lock_version }
+      })
+    } catch (error) {
+      console.error("[VariableRename] Rename failed:", error)
+      this.showError("Couldn't reach the server. Try again.")
+    } finally {
+      this.buttonTarget.disabled = false
+    }
+  }
+
+  get builder() {
+    const element = this.element.closest("[data-controller~='builder']")
+    return element && this.application.getControllerForElementAndIdentifier(element, "builder")
+  }
+
+  showError(message) {
+    this.errorTarget.textContent = message || ""
+    this.errorTarget.hidden = !message
+  }
+}
@@ -0,0 +1,203 @@
+import { Controller } from "@hotwired/stimulus"
+import { buildConditionPresets } from "services/condition_presets"
+
+/**
+ * Visual Editor Connection Controller
+ *
+ * Handles palette drag-and-drop (creating steps) and drawing connections
+ * from a node's output port to another node. After a connection is made
+ * from a step that offers condition presets, a popover lets the author pick
+ * the condition; clicking an existing edge reopens the same popover.
+ */
+export default class extends Controller {
+  static targets = ["canvas", "tempSvg", "conditionPopover", "conditionOptions"]
+
+  connect() {
+    this.closeOnOutsideClick = this.closeOnOutsideClick.bind(this)
+  }
+
+  disconnect() {
+    document.removeEventListener("mousedown", this.closeOnOutsideClick)
+  }
+
+  // ===========================================================================
+  // Palette drag & drop
+  // ===========================================================================
+
+  handlePaletteDragStart(event) {
+    const type = event.currentTarget.dataset.stepType
+    event.dataTransfer.setData("application/x-step-type", type)
+    event.dataTransfer.effectAllowed = "copy"
+  }
+
+  handleCanvasDragOver(event) {
+    if (!event.dataTransfer.types.includes("application/x-step-type")) return
+    event.preventDefault()
+    event.dataTransfer.dropEffect = "copy"
+  }
+
+  handleCanvasDrop(event) {
+    const type = event.dataTransfer.getData("application/x-step-type")
+    if (!type) return
+
+    event.preventDefault()
+    const { x, y } = this.editor.contentPoint(event)
+    const step = this.editor.addStep(type, x, y)
+    this.modal?.open(step.id)
+  }
+
+  // ===========================================================================
+  // Drawing connections
+  // ===========================================================================
+
+  startConnection(event) {
+    if (event.button !== 0) return
+    event.preventDefault()
+    event.stopPropagation()
+
+    const node = event.currentTarget.closest(".ve-node")
+    this.connection = { fromId: node.dataset.stepId, origin: this.svgPoint(event.currentTarget) }
+    node.classList.add("is-connecting")
+  }
+
+  handleCanvasMouseMove(event) {
+    if (!this.connection) return
+
+    const rect = this.tempSvgTarget.getBoundingClientRect()
+    const { origin } = this.connection
+    const x = event.clientX - rect.left
+    const y = event.clientY - rect.top
+    const dy = Math.max(30, Math.abs(y - origin.y) / 2)
+
+    this.tempSvgTarget.innerHTML = `<path class="temp-connection" d="M ${origin.x} ${origin.y} C ${origin.x} ${origin.y + dy}, ${x} ${y - dy}, ${x} ${y}"/>`
+    this.highlightTarget(event)
+  }
+
+  handleCanvasMouseUp(event) {
+    if (!this.connection) return
+
+    const { fromId } = this.connection
+    const targetNode = this.nodeAt(event)
+    this.cancelConnection()
+    if (!targetNode || targetNode.dataset.stepId === fromId) return
+
+    const editor = this.editor
+    const index = editor.addTransition(fromId, targetNode.dataset.stepId)
+    if (index === -1) return
+
+    editor.suppressClick = true
+    setTimeout(() => { editor.suppressClick = false }, 0)
+
+    // Plain "Default" is the only preset for most step types — skip the popover then
+    if (buildConditionPresets(editor.findStep(fromId), editor.variableRegistry).length > 1) {
+      this.showConditionPopover(fromId, index, event.clientX, event.clientY)
+    }
+  }
+
+  cancelConnection() {
+    this.connection = null
+    this.tempSvgTarget.innerHTML = ""
+    this.element.querySelectorAll(".ve-node.is-connecting, .ve-node.is-drop-target").forEach(node => {
+      node.classList.remove("is-connecting", "is-drop-target")
+    })
+  }
+
+  highlightTarget(event) {
+    const target = this.nodeAt(event)
+    this.element.querySelectorAll(".ve-node.is-drop-target").forEach(node => {
+      if (node !== target) node.classList.remove("is-drop-target")
+    })
+    if (target && target.dataset.stepId !== this.connection.fromId) target.classList.add("is-drop-target")
+  }
+
+  nodeAt(event) {
+    return document.elementFromPoint(event.clientX, event.clientY)?.closest(".ve-node") || null
+  }
+
+  svgPoint(element) {
+    const rect = element.getBoundingClientRect()
+    const svgRect = this.tempSvgTarget.getBoundingClientRect()
+    return { x: rect.left + rect.width / 2 - svgRect.left, y: rect.top + rect.height / 2 - svgRect.top }
+  }
+
+  // ===========================================================================
+  // Condition popover
+  // ===========================================================================
+
+  editConnection(event) {
+    event.stopPropagation()
+    const group = event.currentTarget.closest(".edge-group")
+    this.showConditionPopover(group.dataset.fromId, parseInt(group.dataset.index, 10), event.clientX, event.clientY)
+  }
+
+  showConditionPopover(fromId, index, clientX, clientY) {
+    const editor = this.editor
+    const step = editor.findStep(fromId)
+    const transition = step?.transitions?.[index]
+    if (!transition) return
+
+    this.editing = { fromId, index }
+    const presets = buildConditionPresets(step, editor.variableRegistry)
+
+    this.conditionOptionsTarget.innerHTML = `
+      ${presets.map((preset, i) => `
+        <button type="button" class="condition-preset-btn" data-preset-index="${i}"
+                data-action="click->ve-connection#applyPreset">${editor.escapeHtml(preset.displayLabel)}</button>
+      `).join("")}
+      <input type="text" class="form-input form-input--sm" data-condition-field="condition"
+             value="${editor.escapeHtml(transition.condition || "")}" placeholder="Custom condition, e.g. status == 'active'">
+      <input type="text" class="form-input form-input--sm" data-condition-field="label"
+             value="${editor.escapeHtml(transition.label || "")}" placeholder="Label (optional)">
+      <div class="flex items-center justify-between gap-2">
+        <button type="button" class="btn btn--negative btn--sm" data-action="click->ve-connection#removeConnection">Remove</button>
+        <button type="button" class="btn btn--primary btn--sm" data-action="click->ve-connection#applyCustom">Apply</button>
+      </div>
+    `
+    this.presets = presets
+
+    const popover = this.conditionPopoverTarget
+    popover.style.left = `${Math.min(clientX, window.innerWidth - 288)}px`
+    popover.style.top = `${Math.min(clientY, window.innerHeight - 320)}px`
+    popover.classList.remove("is-hidden")
+    document.addEventListener("mousedown", this.closeOnOutsideClick)
+  }
+
+  applyPreset(event) {
+    const preset = this.presets[parseInt(event.currentTarget.dataset.presetIndex, 10)]
+    this.updateEditing({ condition: preset.condition, label: preset.condition ? preset.label : "" })
+  }
+
+  applyCustom() {
+    const condition = this.conditionOptionsTarget.querySelector('[data-condition-field="condition"]').value.trim()
+    const label = this.conditionOptionsTarget.querySelector('[data-condition-field="label"]').value.trim()
+    this.updateEditing({ condition, label })
+  }
+
+  removeConnection() {
+    if (this.editing) this.editor.removeTransition(this.editing.fromId, this.editing.index)
+    this.hidePopover()
+  }
+
+  updateEditing(attrs) {
+    if (this.editing) this.editor.updateTransition(this.editing.fromId, this.editing.index, attrs)
+    this.hidePopover()
+  }
+
+  hidePopover() {
+    this.editing = null
+    this.conditionPopoverTarget.classList.add("is-hidden")
+    document.removeEventListener("mousedown", this.closeOnOutsideClick)
+  }
+
+  closeOnOutsideClick(event) {
+    if (!this.conditionPopoverTarget.contains(event.target)) this.hidePopover()
+  }
+
+  get editor() {
+    return this.application.getControllerForElementAndIdentifier(this.element, "visual-editor")
+  }
+
+  get modal() {
+    return this.application.getControllerForElementAndIdentifier(this.element, "ve-step-modal")
+  }
+}
@@ -0,0 +1,93 @@
+import { Controller } from "@hotwired/stimulus"
+
+/**
+ * Visual Editor Minimap Controller
+ *
+ * Draws a scaled overview of the canvas with the visible viewport outlined.
+ * Clicking the minimap scrolls the canvas to that point.
+ */
+export default class extends Controller {
+  static targets = ["minimap"]
+
+  connect() {
+    this.update = this.update.bind(this)
+    this.scheduleUpdate = () => requestAnimationFrame(this.update)
+    this.element.addEventListener("visual-editor:rendered", this.update)
+    this.element.addEventListener("canvas-zoom:changed", this.scheduleUpdate)
+    this.canvas?.addEventListener("scroll", this.update, { passive: true })
+
+    // Also covers the editor container being shown after starting hidden
+    this.resizeObserver = new ResizeObserver(this.scheduleUpdate)
+    if (this.canvas) this.resizeObserver.observe(this.canvas)
+  }
+
+  disconnect() {
+    this.element.removeEventListener("visual-editor:rendered", this.update)
+    this.element.removeEventListener("canvas-zoom:changed", this.scheduleUpdate)
+    this.canvas?.removeEventListener("scroll", this.update)
+    this.resizeObserver?.disconnect()
+  }
+
+  update() {
+    const editor = this.editor
+    const canvas = this.canvas
+    if (!editor || !canvas || !this.hasMinimapTarget) return
+
+    // Hide the minimap when everything already fits in the viewport
+    const bounds = editor.contentBounds()
+    const zoom = editor.zoom
+    const fits = bounds.width * zoom <= canvas.clientWidth && bounds.height * zoom <= canvas.clientHeight
+    this.minimapTarget.classList.toggle("is-hidden", editor.steps.length === 0 || fits)
+    if (this.minimapTarget.classList.contains("is-hidden")) return
+
+    // Keep the minimap pinned to the visible corner of the scrolling canvas
+    this.minimapTarget.style.transform = `translate(${canvas.scrollLeft}px, ${canvas.scrollTop}px)`
+
+    const viewport = {
+      x: canvas.scrollLeft / zoom,
+      y: canvas.scrollTop / zoom,
+      width: canvas.clientWidth / zoom,
+      height: canvas.clientHeight / zoom
+    }
+    this.bounds = bounds
+    const { width, height } = editor.nodeSize
+
+    this.minimapTarget.querySelector(".minimap-svg").innerHTML = `
+      <svg viewBox="0 0 ${bounds.width} ${bounds.height}" width="100%" height="100%" preserveAspectRatio="xMidYMid meet">
+        ${editor.steps.map(step => `
+          <rect class="ve-minimap__node ve-minimap__node--${step.type}" x="${step.position_x}" y="${step.position_y}"
+                width="${width}" height="${height}" rx="12"/>
+        `).join("")}
+        <rect class="ve-minimap__viewport" x="${viewport.x}" y="${viewport.y}" width="${viewport.width}" height="${viewport.height}"/>
+      </svg>
+    `
+  }
+
+  handleMinimapClick(event) {
+    event.stopPropagation()
+    const svg = this.minimapTarget.querySelector("svg")
+    if (!svg || !this.bounds) return
+
+    // Map the click through the SVG's letterboxed viewBox into content coordinates
+    const point = svg.createSVGPoint()
+    point.x = event.clientX
+    point.y = event.clientY
+    const { x, y } = point.matrixTransform(svg.getScreenCTM().inverse())
+
+    const canvas = this.canvas
+    const zoom = this.editor.zoom
+    canvas.scrollTo({
+      left: x * zoom - canvas.clientWidth / 2,
+      top: y * zoom - canvas.clientHeight / 2,
+      behavior: "smooth"
+    })
+  }
+
+  get canvas() {
+    return this.editor?.canvasTarget
+  }
+
+  get editor() {
+    return this.application.getControllerForElementAndIdentifier(this.element, "visual-editor")
+  }
+}
@@ -0,0 +1,73 @@
+import { Controller } from "@hotwired/stimulus"
+
+const DRAG_THRESHOLD = 3
+
+/**
+ * Visual Editor Node Drag Controller
+ *
+ * Moves step nodes on the canvas. Positions update live while dragging and
+ * are committed (snapped to the grid) on mouseup as a single undo step.
+ */
+export default class extends Controller {
+  handleCanvasMouseDown(event) {
+    if (event.button !== 0 || event.altKey) return
+
+    const node = event.target.closest(".ve-node")
+    if (!node || event.target.closest("[data-port]")) return
+
+    const editor = this.editor
+    const step = editor?.findStep(node.dataset.stepId)
+    if (!step) return
+
+    event.preventDefault()
+    event.stopPropagation()
+    this.drag = {
+      node,
+      step,
+      startX: event.clientX,
+      startY: event.clientY,
+      originX: step.position_x,
+      originY: step.position_y,
+      moved: false
+    }
+  }
+
+  handleCanvasMouseMove(event) {
+    if (!this.drag) return
+
+    const dx = (event.clientX - this.drag.startX) / this.editor.zoom
+    const dy = (event.clientY - this.drag.startY) / this.editor.zoom
+    if (!this.drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return
+
+    this.drag.moved = true
+    this.drag.node.classList.add("is-dragging")
+
+    const x = Math.max(0, this.drag.originX + dx)
+    const y = Math.max(0, this.drag.originY + dy)
+    this.drag.node.style.left = `${x}px`
+    this.drag.node.style.top = `${y}px`
+
+    this.editor.livePositions = { [this.drag.step.id]: { x, y } }
+    this.editor.renderEdgeLayer()
+  }
+
+  handleCanvasMouseUp() {
+    if (!this.drag) return
+
+    const { step, node, moved } = this.drag
+    const editor = this.editor
+    this.drag = null
+    editor.livePositions = null
+    if (!moved) return
+
+    node.classList.remove("is-dragging")
+    // The click that follows a drag must not select or deselect anything
+    editor.suppressClick = true
+    setTimeout(() => { editor.suppressClick = false }, 0)
+    editor.moveStep(step.id, parseFloat(node.style.left), parseFloat(node.style.top))
+  }
+
+  get editor() {
+    return this.application.getControllerForElementAndIdentifier(this.element, "visual-editor")
+  }
+}
@@ -0,0 +1,51 @@
+import { Controller } from "@hotwired/stimulus"
+import { renderStepFields, readStepFields, changedStepFields } from "services/step_fields"
+
+/**
+ * Visual Editor Step Inspector Controller
+ *
+ * Right-hand panel for editing the selected step without leaving the canvas.
+ * Opened by visual-editor#selectNode; edits are applied through the
+ * visual-editor controller so they join the undo history.
+ */
+export default class extends Controller {
+  static targets = ["panel", "title", "body"]
+
+  open(stepId) {
+    const step = this.editor?.findStep(stepId)
+    if (!step) return
+
+    this.stepId = stepId
+    this.original = structuredClone(step)
+    this.titleTarget.textContent = `Edit ${step.title || "Step"}`
+    this.bodyTarget.innerHTML = renderStepFields(step, { isStart: this.editor.isStart(stepId) })
+    this.panelTarget.classList.add("is-open")
+  }
+
+  close() {
+    this.stepId = null
+    this.panelTarget.classList.remove("is-open")
+    this.bodyTarget.innerHTML = ""
+  }
+
+  save() {
+    const editor = this.editor
+    const step = editor.findStep(this.stepId)
+    if (!step) return this.close()
+
+    const { attrs, isStart } = readStepFields(this.bodyTarget, this.original)
+    editor.updateStep(step.id, changedStepFields(attrs, this.original))
+    if (isStart) editor.setStartNode(step.id)
+    this.close()
+  }
+
+  deleteStep() {
+    if (!this.stepId || !confirm("Delete this step and its connections?")) return
+    this.editor.removeStep(this.stepId)
+    this.close()
+  }
+
+  get editor() {
+    return this.application.getControllerForElementAndIdentifier(this.element, "visual-editor")
+  }
+}
@@ -0,0 +1,73 @@
+import { Controller } from "@hotwired/stimulus"
+import { renderStepFields, readStepFields, changedStepFields } from "services/step_fields"
+
+/**
+ * Visual Editor Step Modal Controller
+ *
+ * Full step configuration dialog, opened by double-clicking a node or right
+ * after a step is dropped from the palette.
+ */
+export default class extends Controller {
+  static targets = ["modal", "title", "body"]
+
+  connect() {
+    this.handleKeydown = this.handleKeydown.bind(this)
+  }
+
+  disconnect() {
+    document.removeEventListener("keydown", this.handleKeydown)
+  }
+
+  openFromNode(event) {
+    event.stopPropagation()
+    this.open(event.currentTarget.dataset.stepId)
+  }
+
+  open(stepId) {
+    const step = this.editor?.findStep(stepId)
+    if (!step) return
+
+    this.stepId = stepId
+    this.original = structuredClone(step)
+    this.titleTarget.textContent = `Edit ${step.title || "Step"}`
+    this.bodyTarget.innerHTML = renderStepFields(step, { isStart: this.editor.isStart(stepId) })
+    this.modalTarget.classList.remove("is-hidden")
+    document.addEventListener("keydown", this.handleKeydown)
+    this.bodyTarget.querySelector('[data-step-field="title"]')?.focus()
+  }
+
+  close() {
+    this.stepId = null
+    this.modalTarget.classList.add("is-hidden")
+    this.bodyTarget.innerHTML = ""
+    document.removeEventListener("keydown", this.handleKeydown)
+  }
+
+  save() {
+    const editor = this.editor
+    const step = editor.findStep(this.stepId)
+    if (!step) return this.close()
+
+    const { attrs, isStart } = readStepFields(this.bodyTarget, this.original)
+    editor.updateStep(step.id, changedStepFields(attrs, this.original))
+    if (isStart) editor.setStartNode(step.id)
+    this.close()
+  }
+
+  deleteStep() {
+    if (!this.stepId || !confirm("Delete this step and its connections?")) return
+    this.editor.removeStep(this.stepId)
+    this.close()
+  }
+
+  handleKeydown(event) {
+    if (event.key === "Escape") {
+      event.preventDefault()
+      this.close()
+    }
+  }
+
+  get editor() {
+    return this.application.getControllerForElementAndIdentifier(this.element, "visual-editor")
+  }
+}
@@ -0,0 +1,56 @@
+import { Controller } from "@hotwired/stimulus"
+import { FlowchartRenderer } from "services/flowchart_renderer"
+
+const STATUSES = ["added", "removed", "changed"]
+
+/**
+ * Version Diff Controller
+ *
+ * Draws both versions' steps as one flowchart on the compare page and colors
+ * each node by what happened to it (added, removed, changed). Clicking a
+ * colored node scrolls to that step's field changes below.
+ */
+export default class extends Controller {
+  static targets = ["canvas", "steps"]
+
+  connect() {
+    this.render()
+  }
+
+  render() {
+    let steps = []
+    try {
+      steps = JSON.parse(this.stepsTarget.textContent)
+    } catch (e) {
+      console.error("[VersionDiff] Could not read steps:", e)
+    }
+
+    const ids = new Set(steps.map(step => step.id))
+    const nodes = steps.map((step, index) => ({
+      ...step,
+      index,
+      transitions: (step.transitions || []).filter(t => ids.has(t.target_uuid))
+    }))
+
+    const renderer = new FlowchartRenderer({ compact: true, nodeWidth: 140, nodeHeight: 80, nodeMargin: 24 })
+    this.canvasTarget.innerHTML = renderer.render(nodes)
+
+    const statuses = new Map(steps.map(step => [step.id, step.status]))
+    this.canvasTarget.querySelectorAll(".flowchart-node[data-step-id]").forEach(node => {
+      const status = statuses.get(node.dataset.stepId)
+      if (STATUSES.includes(status)) node.classList.add(`is-${status}`)
+    })
+  }
+
+  focusStep(event) {
+    const node = event.target.closest(".flowchart-node[data-step-id]")
+    if (!node) return
+
+    const card = document.getElementById(`version-diff-step-${node.dataset.stepId}`)
+    if (!card) return
+
+    card.scrollIntoView({ behavior: "smooth", block: "center" })
+    card.classList.add("is-highlighted")
+    setTimeout(() => card.classList.remove("is-highlighted"), 1500)
+  }
+}
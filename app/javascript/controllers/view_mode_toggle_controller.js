@@ -0,0 +1,42 @@
+import { Controller } from "@hotwired/stimulus"
+
+/**
+ * View Mode Toggle Controller
+ *
+ * Switches a form between the list/JSON editor (#list-editor-container) and
+ * the visual editor (#visual-editor-container), recording the choice in
+ * modeInput so the server knows which representation to read.
+ */
+export default class extends Controller {
+  static targets = ["modeInput", "listBtn", "visualBtn"]
+  static values = { mode: { type: String, default: "visual" } }
+
+  connect() {
+    this.apply(this.modeValue)
+  }
+
+  switchToList() {
+    this.apply("list")
+  }
+
+  switchToVisual() {
+    this.apply("visual")
+  }
+
+  apply(mode) {
+    this.modeValue = mode
+    if (this.hasModeInputTarget) this.modeInputTarget.value = mode
+
+    document.getElementById("list-editor-container")?.classList.toggle("is-hidden", mode !== "list")
+    document.getElementById("visual-editor-container")?.classList.toggle("is-hidden", mode !== "visual")
+
+    this.toggleButton(this.hasListBtnTarget && this.listBtnTarget, mode === "list")
+    this.toggleButton(this.hasVisualBtnTarget && this.visualBtnTarget, mode === "visual")
+  }
+
+  toggleButton(button, active) {
+    if (!button) return
+    button.classList.toggle("btn--primary", active)
+    button.classList.toggle("btn--plain", !active)
+  }
+}
@@ -1,4 +1,6 @@
 import { Controller } from "@hotwired/stimulus"
+import { simpleComparison, buildComparison } from "services/condition_language"
+import { loadVariableRegistry, variablesUrl } from "services/variable_registry"
 
 /**
  * Visual Condition Controller
@@ -27,6 +29,9 @@ export default class extends Controller {
   connect() {
     // Load variables from the form
     this.loadVariablesFromForm()
+
+    // Then add declared types and variables set by other steps
+    this.loadRegistry()
     
     // Parse existing condition if present
     if (this.conditionValue) {
@@ -78,10 +83,58 @@ export default class extends Controller {
     }
   }
 
+  async loadRegistry() {
+    if (!this.workflowIdValue) return
+
+    this.registry = await loadVariableRegistry(variablesUrl(this.workflowIdValue))
+    if (this.registry.length === 0) return
+
+    this.loadVariablesFromForm()
+
+    // The condition may use a variable only the registry knows
+    const condition = this.hasHiddenConditionTarget ? this.hiddenConditionTarget.value : ""
+    if (this.hasVariableSelectTarget && !this.variableSelectTarget.value && condition) {
+      this.parseExistingCondition(condition)
+    }
+  }
+
   /**
-   * Extract variables with their metadata (answer type, options) from form
+   * Extract variables with their metadata (answer type, options) from form,
+   * merged with the workflow's variable registry
    */
   extractVariablesWithMetadata() {
+    const variables = this.extractFormVariables()
+
+    ;(this.registry || []).forEach(entry => {
+      const metadata = this.registryMetadata(entry)
+      const existing = variables.find(variable => variable.name === entry.name)
+
+      if (!existing) {
+        variables.push(metadata)
+      } else if (entry.declared) {
+        // The author's declaration wins over what the form implies
+        Object.assign(existing, { answerType: metadata.answerType, options: metadata.options })
+      }
+    })
+
+    return variables
+  }
+
+  // Registry types expressed as the answer types the dropdowns understand
+  registryMetadata(entry) {
+    const answerTypes = { boolean: 'yes_no', enum: 'dropdown', number: 'number', date: 'date' }
+    const options = (entry.allowed_values || []).map(value => ({ label: value, value }))
+    const label = entry.description || entry.name
+
+    return {
+      name: entry.name,
+      displayName: label === entry.name ? entry.name : `${label} (${entry.name})`,
+      answerType: answerTypes[entry.type] || 'text',
+      options: options
+    }
+  }
+
+  extractFormVariables() {
     const variables = []
     const form = this.element.closest("form")
     if (!form) return variables
@@ -154,15 +207,17 @@ export default class extends Controller {
     this.updateOperatorOptions(answerType)
     
     // Update value input based on answer type
-    if (answerType === 'yes_no') {
+    if (answerType === 'yes_no' && options.length > 0) {
+      this.showSelectInput(options)
+    } else if (answerType === 'yes_no') {
       this.showSelectInput([
         { label: 'Yes', value: 'yes' },
         { label: 'No', value: 'no' }
       ])
     } else if ((answerType === 'multiple_choice' || answerType === 'dropdown') && options.length > 0) {
       this.showSelectInput(options)
-    } else if (answerType === 'number') {
-      this.showTextInput('number')
+    } else if (answerType === 'number' || answerType === 'date') {
+      this.showTextInput(answerType)
     } else {
       this.showTextInput('text')
     }
@@ -287,13 +342,9 @@ export default class extends Controller {
     // Build condition string
     let condition = ''
     if (variable && value !== '') {
-      if (['>', '>=', '<', '<='].includes(operator) && !isNaN(value)) {
-        // Numeric comparison
-        condition = `${variable} ${operator} ${value}`
-      } else {
-        // String comparison with quotes
-        condition = `${variable} ${operator} '${value}'`
-      }
+      // Ordering comparisons are numeric; everything else is a quoted string
+      const numeric = ['>', '>=', '<', '<='].includes(operator)
+      condition = buildComparison(variable, operator, value, { numeric })
     }
     
     // Update hidden input
@@ -355,23 +406,10 @@ export default class extends Controller {
   parseExistingCondition(condition) {
     if (!condition) return
     
-    // Pattern for string conditions: variable == 'value' or variable != 'value'
-    const stringPattern = /^(\w+)\s*(==|!=)\s*['"]([^'"]*)['"]\s*$/
-    // Pattern for numeric conditions: variable > 10
-    const numericPattern = /^(\w+)\s*(==|!=|>|>=|<|<=)\s*(\d+)\s*$/
-    
-    let variable, operator, value
-    
-    const stringMatch = condition.match(stringPattern)
-    const numericMatch = condition.match(numericPattern)
-    
-    if (stringMatch) {
-      [, variable, operator, value] = stringMatch
-    } else if (numericMatch) {
-      [, variable, operator, value] = numericMatch
-    } else {
-      return // Can't parse
-    }
+    const comparison = simpleComparison(condition)
+    if (!comparison) return // Can't parse
+
+    const { variable, operator, value } = comparison
     
     // Set variable (will trigger handleVariableChange via event)
     if (this.hasVariableSelectTarget && variable) {
@@ -0,0 +1,974 @@
+import { Controller } from "@hotwired/stimulus"
+import { FlowchartRenderer } from "services/flowchart_renderer"
+import { STEP_DEFAULTS } from "services/step_defaults"
+import { renderStepIcon } from "services/icon_service"
+import { CommandHistory, historyShortcut } from "services/command_history"
+import { diffSteps, applyOperations, transformOperations } from "services/step_operations"
+import { AutosaveOutbox, unsavedChangesLabel } from "services/autosave_outbox"
+import { copySteps, pasteSteps, writeClipboard, readClipboard, describeExternalReferences } from "services/step_clipboard"
+import { loadVariableRegistry, variablesUrl } from "services/variable_registry"
+import { showNotification } from "services/notifications"
+
+const NODE_WIDTH = 200
+const NODE_HEIGHT = 72
+const GRID_SIZE = 20
+
+const CANVAS_PADDING = 200
+
+// How long to wait for the channel to answer a batch before saving through sync_steps
+const OPERATIONS_TIMEOUT_MS = 10000
+// How often to try again while the server can't be reached
+const OFFLINE_RETRY_MS = 15000
+const OUTBOX_KEY = "visual-editor"
+// How far a paste into the same workflow lands from the copied steps
+const PASTE_OFFSET = 40
+
+const TYPE_LABELS = {
+  question: "Question",
+  action: "Action",
+  message: "Message",
+  escalate: "Escalate",
+  resolve: "Resolve",
+  sub_flow: "Sub-flow"
+}
+
+/**
+ * Visual Editor Controller
+ *
+ * Owns the canvas editor state: the step list, the start node, the current
+ * selection and the undo/redo history. The ve-* controllers mounted on the
+ * same element (ve-node-drag, ve-connection, ve-step-inspector, ve-step-modal,
+ * ve-minimap) read and mutate state through this controller's public methods.
+ *
+ * Every mutation writes the steps back to the stepsInput/startNodeInput hidden
+ * fields and, when a syncUrl is given, persists them. Inside the builder,
+ * saves go over the collaboration channel as UUID-keyed operations against
+ * the last saved state (services/step_operations), and other editors'
+ * operations are merged in as they arrive. Without a live channel the whole
+ * graph goes to sync_steps; a lock_version conflict there is merged the same
+ * way against the server's copy, with the merge conflict dialog
+ * (merge-conflict) for edits both sides made to the same field.
+ *
+ * Unsaved edits are kept in the autosave outbox (IndexedDB) until the server
+ * has them. When a save can't get through, the status line counts the edits
+ * waiting and the save is retried; edits left over from an earlier visit are
+ * merged into the server's steps on load.
+ *
+ * Shift/Ctrl/Cmd-click adds nodes to the selection; Ctrl+C / Ctrl+V copy the
+ * selected steps with the connections between them and paste them as new
+ * steps, in this workflow or another (services/step_clipboard).
+ */
+export default class extends Controller {
+  static targets = [
+    "stepsData", "stepsInput", "startNodeInput", "canvas", "canvasContent",
+    "emptyState", "stepCount", "undoBtn", "redoBtn", "palette"
+  ]
+  static values = {
+    workflowId: Number,
+    lockVersion: Number,
+    wizardNextUrl: String,
+    syncUrl: String,
+    stepsUrl: String,
+    debounceMs: { type: Number, default: 1000 }
+  }
+
+  connect() {
+    this.steps = this.loadSteps()
+    this.startNodeUuid = this.hasStartNodeInputTarget ? this.startNodeInputTarget.value : ""
+    if (!this.findStep(this.startNodeUuid)) this.startNodeUuid = this.steps[0]?.id || ""
+    this.selectedId = null
+    this.selectedIds = new Set()
+    this.simulation = { stepId: null, visitedIds: new Set() }
+    this.zoom = 1
+    this.history = new CommandHistory({ onChange: () => this.updateHistoryButtons() })
+    this.clientId = crypto.randomUUID()
+    this.markSaved(this.steps, this.startNodeUuid)
+    this.retrySave = this.retrySave.bind(this)
+    window.addEventListener("online", this.retrySave)
+
+    if (this.steps.some(step => step.position_x == null || step.position_y == null)) {
+      this.applyAutoLayout(this.steps.every(step => step.position_x == null))
+    }
+
+    this.writeInputs()
+    this.render()
+
+    if (this.hasSyncUrlValue && this.workflowIdValue) {
+      this.outbox = new AutosaveOutbox(this.workflowIdValue)
+      this.restoreOutbox()
+    }
+
+    this.variableRegistry = []
+    this.refreshVariableRegistry()
+  }
+
+  disconnect() {
+    window.removeEventListener("online", this.retrySave)
+    clearTimeout(this.operationsTimeout)
+    clearTimeout(this.retryTimeout)
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout)
+      this.persist()
+    }
+  }
+
+  // ===========================================================================
+  // State access (used by the ve-* controllers)
+  // ===========================================================================
+
+  findStep(id) {
+    return this.steps.find(step => step.id === id)
+  }
+
+  isStart(id) {
+    return id === this.startNodeUuid
+  }
+
+  get nodeSize() {
+    return { width: NODE_WIDTH, height: NODE_HEIGHT }
+  }
+
+  get isVisible() {
+    return !this.element.classList.contains("is-hidden")
+  }
+
+  // Convert a mouse event position to unscaled canvas-content coordinates
+  contentPoint(event) {
+    const rect = this.canvasContentTarget.getBoundingClientRect()
+    return {
+      x: (event.clientX - rect.left) / this.zoom,
+      y: (event.clientY - rect.top) / this.zoom
+    }
+  }
+
+  // ===========================================================================
+  // Mutations
+  // ===========================================================================
+
+  addStep(type, x, y) {
+    const step = {
+      id: crypto.randomUUID(),
+      type,
+      title: `New ${TYPE_LABELS[type] || "Step"}`,
+      ...structuredClone(STEP_DEFAULTS[type] || {}),
+      position_x: this.snap(x - NODE_WIDTH / 2),
+      position_y: this.snap(y - NODE_HEIGHT / 2),
+      transitions: []
+    }
+
+    this.mutate("Add step", () => {
+      this.steps.push(step)
+      if (!this.startNodeUuid) this.startNodeUuid = step.id
+    })
+    this.select(step.id)
+    return step
+  }
+
+  updateStep(id, attrs) {
+    const step = this.findStep(id)
+    if (!step || Object.keys(attrs).length === 0) return
+    this.mutate("Edit step", () => Object.assign(step, attrs))
+  }
+
+  removeStep(id) {
+    this.removeSteps([id])
+  }
+
+  // Remove several steps (and the transitions into them) as one history entry
+  removeSteps(ids) {
+    const removed = new Set(ids.filter(id => this.findStep(id)))
+    if (removed.size === 0) return
+
+    this.mutate(removed.size === 1 ? "Remove step" : `Remove ${removed.size} steps`, () => {
+      this.steps = this.steps.filter(step => !removed.has(step.id))
+      this.steps.forEach(step => {
+        step.transitions = (step.transitions || []).filter(t => !removed.has(t.target_uuid))
+      })
+      if (removed.has(this.startNodeUuid)) this.startNodeUuid = this.steps[0]?.id || ""
+    })
+    removed.forEach(id => this.selectedIds.delete(id))
+    if (removed.has(this.selectedId)) this.selectedId = null
+    if (removed.has(this.inspector?.stepId)) this.inspector.close()
+    this.render()
+  }
+
+  moveStep(id, x, y) {
+    const step = this.findStep(id)
+    if (!step) return
+
+    const nextX = this.snap(Math.max(0, x))
+    const nextY = this.snap(Math.max(0, y))
+    if (step.position_x === nextX && step.position_y === nextY) {
+      this.render()
+      return
+    }
+
+    this.mutate("Move step", () => {
+      step.position_x = nextX
+      step.position_y = nextY
+    })
+  }
+
+  setStartNode(id) {
+    if (!this.findStep(id) || this.startNodeUuid === id) return
+    this.mutate("Set start step", () => { this.startNodeUuid = id })
+  }
+
+  // Returns the index of the new transition, or -1 if it was not added
+  addTransition(fromId, toId, attrs = {}) {
+    const source = this.findStep(fromId)
+    if (!source || !this.findStep(toId) || fromId === toId) return -1
+
+    source.transitions ||= []
+    const condition = attrs.condition || ""
+    const existing = source.transitions.findIndex(t => t.target_uuid === toId && (t.condition || "") === condition)
+    if (existing !== -1) return existing
+
+    this.mutate("Add connection", () => {
+      source.transitions.push({ target_uuid: toId, condition, label: attrs.label || "" })
+    })
+    return source.transitions.length - 1
+  }
+
+  updateTransition(fromId, index, attrs) {
+    const transition = this.findStep(fromId)?.transitions?.[index]
+    if (!transition) return
+    this.mutate("Edit connection", () => Object.assign(transition, attrs))
+  }
+
+  removeTransition(fromId, index) {
+    const source = this.findStep(fromId)
+    if (!source?.transitions?.[index]) return
+    this.mutate("Remove connection", () => source.transitions.splice(index, 1))
+  }
+
+  // Add copied steps as new ones, placed beside the originals when they came
+  // from this workflow and below everything else when they didn't
+  insertSteps(payload) {
+    let offset = { x: PASTE_OFFSET, y: PASTE_OFFSET }
+    if (payload.workflowId !== this.workflowIdValue && this.steps.length > 0) {
+      const positioned = payload.steps.filter(step => step.position_x != null && step.position_y != null)
+      const minX = Math.min(...positioned.map(step => step.position_x))
+      const minY = Math.min(...positioned.map(step => step.position_y))
+      const bottom = Math.max(...this.steps.map(step => step.position_y + NODE_HEIGHT))
+      offset = positioned.length > 0 ? { x: GRID_SIZE * 2 - minX, y: this.snap(bottom + GRID_SIZE * 4) - minY } : { x: 0, y: 0 }
+    }
+
+    const pasted = pasteSteps(payload, { offset })
+    this.mutate(pasted.steps.length === 1 ? "Paste step" : "Paste steps", () => {
+      this.steps.push(...pasted.steps)
+      if (!this.startNodeUuid) this.startNodeUuid = pasted.steps[0].id
+      if (pasted.steps.some(step => step.position_x == null || step.position_y == null)) this.applyAutoLayout(false)
+    })
+    this.selectMany(pasted.steps.map(step => step.id))
+    return pasted
+  }
+
+  autoArrange() {
+    if (this.steps.length === 0) return
+    this.mutate("Auto-arrange", () => this.applyAutoLayout(true))
+  }
+
+  // Apply a change and record it as one undoable command. Undo and redo go
+  // through commit() as well, so reverting also re-saves to the server.
+  mutate(label, change) {
+    const before = this.snapshot()
+    change()
+    const after = this.snapshot()
+    this.history.record({
+      label,
+      undo: () => this.restore(before),
+      redo: () => this.restore(after)
+    })
+    this.commit()
+  }
+
+  commit() {
+    this.writeInputs()
+    this.render()
+    this.scheduleSave()
+    this.dispatch("changed", { detail: { steps: this.steps, startNodeUuid: this.startNodeUuid } })
+  }
+
+  // ===========================================================================
+  // Undo / redo
+  // ===========================================================================
+
+  undo() {
+    this.history.undo()
+  }
+
+  redo() {
+    this.history.redo()
+  }
+
+  snapshot() {
+    return JSON.stringify({ steps: this.steps, startNodeUuid: this.startNodeUuid })
+  }
+
+  restore(snapshot) {
+    const state = JSON.parse(snapshot)
+    this.steps = state.steps
+    this.startNodeUuid = state.startNodeUuid
+    if (!this.findStep(this.selectedId)) this.selectedId = null
+    this.selectedIds = new Set([...this.selectedIds].filter(id => this.findStep(id)))
+    this.commit()
+  }
+
+  updateHistoryButtons() {
+    if (this.hasUndoBtnTarget) {
+      this.undoBtnTarget.disabled = !this.history.canUndo
+      this.undoBtnTarget.title = this.history.canUndo ? `Undo ${this.history.undoLabel} (Ctrl+Z)` : "Undo (Ctrl+Z)"
+    }
+    if (this.hasRedoBtnTarget) {
+      this.redoBtnTarget.disabled = !this.history.canRedo
+      this.redoBtnTarget.title = this.history.canRedo ? `Redo ${this.history.redoLabel} (Ctrl+Shift+Z)` : "Redo (Ctrl+Shift+Z)"
+    }
+  }
+
+  // ===========================================================================
+  // Selection & events
+  // ===========================================================================
+
+  select(id) {
+    if (id !== this.selectedId) this.dispatch("selected", { detail: { stepId: id } })
+    this.selectedId = id
+    this.selectedIds = new Set(id ? [id] : [])
+    this.highlightSelection()
+  }
+
+  // Select several steps; the last one becomes the primary selection
+  selectMany(ids) {
+    this.select(ids[ids.length - 1] || null)
+    this.selectedIds = new Set(ids)
+    this.highlightSelection()
+  }
+
+  toggleSelected(id) {
+    const ids = new Set(this.selectedIds)
+    ids.has(id) ? ids.delete(id) : ids.add(id)
+    this.selectMany([...ids])
+  }
+
+  highlightSelection() {
+    this.canvasContentTarget.querySelectorAll(".ve-node").forEach(node => {
+      node.classList.toggle("is-selected", this.selectedIds.has(node.dataset.stepId))
+    })
+  }
+
+  // The simulator's current step (simulator:step on the document)
+  simulatorStep(event) {
+    const { stepId, visitedIds } = event.detail
+    this.simulation = { stepId, visitedIds: new Set(visitedIds) }
+    this.highlightSimulation()
+  }
+
+  highlightSimulation() {
+    this.canvasContentTarget.querySelectorAll(".ve-node").forEach(node => {
+      const current = node.dataset.stepId === this.simulation.stepId
+      node.classList.toggle("is-simulated", current)
+      node.classList.toggle("is-simulation-visited", this.simulation.visitedIds.has(node.dataset.stepId))
+      if (current) node.scrollIntoView?.({ block: "nearest", inline: "nearest" })
+    })
+  }
+
+  selectNode(event) {
+    if (this.suppressClick) {
+      this.suppressClick = false
+      return
+    }
+    const node = event.currentTarget
+    if (event.shiftKey || event.ctrlKey || event.metaKey) {
+      this.toggleSelected(node.dataset.stepId)
+      return
+    }
+    this.select(node.dataset.stepId)
+    this.inspector?.open(node.dataset.stepId)
+  }
+
+  handleCanvasClick(event) {
+    if (this.suppressClick) {
+      this.suppressClick = false
+      return
+    }
+    if (event.target.closest(".ve-node, .edge-group")) return
+    this.select(null)
+  }
+
+  deleteEdge(event) {
+    event.stopPropagation()
+    const { fromId, index } = event.currentTarget.closest(".edge-group").dataset
+    this.removeTransition(fromId, parseInt(index, 10))
+  }
+
+  copy(event) {
+    if (!this.isVisible || this.selectedIds.size === 0 || this.isTyping(event)) return
+
+    const payload = copySteps(this.steps, this.selectedIds, { workflowId: this.workflowIdValue })
+    if (!payload) return
+
+    event.preventDefault()
+    writeClipboard(payload, event.clipboardData)
+    const count = payload.steps.length
+    this.updateSaveStatus("saved", `Copied ${count} ${count === 1 ? "step" : "steps"}`)
+  }
+
+  async paste(event) {
+    if (!this.isVisible || this.modal?.stepId || this.isTyping(event)) return
+
+    event.preventDefault()
+    const payload = await readClipboard(event.clipboardData)
+    if (!payload) return
+
+    const { externalReferences } = this.insertSteps(payload)
+    if (externalReferences.length > 0) {
+      showNotification(describeExternalReferences(externalReferences), "warning")
+    }
+  }
+
+  isTyping(event) {
+    return Boolean(event.target.closest?.("input, textarea, select, [contenteditable], lexxy-editor"))
+  }
+
+  zoomChanged(event) {
+    this.zoom = event.detail.zoom
+  }
+
+  handleKeyDown(event) {
+    if (!this.isVisible || this.modal?.stepId || this.isTyping(event)) return
+
+    const shortcut = historyShortcut(event)
+    if (shortcut) {
+      event.preventDefault()
+      this.history[shortcut]()
+    } else if ((event.key === "Delete" || event.key === "Backspace") && this.selectedIds.size > 0) {
+      event.preventDefault()
+      this.removeSteps([...this.selectedIds])
+    } else if (event.key === "Escape" && this.selectedIds.size > 0) {
+      this.select(null)
+    }
+  }
+
+  get inspector() {
+    return this.application.getControllerForElementAndIdentifier(this.element, "ve-step-inspector")
+  }
+
+  get modal() {
+    return this.application.getControllerForElementAndIdentifier(this.element, "ve-step-modal")
+  }
+
+  // ===========================================================================
+  // Rendering
+  // ===========================================================================
+
+  render() {
+    const content = this.canvasContentTarget
+    const bounds = this.contentBounds()
+    content.style.width = `${bounds.width}px`
+    content.style.height = `${bounds.height}px`
+
+    content.innerHTML = `
+      <svg class="ve-edges" width="${bounds.width}" height="${bounds.height}" xmlns="http://www.w3.org/2000/svg">
+        <defs>
+          <marker id="ve-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+            <path class="edge-marker" d="M 0 0 L 10 5 L 0 10 z"/>
+          </marker>
+          <marker id="ve-arrow-conditional" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+            <path class="edge-marker edge-marker--conditional" d="M 0 0 L 10 5 L 0 10 z"/>
+          </marker>
+        </defs>
+        <g data-ve-edges>${this.renderEdges()}</g>
+      </svg>
+      ${this.steps.map(step => this.renderNode(step)).join("")}
+    `
+
+    if (this.hasEmptyStateTarget) this.emptyStateTarget.classList.toggle("is-hidden", this.steps.length > 0)
+    if (this.hasStepCountTarget) {
+      this.stepCountTarget.textContent = `${this.steps.length} step${this.steps.length === 1 ? "" : "s"}`
+    }
+    this.updateHistoryButtons()
+    this.dispatch("rendered", { detail: { steps: this.steps, bounds } })
+  }
+
+  // Re-draw only the edge layer (used while dragging nodes)
+  renderEdgeLayer() {
+    const layer = this.canvasContentTarget.querySelector("[data-ve-edges]")
+    if (layer) layer.innerHTML = this.renderEdges()
+  }
+
+  renderNode(step) {
+    const classes = ["ve-node", `ve-node--${step.type}`]
+    if (this.selectedIds.has(step.id)) classes.push("is-selected")
+    if (this.isStart(step.id)) classes.push("is-start")
+    if (this.simulation.stepId === step.id) classes.push("is-simulated")
+    if (this.simulation.visitedIds.has(step.id)) classes.push("is-simulation-visited")
+
+    return `
+      <div class="${classes.join(" ")}"
+           data-step-id="${this.escapeHtml(step.id)}"
+           data-action="click->visual-editor#selectNode dblclick->ve-step-modal#openFromNode"
+           style="left: ${step.position_x}px; top: ${step.position_y}px; width: ${NODE_WIDTH}px; height: ${NODE_HEIGHT}px;">
+        <span class="ve-node__port ve-node__port--in" data-port="in"></span>
+        <div class="ve-node__header">
+          ${renderStepIcon(step.type, "icon icon--sm")}
+          <span class="ve-node__type">${TYPE_LABELS[step.type] || "Step"}</span>
+          ${this.isStart(step.id) ? '<span class="step-pill step-pill--start">Start</span>' : ""}
+        </div>
+        <div class="ve-node__title">${this.escapeHtml(step.title || "Untitled")}</div>
+        ${step.type === "resolve" ? "" : '<span class="ve-node__port ve-node__port--out" data-port="out" data-action="mousedown->ve-connection#startConnection" title="Drag to connect"></span>'}
+      </div>
+    `
+  }
+
+  renderEdges() {
+    return this.steps.flatMap(step => (step.transitions || []).map((transition, index) => {
+      const target = this.findStep(transition.target_uuid)
+      if (!target) return ""
+
+      const start = this.nodePosition(step)
+      const end = this.nodePosition(target)
+      const from = { x: start.x + NODE_WIDTH / 2, y: start.y + NODE_HEIGHT }
+      const to = { x: end.x + NODE_WIDTH / 2, y: end.y }
+      const kind = transition.condition ? "conditional" : "default"
+      const label = transition.label || transition.condition || ""
+      const mid = { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 }
+      const labelText = label.length > 20 ? `${label.slice(0, 19)}…` : label
+      const labelWidth = labelText.length * 6.5 + 12
+
+      return `
+        <g class="edge-group" data-from-id="${this.escapeHtml(step.id)}" data-index="${index}">
+          <path class="edge-path edge-path--${kind}" d="${this.edgePath(from, to)}" marker-end="url(#ve-arrow${kind === "conditional" ? "-conditional" : ""})"/>
+          <path class="ve-edge-hit" d="${this.edgePath(from, to)}" data-action="click->ve-connection#editConnection"/>
+          ${labelText ? `
+            <g class="edge-label" transform="translate(${mid.x - labelWidth / 2}, ${mid.y - 9})" data-action="click->ve-connection#editConnection">
+              <title>${this.escapeHtml(transition.condition || label)}</title>
+              <rect width="${labelWidth}" height="18" rx="9"/>
+              <text x="${labelWidth / 2}" y="13" text-anchor="middle">${this.escapeHtml(labelText)}</text>
+            </g>` : ""}
+          <g class="edge-delete-btn" transform="translate(${mid.x + (labelText ? labelWidth / 2 + 10 : 0)}, ${mid.y})" data-action="click->visual-editor#deleteEdge">
+            <circle r="8"/>
+            <text text-anchor="middle" y="4">&times;</text>
+          </g>
+        </g>
+      `
+    })).join("")
+  }
+
+  // Live positions are used during a drag before the move is committed
+  nodePosition(step) {
+    return this.livePositions?.[step.id] || { x: step.position_x, y: step.position_y }
+  }
+
+  edgePath(from, to) {
+    const dy = Math.max(40, Math.abs(to.y - from.y) / 2)
+    if (to.y < from.y + 20) {
+      // Back-edge: loop out to the side so it does not cross the nodes
+      const side = Math.max(from.x, to.x) + NODE_WIDTH / 2 + 40
+      return `M ${from.x} ${from.y} C ${from.x} ${from.y + 60}, ${side} ${from.y + 60}, ${side} ${(from.y + to.y) / 2} S ${to.x} ${to.y - 60}, ${to.x} ${to.y}`
+    }
+    return `M ${from.x} ${from.y} C ${from.x} ${from.y + dy}, ${to.x} ${to.y - dy}, ${to.x} ${to.y}`
+  }
+
+  contentBounds() {
+    const maxX = Math.max(0, ...this.steps.map(step => step.position_x + NODE_WIDTH))
+    const maxY = Math.max(0, ...this.steps.map(step => step.position_y + NODE_HEIGHT))
+    return { width: maxX + CANVAS_PADDING, height: maxY + CANVAS_PADDING }
+  }
+
+  // ===========================================================================
+  // Layout
+  // ===========================================================================
+
+  applyAutoLayout(all) {
+    const renderer = new FlowchartRenderer({ nodeWidth: NODE_WIDTH, nodeHeight: NODE_HEIGHT, nodeMargin: 60 })
+    const { nodes } = renderer.layout(this.steps.map(step => ({ ...step, transitions: step.transitions || [] })))
+    const positions = new Map(nodes.map(node => [node.key, node]))
+
+    this.steps.forEach(step => {
+      if (!all && step.position_x != null && step.position_y != null) return
+      const node = positions.get(step.id)
+      if (!node) return
+      step.position_x = this.snap(node.x - NODE_WIDTH / 2 + GRID_SIZE)
+      step.position_y = this.snap(node.y - NODE_HEIGHT / 2 + GRID_SIZE)
+    })
+  }
+
+  snap(value) {
+    return Math.round(value / GRID_SIZE) * GRID_SIZE
+  }
+
+  // ===========================================================================
+  // Persistence
+  // ===========================================================================
+
+  loadSteps() {
+    if (!this.hasStepsDataTarget) return []
+    try {
+      const data = JSON.parse(this.stepsDataTarget.textContent.trim() || "[]")
+      return (Array.isArray(data) ? data : []).filter(step => step && step.type).map(step => ({
+        ...step,
+        id: step.id || crypto.randomUUID(),
+        transitions: Array.isArray(step.transitions) ? step.transitions : []
+      }))
+    } catch (e) {
+      console.error("[VisualEditor] Failed to parse steps data:", e)
+      return []
+    }
+  }
+
+  writeInputs() {
+    if (this.hasStepsInputTarget) this.stepsInputTarget.value = JSON.stringify(this.steps)
+    if (this.hasStartNodeInputTarget) this.startNodeInputTarget.value = this.startNodeUuid || ""
+  }
+
+  scheduleSave() {
+    if (!this.hasSyncUrlValue) return
+
+    clearTimeout(this.saveTimeout)
+    this.updateSaveStatus("saving", "Saving...")
+    this.saveTimeout = setTimeout(() => this.persist(), this.debounceMsValue)
+    this.stashUnsaved()
+  }
+
+  async persist({ allowChannel = true } = {}) {
+    this.saveTimeout = null
+    if (!this.hasSyncUrlValue || (allowChannel && this.sendOperations())) return
+
+    const token = document.querySelector('meta[name="csrf-token"]')?.content
+    const sent = { steps: structuredClone(this.steps), startUuid: this.startNodeUuid }
+    try {
+      const response = await fetch(this.syncUrlValue, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept": "application/json",
+          "X-CSRF-Token": token
+        },
+        body: JSON.stringify({
+          steps: this.steps,
+          start_node_uuid: this.startNodeUuid,
+          lock_version: this.lockVersionValue
+        })
+      })
+      const data = await response.json().catch(() => ({}))
+
+      if (response.ok) {
+        this.lockVersionValue = data.lock_version
+        this.markSaved(sent.steps, sent.startUuid, data.field_versions)
+        this.stashUnsaved()
+        this.element.dataset.changed = "true"
+        this.updateSaveStatus("saved", "Saved")
+      } else if (response.status === 409 && this.hasStepsUrlValue) {
+        await this.mergeWithServer()
+      } else {
+        this.updateSaveStatus("error", data.error ? `Save failed — ${data.error}` : "Save failed")
+      }
+    } catch (e) {
+      // The request never reached the server; the edits wait in the outbox
+      console.error("[VisualEditor] Save failed:", e)
+      this.updateSaveStatus("offline", unsavedChangesLabel(this.localOperations().length))
+      clearTimeout(this.retryTimeout)
+      this.retryTimeout = setTimeout(this.retrySave, OFFLINE_RETRY_MS)
+    }
+  }
+
+  // Save pending edits now, through sync_steps, before a server-side change
+  // (e.g. extracting a sub-flow) works from the saved steps
+  async flushSave() {
+    clearTimeout(this.saveTimeout)
+    this.saveTimeout = null
+    if (this.localOperations().length > 0) await this.persist({ allowChannel: false })
+    return this.localOperations().length === 0
+  }
+
+  // Take the server's steps after a change made there
+  async reloadFromServer() {
+    const response = await fetch(this.stepsUrlValue, { headers: { "Accept": "application/json" } })
+    if (!response.ok) throw new Error(`steps returned ${response.status}`)
+    const server = await response.json()
+
+    this.lockVersionValue = server.lock_version
+    this.markSaved(server.steps, server.start_node_uuid)
+    this.replaceState({ steps: structuredClone(server.steps), startUuid: server.start_node_uuid })
+    if (this.steps.some(step => step.position_x == null || step.position_y == null)) this.applyAutoLayout(false)
+    this.render()
+    this.element.dataset.changed = "true"
+    this.refreshVariableRegistry()
+  }
+
+  // Declared variable types drive the connection popover's presets (ve_connection)
+  async refreshVariableRegistry() {
+    if (!this.workflowIdValue) return
+    this.variableRegistry = await loadVariableRegistry(variablesUrl(this.workflowIdValue))
+  }
+
+  // Back online, or the channel reconnected: save whatever is still waiting
+  retrySave() {
+    clearTimeout(this.retryTimeout)
+    if (!this.hasSyncUrlValue || this.saveTimeout || this.pendingOperations) return
+    if (this.localOperations().length > 0) this.scheduleSave()
+  }
+
+  // The state the server has, which local edits are diffed against
+  markSaved(steps, startUuid, fieldVersions = null) {
+    this.savedSteps = structuredClone(steps)
+    this.savedStartUuid = startUuid
+    if (fieldVersions) {
+      this.savedSteps.forEach(step => { step.field_versions = fieldVersions[step.id] || step.field_versions })
+    }
+  }
+
+  localOperations() {
+    return diffSteps(this.savedSteps, this.steps, { baseStartUuid: this.savedStartUuid, startUuid: this.startNodeUuid })
+  }
+
+  // ===========================================================================
+  // Outbox
+  // ===========================================================================
+
+  // Keep the unsaved edits, with the saved state they apply to, until the
+  // server has them
+  stashUnsaved() {
+    if (!this.outbox) return
+
+    const changes = this.localOperations().length
+    const write = changes === 0
+      ? this.outbox.remove(OUTBOX_KEY)
+      : this.outbox.put(OUTBOX_KEY, {
+        savedSteps: this.savedSteps,
+        savedStartUuid: this.savedStartUuid,
+        steps: this.steps,
+        startUuid: this.startNodeUuid
+      }, { changes })
+    write.catch(e => console.error("[VisualEditor] Could not store unsaved changes:", e))
+  }
+
+  // Edits stored by an earlier visit are replayed on top of the steps the
+  // page loaded with; where someone changed the same thing since, theirs stands
+  async restoreOutbox() {
+    let entry
+    try {
+      entry = await this.outbox.get(OUTBOX_KEY)
+    } catch (e) {
+      console.error("[VisualEditor] Could not read unsaved changes:", e)
+      return
+    }
+    if (!entry) return
+
+    const { savedSteps, savedStartUuid, steps, startUuid } = entry.payload
+    const stored = diffSteps(savedSteps, steps, { baseStartUuid: savedStartUuid, startUuid })
+    const restored = await this.mergeOnto(
+      { steps: this.savedSteps, startUuid: this.savedStartUuid },
+      { steps: savedSteps, startUuid: savedStartUuid },
+      [...this.localOperations(), ...stored]
+    )
+    if (restored === 0) this.outbox.remove(OUTBOX_KEY)
+  }
+
+  // ===========================================================================
+  // Collaboration
+  // ===========================================================================
+
+  get collaboration() {
+    const element = this.element.closest("[data-controller~='workflow-collaboration']")
+    return element && this.application.getControllerForElementAndIdentifier(element, "workflow-collaboration")
+  }
+
+  get mergeConflict() {
+    const element = document.getElementById("merge-conflict")
+    return element && this.application.getControllerForElementAndIdentifier(element, "merge-conflict")
+  }
+
+  // Returns false when there is no live channel to save through
+  sendOperations() {
+    const collaboration = this.collaboration
+    if (!collaboration?.connected) return false
+
+    // One batch at a time: the next diff is taken once this one is saved
+    if (this.pendingOperations) {
+      this.saveQueued = true
+      return true
+    }
+
+    const operations = this.localOperations()
+    if (operations.length === 0) {
+      this.updateSaveStatus("saved", "Saved")
+      return true
+    }
+    if (!collaboration.sendOperations(operations, this.clientId)) return false
+
+    this.pendingOperations = operations
+    this.operationsTimeout = setTimeout(() => this.operationsTimedOut(), OPERATIONS_TIMEOUT_MS)
+    return true
+  }
+
+  // "workflow:step_operations" from the channel: the result of our own batch
+  // or another editor's changes
+  receiveOperations(event) {
+    const data = event.detail || {}
+    if (data.lock_version) this.lockVersionValue = data.lock_version
+
+    if (data.client_id === this.clientId) {
+      this.operationsSaved(data)
+    } else if (data.operations?.length) {
+      this.mergeRemote(data.operations)
+    }
+  }
+
+  operationsSaved({ operations = [], rejected = [] }) {
+    clearTimeout(this.operationsTimeout)
+    this.pendingOperations = null
+    this.rebase(operations)
+
+    // Someone else changed these fields first; their value stands
+    const overrides = rejected
+      .filter(r => r.reason === "conflict" && r.operation.op === "set_field")
+      .map(r => ({ ...r.operation, value: r.value, version: r.version }))
+    if (overrides.length > 0) {
+      this.rebase(overrides)
+      this.replaceState(applyOperations(this.steps, this.startNodeUuid, overrides))
+    }
+    this.stashUnsaved()
+
+    this.element.dataset.changed = "true"
+    if (rejected.length > 0) {
+      this.reportConflicts(rejected)
+    } else if (!this.saveTimeout) {
+      this.updateSaveStatus("saved", "Saved")
+    }
+
+    if (this.saveQueued) {
+      this.saveQueued = false
+      this.persist()
+    }
+  }
+
+  // Replay unsaved local edits on top of the remote ones. The batch in
+  // flight is included; its conflicts are reported when its result arrives.
+  mergeRemote(remote) {
+    const { operations, conflicts } = transformOperations(this.localOperations(), remote)
+    this.rebase(remote)
+    this.replaceState(applyOperations(this.savedSteps, this.savedStartUuid, operations))
+
+    const inFlight = new Set((this.pendingOperations || []).map(op => JSON.stringify(op)))
+    const reported = conflicts.filter(c => !inFlight.has(JSON.stringify(c.operation)))
+    if (reported.length > 0) this.reportConflicts(reported)
+  }
+
+  // sync_steps was refused because the workflow changed: merge our edits
+  // into the server's copy and save again
+  async mergeWithServer() {
+    try {
+      const response = await fetch(this.stepsUrlValue, { headers: { "Accept": "application/json" } })
+      if (!response.ok) throw new Error(`steps returned ${response.status}`)
+      const server = await response.json()
+
+      this.lockVersionValue = server.lock_version
+      await this.mergeOnto(
+        { steps: server.steps, startUuid: server.start_node_uuid },
+        { steps: this.savedSteps, startUuid: this.savedStartUuid },
+        this.localOperations()
+      )
+    } catch (e) {
+      console.error("[VisualEditor] Merge failed:", e)
+      this.updateSaveStatus("error", "Save failed — this workflow was changed by someone else")
+    }
+  }
+
+  // Replay operations made against `base` on the server's steps and save
+  // the result. When both sides changed the same thing the merge conflict
+  // dialog lets the user choose; dismissing it keeps theirs. Returns how
+  // many unsaved operations are left.
+  async mergeOnto(server, base, local) {
+    const theirs = diffSteps(base.steps, server.steps, { baseStartUuid: base.startUuid, startUuid: server.startUuid })
+    const { operations, conflicts } = transformOperations(local, theirs)
+
+    if (conflicts.length > 0 && this.mergeConflict) {
+      const mine = applyOperations(base.steps, base.startUuid, local)
+      const merged = await this.mergeConflict.open({
+        base: base.steps, mine: mine.steps, theirs: server.steps,
+        baseStartUuid: base.startUuid, mineStartUuid: mine.startUuid, theirsStartUuid: server.startUuid
+      })
+      if (merged) {
+        this.markSaved(server.steps, server.startUuid)
+        this.replaceState(merged)
+        this.scheduleSave()
+        return this.localOperations().length
+      }
+    }
+
+    this.markSaved(server.steps, server.startUuid)
+    this.replaceState(applyOperations(server.steps, server.startUuid, operations))
+    if (conflicts.length > 0) this.reportConflicts(conflicts)
+    if (operations.length > 0) this.scheduleSave()
+    return operations.length
+  }
+
+  rebase(operations) {
+    const saved = applyOperations(this.savedSteps, this.savedStartUuid, operations)
+    this.savedSteps = saved.steps
+    this.savedStartUuid = saved.startUuid
+  }
+
+  // Swap in merged state outside the undo history: older snapshots would
+  // undo the other editor's changes, so the history starts over
+  replaceState({ steps, startUuid }) {
+    this.steps = steps
+    this.startNodeUuid = startUuid || ""
+    if (!this.findStep(this.selectedId)) this.selectedId = null
+    this.selectedIds = new Set([...this.selectedIds].filter(id => this.findStep(id)))
+    this.history.clear()
+    this.writeInputs()
+    this.render()
+    this.dispatch("changed", { detail: { steps: this.steps, startNodeUuid: this.startNodeUuid } })
+  }
+
+  reportConflicts(conflicts) {
+    const invalid = conflicts.find(c => c.reason === "invalid")
+    if (invalid) {
+      this.updateSaveStatus("error", invalid.message ? `Save failed — ${invalid.message}` : "Save failed")
+      return
+    }
+
+    const titles = [...new Set(conflicts.filter(c => c.reason !== "exists").map(c => {
+      const id = c.operation.step_uuid || c.operation.step?.id
+      return this.findStep(id)?.title || this.savedSteps.find(step => step.id === id)?.title || "a step"
+    }))]
+    if (titles.length === 0) return
+
+    this.updateSaveStatus("conflict", `Merged — kept another editor's changes to ${titles.map(t => `“${t}”`).join(", ")}`)
+  }
+
+  // An unanswered batch may be lost, so save again (through sync_steps
+  // until the channel is back)
+  collaborationDisconnected() {
+    if (!this.pendingOperations) return
+
+    clearTimeout(this.operationsTimeout)
+    this.pendingOperations = null
+    this.saveQueued = false
+    this.scheduleSave()
+  }
+
+  operationsTimedOut() {
+    this.pendingOperations = null
+    this.saveQueued = false
+    this.persist({ allowChannel: false })
+  }
+
+  updateSaveStatus(status, message) {
+    const statusEl = document.getElementById("autosave-status")
+    if (!statusEl) return
+    statusEl.textContent = message
+    statusEl.className = `builder__autosave builder__autosave--${status}`
+  }
+
+  escapeHtml(text) {
+    return String(text ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;")
+  }
+}
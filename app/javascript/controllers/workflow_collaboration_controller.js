@@ -1,557 +1,331 @@
 import { Controller } from "@hotwired/stimulus"
 import { subscribeToWorkflow } from "channels/workflow_channel"
-
+import { showNotification } from "services/notifications"
+
+const CURSOR_DELAY = 150
+const SOFT_LOCK_KEY = "turboflows:collaboration-soft-lock"
+// Collaborator colors, picked by user ID
+const CURSOR_HUES = [250, 25, 145, 310, 60, 200, 340]
+
+/**
+ * Workflow Collaboration Controller
+ *
+ * Holds the builder's WorkflowChannel subscription. Step edits travel as
+ * UUID-keyed operations (services/step_operations): the visual editor sends
+ * them through sendOperations() and applies everyone's results from the
+ * "workflow:step_operations" document event. This controller shows who is
+ * editing and flags the steps other people change.
+ *
+ * Presence also carries each person's cursor — the step they have open and
+ * the field they're in — which is drawn as a colored outline and name on the
+ * step's list row, diagram node and canvas node. With the soft lock on, the
+ * first edit to a step someone else has open asks for confirmation.
+ */
 export default class extends Controller {
-  static targets = ["container", "presence"]
-  static values = { 
+  static targets = ["presence"]
+  static values = {
     workflowId: Number,
-    currentUserId: Number,
-    container: String
+    currentUserId: Number
   }
 
   connect() {
+    this.connected = false
+    this.activeUsers = []
+    this.cursor = { stepUuid: null, field: null }
+    this.confirmedSteps = new Set()
+    this.softLock = localStorage.getItem(SOFT_LOCK_KEY) === "true"
     if (!this.workflowIdValue) {
       console.warn("WorkflowCollaborationController: No workflow ID provided")
       return
     }
 
-    // Find the container target (workflow-builder container)
-    if (this.hasContainerValue) {
-      const containerSelector = this.containerValue || "[data-workflow-builder-target='container']"
-      const foundContainer = this.element.querySelector(containerSelector)
-      if (foundContainer) {
-        // Create a reference to the container
-        this.containerElement = foundContainer
-      }
-    }
-
-    // Subscribe to workflow channel
     this.subscription = subscribeToWorkflow(this.workflowIdValue, {
       connected: () => {
-        console.log("Collaboration: Connected to workflow channel", this.workflowIdValue)
-        this.updateConnectionStatus(true)
+        this.connected = true
+        this.dispatch("connected")
+        // The server forgets the cursor when the connection drops
+        if (this.cursor.stepUuid) this.sendCursor()
       },
       disconnected: () => {
-        console.log("Collaboration: Disconnected from workflow channel")
-        this.updateConnectionStatus(false)
+        this.connected = false
+        this.dispatch("disconnected")
       },
-      presence: (data) => {
-        console.log("Collaboration: Presence callback received", data)
-        this.handlePresenceUpdate(data)
-      },
-      update: (data) => {
-        console.log("Collaboration: Update callback received", data.type, data)
-        // The update callback is called, but we handle events via document listeners
-        // This is just for debugging
-      }
+      presence: (data) => this.handlePresenceUpdate(data)
     })
-    
-    console.log("Collaboration: Subscription created", this.subscription)
-
-    // Set up event listeners for real-time updates
-    this.setupEventListeners()
-    
-    // Track if we're currently applying remote changes (to avoid feedback loops)
-    this.applyingRemoteChange = false
+
+    this.operationsHandler = (event) => this.handleOperations(event.detail)
+    this.metadataUpdateHandler = (event) => {
+      if (!this.isFromCurrentUser(event.detail.user)) this.handleMetadataUpdate(event.detail)
+    }
+    this.handleStreamRender = this.handleStreamRender.bind(this)
+    document.addEventListener("workflow:step_operations", this.operationsHandler)
+    document.addEventListener("workflow:workflow_metadata_update", this.metadataUpdateHandler)
+    document.addEventListener("turbo:before-stream-render", this.handleStreamRender)
   }
 
   disconnect() {
-    if (this.subscription) {
-      this.subscription.unsubscribe()
-    }
-    this.removeEventListeners()
+    this.subscription?.unsubscribe()
+    this.connected = false
+    clearTimeout(this.cursorTimer)
+    document.removeEventListener("workflow:step_operations", this.operationsHandler)
+    document.removeEventListener("workflow:workflow_metadata_update", this.metadataUpdateHandler)
+    document.removeEventListener("turbo:before-stream-render", this.handleStreamRender)
   }
 
-  setupEventListeners() {
-    // Listen for step updates from other users (from ActionCable)
-    this.stepUpdateHandler = (event) => {
-      if (!this.isFromCurrentUser(event.detail.user)) {
-        this.handleStepUpdate(event.detail)
-      }
-    }
-    
-    // Listen for step additions from other users (from ActionCable)
-    this.stepAddedHandler = (event) => {
-      if (!this.isFromCurrentUser(event.detail.user)) {
-        this.handleStepAdded(event.detail)
-      }
-    }
-    
-    // Listen for step removals from other users (from ActionCable)
-    this.stepRemovedHandler = (event) => {
-      if (!this.isFromCurrentUser(event.detail.user)) {
-        this.handleStepRemoved(event.detail)
-      }
-    }
-    
-    // Listen for step reordering from other users (from ActionCable)
-    this.stepsReorderedHandler = (event) => {
-      if (!this.isFromCurrentUser(event.detail.user)) {
-        this.handleStepsReordered(event.detail)
-      }
-    }
-    
-    // Listen for metadata updates from other users (from ActionCable)
-    this.metadataUpdateHandler = (event) => {
-      if (!this.isFromCurrentUser(event.detail.user)) {
-        this.handleMetadataUpdate(event.detail)
-      }
-    }
-    
-    // Listen for presence updates (from ActionCable)
-    this.presenceHandler = (event) => {
-      this.handlePresenceUpdate(event.detail)
-    }
+  /**
+   * Send operations to the server. Returns false when there is no live
+   * connection, so the caller can save another way.
+   * @param {Array<Object>} operations
+   * @param {string} clientId - Echoed back so the sender can spot its own result
+   * @returns {boolean}
+   */
+  sendOperations(operations, clientId) {
+    if (!this.connected || !this.subscription) return false
+
+    this.subscription.broadcastOperations(operations, clientId)
+    return true
+  }
 
-    // Listen for local changes from workflow-builder and broadcast them
-    this.localStepAddedHandler = (event) => {
-      if (!this.applyingRemoteChange && this.subscription) {
-        this.subscription.broadcastStepAdded(
-          event.detail.stepIndex,
-          event.detail.stepType,
-          event.detail.stepData
-        )
-      }
-    }
-    
-    this.localStepRemovedHandler = (event) => {
-      if (!this.applyingRemoteChange && this.subscription) {
-        this.subscription.broadcastStepRemoved(event.detail.stepIndex)
-      }
-    }
-    
-    this.localStepsReorderedHandler = (event) => {
-      if (!this.applyingRemoteChange && this.subscription) {
-        this.subscription.broadcastStepsReordered(event.detail.newOrder)
-      }
-    }
+  // ===========================================================================
+  // Local cursor
+  // ===========================================================================
 
-    // Listen for step field updates (debounced)
-    this.setupStepFieldListeners()
+  // visual-editor:selected
+  selectStep(event) {
+    this.moveCursor(event.detail?.stepId || null)
+  }
 
-    document.addEventListener("workflow:step_update", this.stepUpdateHandler)
-    document.addEventListener("workflow:step_added", this.stepAddedHandler)
-    document.addEventListener("workflow:step_removed", this.stepRemovedHandler)
-    document.addEventListener("workflow:steps_reordered", this.stepsReorderedHandler)
-    document.addEventListener("workflow:workflow_metadata_update", this.metadataUpdateHandler)
-    document.addEventListener("workflow:presence", this.presenceHandler)
-    
-    // Listen for local workflow-builder events
-    document.addEventListener("workflow-builder:step-added", this.localStepAddedHandler)
-    document.addEventListener("workflow-builder:step-removed", this.localStepRemovedHandler)
-    document.addEventListener("workflow-builder:steps-reordered", this.localStepsReorderedHandler)
+  // turbo:frame-load — the builder panel shows one step, or something else
+  trackPanel() {
+    const body = this.element.querySelector("#builder-panel .builder__panel-body[data-step-uuid]")
+    this.moveCursor(body?.dataset.stepUuid || null)
+    this.decorateCursors()
   }
 
-  removeEventListeners() {
-    document.removeEventListener("workflow:step_update", this.stepUpdateHandler)
-    document.removeEventListener("workflow:step_added", this.stepAddedHandler)
-    document.removeEventListener("workflow:step_removed", this.stepRemovedHandler)
-    document.removeEventListener("workflow:steps_reordered", this.stepsReorderedHandler)
-    document.removeEventListener("workflow:workflow_metadata_update", this.metadataUpdateHandler)
-    document.removeEventListener("workflow:presence", this.presenceHandler)
-    document.removeEventListener("workflow-builder:step-added", this.localStepAddedHandler)
-    document.removeEventListener("workflow-builder:step-removed", this.localStepRemovedHandler)
-    document.removeEventListener("workflow-builder:steps-reordered", this.localStepsReorderedHandler)
-    
-    const container = this.containerElement || this.containerTarget || this.element.querySelector("[data-workflow-builder-target='container']")
-    if (container) {
-      container.removeEventListener("input", this.stepFieldUpdateHandler)
-    }
-    
-    // Remove description listeners
-    const descriptionInput = this.element.querySelector("textarea[name='workflow[description]']")
-    if (descriptionInput && this.descriptionUpdateHandler) {
-      descriptionInput.removeEventListener("input", this.descriptionUpdateHandler)
-    }
-    
-    if (this.descriptionDebounceTimer) {
-      clearTimeout(this.descriptionDebounceTimer)
-    }
-    
-    if (this.stepFieldDebounceTimer) {
-      clearTimeout(this.stepFieldDebounceTimer)
-    }
-    
-    const titleInput = this.element.querySelector("input[name='workflow[title]']")
-    if (titleInput) {
-      titleInput.removeEventListener("input", this.titleUpdateHandler)
-    }
+  // builder:panel-closed
+  clearCursor() {
+    this.moveCursor(null)
   }
 
-  setupStepFieldListeners() {
-    const container = this.containerElement || this.containerTarget || this.element.querySelector("[data-workflow-builder-target='container']")
-    if (!container) return
-    
-    // Debounce step field updates
-    this.stepFieldUpdateHandler = (event) => {
-      if (this.applyingRemoteChange) return
-      
-      const stepElement = event.target.closest(".step-item")
-      if (!stepElement) return
-      
-      const stepIndex = parseInt(stepElement.getAttribute("data-step-index") || "0")
-      
-      // Clear existing timer
-      if (this.stepFieldDebounceTimer) {
-        clearTimeout(this.stepFieldDebounceTimer)
-      }
-      
-      // Debounce updates (wait 500ms after last change)
-      this.stepFieldDebounceTimer = setTimeout(() => {
-        if (!this.applyingRemoteChange && this.subscription) {
-          const stepData = this.extractStepData(stepElement)
-          console.log("Collaboration: Broadcasting step update", stepIndex, stepData)
-          this.subscription.broadcastStepUpdate(stepIndex, stepData)
-        }
-      }, 500)
-    }
-    
-    container.addEventListener("input", this.stepFieldUpdateHandler)
-    
-    // Listen for title changes
-    const titleInput = this.element.querySelector("input[name='workflow[title]']")
-    if (titleInput) {
-      this.titleUpdateHandler = (event) => {
-        if (this.applyingRemoteChange) return
-        
-        if (this.titleDebounceTimer) {
-          clearTimeout(this.titleDebounceTimer)
-        }
-        
-        this.titleDebounceTimer = setTimeout(() => {
-          if (!this.applyingRemoteChange && this.subscription) {
-            console.log("Collaboration: Broadcasting title update", event.target.value)
-            this.subscription.broadcastMetadataUpdate("title", event.target.value)
-          }
-        }, 500)
-      }
-      
-      titleInput.addEventListener("input", this.titleUpdateHandler)
-    }
-    
-    // Listen for description textarea changes
-    const descriptionInput = this.element.querySelector("textarea[name='workflow[description]']")
-    if (descriptionInput) {
-      this.descriptionUpdateHandler = (event) => {
-        if (this.applyingRemoteChange) return
-
-        if (this.descriptionDebounceTimer) {
-          clearTimeout(this.descriptionDebounceTimer)
-        }
-
-        this.descriptionDebounceTimer = setTimeout(() => {
-          if (!this.applyingRemoteChange && this.subscription) {
-            const value = descriptionInput.value || ""
-            console.log("Collaboration: Broadcasting description update", value.length, "characters")
-            this.subscription.broadcastMetadataUpdate("description", value)
-          }
-        }, 500)
-      }
-
-      descriptionInput.addEventListener("input", this.descriptionUpdateHandler)
+  // focusin — fields carry data-step-field (canvas editor) or a step[...] name
+  focusField(event) {
+    const field = this.fieldName(event.target)
+    if (!field || !this.cursor.stepUuid) return
+
+    if (!this.confirmEdit(this.cursor.stepUuid)) {
+      event.target.blur()
+      return
     }
+    this.moveCursor(this.cursor.stepUuid, field)
   }
 
-  extractStepData(stepElement) {
-    if (!stepElement) return {}
-    
-    const data = {}
-    
-    const titleInput = stepElement.querySelector("input[name*='[title]']")
-    if (titleInput) data.title = titleInput.value
-    
-    const descInput = stepElement.querySelector("textarea[name*='[description]']")
-    if (descInput) data.description = descInput.value
-    
-    const typeInput = stepElement.querySelector("input[name*='[type]']")
-    if (typeInput) data.type = typeInput.value
-    
-    if (data.type === "question") {
-      const questionInput = stepElement.querySelector("input[name*='[question]']")
-      if (questionInput) data.question = questionInput.value
-    } else if (data.type === "action") {
-      const instructionsInput = stepElement.querySelector("textarea[name*='[instructions]']")
-      if (instructionsInput) data.instructions = instructionsInput.value
-    }
-    
-    return data
+  // focusout
+  blurField(event) {
+    if (this.fieldName(event.target)) this.moveCursor(this.cursor.stepUuid)
   }
 
-  isFromCurrentUser(user) {
-    return user && user.id === this.currentUserIdValue
+  fieldName(element) {
+    const input = element.closest?.("[data-step-field], [name^='step[']")
+    if (!input) return null
+    if (input.dataset.stepField) return input.dataset.stepField.startsWith("_") ? null : input.dataset.stepField
+
+    return input.getAttribute("name").match(/^step\[(\w+)\]/)?.[1] || null
   }
 
-  handleStepUpdate(data) {
-    this.applyingRemoteChange = true
-    const stepElement = this.findStepElement(data.step_index)
-    if (stepElement) {
-      // Update step fields with new data
-      this.updateStepFields(stepElement, data.step_data)
-      this.showUpdateIndicator(stepElement, data.user)
-    }
-    setTimeout(() => { this.applyingRemoteChange = false }, 100)
+  moveCursor(stepUuid, field = null) {
+    if (stepUuid === this.cursor.stepUuid && field === this.cursor.field) return
+    if (stepUuid !== this.cursor.stepUuid) this.confirmedSteps.clear()
+
+    this.cursor = { stepUuid, field: stepUuid ? field : null }
+    // Focus moving between two fields fires focusout then focusin; send once
+    clearTimeout(this.cursorTimer)
+    this.cursorTimer = setTimeout(() => this.sendCursor(), CURSOR_DELAY)
   }
 
-  handleStepAdded(data) {
-    this.applyingRemoteChange = true
-    // Find the workflow builder controller and trigger it to add a step
-    const container = this.containerElement || this.containerTarget || this.element.querySelector("[data-workflow-builder-target='container']")
-    if (!container) return
-    
-    const workflowBuilderElement = container.closest("[data-controller*='workflow-builder']")
-    if (workflowBuilderElement) {
-      const application = window.Stimulus
-      if (application) {
-        const controller = application.getControllerForElementAndIdentifier(workflowBuilderElement, "workflow-builder")
-        if (controller && typeof controller.buildStepHtml === 'function') {
-          // Insert the step HTML at the correct index
-          const stepHtml = controller.buildStepHtml(data.step_type, data.step_index, data.step_data || {})
-          const existingSteps = container.querySelectorAll(".step-item")
-          
-          if (data.step_index >= existingSteps.length) {
-            // Append at the end
-            container.insertAdjacentHTML("beforeend", stepHtml)
-          } else {
-            // Insert before the step at the target index
-            const targetStep = existingSteps[data.step_index]
-            if (targetStep) {
-              targetStep.insertAdjacentHTML("beforebegin", stepHtml)
-            } else {
-              container.insertAdjacentHTML("beforeend", stepHtml)
-            }
-          }
-          
-          // Update indices
-          const updateEvent = new CustomEvent("workflow:update-indices")
-          document.dispatchEvent(updateEvent)
-          
-          // Refresh dropdowns
-          if (typeof controller.refreshAllDropdowns === 'function') {
-            controller.refreshAllDropdowns()
-          }
-          
-          this.showNotification(`${data.user.name || data.user.email} added a step`, "info")
-        }
-      }
-    }
-    setTimeout(() => { this.applyingRemoteChange = false }, 100)
+  sendCursor() {
+    if (!this.connected || !this.subscription) return
+
+    this.subscription.broadcastCursor(this.cursor.stepUuid, this.cursor.field)
   }
 
-  handleStepRemoved(data) {
-    this.applyingRemoteChange = true
-    const stepElement = this.findStepElement(data.step_index)
-    if (stepElement) {
-      this.showRemoveIndicator(stepElement, data.user)
-      setTimeout(() => {
-        stepElement.remove()
-        this.updateStepIndices()
-      }, 500)
-    }
-    setTimeout(() => { this.applyingRemoteChange = false }, 600)
+  // ===========================================================================
+  // Soft lock
+  // ===========================================================================
+
+  toggleSoftLock(event) {
+    this.softLock = event.target.checked
+    localStorage.setItem(SOFT_LOCK_KEY, String(this.softLock))
   }
 
-  handleStepsReordered(data) {
-    this.applyingRemoteChange = true
-    // Apply new order to steps
-    const container = this.containerElement || this.containerTarget || this.element.querySelector("[data-workflow-builder-target='container']")
-    if (!container) return
-    const steps = Array.from(container.querySelectorAll(".step-item"))
-    
-    // Reorder steps based on new_order array
-    data.new_order.forEach((stepIndex, newPosition) => {
-      const stepElement = steps.find(step => {
-        const indexInput = step.querySelector("input[name*='[index]']")
-        return indexInput && parseInt(indexInput.value) === stepIndex
+  // Ask once per step visit; declining leaves the step to the other person
+  confirmEdit(stepUuid) {
+    if (!this.softLock || this.confirmedSteps.has(stepUuid)) return true
+
+    const holders = this.otherUsers().filter(user => user.step_uuid === stepUuid)
+    if (holders.length === 0) return true
+
+    const names = holders.map(user => this.displayName(user)).join(", ")
+    if (!confirm(`${names} ${holders.length === 1 ? "has" : "have"} this step open. Edit it anyway?`)) return false
+
+    this.confirmedSteps.add(stepUuid)
+    return true
+  }
+
+  // ===========================================================================
+  // Remote cursors
+  // ===========================================================================
+
+  decorateCursors() {
+    this.element.querySelectorAll(".collab-cursor").forEach(element => {
+      element.classList.remove("collab-cursor")
+      element.style.removeProperty("--collab-hue")
+      element.querySelector(":scope > .collab-cursor__label")?.remove()
+    })
+
+    const holders = new Map()
+    this.otherUsers().forEach(user => {
+      if (!user.step_uuid) return
+      if (!holders.has(user.step_uuid)) holders.set(user.step_uuid, [])
+      holders.get(user.step_uuid).push(user)
+    })
+
+    holders.forEach((users, uuid) => {
+      this.findStepElements(uuid).forEach(element => {
+        element.classList.add("collab-cursor")
+        element.style.setProperty("--collab-hue", this.userHue(users[0]))
+        element.appendChild(this.cursorLabel(users))
       })
-      if (stepElement) {
-        container.insertBefore(stepElement, container.children[newPosition])
-      }
     })
-    
-    this.updateStepIndices()
-    setTimeout(() => { this.applyingRemoteChange = false }, 100)
   }
 
-  handleMetadataUpdate(data) {
-    this.applyingRemoteChange = true
-    const field = data.field
-    const value = data.value
-    
-    console.log("Collaboration: Handling metadata update", field, value)
-    
-    if (field === "title") {
-      const titleInput = this.element.querySelector("input[name='workflow[title]']")
-      if (titleInput && titleInput.value !== value) {
-        titleInput.value = value
-        // Dispatch event with remoteUpdate flag
-        const customEvent = new CustomEvent("input", { 
-          bubbles: true,
-          detail: { remoteUpdate: true }
-        })
-        titleInput.dispatchEvent(customEvent)
-        this.showUpdateIndicator(titleInput.closest("div"), data.user)
-      }
-    } else if (field === "description") {
-      const textarea = this.element.querySelector("textarea[name='workflow[description]']")
-      if (textarea && textarea.value !== value) {
-        textarea.value = value
-        this.showUpdateIndicator(textarea.closest("div"), data.user)
-      }
-    }
-    setTimeout(() => { this.applyingRemoteChange = false }, 100)
+  cursorLabel(users) {
+    const label = document.createElement("span")
+    label.className = "collab-cursor__label"
+    label.textContent = users.map(user => {
+      const field = user.field ? ` · ${user.field.replace(/_/g, " ")}` : ""
+      return `${this.displayName(user)}${field}`
+    }).join(", ")
+    return label
   }
 
-  handlePresenceUpdate(data) {
-    if (this.hasPresenceTarget) {
-      this.updatePresenceDisplay(data.active_users || [])
+  // Broadcast step-list updates replace the rows, so outline them again
+  handleStreamRender(event) {
+    const render = event.detail.render
+    event.detail.render = async (stream) => {
+      await render(stream)
+      this.decorateCursors()
     }
   }
 
-  findStepElement(index) {
-    const container = this.containerElement || this.containerTarget || this.element.querySelector("[data-workflow-builder-target='container']")
-    if (!container) return null
-    const steps = container.querySelectorAll(".step-item")
-    return steps[index] || null
+  userHue(user) {
+    return CURSOR_HUES[Math.abs(user.id) % CURSOR_HUES.length]
   }
 
-  updateStepFields(stepElement, stepData) {
-    // Set flag to prevent autosave from triggering during remote updates
-    this.applyingRemoteChange = true
-    
-    // Update title
-    const titleInput = stepElement.querySelector("input[name*='[title]']")
-    if (titleInput && stepData.title !== undefined) {
-      titleInput.value = stepData.title
-    }
-    
-    // Update description
-    const descInput = stepElement.querySelector("textarea[name*='[description]']")
-    if (descInput && stepData.description !== undefined) {
-      descInput.value = stepData.description
-    }
-    
-    // Update other fields based on step type
-    // This would need to be expanded based on step type
-    if (stepData.question !== undefined) {
-      const questionInput = stepElement.querySelector("input[name*='[question]']")
-      if (questionInput) questionInput.value = stepData.question
-    }
-    
-    if (stepData.instructions !== undefined) {
-      const instructionsInput = stepElement.querySelector("textarea[name*='[instructions]']")
-      if (instructionsInput) instructionsInput.value = stepData.instructions
-    }
-    
-    // Reset flag after a short delay to allow DOM updates to complete
-    setTimeout(() => {
-      this.applyingRemoteChange = false
-    }, 100)
-    
-    // Trigger change event to update previews (but not autosave)
-    const changeEvent = new Event("input", { bubbles: true })
-    stepElement.querySelectorAll("input, textarea").forEach(input => {
-      // Dispatch event but mark it so autosave can ignore it
-      const customEvent = new CustomEvent("input", { 
-        bubbles: true,
-        detail: { remoteUpdate: true }
-      })
-      input.dispatchEvent(customEvent)
-    })
+  displayName(user) {
+    return user.name || user.email || "Someone"
   }
 
-  updateStepIndices() {
-    if (!this.hasContainerTarget) return
-    const steps = this.containerTarget.querySelectorAll(".step-item")
-    steps.forEach((step, index) => {
-      const indexInput = step.querySelector("input[name*='[index]']")
-      if (indexInput) {
-        indexInput.value = index
-      }
-      step.setAttribute("data-step-index", index)
-    })
+  otherUsers() {
+    return this.activeUsers.filter(user => user.id !== this.currentUserIdValue)
+  }
+
+  // ===========================================================================
+  // Remote changes
+  // ===========================================================================
+
+  handleOperations(data) {
+    if (this.isFromCurrentUser(data.user) || !data.operations?.length) return
+
+    const stepIds = new Set(data.operations.map(op => op.step_uuid || op.step?.id).filter(Boolean))
+    // Wait a frame so re-rendered rows and nodes are in the DOM
+    requestAnimationFrame(() => stepIds.forEach(id => this.showUpdateIndicator(id)))
+
+    const name = data.user?.name || data.user?.email || "Someone"
+    const removed = data.operations.filter(op => op.op === "remove_step").length
+    showNotification(removed > 0 ? `${name} removed ${removed === 1 ? "a step" : `${removed} steps`}` : `${name} edited the workflow`, "info", { duration: 3000 })
+  }
+
+  handleMetadataUpdate(data) {
+    if (data.field !== "title") return
+
+    const titleInput = this.element.querySelector("[data-builder-target='titleInput']")
+    if (titleInput && titleInput !== document.activeElement && titleInput.value !== data.value) {
+      titleInput.value = data.value
+    }
   }
 
-  showUpdateIndicator(element, user) {
-    if (!element) return
+  handlePresenceUpdate(data) {
+    this.activeUsers = data.active_users || []
+    if (this.hasPresenceTarget) {
+      this.updatePresenceDisplay(this.activeUsers)
+    }
+    this.decorateCursors()
+  }
 
-    // Add visual indicator
-    element.classList.add("is-updated")
+  findStepElements(uuid) {
+    const id = CSS.escape(uuid)
+    return this.element.querySelectorAll(
+      `.builder__list-row[data-step-uuid="${id}"], .flow-diagram .flowchart-node[data-step-id="${id}"], .ve-node[data-step-id="${id}"]`
+    )
+  }
 
-    setTimeout(() => {
-      element.classList.remove("is-updated")
-    }, 2000)
-    
-    // Show a toast notification
-    this.showNotification(`${user.name || user.email} updated this step`, "info")
+  showUpdateIndicator(uuid) {
+    this.findStepElements(uuid).forEach(element => {
+      element.classList.add("is-updated")
+      setTimeout(() => element.classList.remove("is-updated"), 2000)
+    })
   }
 
-  showRemoveIndicator(element, user) {
-    if (!element) return
-    
-    element.style.transition = "opacity 0.5s"
-    element.style.opacity = "0.5"
-    
-    this.showNotification(`${user.name || user.email} removed this step`, "info")
+  isFromCurrentUser(user) {
+    return user && user.id === this.currentUserIdValue
   }
 
+  // ===========================================================================
+  // Presence
+  // ===========================================================================
+
   updatePresenceDisplay(activeUsers) {
     if (!this.hasPresenceTarget) return
-    
+
     // Filter out current user
     const otherUsers = activeUsers.filter(u => u.id !== this.currentUserIdValue)
-    
+
     if (otherUsers.length === 0) {
       this.presenceTarget.innerHTML = ""
       return
     }
-    
-    const presenceHTML = `
+
+    const softLockChecked = this.softLock ? "checked" : ""
+
+    this.presenceTarget.innerHTML = `
       <div class="collab-presence">
         <span class="collab-presence__info">
           <span class="collab-presence__dot" aria-hidden="true"></span>
-          ${otherUsers.length} ${otherUsers.length === 1 ? 'person' : 'people'} editing
+          ${otherUsers.length} ${otherUsers.length === 1 ? "person" : "people"} editing
         </span>
         <div class="collab-presence__avatars">
           ${otherUsers.map(user => `
-            <div class="collab-presence__avatar" 
-                 title="${user.name || user.email}">
-              ${(user.name || user.email).charAt(0).toUpperCase()}
+            <div class="collab-presence__avatar"
+                 style="background: oklch(0.62 0.17 ${this.userHue(user)})"
+                 title="${this.escapeHtml(user.name || user.email)}">
+              ${this.escapeHtml((user.name || user.email).charAt(0).toUpperCase())}
             </div>
           `).join("")}
         </div>
+        <label class="collab-presence__lock" title="Ask before editing a step someone else has open">
+          <input type="checkbox" data-action="change->workflow-collaboration#toggleSoftLock" ${softLockChecked}>
+          Soft lock
+        </label>
       </div>
     `
-    
-    this.presenceTarget.innerHTML = presenceHTML
   }
 
-  updateConnectionStatus(connected) {
-    // Could add a visual indicator for connection status
-    if (connected) {
-      console.log("Collaboration: Connected and ready")
-    } else {
-      console.warn("Collaboration: Disconnected")
-    }
-  }
-
-  showNotification(message, type = "info") {
-    // Create a simple toast notification
-    const notification = document.createElement("div")
-    notification.className = `toast toast--${type}`
-    notification.textContent = message
-    
-    document.body.appendChild(notification)
-    
-    setTimeout(() => {
-      notification.style.transition = "opacity 0.3s"
-      notification.style.opacity = "0"
-      setTimeout(() => notification.remove(), 300)
-    }, 3000)
-  }
-
-  // Public method to check if remote change is being applied
-  isApplyingRemoteChange() {
-    return this.applyingRemoteChange
+  escapeHtml(text) {
+    return String(text ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;")
   }
 }
-
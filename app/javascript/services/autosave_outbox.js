@@ -0,0 +1,190 @@
+/**
+ * Autosave Outbox
+ *
+ * Saves that couldn't reach the server, kept in IndexedDB so they survive a
+ * dropped connection or a closed tab. Each entry holds the latest pending
+ * state for one editor of one workflow; writing the same key again replaces
+ * the payload but keeps the entry's place in the queue, so entries replay in
+ * the order they were first made.
+ *
+ * Entry:
+ *   { workflowId, key, payload, changes, createdAt, updatedAt }
+ *
+ * Falls back to memory when IndexedDB is unavailable (e.g. private windows).
+ *
+ * Usage:
+ *   const outbox = new AutosaveOutbox(workflowId)
+ *   await outbox.put("visual-editor", snapshot, { changes: 3 })
+ *   for (const entry of await outbox.entries()) { ...replay...; await outbox.remove(entry.key) }
+ */
+
+const DB_NAME = "turboflows-autosave"
+const DB_VERSION = 1
+const STORE = "outbox"
+
+let dbPromise = null
+const memoryStore = new Map()
+// Writes run one at a time so a put never lands after a later remove
+let writes = Promise.resolve()
+
+export class AutosaveOutbox {
+  constructor(workflowId) {
+    this.workflowId = workflowId
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Object|null>}
+   */
+  async get(key) {
+    const db = await openDatabase()
+    if (!db) return memoryStore.get(this.memoryKey(key)) || null
+
+    return request(db.transaction(STORE).objectStore(STORE).get([this.workflowId, key])).then(entry => entry || null)
+  }
+
+  /**
+   * Store the pending state for `key`, replacing any earlier one.
+   * @param {string} key
+   * @param {Object} payload - Must be structured-cloneable
+   * @param {Object} [options]
+   * @param {number} [options.changes] - How many edits the payload holds, for the status line
+   * @returns {Promise<Object>} The stored entry
+   */
+  put(key, payload, { changes = 1 } = {}) {
+    return serialize(() => this.write(key, payload, changes))
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  remove(key) {
+    return serialize(() => this.delete(key))
+  }
+
+  /**
+   * This workflow's entries, oldest first.
+   * @returns {Promise<Array<Object>>}
+   */
+  async entries() {
+    await writes
+    const db = await openDatabase()
+    let entries
+    if (db) {
+      const range = IDBKeyRange.bound([this.workflowId, ""], [this.workflowId, "\uffff"])
+      entries = await request(db.transaction(STORE).objectStore(STORE).getAll(range))
+    } else {
+      entries = [...memoryStore.values()].filter(entry => entry.workflowId === this.workflowId)
+    }
+    return entries.sort((a, b) => a.createdAt - b.createdAt)
+  }
+
+  /**
+   * Total edits waiting across this workflow's entries.
+   * @returns {Promise<number>}
+   */
+  async pendingChanges() {
+    const entries = await this.entries()
+    return entries.reduce((sum, entry) => sum + (entry.changes || 0), 0)
+  }
+
+  async write(key, payload, changes) {
+    const existing = await this.get(key)
+    const now = Date.now()
+    const entry = {
+      workflowId: this.workflowId,
+      key,
+      payload: structuredClone(payload),
+      changes,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    }
+
+    const db = await openDatabase()
+    if (!db) {
+      memoryStore.set(this.memoryKey(key), entry)
+      return entry
+    }
+
+    const tx = db.transaction(STORE, "readwrite")
+    tx.objectStore(STORE).put(entry)
+    await complete(tx)
+    return entry
+  }
+
+  async delete(key) {
+    const db = await openDatabase()
+    if (!db) {
+      memoryStore.delete(this.memoryKey(key))
+      return
+    }
+
+    const tx = db.transaction(STORE, "readwrite")
+    tx.objectStore(STORE).delete([this.workflowId, key])
+    await complete(tx)
+  }
+
+  memoryKey(key) {
+    return `${this.workflowId}:${key}`
+  }
+}
+
+/**
+ * Status line text, matching the workflows/_autosave_status partial.
+ * @param {number} count
+ * @returns {string}
+ */
+export function unsavedChangesLabel(count) {
+  return `${count} unsaved ${count === 1 ? "change" : "changes"}`
+}
+
+function serialize(write) {
+  const result = writes.then(write)
+  writes = result.catch(() => {})
+  return result
+}
+
+function openDatabase() {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise(resolve => {
+    if (typeof indexedDB === "undefined") {
+      resolve(null)
+      return
+    }
+
+    try {
+      const open = indexedDB.open(DB_NAME, DB_VERSION)
+      open.onupgradeneeded = () => {
+        open.result.createObjectStore(STORE, { keyPath: ["workflowId", "key"] })
+      }
+      open.onsuccess = () => resolve(open.result)
+      open.onerror = () => {
+        console.warn("[AutosaveOutbox] IndexedDB unavailable, keeping unsaved changes in memory:", open.error)
+        resolve(null)
+      }
+    } catch (e) {
+      console.warn("[AutosaveOutbox] IndexedDB unavailable, keeping unsaved changes in memory:", e)
+      resolve(null)
+    }
+  })
+  return dbPromise
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+function complete(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+export default AutosaveOutbox
@@ -1,12 +1,34 @@
 /**
  * Branch Template Service
- * Provides pre-built branch templates for common scenarios
+ * Provides pre-built branch templates for common scenarios, and the ones
+ * editors saved from a step's connections (BranchTemplate on the server).
+ *
+ * Saved templates keep their conditions and labels with placeholders:
+ * {{variable}} for the variable the branches test and {{value_1}},
+ * {{value_2}}, ... for the values it's compared with, each with the value it
+ * was saved with as its default.
+ *
+ * Usage:
+ *   await BranchTemplateService.loadSavedTemplates("/branch_templates")
+ *   BranchTemplateService.generateBranches("saved_3", "plan", [], { values: { value_1: "team" } })
+ *   // => [{ condition: "plan == 'team'", label: "If team", path: "" }, ...]
  */
+const PLACEHOLDER_PATTERN = /\{\{(variable|value_\d+)\}\}/g
+
 export class BranchTemplateService {
   /**
-   * Get all available templates
+   * Templates loaded by loadSavedTemplates
+   */
+  static savedTemplates = []
+
+  /**
+   * Get all available templates: the built-in ones, then the saved ones
    */
   static getTemplates() {
+    return [...this.getBuiltInTemplates(), ...this.savedTemplates]
+  }
+
+  static getBuiltInTemplates() {
     return [
       {
         id: 'yes_no',
@@ -118,6 +140,10 @@ export class BranchTemplateService {
       throw new Error('Variable is required')
     }
     
+    if (template.category === 'saved') {
+      return this.fillSavedTemplate(template, variable, customizations.values)
+    }
+    
     switch (templateId) {
       case 'yes_no':
         return [
@@ -205,6 +231,11 @@ export class BranchTemplateService {
         return true
       }
       
+      // Saved templates are offered whatever the variable
+      if (template.category === 'saved') {
+        return true
+      }
+      
       // Empty check works for any variable
       if (template.id === 'empty_check') {
         return true
@@ -218,5 +249,123 @@ export class BranchTemplateService {
       return false
     })
   }
+  
+  /**
+   * Load the templates saved by the current user and their groups
+   * @param {string} url - branch_templates_path
+   */
+  static async loadSavedTemplates(url) {
+    const response = await fetch(url, { headers: { 'Accept': 'application/json' } })
+    if (!response.ok) {
+      throw new Error(`Couldn't load saved templates (${response.status})`)
+    }
+    
+    const records = await response.json()
+    this.savedTemplates = records.map(record => this.savedTemplateFrom(record))
+    return this.savedTemplates
+  }
+  
+  /**
+   * Save a step's branches as a template
+   * @param {string} url - branch_templates_path
+   * @param {Object} attributes - { name, description, group_id, branches: [{ condition, label }] }
+   * @returns {Object} The new template
+   */
+  static async saveTemplate(url, attributes) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: this.requestHeaders(),
+      body: JSON.stringify({ branch_template: attributes })
+    })
+    const body = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      throw new Error((body.errors || []).join(', ') || `Couldn't save the template (${response.status})`)
+    }
+    
+    const template = this.savedTemplateFrom(body)
+    this.savedTemplates = [...this.savedTemplates, template].sort((a, b) => a.name.localeCompare(b.name))
+    return template
+  }
+  
+  /**
+   * Delete a saved template
+   * @param {string} url - branch_templates_path
+   * @param {string} templateId - e.g. "saved_3"
+   */
+  static async deleteTemplate(url, templateId) {
+    const template = this.getTemplate(templateId)
+    if (!template || template.category !== 'saved') return
+    
+    const response = await fetch(`${url}/${template.recordId}`, { method: 'DELETE', headers: this.requestHeaders() })
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}))
+      throw new Error(body.error || `Couldn't delete the template (${response.status})`)
+    }
+    
+    this.savedTemplates = this.savedTemplates.filter(saved => saved.id !== templateId)
+  }
+  
+  /**
+   * A saved template (BranchTemplatesController JSON) in the shape of the
+   * built-in ones
+   */
+  static savedTemplateFrom(record) {
+    const placeholders = record.placeholders || []
+    const sharedWith = record.group ? `shared with ${record.group}` : 'only you'
+    
+    return {
+      id: `saved_${record.id}`,
+      recordId: record.id,
+      name: record.name,
+      description: record.description || `Saved by ${record.created_by}, ${sharedWith}`,
+      icon: 'sparkles',
+      category: 'saved',
+      branches: record.branches || [],
+      variable: record.variable,
+      placeholders,
+      group: record.group,
+      deletable: record.deletable,
+      requiresVariable: false,
+      requiresOptions: false,
+      customizable: placeholders.length > 0 ? { values: placeholders } : null
+    }
+  }
+  
+  /**
+   * Fill in a saved template's placeholders
+   * @param {Object} template - A saved template
+   * @param {string} variable - Variable name
+   * @param {Object} values - Values by placeholder key; the defaults fill the rest
+   */
+  static fillSavedTemplate(template, variable, values = {}) {
+    return template.branches.map(branch => ({
+      condition: this.fillPlaceholders(branch.condition, template, variable, values, true),
+      label: this.fillPlaceholders(branch.label, template, variable, values, false),
+      path: ''
+    }))
+  }
+  
+  // In conditions, string values are quoted the way the condition language
+  // reads them back
+  static fillPlaceholders(text, template, variable, values, inCondition) {
+    return String(text || '').replace(PLACEHOLDER_PATTERN, (match, key) => {
+      if (key === 'variable') return variable
+      
+      const placeholder = template.placeholders.find(p => p.key === key)
+      if (!placeholder) return match
+      
+      const value = String(values?.[key] ?? placeholder.default)
+      if (!inCondition || placeholder.numeric) return value
+      return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+    })
+  }
+  
+  static requestHeaders() {
+    return {
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      'X-CSRF-Token': document.querySelector('meta[name="csrf-token"]')?.content
+    }
+  }
 }
 
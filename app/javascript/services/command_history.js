@@ -0,0 +1,116 @@
+/**
+ * Command History
+ *
+ * Shared undo/redo stack for the builder and the visual editor. A command is
+ * a reversible operation:
+ *
+ *   { label: "Remove step", undo: () => ..., redo: () => ... }
+ *
+ * undo/redo may return promises (e.g. when reverting means saving to the
+ * server); the history waits for them and ignores new undo/redo requests
+ * while one is running.
+ */
+
+const DEFAULT_LIMIT = 50
+
+export class CommandHistory {
+  constructor({ limit = DEFAULT_LIMIT, onChange = null } = {}) {
+    this.limit = limit
+    this.onChange = onChange
+    this.undoStack = []
+    this.redoStack = []
+    this.busy = false
+  }
+
+  get canUndo() {
+    return !this.busy && this.undoStack.length > 0
+  }
+
+  get canRedo() {
+    return !this.busy && this.redoStack.length > 0
+  }
+
+  get undoLabel() {
+    return this.undoStack[this.undoStack.length - 1]?.label || ""
+  }
+
+  get redoLabel() {
+    return this.redoStack[this.redoStack.length - 1]?.label || ""
+  }
+
+  /**
+   * Record a command that has already been applied.
+   * @param {{label: string, undo: Function, redo: Function}} command
+   */
+  record(command) {
+    this.undoStack.push(command)
+    if (this.undoStack.length > this.limit) this.undoStack.shift()
+    this.redoStack = []
+    this.notify()
+  }
+
+  /**
+   * Apply a command's redo() and record it.
+   * @param {{label: string, undo: Function, redo: Function}} command
+   */
+  async execute(command) {
+    await command.redo()
+    this.record(command)
+  }
+
+  async undo() {
+    return this.step(this.undoStack, this.redoStack, "undo")
+  }
+
+  async redo() {
+    return this.step(this.redoStack, this.undoStack, "redo")
+  }
+
+  clear() {
+    this.undoStack = []
+    this.redoStack = []
+    this.notify()
+  }
+
+  async step(from, to, direction) {
+    if (this.busy || from.length === 0) return false
+
+    const command = from.pop()
+    this.busy = true
+    this.notify()
+    try {
+      await command[direction]()
+      to.push(command)
+      return true
+    } catch (e) {
+      // Leave the command where it was so the user can retry
+      from.push(command)
+      console.error(`[CommandHistory] ${direction} failed:`, e)
+      return false
+    } finally {
+      this.busy = false
+      this.notify()
+    }
+  }
+
+  notify() {
+    this.onChange?.(this)
+  }
+}
+
+/**
+ * True when a keydown event is the undo or redo shortcut
+ * (Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, Ctrl+Y). Returns "undo", "redo" or null.
+ * @param {KeyboardEvent} event
+ * @returns {string|null}
+ */
+export function historyShortcut(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) return null
+
+  const key = event.key.toLowerCase()
+  if (key === "z") return event.shiftKey ? "redo" : "undo"
+  if (key === "y" && !event.shiftKey) return "redo"
+  return null
+}
+
+export default CommandHistory
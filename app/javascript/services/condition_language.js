@@ -0,0 +1,498 @@
+/**
+ * Condition Language
+ *
+ * Tokenizer, parser and evaluator for transition conditions. The grammar and
+ * evaluation rules mirror app/services/condition_language.rb so builder
+ * previews and scenario runs agree — change both together.
+ *
+ *   expression := or
+ *   or         := and ( "||" and )*
+ *   and        := unary ( "&&" unary )*
+ *   unary      := "!" unary | "(" expression ")" | comparison
+ *   comparison := operand ( ("==" | "!=" | "<" | "<=" | ">" | ">=" | "contains") operand
+ *                         | "in" list
+ *                         | "is" ["not"] "empty" )
+ *   operand    := identifier | string | number
+ *   list       := "[" [ literal ( "," literal )* ] "]"
+ *
+ * Evaluation rules:
+ *   - Identifiers are looked up in the results hash (exact key, then "answer"
+ *     as the last answer, then case-insensitively).
+ *   - == / != compare numerically when both sides look numeric, otherwise as
+ *     case-insensitive strings. A missing variable is never equal. A bare
+ *     word on the right that isn't a known variable is read as text.
+ *   - < <= > >= compare numerically; missing or non-numeric values count as 0.
+ *   - contains is a case-insensitive substring test (element test for arrays).
+ *   - is empty is true for missing values, blank strings and empty arrays.
+ */
+
+export class ConditionParseError extends Error {
+  constructor(message, position) {
+    super(message)
+    this.name = "ConditionParseError"
+    this.position = position
+  }
+}
+
+export const COMPARISON_OPERATORS = ["==", "!=", "<", "<=", ">", ">=", "contains"]
+
+const SYMBOLS = ["==", "!=", "<=", ">=", "&&", "||", "<", ">", "!", "(", ")", "[", "]", ","]
+const NUMERIC_PATTERN = /^\s*-?\d+(\.\d+)?\s*$/
+const LEADING_NUMBER_PATTERN = /^\s*(-?\d+(\.\d+)?)/
+
+// ============================================================================
+// Tokenizer
+// ============================================================================
+
+/**
+ * Split a condition into tokens.
+ * @param {string} source
+ * @returns {Array<{type: string, value: *, raw: string, position: number}>}
+ */
+export function tokenize(source) {
+  const text = String(source ?? "")
+  const tokens = []
+  let i = 0
+
+  while (i < text.length) {
+    const char = text[i]
+
+    if (/\s/.test(char)) {
+      i++
+      continue
+    }
+
+    if (char === "'" || char === '"') {
+      const start = i
+      let value = ""
+      i++
+      while (i < text.length && text[i] !== char) {
+        if (text[i] === "\\" && i + 1 < text.length) i++
+        value += text[i]
+        i++
+      }
+      if (i >= text.length) throw new ConditionParseError("Unterminated string", start)
+      i++
+      tokens.push({ type: "string", value, raw: text.slice(start, i), position: start })
+      continue
+    }
+
+    const number = text.slice(i).match(/^-?\d+(\.\d+)?/)
+    if (number && (char !== "-" || !endsOperand(tokens))) {
+      tokens.push({ type: "number", value: parseFloat(number[0]), raw: number[0], position: i })
+      i += number[0].length
+      continue
+    }
+
+    const word = text.slice(i).match(/^[A-Za-z_]\w*/)
+    if (word) {
+      tokens.push({ type: "identifier", value: word[0], raw: word[0], position: i })
+      i += word[0].length
+      continue
+    }
+
+    const symbol = SYMBOLS.find(s => text.startsWith(s, i))
+    if (symbol) {
+      // "===" and "=" are common mistakes; reject them instead of reading "==" "="
+      if (symbol === "==" && text[i + 2] === "=") throw new ConditionParseError("Unexpected '='", i + 2)
+      tokens.push({ type: "symbol", value: symbol, raw: symbol, position: i })
+      i += symbol.length
+      continue
+    }
+
+    throw new ConditionParseError(`Unexpected '${char}'`, i)
+  }
+
+  tokens.push({ type: "eof", value: null, raw: "", position: text.length })
+  return tokens
+}
+
+function endsOperand(tokens) {
+  const last = tokens[tokens.length - 1]
+  return last && (last.type !== "symbol" || last.value === ")" || last.value === "]")
+}
+
+// ============================================================================
+// Parser
+// ============================================================================
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens
+    this.index = 0
+  }
+
+  parse() {
+    const ast = this.parseOr()
+    this.expectEnd()
+    return ast
+  }
+
+  parseOr() {
+    let left = this.parseAnd()
+    while (this.acceptSymbol("||")) {
+      left = { type: "or", left, right: this.parseAnd() }
+    }
+    return left
+  }
+
+  parseAnd() {
+    let left = this.parseUnary()
+    while (this.acceptSymbol("&&")) {
+      left = { type: "and", left, right: this.parseUnary() }
+    }
+    return left
+  }
+
+  parseUnary() {
+    if (this.acceptSymbol("!")) return { type: "not", operand: this.parseUnary() }
+
+    if (this.acceptSymbol("(")) {
+      const expression = this.parseOr()
+      this.expectSymbol(")")
+      return expression
+    }
+
+    return this.parseComparison()
+  }
+
+  parseComparison() {
+    const left = this.parseOperand()
+    const token = this.peek()
+
+    if (token.type === "symbol" && COMPARISON_OPERATORS.includes(token.value)) {
+      this.index++
+      return { type: "compare", operator: token.value, left, right: this.parseOperand() }
+    }
+
+    if (this.acceptWord("contains")) {
+      return { type: "compare", operator: "contains", left, right: this.parseOperand() }
+    }
+
+    if (this.acceptWord("in")) {
+      return { type: "compare", operator: "in", left, right: this.parseList() }
+    }
+
+    if (this.acceptWord("is")) {
+      const negated = this.acceptWord("not")
+      if (!this.acceptWord("empty")) this.fail("Expected 'empty'")
+      return { type: "empty", negated, operand: left }
+    }
+
+    return this.fail("Expected a comparison operator")
+  }
+
+  parseOperand() {
+    const token = this.peek()
+    switch (token.type) {
+      case "identifier":
+        this.index++
+        return { type: "variable", name: token.value }
+      case "string":
+        this.index++
+        return { type: "string", value: token.value }
+      case "number":
+        this.index++
+        return { type: "number", value: token.value, raw: token.raw }
+      default:
+        return this.fail("Expected a variable or value")
+    }
+  }
+
+  parseList() {
+    this.expectSymbol("[")
+    const items = []
+    if (!this.acceptSymbol("]")) {
+      do {
+        const operand = this.parseOperand()
+        if (operand.type === "variable") this.fail("Lists may only contain values", -1)
+        items.push(operand)
+      } while (this.acceptSymbol(","))
+      this.expectSymbol("]")
+    }
+    return { type: "list", items }
+  }
+
+  peek() {
+    return this.tokens[this.index]
+  }
+
+  acceptSymbol(value) {
+    const token = this.peek()
+    if (token.type === "symbol" && token.value === value) {
+      this.index++
+      return true
+    }
+    return false
+  }
+
+  acceptWord(word) {
+    const token = this.peek()
+    if (token.type === "identifier" && token.value.toLowerCase() === word) {
+      this.index++
+      return true
+    }
+    return false
+  }
+
+  expectSymbol(value) {
+    if (!this.acceptSymbol(value)) this.fail(`Expected '${value}'`)
+  }
+
+  expectEnd() {
+    if (this.peek().type !== "eof") this.fail(`Unexpected '${this.peek().raw}'`)
+  }
+
+  fail(message, offset = 0) {
+    const token = this.tokens[Math.max(0, this.index + offset)]
+    throw new ConditionParseError(message, token.position)
+  }
+}
+
+/**
+ * Parse a condition into an AST. Throws ConditionParseError on bad syntax.
+ * @param {string} source
+ * @returns {Object}
+ */
+export function parseCondition(source) {
+  if (!String(source ?? "").trim()) throw new ConditionParseError("Condition is empty", 0)
+  return new Parser(tokenize(source)).parse()
+}
+
+/**
+ * Parse without throwing.
+ * @param {string} source
+ * @returns {{ast: Object|null, error: ConditionParseError|null}}
+ */
+export function tryParseCondition(source) {
+  try {
+    return { ast: parseCondition(source), error: null }
+  } catch (error) {
+    if (error instanceof ConditionParseError) return { ast: null, error }
+    throw error
+  }
+}
+
+export function isValidCondition(source) {
+  return tryParseCondition(source).ast !== null
+}
+
+// ============================================================================
+// Evaluator
+// ============================================================================
+
+/**
+ * Evaluate a condition (string or AST) against a results hash.
+ * Blank or invalid conditions evaluate to false.
+ * @param {string|Object} condition
+ * @param {Object} results - Variable name => value
+ * @returns {boolean}
+ */
+export function evaluateCondition(condition, results) {
+  if (!results || typeof results !== "object" || Array.isArray(results)) return false
+
+  const ast = typeof condition === "string" ? tryParseCondition(condition).ast : condition
+  if (!ast) return false
+
+  return evaluateNode(ast, results)
+}
+
+function evaluateNode(node, results) {
+  switch (node.type) {
+    case "or":
+      return evaluateNode(node.left, results) || evaluateNode(node.right, results)
+    case "and":
+      return evaluateNode(node.left, results) && evaluateNode(node.right, results)
+    case "not":
+      return !evaluateNode(node.operand, results)
+    case "empty":
+      return isBlank(operandValue(node.operand, results)) !== node.negated
+    case "compare":
+      return compare(node.operator, operandValue(node.left, results), comparedValue(node.right, results))
+    default:
+      return false
+  }
+}
+
+function operandValue(node, results) {
+  switch (node.type) {
+    case "variable": return lookupValue(node.name, results)
+    case "number": return node.raw
+    case "list": return node.items.map(item => operandValue(item, results))
+    default: return node.value
+  }
+}
+
+// Legacy conditions compare against bare words (status == active): a
+// right-hand identifier that isn't a known variable is read as text
+function comparedValue(node, results) {
+  if (node.type !== "variable") return operandValue(node, results)
+  return lookupValue(node.name, results) ?? node.name
+}
+
+function compare(operator, left, right) {
+  switch (operator) {
+    case "==": return valuesEqual(left, right)
+    case "!=": return !valuesEqual(left, right)
+    case "<": return toNumber(left) < toNumber(right)
+    case "<=": return toNumber(left) <= toNumber(right)
+    case ">": return toNumber(left) > toNumber(right)
+    case ">=": return toNumber(left) >= toNumber(right)
+    case "contains":
+      if (left == null || right == null) return false
+      if (Array.isArray(left)) return left.some(item => valuesEqual(item, right))
+      return stringify(left).toLowerCase().includes(stringify(right).toLowerCase())
+    case "in":
+      return left != null && right.some(item => valuesEqual(left, item))
+    default:
+      return false
+  }
+}
+
+function valuesEqual(left, right) {
+  if (left == null || right == null) return false
+  if (isNumeric(left) && isNumeric(right)) return toNumber(left) === toNumber(right)
+  return stringify(left).toLowerCase() === stringify(right).toLowerCase()
+}
+
+/**
+ * Resolve a variable the way ConditionEvaluator#lookup_value does.
+ * @param {string} name
+ * @param {Object} results
+ * @returns {*} The value, or null when missing
+ */
+export function lookupValue(name, results) {
+  const direct = results[name]
+  if (!isBlank(direct)) return direct
+
+  if (name.toLowerCase() === "answer") {
+    const values = Object.values(results)
+    const last = values[values.length - 1]
+    if (!isBlank(last)) return last
+  }
+
+  const key = Object.keys(results).find(k => k.toLowerCase() === name.toLowerCase())
+  return key === undefined ? null : results[key] ?? null
+}
+
+function isBlank(value) {
+  if (value == null || value === false) return true
+  if (typeof value === "string") return value.trim() === ""
+  if (Array.isArray(value)) return value.length === 0
+  if (typeof value === "object") return Object.keys(value).length === 0
+  return false
+}
+
+function isNumeric(value) {
+  return typeof value === "number" || (typeof value === "string" && NUMERIC_PATTERN.test(value))
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return value
+  const match = stringify(value).match(LEADING_NUMBER_PATTERN)
+  return match ? parseFloat(match[1]) : 0
+}
+
+function stringify(value) {
+  if (value == null) return ""
+  if (Array.isArray(value)) return value.map(stringify).join(", ")
+  return String(value)
+}
+
+// ============================================================================
+// Helpers for condition builders
+// ============================================================================
+
+/**
+ * Names of all variables referenced by a condition AST.
+ * @param {Object} ast
+ * @returns {Array<string>}
+ */
+export function conditionVariables(ast) {
+  const names = new Set()
+  const visit = (node) => {
+    if (!node) return
+    if (node.type === "variable") names.add(node.name)
+    ;[node.left, node.right, node.operand, ...(node.items || [])].forEach(visit)
+  }
+  visit(ast)
+  return [...names]
+}
+
+/**
+ * Quote a string literal for use in a condition.
+ * @param {*} value
+ * @returns {string}
+ */
+export function quoteString(value) {
+  return `'${String(value ?? "").replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`
+}
+
+/**
+ * Turn an AST back into condition source.
+ * @param {Object} ast
+ * @returns {string}
+ */
+export function formatCondition(ast) {
+  const format = (node, parentPrecedence = 0) => {
+    switch (node.type) {
+      case "or":
+      case "and": {
+        const precedence = node.type === "or" ? 1 : 2
+        const text = `${format(node.left, precedence)} ${node.type === "or" ? "||" : "&&"} ${format(node.right, precedence + 1)}`
+        return precedence < parentPrecedence ? `(${text})` : text
+      }
+      case "not":
+        return `!(${format(node.operand)})`
+      case "empty":
+        return `${format(node.operand)} is ${node.negated ? "not " : ""}empty`
+      case "compare":
+        return `${format(node.left)} ${node.operator} ${format(node.right)}`
+      case "list":
+        return `[${node.items.map(item => format(item)).join(", ")}]`
+      case "variable":
+        return node.name
+      case "number":
+        return node.raw ?? String(node.value)
+      case "string":
+        return quoteString(node.value)
+      default:
+        return ""
+    }
+  }
+  return format(ast)
+}
+
+/**
+ * Break a single "variable <op> value" condition into parts for dropdown-style
+ * builders. Returns null for anything more complex.
+ * @param {string} source
+ * @returns {{variable: string, operator: string, value: string, isNumeric: boolean}|null}
+ */
+export function simpleComparison(source) {
+  const { ast } = tryParseCondition(source)
+  if (!ast || ast.type !== "compare" || ast.operator === "in") return null
+  if (ast.left.type !== "variable" || !["string", "number"].includes(ast.right.type)) return null
+
+  return {
+    variable: ast.left.name,
+    operator: ast.operator,
+    value: ast.right.type === "number" ? ast.right.raw : ast.right.value,
+    isNumeric: ast.right.type === "number"
+  }
+}
+
+/**
+ * Build a "variable <op> value" condition. Values are quoted unless numeric
+ * is set and the value is a number.
+ * @param {string} variable
+ * @param {string} operator
+ * @param {string} value
+ * @param {Object} [options]
+ * @param {boolean} [options.numeric]
+ * @returns {string}
+ */
+export function buildComparison(variable, operator, value, { numeric = false } = {}) {
+  const literal = numeric && NUMERIC_PATTERN.test(String(value)) ? String(value).trim() : quoteString(value)
+  return `${variable} ${operator} ${literal}`
+}
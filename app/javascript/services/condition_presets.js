@@ -1,11 +1,21 @@
 // Shared condition preset builder for the visual editor's connection popover.
 // Used by ve_connection_controller (visual editor) and could be used by
-// condition_preset_controller (list editor) in the future.
+// condition_preset_controller (list editor) in the future. When the step's
+// variable has a declared type in the registry, its presets come from that.
 
-export function buildConditionPresets(step) {
+import { findVariable, variablePresets } from "services/variable_registry"
+
+export function buildConditionPresets(step, registry = []) {
   const presets = []
   const answerType = step.answer_type || "text"
   const varName = step.variable_name || "answer"
+  const declared = findVariable(registry, step.variable_name)
+
+  if (declared?.declared) {
+    presets.push(...variablePresets(declared))
+    presets.push({ displayLabel: "Default (always)", condition: "", label: "Default" })
+    return presets
+  }
 
   switch (answerType) {
     case "yes_no":
@@ -0,0 +1,267 @@
+/**
+ * Diagram Export
+ *
+ * Turns a rendered flowchart (services/flowchart_renderer.js) into files for
+ * slide decks, wiki pages and print:
+ *
+ *   - standaloneSvg copies the diagram with its stylesheet colors, fonts and
+ *     icons written onto each element, so it looks the same outside the app.
+ *   - svgToPng rasterizes that SVG (2x by default) onto a white background.
+ *   - posterHtml tiles a large diagram across printable pages, with a little
+ *     overlap and a row/column label on each page for assembly.
+ *
+ * State classes (selection, lint outlines, simulator highlights) are left
+ * out of exports.
+ *
+ * Usage:
+ *   const { svg, width, height } = standaloneSvg(element.querySelector(".flowchart-svg"))
+ *   downloadBlob(new Blob([svg], { type: "image/svg+xml" }), "refunds.svg")
+ *   downloadBlob(await svgToPng(svg, width, height), "refunds.png")
+ *   printHtml(posterHtml(svg, width, height, { title: "Refunds" }))
+ */
+
+const SVG_NS = "http://www.w3.org/2000/svg"
+
+// Presentation properties the flowchart stylesheets set
+const STYLE_PROPERTIES = [
+  "fill", "fill-opacity", "stroke", "stroke-width", "stroke-dasharray", "stroke-opacity",
+  "opacity", "color", "font-family", "font-size", "font-weight", "letter-spacing"
+]
+const COLOR_PROPERTIES = new Set(["fill", "stroke", "color"])
+const STATE_CLASS_PATTERN = /^(is-|flowchart-node--lint-)/
+const MAX_CANVAS_SIZE = 16000
+
+// Printable area of an A4 landscape page with 10mm margins, in CSS pixels
+const PAGE_WIDTH = 1047
+const PAGE_HEIGHT = 718
+const PAGE_LABEL_HEIGHT = 24
+const TILE_OVERLAP = 24
+
+/**
+ * A self-contained copy of a flowchart SVG.
+ * @param {SVGSVGElement} source - A rendered .flowchart-svg in the document
+ * @returns {{svg: string, width: number, height: number}}
+ */
+export function standaloneSvg(source) {
+  const width = Math.ceil(Number(source.getAttribute("width")) || source.getBBox().width)
+  const height = Math.ceil(Number(source.getAttribute("height")) || source.getBBox().height)
+
+  // Styles are read from a copy next to the original, so it picks up the
+  // same stylesheet rules without the original's state classes
+  const copy = source.cloneNode(true)
+  copy.querySelectorAll("[class]").forEach(element => {
+    [...element.classList].filter(name => STATE_CLASS_PATTERN.test(name)).forEach(name => element.classList.remove(name))
+  })
+  copy.querySelectorAll(".flowchart-node__lint").forEach(title => title.remove())
+  copy.style.cssText = "position: absolute; left: -100000px; top: 0; visibility: hidden;"
+  source.parentNode.appendChild(copy)
+
+  try {
+    [copy, ...copy.querySelectorAll("*")].forEach(inlineStyle)
+  } finally {
+    copy.remove()
+  }
+
+  copy.removeAttribute("style")
+  copy.removeAttribute("class")
+  copy.setAttribute("xmlns", SVG_NS)
+  copy.setAttribute("width", width)
+  copy.setAttribute("height", height)
+  copy.setAttribute("viewBox", `0 0 ${width} ${height}`)
+  copy.querySelectorAll("*").forEach(element => {
+    ["class", "tabindex", "role", "data-action", "data-builder-url-param"].forEach(name => element.removeAttribute(name))
+  })
+
+  const background = document.createElementNS(SVG_NS, "rect")
+  background.setAttribute("width", width)
+  background.setAttribute("height", height)
+  background.setAttribute("fill", "#ffffff")
+  copy.insertBefore(background, copy.querySelector("defs")?.nextSibling || copy.firstChild)
+
+  return { svg: new XMLSerializer().serializeToString(copy), width, height }
+}
+
+function inlineStyle(element) {
+  if (element.tagName.toLowerCase() === "title") return
+
+  const computed = getComputedStyle(element)
+  const declarations = STYLE_PROPERTIES.map(property => {
+    const value = computed.getPropertyValue(property)
+    if (!value || (property === "stroke-dasharray" && value === "none")) return null
+    return `${property}: ${COLOR_PROPERTIES.has(property) ? toRgb(value) : value}`
+  }).filter(Boolean)
+  element.setAttribute("style", declarations.join("; "))
+
+  // Not every SVG viewer supports text-transform
+  if (element.tagName.toLowerCase() === "text" && computed.textTransform === "uppercase") {
+    element.textContent = element.textContent.toUpperCase()
+  }
+}
+
+// The app's colors are oklch(), which many SVG viewers and slide tools don't
+// read. Painting a pixel gives the sRGB equivalent.
+const rgbCache = new Map()
+let colorContext = null
+
+function toRgb(color) {
+  if (!color.includes("(") || color.startsWith("rgb") || color.startsWith("url")) return color
+  if (rgbCache.has(color)) return rgbCache.get(color)
+
+  colorContext ||= document.createElement("canvas").getContext("2d", { willReadFrequently: true })
+  colorContext.clearRect(0, 0, 1, 1)
+  colorContext.fillStyle = color
+  colorContext.fillRect(0, 0, 1, 1)
+  const [r, g, b, a] = colorContext.getImageData(0, 0, 1, 1).data
+  const rgb = a === 255 ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${Math.round(a / 255 * 100) / 100})`
+
+  rgbCache.set(color, rgb)
+  return rgb
+}
+
+/**
+ * Rasterize a standalone SVG.
+ * @param {string} svg - From standaloneSvg
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} [options]
+ * @param {number} [options.scale=2] - Reduced for very large diagrams to stay within canvas limits
+ * @returns {Promise<Blob>} image/png
+ */
+export function svgToPng(svg, width, height, { scale = 2 } = {}) {
+  const ratio = Math.min(scale, MAX_CANVAS_SIZE / Math.max(width, height))
+  const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }))
+
+  return new Promise((resolve, reject) => {
+    const image = new Image()
+    image.onload = () => {
+      const canvas = document.createElement("canvas")
+      canvas.width = Math.round(width * ratio)
+      canvas.height = Math.round(height * ratio)
+
+      const context = canvas.getContext("2d")
+      context.fillStyle = "#ffffff"
+      context.fillRect(0, 0, canvas.width, canvas.height)
+      context.drawImage(image, 0, 0, canvas.width, canvas.height)
+      URL.revokeObjectURL(url)
+
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("Could not encode the PNG")), "image/png")
+    }
+    image.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error("Could not load the diagram SVG"))
+    }
+    image.src = url
+  })
+}
+
+/**
+ * Page tiles for printing a diagram at full size. Neighbouring tiles overlap
+ * by TILE_OVERLAP so the pages can be trimmed and taped together.
+ * @param {number} width
+ * @param {number} height
+ * @returns {Array<{x: number, y: number, width: number, height: number, row: number, column: number}>}
+ */
+export function posterTiles(width, height) {
+  const tileWidth = PAGE_WIDTH
+  const tileHeight = PAGE_HEIGHT - PAGE_LABEL_HEIGHT
+  const columns = Math.max(1, Math.ceil((width - TILE_OVERLAP) / (tileWidth - TILE_OVERLAP)))
+  const rows = Math.max(1, Math.ceil((height - TILE_OVERLAP) / (tileHeight - TILE_OVERLAP)))
+
+  const tiles = []
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      tiles.push({
+        x: column * (tileWidth - TILE_OVERLAP),
+        y: row * (tileHeight - TILE_OVERLAP),
+        width: tileWidth,
+        height: tileHeight,
+        row: row + 1,
+        column: column + 1
+      })
+    }
+  }
+  return tiles
+}
+
+/**
+ * A printable document tiling the diagram across A4 landscape pages.
+ * @param {string} svg - From standaloneSvg
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} [options]
+ * @param {string} [options.title] - Printed in each page label
+ * @returns {string} HTML
+ */
+export function posterHtml(svg, width, height, { title = "Flow diagram" } = {}) {
+  const tiles = posterTiles(width, height)
+  const rows = tiles[tiles.length - 1].row
+  const columns = tiles[tiles.length - 1].column
+  const inner = svg.replace(/^<svg[^>]*>/, "").replace(/<\/svg>\s*$/, "")
+
+  const pages = tiles.map((tile, index) => `
+    <section class="page">
+      <p class="page__label">${escapeHtml(title)} — page ${index + 1} of ${tiles.length} (row ${tile.row} of ${rows}, column ${tile.column} of ${columns})</p>
+      <svg xmlns="${SVG_NS}" width="${tile.width}" height="${tile.height}" viewBox="${tile.x} ${tile.y} ${tile.width} ${tile.height}">${inner}</svg>
+    </section>
+  `).join("")
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    @page { size: A4 landscape; margin: 10mm; }
+    body { margin: 0; font-family: sans-serif; }
+    .page { width: ${PAGE_WIDTH}px; height: ${PAGE_HEIGHT}px; overflow: hidden; break-after: page; }
+    .page:last-child { break-after: auto; }
+    .page__label { height: ${PAGE_LABEL_HEIGHT}px; margin: 0; font-size: 11px; color: #666; }
+    .page svg { display: block; outline: 1px dashed #ccc; }
+  </style>
+</head>
+<body>${pages}</body>
+</html>`
+}
+
+/**
+ * Print an HTML document from a hidden frame (no popup to block).
+ * @param {string} html
+ */
+export function printHtml(html) {
+  const frame = document.createElement("iframe")
+  frame.style.cssText = "position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;"
+  document.body.appendChild(frame)
+
+  frame.contentWindow.addEventListener("afterprint", () => setTimeout(() => frame.remove(), 0))
+  frame.contentDocument.open()
+  frame.contentDocument.write(html)
+  frame.contentDocument.close()
+  setTimeout(() => {
+    frame.contentWindow.focus()
+    frame.contentWindow.print()
+  }, 100)
+}
+
+/**
+ * Save a Blob as a file.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement("a")
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+}
@@ -0,0 +1,216 @@
+/**
+ * Flow Simulator
+ *
+ * Walks a workflow's step graph entirely in the browser, following the same
+ * rules as Scenario#process_step and StepResolver on the server: questions
+ * store their answer under the title and variable name, actions write their
+ * output fields, jumps are checked before transitions, transitions are tried
+ * in order and the unconditional one is the fallback.
+ *
+ * Nothing is saved — simulations never create Scenario records.
+ *
+ * Steps use the visual editor shape (serialize_steps_for_editor):
+ *   { id, type, title, transitions: [{ target_uuid, condition, label }], ... }
+ *
+ * Variables the flow reads but doesn't set (passed in by a parent flow, say)
+ * can be seeded with initialResults — the builder uses the registry's sample
+ * values (services/variable_registry).
+ *
+ * Usage:
+ *   const sim = new FlowSimulator({ steps, startUuid, initialResults: sampleResults(registry) })
+ *   sim.start()
+ *   sim.submit("yes")          // answer the current question
+ *   sim.submit()               // acknowledge an action/message/escalation
+ *   sim.back()
+ */
+import { evaluateCondition, isValidCondition } from "services/condition_language"
+import { interpolate } from "services/variable_interpolator"
+
+const MAX_STEPS = 500
+
+const STEP_RESULTS = {
+  action: "Action executed",
+  message: "Message displayed",
+  escalate: "Escalated",
+  resolve: "Issue resolved"
+}
+
+export class FlowSimulator {
+  constructor({ steps = [], startUuid = null, initialResults = {} } = {}) {
+    this.steps = steps
+    this.initialResults = initialResults
+    this.stepById = new Map(steps.map(step => [step.id, step]))
+    this.startUuid = this.stepById.has(startUuid) ? startUuid : steps[0]?.id || null
+    this.start()
+  }
+
+  /** Reset to the start step with only the initial results. */
+  start() {
+    this.results = { ...this.initialResults }
+    this.path = []
+    this.currentId = this.startUuid
+    this.outcome = null
+    this.error = null
+  }
+
+  get currentStep() {
+    return this.currentId ? this.stepById.get(this.currentId) || null : null
+  }
+
+  get complete() {
+    return !this.currentStep || this.outcome === "resolved"
+  }
+
+  /**
+   * Process the current step and move to the next one.
+   * @param {string} [answer] - Required for question steps
+   * @param {Object} [options]
+   * @param {boolean} [options.resolvedHere] - Resolve at an action/message step that can_resolve
+   * @returns {boolean} False when nothing was processed
+   */
+  submit(answer = null, { resolvedHere = false } = {}) {
+    const step = this.currentStep
+    if (!step || this.complete) return false
+
+    if (this.path.length >= MAX_STEPS) {
+      this.error = `Simulation exceeded ${MAX_STEPS} steps — check for a loop`
+      return false
+    }
+
+    const before = { ...this.results }
+    const entry = { stepId: step.id, title: step.title, type: step.type }
+
+    switch (step.type) {
+      case "question":
+        if (isBlankAnswer(answer)) return false
+        entry.answer = String(answer)
+        this.results[step.title] = entry.answer
+        if (step.variable_name) this.results[step.variable_name] = entry.answer
+        break
+      case "action":
+        this.results[step.title] = STEP_RESULTS.action
+        this.applyOutputFields(step)
+        break
+      case "sub_flow":
+        // Sub-flows run another workflow; the simulator stays in this one
+        entry.skipped = true
+        break
+      default:
+        if (STEP_RESULTS[step.type]) this.results[step.title] = STEP_RESULTS[step.type]
+    }
+
+    entry.resultsBefore = before
+    entry.results = { ...this.results }
+    this.path.push(entry)
+
+    if (step.type === "resolve") {
+      this.finish("resolved")
+    } else if (resolvedHere && step.can_resolve && ["action", "message"].includes(step.type)) {
+      this.finish("resolved")
+    } else {
+      if (step.type === "escalate") this.outcome = "escalated"
+      this.currentId = this.resolveNext(step)?.id || null
+      if (!this.currentId && !this.outcome) this.outcome = "completed"
+    }
+
+    return true
+  }
+
+  /** Undo the last processed step. */
+  back() {
+    const entry = this.path.pop()
+    if (!entry) return false
+
+    this.results = { ...entry.resultsBefore }
+    this.currentId = entry.stepId
+    this.outcome = this.path.some(e => e.type === "escalate") ? "escalated" : null
+    this.error = null
+    return true
+  }
+
+  /**
+   * Next step after `step` for the current results, or null at the end.
+   * Mirrors StepResolver#resolve_graph_next.
+   */
+  resolveNext(step) {
+    const transitions = (step.transitions || []).filter(t => this.stepById.has(t.target_uuid))
+    if (transitions.length === 0) return null
+
+    const jump = this.matchJump(step)
+    if (jump) return jump
+
+    for (const transition of transitions) {
+      const condition = (transition.condition || "").trim()
+      if (!condition) return this.stepById.get(transition.target_uuid)
+
+      if (isValidCondition(condition)) {
+        if (evaluateCondition(condition, this.results)) return this.stepById.get(transition.target_uuid)
+        continue
+      }
+
+      // Bare answer match ("yes" matches the answer "yes")
+      if (step.type === "question") {
+        const answer = this.results[step.variable_name] ?? this.results[step.title]
+        if (String(answer ?? "").toLowerCase() === condition.toLowerCase()) {
+          return this.stepById.get(transition.target_uuid)
+        }
+      }
+    }
+
+    const fallback = transitions.find(t => !(t.condition || "").trim())
+    return fallback ? this.stepById.get(fallback.target_uuid) : null
+  }
+
+  matchJump(step) {
+    if (!Array.isArray(step.jumps)) return null
+
+    for (const jump of step.jumps) {
+      const condition = jump?.condition
+      const target = this.stepById.get(jump?.next_step_id)
+      if (!condition || !target) continue
+
+      let matched
+      if (step.type === "question") {
+        matched = String(this.results[step.title] ?? this.results[step.variable_name] ?? "") === String(condition)
+      } else if (step.type === "action") {
+        matched = condition === "completed" || evaluateCondition(condition, this.results)
+      } else {
+        matched = evaluateCondition(condition, this.results)
+      }
+
+      if (matched) return target
+    }
+
+    return null
+  }
+
+  applyOutputFields(step) {
+    if (!Array.isArray(step.output_fields)) return
+
+    step.output_fields.forEach(field => {
+      if (!field?.name) return
+      this.results[String(field.name)] = interpolate(field.value || "", this.results)
+    })
+  }
+
+  finish(outcome) {
+    this.outcome = outcome
+    this.currentId = null
+  }
+
+  /**
+   * Interpolate {{variables}} in text using the current results.
+   * @param {string} text
+   * @param {Object} [options] - Passed to interpolate()
+   * @returns {string}
+   */
+  interpolate(text, options = {}) {
+    return interpolate(text, this.results, options)
+  }
+}
+
+function isBlankAnswer(answer) {
+  return answer == null || String(answer).trim() === ""
+}
+
+export default FlowSimulator
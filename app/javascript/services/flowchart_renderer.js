@@ -0,0 +1,348 @@
+/**
+ * Flowchart Renderer
+ *
+ * Lays out workflow steps with dagre and renders them as a standalone SVG
+ * flowchart wrapped in a `.flowchart-canvas` element.
+ *
+ * Accepts the step shape produced by template_flow_preview_controller#parseSteps:
+ * graph-mode `transitions` ({ target_uuid, condition, label }) as well as the
+ * legacy `true_path` / `false_path` / `else_path` and `branches` fields.
+ * Legacy paths may reference a step by id or by title.
+ *
+ * Edges that close a cycle are laid out against the flow and drawn as
+ * back-edges (`edge-path--back`); a step that links to itself is a loop.
+ */
+import dagre from "dagre"
+import { STEP_ICON_PATHS } from "services/icon_service"
+
+const DEFAULT_OPTIONS = {
+  compact: false,
+  nodeWidth: 200,
+  nodeHeight: 120,
+  nodeMargin: 40,
+  rankdir: "TB",
+  interactive: false,
+  startId: null
+}
+
+const LABEL_CHAR_WIDTH = 6.5
+const LABEL_HEIGHT = 18
+const TITLE_MAX_CHARS = 26
+
+// Marker ids must be unique per document: several previews can share a page,
+// and url(#id) references into a hidden modal's SVG do not render.
+let instanceCounter = 0
+
+/**
+ * Build a normalized node/edge list from parsed steps.
+ * @param {Array<Object>} steps - Steps in parseSteps() shape
+ * @param {Object} [options]
+ * @param {string} [options.startId] - Where back-edges are counted from (default: the first step)
+ * @returns {{nodes: Array<Object>, edges: Array<{from: string, to: string, label: string, condition: string, kind: string, back: boolean, loop: boolean}>}}
+ */
+export function buildFlowGraph(steps, { startId = null } = {}) {
+  const nodes = (steps || []).map((step, index) => ({
+    ...step,
+    key: String(step.id || `step-${index}`),
+    index
+  }))
+
+  const byId = new Map(nodes.filter(n => n.id).map(n => [String(n.id), n]))
+  const byTitle = new Map(nodes.filter(n => n.title).map(n => [n.title.trim().toLowerCase(), n]))
+
+  const resolve = (reference) => {
+    if (reference === undefined || reference === null || reference === "") return null
+    const ref = String(reference)
+    return byId.get(ref) || byTitle.get(ref.trim().toLowerCase()) || null
+  }
+
+  const edges = []
+  const addEdge = (from, reference, attrs) => {
+    const target = resolve(reference)
+    if (!target) return
+    edges.push({ from: from.key, to: target.key, label: attrs.label || "", condition: attrs.condition || "", kind: attrs.kind })
+  }
+
+  nodes.forEach((node, index) => {
+    if (Array.isArray(node.transitions)) {
+      node.transitions.forEach(t => {
+        addEdge(node, t.target_uuid, {
+          label: t.label || t.condition,
+          condition: t.condition,
+          kind: t.condition ? "conditional" : "default"
+        })
+      })
+      return
+    }
+
+    const before = edges.length
+
+    if (Array.isArray(node.branches)) {
+      node.branches.forEach(b => {
+        addEdge(node, b.path, {
+          label: b.label || b.condition,
+          condition: b.condition,
+          kind: b.condition ? "conditional" : "default"
+        })
+      })
+    }
+
+    addEdge(node, node.true_path, { label: "Yes", condition: node.condition, kind: "conditional" })
+    addEdge(node, node.false_path, { label: "No", condition: node.condition, kind: "conditional" })
+    addEdge(node, node.else_path, { label: "Else", kind: "default" })
+
+    // Legacy linear workflows: steps without explicit paths flow to the next step
+    if (edges.length === before && node.type !== "resolve" && nodes[index + 1]) {
+      edges.push({ from: node.key, to: nodes[index + 1].key, label: "", condition: "", kind: "default" })
+    }
+  })
+
+  markBackEdges(nodes, edges, startId)
+  return { nodes, edges }
+}
+
+// Depth-first from the start step (then any step it doesn't reach, in
+// order): an edge to a step still on the current path goes back up the flow.
+function markBackEdges(nodes, edges, startId) {
+  const outgoing = new Map(nodes.map(node => [node.key, []]))
+  edges.forEach(edge => {
+    edge.loop = edge.from === edge.to
+    edge.back = edge.loop
+    if (!edge.loop) outgoing.get(edge.from).push(edge)
+  })
+
+  const state = new Map()
+  const start = startId ? nodes.find(node => node.key === String(startId)) : null
+  const roots = start ? [start, ...nodes] : nodes
+
+  for (const root of roots) {
+    if (state.has(root.key)) continue
+
+    const stack = [{ key: root.key, next: 0 }]
+    state.set(root.key, "open")
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1]
+      const edge = outgoing.get(frame.key)[frame.next++]
+      if (!edge) {
+        state.set(frame.key, "done")
+        stack.pop()
+      } else if (state.get(edge.to) === "open") {
+        edge.back = true
+      } else if (!state.has(edge.to)) {
+        state.set(edge.to, "open")
+        stack.push({ key: edge.to, next: 0 })
+      }
+    }
+  }
+}
+
+export class FlowchartRenderer {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options }
+    this.markerPrefix = `flowchart-${++instanceCounter}`
+  }
+
+  /**
+   * Compute node positions and edge routes with dagre.
+   * @param {Array<Object>} steps
+   * @returns {{nodes: Array<Object>, edges: Array<Object>, width: number, height: number}}
+   */
+  layout(steps) {
+    const { nodes, edges } = buildFlowGraph(steps, { startId: this.options.startId })
+    const { nodeWidth, nodeHeight, nodeMargin, rankdir } = this.options
+
+    const graph = new dagre.graphlib.Graph({ multigraph: true })
+    graph.setGraph({
+      rankdir,
+      nodesep: nodeMargin,
+      ranksep: nodeMargin * 1.5,
+      edgesep: nodeMargin / 2,
+      marginx: nodeMargin / 2,
+      marginy: nodeMargin / 2
+    })
+    graph.setDefaultEdgeLabel(() => ({}))
+
+    nodes.forEach(node => graph.setNode(node.key, { width: nodeWidth, height: this.nodeBoxHeight() }))
+    // Back-edges go in reversed so dagre ranks the steps in flow order
+    edges.forEach((edge, i) => {
+      const text = this.truncate(edge.label, 18)
+      const [v, w] = this.isReversed(edge) ? [edge.to, edge.from] : [edge.from, edge.to]
+      graph.setEdge(v, w, {
+        width: text ? text.length * LABEL_CHAR_WIDTH + 12 : 0,
+        height: text ? LABEL_HEIGHT : 0,
+        labelpos: "c"
+      }, `e${i}`)
+    })
+
+    dagre.layout(graph)
+
+    const laidOutNodes = nodes.map(node => {
+      const pos = graph.node(node.key)
+      return { ...node, x: pos.x, y: pos.y, width: pos.width, height: pos.height }
+    })
+
+    const laidOutEdges = edges.map((edge, i) => {
+      const reversed = this.isReversed(edge)
+      const route = graph.edge({ v: reversed ? edge.to : edge.from, w: reversed ? edge.from : edge.to, name: `e${i}` })
+      const points = route.points || []
+      return { ...edge, points: reversed ? [...points].reverse() : points, labelX: route.x, labelY: route.y }
+    })
+
+    const size = graph.graph()
+    return {
+      nodes: laidOutNodes,
+      edges: laidOutEdges,
+      width: Math.ceil(size.width || nodeWidth),
+      height: Math.ceil(size.height || nodeHeight)
+    }
+  }
+
+  isReversed(edge) {
+    return edge.back && !edge.loop
+  }
+
+  /**
+   * Render steps to an HTML string containing the flowchart SVG.
+   * @param {Array<Object>} steps
+   * @returns {string}
+   */
+  render(steps) {
+    if (!steps || steps.length === 0) {
+      return '<p class="empty-state__text">No steps to display</p>'
+    }
+
+    const { nodes, edges, width, height } = this.layout(steps)
+    return `<div class="flowchart-canvas${this.options.compact ? " flowchart-canvas--compact" : ""}" style="width: ${width}px; height: ${height}px;">${this.renderSvg(nodes, edges, width, height)}</div>`
+  }
+
+  renderSvg(nodes, edges, width, height) {
+    const svgClass = this.options.interactive ? "flowchart-svg" : "flowchart-svg flowchart-svg--non-interactive"
+    return `<svg class="${svgClass}" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Workflow flowchart">
+      ${this.renderDefs()}
+      <g class="flowchart-edges">${edges.map(edge => this.renderEdge(edge)).join("")}</g>
+      <g class="flowchart-nodes">${nodes.map(node => this.renderNode(node)).join("")}</g>
+    </svg>`
+  }
+
+  renderDefs() {
+    return `<defs>
+      <marker id="${this.markerPrefix}-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+        <path class="edge-marker" d="M 0 0 L 10 5 L 0 10 z"/>
+      </marker>
+      <marker id="${this.markerPrefix}-arrow-conditional" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+        <path class="edge-marker edge-marker--conditional" d="M 0 0 L 10 5 L 0 10 z"/>
+      </marker>
+      <marker id="${this.markerPrefix}-arrow-back" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+        <path class="edge-marker edge-marker--back" d="M 0 0 L 10 5 L 0 10 z"/>
+      </marker>
+    </defs>`
+  }
+
+  renderEdge(edge) {
+    if (edge.points.length === 0) return ""
+
+    const d = this.pathFromPoints(edge.points)
+    const marker = edge.back
+      ? `${this.markerPrefix}-arrow-back`
+      : edge.kind === "conditional" ? `${this.markerPrefix}-arrow-conditional` : `${this.markerPrefix}-arrow`
+    const label = this.truncate(edge.label, 18)
+    const title = [edge.condition || edge.label, edge.loop ? "Loops to itself" : edge.back ? "Loops back" : ""]
+      .filter(Boolean).join(" — ")
+    const groupClass = edge.loop ? " edge-group--loop" : edge.back ? " edge-group--back" : ""
+
+    let labelSvg = ""
+    if (label && edge.labelX !== undefined) {
+      const w = label.length * LABEL_CHAR_WIDTH + 12
+      labelSvg = `<g class="edge-label" transform="translate(${edge.labelX - w / 2}, ${edge.labelY - LABEL_HEIGHT / 2})">
+        <rect width="${w}" height="${LABEL_HEIGHT}" rx="9"/>
+        <text x="${w / 2}" y="${LABEL_HEIGHT / 2 + 4}" text-anchor="middle">${this.escapeHtml(label)}</text>
+      </g>`
+    }
+
+    return `<g class="edge-group${groupClass}" data-edge-from="${this.escapeHtml(edge.from)}" data-edge-to="${this.escapeHtml(edge.to)}">
+      ${title ? `<title>${this.escapeHtml(title)}</title>` : ""}
+      <path class="edge-path edge-path--${edge.kind}${edge.back ? " edge-path--back" : ""}" d="${d}" marker-end="url(#${marker})"/>
+      ${labelSvg}
+    </g>`
+  }
+
+  renderNode(node) {
+    const { compact } = this.options
+    const w = node.width
+    const h = node.height
+    const left = node.x - w / 2
+    const top = node.y - h / 2
+    const type = node.type || "default"
+    const iconSize = compact ? 16 : 20
+    const title = this.truncate(node.title, compact ? 14 : TITLE_MAX_CHARS)
+
+    return `<g class="flowchart-node flowchart-node--${this.escapeHtml(type)}" data-step-id="${this.escapeHtml(node.key)}" transform="translate(${left}, ${top})">
+      <title>${this.escapeHtml(node.title || "")}</title>
+      <rect class="flowchart-node__box" width="${w}" height="${h}" rx="10"/>
+      <rect class="flowchart-node__stripe" width="6" height="${h}" rx="3"/>
+      <g class="flowchart-node__icon" transform="translate(14, ${compact ? 10 : 14}) scale(${iconSize / 24})">
+        ${this.iconPaths(type)}
+      </g>
+      <text class="flowchart-node__number" x="${w - 12}" y="${compact ? 22 : 28}" text-anchor="end">${node.index + 1}</text>
+      <text class="flowchart-node__type" x="${14 + iconSize + 6}" y="${compact ? 22 : 28}">${this.escapeHtml(this.typeLabel(type))}</text>
+      <text class="flowchart-node__title" x="14" y="${compact ? h - 14 : h / 2 + 14}">${this.escapeHtml(title)}</text>
+    </g>`
+  }
+
+  iconPaths(type) {
+    const pathData = STEP_ICON_PATHS[type] || STEP_ICON_PATHS.default
+    return pathData.split(/(?= M)/).map(d =>
+      `<path fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${d.trim()}"/>`
+    ).join("")
+  }
+
+  pathFromPoints(points) {
+    if (points.length < 3) {
+      return points.map((p, i) => `${i === 0 ? "M" : "L"} ${p.x} ${p.y}`).join(" ")
+    }
+
+    // Smooth the dagre polyline with quadratic curves through segment midpoints
+    let d = `M ${points[0].x} ${points[0].y}`
+    for (let i = 1; i < points.length - 1; i++) {
+      const midX = (points[i].x + points[i + 1].x) / 2
+      const midY = (points[i].y + points[i + 1].y) / 2
+      d += ` Q ${points[i].x} ${points[i].y} ${midX} ${midY}`
+    }
+    const last = points[points.length - 1]
+    return `${d} L ${last.x} ${last.y}`
+  }
+
+  nodeBoxHeight() {
+    // nodeHeight leaves room for the old HTML cards; the SVG node only needs a header and title line
+    return this.options.compact ? Math.min(this.options.nodeHeight, 56) : Math.min(this.options.nodeHeight, 76)
+  }
+
+  typeLabel(type) {
+    const labels = {
+      question: "Question",
+      action: "Action",
+      sub_flow: "Sub-flow",
+      message: "Message",
+      escalate: "Escalate",
+      resolve: "Resolve"
+    }
+    return labels[type] || "Step"
+  }
+
+  truncate(text, max) {
+    if (!text) return ""
+    const str = String(text)
+    return str.length > max ? `${str.slice(0, max - 1)}…` : str
+  }
+
+  escapeHtml(text) {
+    return String(text ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;")
+  }
+}
+
+export default FlowchartRenderer
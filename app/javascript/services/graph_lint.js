@@ -0,0 +1,244 @@
+/**
+ * Graph Lint
+ *
+ * Checks a workflow's step graph while it is being edited, so authors see
+ * problems before GraphValidator rejects a publish. Steps use the visual
+ * editor shape (serialize_steps_for_editor).
+ *
+ * Each problem is:
+ *   { code, severity: "error" | "warning", stepId, message }
+ *
+ * Codes:
+ *   dead_end            non-Resolve step with no outgoing transitions
+ *   unreachable         step can't be reached from the start step
+ *   trapped_cycle       step is in a loop that no transition leaves
+ *   unmatched_options   question answers that no transition handles
+ *   undefined_variable  condition reads a variable nothing sets
+ *   broken_subflow      sub-flow without a (valid) target workflow
+ */
+import { findOrphans, stronglyConnectedComponents } from "services/graph_utils"
+import { evaluateCondition, tryParseCondition } from "services/condition_language"
+
+export const SEVERITY_ORDER = { error: 0, warning: 1 }
+
+const CHOICE_ANSWER_TYPES = ["yes_no", "multiple_choice", "dropdown"]
+
+/**
+ * @param {Array<Object>} steps
+ * @param {string|null} startUuid
+ * @param {Object} [options]
+ * @param {number} [options.workflowId] - The workflow being edited (sub-flows can't target it)
+ * @param {Array<number>} [options.subflowWorkflowIds] - Sub-flow targets known to exist; skipped when omitted
+ * @returns {Array<Object>} Problems, errors first, in step order
+ */
+export function lintGraph(steps, startUuid, options = {}) {
+  if (!Array.isArray(steps) || steps.length === 0) return []
+
+  const context = {
+    steps,
+    stepById: new Map(steps.map(step => [step.id, step])),
+    startUuid: startUuid || steps[0].id,
+    options
+  }
+  const problems = [
+    ...lintDeadEnds(context),
+    ...lintUnreachable(context),
+    ...lintTrappedCycles(context),
+    ...lintUnmatchedOptions(context),
+    ...lintUndefinedVariables(context),
+    ...lintSubflows(context)
+  ]
+
+  const order = new Map(steps.map((step, index) => [step.id, index]))
+  return problems.sort((a, b) =>
+    SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || order.get(a.stepId) - order.get(b.stepId)
+  )
+}
+
+/**
+ * Group problems by step ID.
+ * @param {Array<Object>} problems
+ * @returns {Map<string, Array<Object>>}
+ */
+export function problemsByStep(problems) {
+  const grouped = new Map()
+  problems.forEach(problem => {
+    if (!grouped.has(problem.stepId)) grouped.set(problem.stepId, [])
+    grouped.get(problem.stepId).push(problem)
+  })
+  return grouped
+}
+
+function problem(step, code, severity, message) {
+  return { code, severity, stepId: step.id, message }
+}
+
+function outgoing(context, step) {
+  return (step.transitions || []).filter(t => context.stepById.has(t.target_uuid))
+}
+
+function lintDeadEnds(context) {
+  return context.steps
+    .filter(step => step.type !== "resolve" && outgoing(context, step).length === 0)
+    .map(step => problem(step, "dead_end", "warning", "Dead end: no connections and not a Resolve step"))
+}
+
+function lintUnreachable(context) {
+  if (!context.stepById.has(context.startUuid)) return []
+
+  const orphans = findOrphans(context.steps, context.startUuid)
+  return context.steps
+    .filter(step => orphans.has(step.id))
+    .map(step => problem(step, "unreachable", "warning", "Unreachable from the start step"))
+}
+
+function lintTrappedCycles(context) {
+  const problems = []
+
+  stronglyConnectedComponents(context.steps).forEach(component => {
+    const members = new Set(component)
+    const first = context.stepById.get(component[0])
+    const isCycle = component.length > 1 || outgoing(context, first).some(t => t.target_uuid === first.id)
+    if (!isCycle) return
+
+    const steps = context.steps.filter(step => members.has(step.id))
+    const exits = steps.some(step =>
+      step.type === "resolve" || outgoing(context, step).some(t => !members.has(t.target_uuid))
+    )
+    if (exits) return
+
+    const names = steps.map(step => step.title || "Untitled").join(" → ")
+    steps.forEach(step => problems.push(problem(step, "trapped_cycle", "error", `Loop with no way out: ${names}`)))
+  })
+
+  return problems
+}
+
+function lintUnmatchedOptions(context) {
+  const problems = []
+
+  context.steps.forEach(step => {
+    if (step.type !== "question" || !CHOICE_ANSWER_TYPES.includes(step.answer_type)) return
+
+    const transitions = outgoing(context, step)
+    // No transitions is a dead end; a default transition catches every answer
+    if (transitions.length === 0 || transitions.some(t => !(t.condition || "").trim())) return
+
+    const unmatched = answerOptions(step).filter(value => !answerHandled(step, transitions, value))
+    if (unmatched.length === 0) return
+
+    const list = unmatched.map(value => `“${value}”`).join(", ")
+    problems.push(problem(step, "unmatched_options", "warning",
+      `No transition for ${unmatched.length === 1 ? "answer" : "answers"} ${list}`))
+  })
+
+  return problems
+}
+
+function answerOptions(step) {
+  if (step.answer_type === "yes_no") return ["yes", "no"]
+
+  return (Array.isArray(step.options) ? step.options : [])
+    .map(option => String(option?.value || option?.label || "").trim())
+    .filter(Boolean)
+}
+
+// Same matching StepResolver applies: jumps, then full conditions, then a
+// bare condition equal to the answer
+function answerHandled(step, transitions, value) {
+  const results = { [step.title]: value }
+  if (step.variable_name) results[step.variable_name] = value
+
+  const jumps = Array.isArray(step.jumps) ? step.jumps : []
+  if (jumps.some(jump => jump?.next_step_id && String(jump.condition) === value)) return true
+
+  return transitions.some(transition => {
+    const condition = transition.condition.trim()
+    if (tryParseCondition(condition).ast) return evaluateCondition(condition, results)
+    return condition.toLowerCase() === value.toLowerCase()
+  })
+}
+
+function lintUndefinedVariables(context) {
+  const defined = definedVariables(context.steps)
+  const problems = []
+
+  context.steps.forEach(step => {
+    const conditions = (step.transitions || []).map(t => t.condition)
+    // Question jumps compare the raw answer rather than a condition
+    if (step.type !== "question" && Array.isArray(step.jumps)) {
+      step.jumps.forEach(jump => {
+        if (jump?.condition && jump.condition !== "completed") conditions.push(jump.condition)
+      })
+    }
+
+    const missing = new Set()
+    conditions.forEach(condition => {
+      const { ast } = tryParseCondition(condition || "")
+      readVariables(ast).forEach(name => {
+        if (!defined.has(name.toLowerCase())) missing.add(name)
+      })
+    })
+
+    missing.forEach(name => {
+      problems.push(problem(step, "undefined_variable", "warning", `Condition uses “${name}”, which no step sets`))
+    })
+  })
+
+  return problems
+}
+
+// Variables a condition reads. Bare words on the right of a comparison fall
+// back to text when no such variable exists, so they can't be "undefined".
+function readVariables(ast) {
+  const names = []
+  const visit = (node) => {
+    if (!node) return
+    if (node.type === "compare" && node.left.type === "variable") names.push(node.left.name)
+    if (node.type === "empty" && node.operand.type === "variable") names.push(node.operand.name)
+    ;[node.left, node.right, node.operand].forEach(visit)
+  }
+  visit(ast)
+  return names
+}
+
+// Mirrors Workflow#variables, plus the names scenarios also record results
+// under (step titles, "answer") and anything a sub-flow maps back
+function definedVariables(steps) {
+  const names = new Set(["answer"])
+  const add = name => { if (name) names.add(String(name).toLowerCase()) }
+
+  steps.forEach(step => {
+    add(step.title)
+    if (step.type === "question") add(step.variable_name)
+    if (step.type === "action" && Array.isArray(step.output_fields)) {
+      step.output_fields.forEach(field => add(field?.name))
+    }
+    if (step.type === "sub_flow" && step.variable_mapping && typeof step.variable_mapping === "object") {
+      Object.entries(step.variable_mapping).forEach(([parent, child]) => { add(parent); add(child) })
+    }
+  })
+
+  return names
+}
+
+function lintSubflows(context) {
+  const { workflowId, subflowWorkflowIds } = context.options
+  const known = Array.isArray(subflowWorkflowIds) ? new Set(subflowWorkflowIds.map(Number)) : null
+
+  return context.steps.filter(step => step.type === "sub_flow").flatMap(step => {
+    const target = step.target_workflow_id
+    if (target === null || target === undefined || target === "") {
+      return [problem(step, "broken_subflow", "error", "Sub-flow has no target workflow")]
+    }
+    if (workflowId && Number(target) === Number(workflowId)) {
+      return [problem(step, "broken_subflow", "error", "Sub-flow points at this workflow")]
+    }
+    if (known && !known.has(Number(target))) {
+      return [problem(step, "broken_subflow", "error", "Sub-flow target workflow no longer exists")]
+    }
+    return []
+  })
+}
+
+export default lintGraph
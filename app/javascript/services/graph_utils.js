@@ -51,3 +51,69 @@ export function findOrphans(steps, startUuid) {
   }
   return orphans
 }
+
+/**
+ * Strongly connected components (Tarjan). Every step appears in exactly one
+ * component; a component with more than one step, or a step that links to
+ * itself, is a cycle.
+ * @param {Array<{id: string, transitions: Array<{target_uuid: string}>}>} steps
+ * @returns {Array<Array<string>>} Components as arrays of step IDs
+ */
+export function stronglyConnectedComponents(steps) {
+  const stepById = new Map((steps || []).map(s => [s.id, s]))
+  const index = new Map()
+  const lowLink = new Map()
+  const onStack = new Set()
+  const stack = []
+  const components = []
+  let counter = 0
+
+  // Iterative DFS so long chains of steps can't overflow the call stack
+  for (const root of stepById.keys()) {
+    if (index.has(root)) continue
+
+    const work = [{ id: root, next: 0 }]
+    index.set(root, counter)
+    lowLink.set(root, counter++)
+    stack.push(root)
+    onStack.add(root)
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1]
+      const targets = (stepById.get(frame.id).transitions || [])
+        .map(t => t.target_uuid)
+        .filter(id => stepById.has(id))
+
+      if (frame.next < targets.length) {
+        const target = targets[frame.next++]
+        if (!index.has(target)) {
+          index.set(target, counter)
+          lowLink.set(target, counter++)
+          stack.push(target)
+          onStack.add(target)
+          work.push({ id: target, next: 0 })
+        } else if (onStack.has(target)) {
+          lowLink.set(frame.id, Math.min(lowLink.get(frame.id), index.get(target)))
+        }
+        continue
+      }
+
+      work.pop()
+      const parent = work[work.length - 1]
+      if (parent) lowLink.set(parent.id, Math.min(lowLink.get(parent.id), lowLink.get(frame.id)))
+
+      if (lowLink.get(frame.id) === index.get(frame.id)) {
+        const component = []
+        let id
+        do {
+          id = stack.pop()
+          onStack.delete(id)
+          component.push(id)
+        } while (id !== frame.id)
+        components.push(component)
+      }
+    }
+  }
+
+  return components
+}
@@ -28,7 +28,13 @@ export const UI_ICON_PATHS = {
   numbers:      "M7 20l4-16m2 16l4-16M6 9h14M4 15h14",
   pencil:       "M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z",
   check_circle: "M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z",
-  paperclip:    "M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13"
+  paperclip:    "M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13",
+  chat:         "M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z",
+  shield_check: "M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z",
+  arrow_right:  "M13 7l5 5m0 0l-5 5m5-5H6",
+  cursor_click: "M15 15l-2 5L9 9l11 4-5 2zm0 0l5 5M7.188 2.239l.777 2.897M5.136 7.965l-2.898-.777M13.95 4.05l-2.122 2.122m-5.657 5.656l-2.12 2.122",
+  clock:        "M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z",
+  document:     "M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
 }
 
 // Answer type icon paths (for branch assistant / template selector)
@@ -61,6 +67,17 @@ export function renderIcon(pathData, classes = "icon") {
   return `<svg class="${classes}" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">${pathElements}</svg>`
 }
 
+/**
+ * Path data for an icon by name: a UI icon, or a step type's icon.
+ * Quick actions are configured with these names (QuickAction::ICONS).
+ *
+ * @param {string} name - e.g. "chat", "clock", "escalate"
+ * @returns {string} SVG path data (the default step icon for unknown names)
+ */
+export function iconPath(name) {
+  return UI_ICON_PATHS[name] || STEP_ICON_PATHS[name] || STEP_ICON_PATHS.default
+}
+
 /**
  * Convenience wrapper: render an SVG icon for a step type.
  *
@@ -0,0 +1,238 @@
+import { load as loadYaml } from "js-yaml"
+
+/**
+ * Import Preview
+ *
+ * The browser's part of the import screen's preview. The server's
+ * import_preview endpoint parses and checks every file; what's here is:
+ *
+ *   - CSV column mapping. Columns are matched to step fields by header (the
+ *     server reads headers as lower_snake_case) and can be remapped by hand;
+ *     remapCsv rewrites the header row so the server reads the same thing.
+ *   - A first look at JSON and YAML files, so the step table fills in while
+ *     the server checks them.
+ *
+ * Usage:
+ *   const columns = readCsvColumns(text)
+ *   // => { headers, mapping, errors }
+ *   const steps = readSteps(text, importFormat(file.name))
+ *   // => { title, startId, steps: [{ id, row, type, title, transitions, issues }] } | null
+ */
+
+// Columns the CSV parser reads, with the other headers it accepts for each
+export const CSV_FIELDS = [
+  { key: "id", label: "Step ID", aliases: ["step_id"] },
+  { key: "type", label: "Type", aliases: ["step_type"] },
+  { key: "title", label: "Title", aliases: ["step_title"] },
+  { key: "description", label: "Description", aliases: ["step_description"] },
+  { key: "question", label: "Question", aliases: ["question_text"] },
+  { key: "answer_type", label: "Answer type", aliases: ["answer"] },
+  { key: "variable_name", label: "Variable", aliases: ["variable"] },
+  { key: "options", label: "Options", aliases: [] },
+  { key: "instructions", label: "Instructions", aliases: ["action"] },
+  { key: "action_type", label: "Action type", aliases: [] },
+  { key: "content", label: "Message content", aliases: ["message"] },
+  { key: "target_type", label: "Escalation target type", aliases: [] },
+  { key: "target_id", label: "Escalation target ID", aliases: [] },
+  { key: "priority", label: "Priority", aliases: [] },
+  { key: "reason", label: "Reason", aliases: [] },
+  { key: "resolution_type", label: "Resolution type", aliases: [] },
+  { key: "resolution_notes", label: "Resolution notes", aliases: ["notes"] },
+  { key: "target_workflow_id", label: "Sub-flow workflow ID", aliases: ["workflow_id"] },
+  { key: "target_workflow_title", label: "Sub-flow workflow title", aliases: [] },
+  { key: "transitions", label: "Transitions", aliases: [] },
+  { key: "workflow_title", label: "Workflow title", aliases: [] },
+  { key: "workflow_description", label: "Workflow description", aliases: [] }
+]
+
+const CSV_FIELD_KEYS = new Set(CSV_FIELDS.map(field => field.key))
+
+/**
+ * The format of a file the browser reads itself, or null when only the server
+ * reads it (Markdown, Mermaid, draw.io).
+ * @param {string} filename
+ * @returns {"json"|"csv"|"yaml"|null}
+ */
+export function importFormat(filename) {
+  const extension = String(filename).toLowerCase().match(/\.[^.]+$/)?.[0]
+  return { ".json": "json", ".csv": "csv", ".yaml": "yaml", ".yml": "yaml" }[extension] || null
+}
+
+/**
+ * The steps of a JSON or YAML workflow file, unchecked.
+ * @param {string} text - File contents
+ * @param {string} format - From importFormat
+ * @returns {Object|null} null when the file doesn't parse or isn't a single workflow
+ */
+export function readSteps(text, format) {
+  let data
+  try {
+    data = format === "yaml" ? loadYaml(text) : format === "json" ? JSON.parse(text) : null
+  } catch {
+    return null
+  }
+
+  const workflow = isObject(data?.workflow) ? data.workflow : data
+  if (!isObject(workflow) || !Array.isArray(workflow.steps)) return null
+
+  const steps = workflow.steps.filter(isObject).map((step, index) => ({
+    id: String(step.id ?? ""),
+    row: `Step ${index + 1}`,
+    type: String(step.type || "action"),
+    title: String(step.title ?? ""),
+    transitions: Array.isArray(step.transitions) ? step.transitions.filter(isObject) : [],
+    issues: []
+  }))
+  return { title: workflow.title, startId: workflow.start_node_uuid ?? steps[0]?.id, steps }
+}
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting).
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let cell = ""
+  let quoted = false
+  const source = String(text ?? "").replace(/^\uFEFF/, "")
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    if (quoted) {
+      if (char === "\"" && source[i + 1] === "\"") {
+        cell += "\""
+        i++
+      } else if (char === "\"") {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === "\"" && cell === "") {
+      quoted = true
+    } else if (char === ",") {
+      row.push(cell)
+      cell = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ""
+    } else {
+      cell += char
+    }
+  }
+
+  if (quoted) throw new Error("Unclosed quoted field")
+  if (cell !== "" || row.length > 0) rows.push([...row, cell])
+  return rows
+}
+
+// The server's header_converters: :symbol
+function headerKey(header) {
+  return String(header).toLowerCase().replace(/[^\s\w]+/g, "").trim().replace(/\s+/g, "_")
+}
+
+/**
+ * Pick a field for each column from its header: exact field names first,
+ * then the alternative names the server accepts.
+ * @param {Array<string>} headers
+ * @returns {Array<string>} A field key, or "" to ignore the column
+ */
+export function guessCsvMapping(headers) {
+  const keys = headers.map(headerKey)
+  const taken = new Set()
+  const mapping = keys.map(key => {
+    if (!CSV_FIELD_KEYS.has(key) || taken.has(key)) return ""
+
+    taken.add(key)
+    return key
+  })
+
+  keys.forEach((key, column) => {
+    if (mapping[column]) return
+
+    const field = CSV_FIELDS.find(candidate => candidate.aliases.includes(key) && !taken.has(candidate.key))
+    if (field) {
+      mapping[column] = field.key
+      taken.add(field.key)
+    }
+  })
+  return mapping
+}
+
+/**
+ * Whether the server would read the columns differently than mapped, so the
+ * file has to go up with a rewritten header row (remapCsv).
+ * @param {Array<string>} headers
+ * @param {Array<string>} mapping
+ */
+export function csvNeedsRemap(headers, mapping) {
+  return headers.some((header, column) => {
+    const key = headerKey(header)
+    return (mapping[column] || "") !== (CSV_FIELD_KEYS.has(key) ? key : "")
+  })
+}
+
+/**
+ * Rewrite the header row to the mapped field names. Unmapped columns keep
+ * their header unless the server would read it as a field.
+ * @param {string} text
+ * @param {Array<string>} mapping
+ * @returns {string}
+ */
+export function remapCsv(text, mapping) {
+  const [headers = [], ...rows] = parseCsv(text)
+  const header = headers.map((name, column) => mapping[column] || (CSV_FIELD_KEYS.has(headerKey(name)) ? "" : name))
+  return [header, ...rows].map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n"
+}
+
+function csvCell(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replaceAll("\"", "\"\"")}"` : value
+}
+
+/**
+ * The header row and the field each column maps to, with what stops the
+ * server from reading the file that way.
+ * @param {string} text
+ * @param {Array<string>} [mapping] - A field key (or "") per column; guessed when missing
+ * @returns {{ headers: Array<string>, mapping: Array<string>, errors: Array<string> }}
+ */
+export function readCsvColumns(text, mapping) {
+  let headers
+  try {
+    [headers = []] = parseCsv(text)
+  } catch (error) {
+    return { headers: [], mapping: [], errors: [`Invalid CSV format: ${error.message}`] }
+  }
+  if (headers.every(isBlank)) return { headers: [], mapping: [], errors: ["CSV file must have a header row"] }
+
+  const guessed = guessCsvMapping(headers)
+  mapping = headers.map((_, column) => mapping?.[column] ?? guessed[column])
+
+  const errors = duplicateMappings(headers, mapping)
+  const missing = ["type", "title"].filter(key => !mapping.includes(key))
+  if (missing.length > 0) errors.push(`Missing required columns: ${missing.join(", ")}`)
+  return { headers, mapping, errors }
+}
+
+function duplicateMappings(headers, mapping) {
+  return CSV_FIELDS.flatMap(field => {
+    const columns = headers.filter((_, column) => mapping[column] === field.key)
+    return columns.length > 1 ? [`${columns.map(name => `"${name}"`).join(" and ")} are both mapped to ${field.label}`] : []
+  })
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value)
+}
+
+function isBlank(value) {
+  return value == null || String(value).trim() === ""
+}
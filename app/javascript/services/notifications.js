@@ -0,0 +1,30 @@
+/**
+ * Notifications
+ *
+ * Toasts in the corner of the page (.toast in the stylesheet) that fade out
+ * on their own.
+ *
+ * Usage:
+ *   showNotification("Moved 3 steps to a new workflow.", "success")
+ *   showNotification("Someone else changed this step.", "warning", { duration: 3000 })
+ */
+
+/**
+ * @param {string} message
+ * @param {"info"|"success"|"warning"|"error"} [type]
+ * @param {Object} [options]
+ * @param {number} [options.duration] - Milliseconds before it fades out
+ */
+export function showNotification(message, type = "info", { duration = 6000 } = {}) {
+  const notification = document.createElement("div")
+  notification.className = `toast toast--${type}`
+  notification.textContent = message
+
+  document.body.appendChild(notification)
+
+  setTimeout(() => {
+    notification.style.transition = "opacity 0.3s"
+    notification.style.opacity = "0"
+    setTimeout(() => notification.remove(), 300)
+  }, duration)
+}
@@ -0,0 +1,139 @@
+import { VARIABLE_PATTERN } from "services/variable_interpolator"
+
+/**
+ * Rich Text Variables
+ *
+ * {{variable}} support for Lexxy editors (step instructions, message content,
+ * escalation notes):
+ *
+ *   - tokenizeVariables turns every complete {{name}} into a Lexical "token"
+ *     text node, which is selected and deleted as a whole and can't be edited
+ *     in the middle. Tokens are still plain text, so the saved HTML keeps
+ *     {{name}} and the server interpolates it like any other text. Tokens get
+ *     the variable-token class in the editor only.
+ *   - caretVariableQuery finds an unfinished "{{na" just before the caret.
+ *   - insertVariable replaces that with a {{name}} token through Lexxy's
+ *     contents API, as its own prompts do, so undo works.
+ *
+ * Only {{name}} without spaces counts, as in VariableInterpolator on the
+ * server.
+ *
+ * Lexxy doesn't export Lexical, so the TextNode class is taken from a text
+ * node in the editor once it has a selection. Until then tokens are only
+ * marked, not made whole.
+ *
+ * Usage:
+ *   const release = tokenizeVariables(lexxyEditor)
+ *   const query = caretVariableQuery(lexxyEditor)  // => { query: "pl", rect } or null
+ *   insertVariable(lexxyEditor, query, "plan")
+ *   release()
+ */
+
+const TOKEN_PATTERN = new RegExp(VARIABLE_PATTERN.source)
+const WHOLE_TOKEN_PATTERN = new RegExp(`^${VARIABLE_PATTERN.source}$`)
+const QUERY_PATTERN = /^\w*$/
+
+export const TOKEN_CLASS = "variable-token"
+
+/**
+ * Keep {{name}} text as token nodes while the editor is open.
+ * @param {HTMLElement} element - The lexxy-editor element (after lexxy:initialize)
+ * @returns {Function} Unregisters the transform and listener
+ */
+export function tokenizeVariables(element) {
+  const editor = element.editor
+  let releaseTransform = null
+
+  // Registering the transform runs it over the text already in the editor
+  const releaseListener = editor.registerUpdateListener(() => {
+    if (!releaseTransform) {
+      const TextNode = textNodeClass(element)
+      if (TextNode) releaseTransform = editor.registerNodeTransform(TextNode, splitVariableTokens)
+    }
+    markTokens(element)
+  })
+  markTokens(element)
+
+  return () => {
+    releaseListener()
+    releaseTransform?.()
+  }
+}
+
+// Node transform: split the first {{name}} out of a text node and make it a
+// token. Lexical runs the transform again on the remaining (dirty) parts.
+function splitVariableTokens(node) {
+  const text = node.getTextContent()
+
+  if (node.getMode() === "token") {
+    if (!WHOLE_TOKEN_PATTERN.test(text)) node.setMode("normal")
+    return
+  }
+
+  const match = TOKEN_PATTERN.exec(text)
+  if (!match) return
+
+  const start = match.index
+  const end = start + match[0].length
+  const offsets = [start, end].filter(offset => offset > 0 && offset < text.length)
+  const parts = offsets.length > 0 ? node.splitText(...offsets) : [node]
+  parts[start > 0 ? 1 : 0].setMode("token")
+}
+
+// Tokens look like chips in the editor. The class is only on the DOM, so it
+// never reaches the saved HTML.
+function markTokens(element) {
+  element?.querySelectorAll("[data-lexical-text]").forEach(span => {
+    span.classList.toggle(TOKEN_CLASS, WHOLE_TOKEN_PATTERN.test(span.textContent))
+  })
+}
+
+// The TextNode class, from any text node in the editor Lexxy's selection
+// leads to (code highlighting uses a subclass)
+function textNodeClass(element) {
+  return element.editor.getEditorState().read(() => {
+    let node = element.selection?.selectedNodeWithOffset().node
+    while (node?.getParent()) node = node.getParent()
+
+    let klass = node?.getAllTextNodes?.()[0]?.constructor
+    while (klass && klass.getType() !== "text") klass = Object.getPrototypeOf(klass)
+    return klass || null
+  })
+}
+
+/**
+ * The unfinished {{ reference the caret is in, if any.
+ * @param {HTMLElement} element - The lexxy-editor element
+ * @returns {{query: string, rect: DOMRect}|null}
+ */
+export function caretVariableQuery(element) {
+  if (!element.contents?.containsTextBackUntil("{{")) return null
+
+  const query = element.contents.textBackUntil("{{")
+  if (!QUERY_PATTERN.test(query)) return null
+
+  const selection = window.getSelection()
+  if (!selection || selection.rangeCount === 0 || !element.contains(selection.anchorNode)) return null
+
+  return { query, rect: selection.getRangeAt(0).getBoundingClientRect() }
+}
+
+/**
+ * Replace the unfinished reference with a {{name}} token.
+ * @param {HTMLElement} element - The lexxy-editor element
+ * @param {Object} query - From caretVariableQuery
+ * @param {string} name
+ * @returns {boolean} false when the text changed underneath the query
+ */
+export function insertVariable(element, query, name) {
+  const TextNode = textNodeClass(element)
+  if (!TextNode || element.contents.textBackUntil("{{") !== query.query) return false
+
+  element.focus()
+  element.editor.update(() => {
+    const token = new TextNode(`{{${name}}}`)
+    token.setMode("token")
+    element.contents.replaceTextBackUntil(`{{${query.query}`, [token])
+  })
+  return true
+}
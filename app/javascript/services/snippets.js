@@ -0,0 +1,355 @@
+/**
+ * Snippets
+ *
+ * Instruction snippets and quick actions (InstructionSnippet and QuickAction
+ * on the server) carry tab stops the cursor jumps through after insertion, as
+ * in code editors:
+ *
+ *   $1, $2, ...         an empty stop
+ *   ${1:default text}   a stop with text that is selected when reached
+ *   $0                  where the cursor ends up (the end if there's none)
+ *   \$                  a literal dollar sign
+ *
+ * {{variable}} placeholders are ordinary text here, also inside defaults.
+ *
+ * parseSnippet strips the stop markers and reports where each stop ended up.
+ * insertSnippet puts a snippet into a textarea or a Lexxy editor and returns
+ * where its stops are; a TabStops session then moves between them on Tab /
+ * Shift+Tab until the last one is reached, Escape is pressed or the field is
+ * clicked. textOffset / selectText translate between offsets in the text and
+ * the DOM of a Lexxy editor, where paragraphs and line breaks stand in for
+ * "\n".
+ *
+ * Usage:
+ *   const { text, stops } = parseSnippet("Hi ${1:there}, ticket $2.$0")
+ *   // => { text: "Hi there, ticket .", stops: [{ index: 1, start: 3, end: 8 }, { index: 2, ... }, { index: 0, ... }] }
+ *   const stops = await insertSnippet(field, content, { position: "append" })
+ *   if (stops?.length) new TabStops(field, stops).start()
+ */
+
+const STOP_PATTERN = /^\$(?:(\d+)|\{(\d+)(?::|\}))/
+const BLOCK_TAGS = new Set(["P", "DIV", "LI", "H1", "H2", "H3", "H4", "H5", "H6", "BLOCKQUOTE", "PRE"])
+
+/**
+ * @param {string} content
+ * @returns {{text: string, stops: Array<{index: number, start: number, end: number}>}}
+ *   Stops in the order Tab visits them: 1, 2, ... then 0. Without any stops
+ *   the list is empty.
+ */
+export function parseSnippet(content) {
+  const source = String(content ?? "")
+  const stops = []
+  let text = ""
+  let i = 0
+
+  while (i < source.length) {
+    if (source.startsWith("\\$", i)) {
+      text += "$"
+      i += 2
+      continue
+    }
+
+    const match = source[i] === "$" && STOP_PATTERN.exec(source.slice(i))
+    if (!match) {
+      text += source[i++]
+      continue
+    }
+
+    const index = Number(match[1] ?? match[2])
+    i += match[0].length
+    let label = ""
+    if (match[0].endsWith(":")) {
+      const end = defaultEnd(source, i)
+      label = source.slice(i, end).replace(/\\\$/g, "$")
+      i = end + 1
+    }
+
+    stops.push({ index, start: text.length, end: text.length + label.length })
+    text += label
+  }
+
+  if (stops.length > 0 && !stops.some(stop => stop.index === 0)) {
+    stops.push({ index: 0, start: text.length, end: text.length })
+  }
+  stops.sort((a, b) => (a.index || Infinity) - (b.index || Infinity) || a.start - b.start)
+
+  return { text, stops }
+}
+
+// The } that closes ${n:...}, skipping over {{variable}} placeholders
+function defaultEnd(source, from) {
+  let i = from
+  while (i < source.length) {
+    if (source.startsWith("{{", i)) {
+      const close = source.indexOf("}}", i + 2)
+      if (close !== -1) {
+        i = close + 2
+        continue
+      }
+    }
+    if (source[i] === "\\" && source[i + 1] === "$") i++
+    else if (source[i] === "}") return i
+    i++
+  }
+  return source.length
+}
+
+/**
+ * The snippet as it reads once inserted, for previews.
+ * @param {string} content
+ * @returns {string}
+ */
+export function snippetText(content) {
+  return parseSnippet(content).text
+}
+
+// The editor's text as a list of parts: text nodes, and "\n" for <br>s and
+// for the start of every block after the first. A <br> that ends its block
+// is Lexical's placeholder for an empty line (or a trailing line break's
+// partner) and doesn't count.
+function textParts(root) {
+  const parts = []
+  let blocks = 0
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT)
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (node.textContent.length > 0) parts.push({ node, text: node.textContent })
+    } else if (node.tagName === "BR") {
+      if (node.nextSibling) parts.push({ node, text: "\n" })
+    } else if (BLOCK_TAGS.has(node.tagName)) {
+      if (blocks++ > 0) parts.push({ node, text: "\n" })
+    }
+  }
+  return parts
+}
+
+/**
+ * @param {HTMLElement} root - The contenteditable element
+ * @returns {string} Its text, with the same offsets textOffset uses
+ */
+export function plainText(root) {
+  return textParts(root).map(part => part.text).join("")
+}
+
+/**
+ * Offset in plainText(root) of a DOM position inside root.
+ * @param {HTMLElement} root
+ * @param {Node} container
+ * @param {number} offset
+ * @returns {number}
+ */
+export function textOffset(root, container, offset) {
+  const point = document.createRange()
+  point.setStart(container, offset)
+  let total = 0
+
+  for (const part of textParts(root)) {
+    if (part.node === container) return total + offset
+    if (point.comparePoint(part.node, 0) > 0) break
+    total += part.text.length
+  }
+  return total
+}
+
+/**
+ * Select the text between two plainText offsets (or place the caret, when
+ * they're equal). The browser's selectionchange tells Lexical.
+ * @param {HTMLElement} root
+ * @param {number} start
+ * @param {number} end
+ */
+export function selectText(root, start, end) {
+  const parts = textParts(root)
+  const range = document.createRange()
+  const from = domPosition(root, parts, start)
+  const to = domPosition(root, parts, end)
+
+  range.setStart(from.node, from.offset)
+  range.setEnd(to.node, to.offset)
+  const selection = window.getSelection()
+  selection.removeAllRanges()
+  selection.addRange(range)
+}
+
+function domPosition(root, parts, offset) {
+  let total = 0
+
+  for (const part of parts) {
+    const length = part.text.length
+    if (part.node.nodeType === Node.TEXT_NODE && offset <= total + length) {
+      return { node: part.node, offset: Math.max(0, offset - total) }
+    }
+    // An empty block (no text node to land in) starts right after its "\n"
+    if (BLOCK_TAGS.has(part.node.tagName) && offset === total + length) return { node: part.node, offset: 0 }
+    total += length
+  }
+  return { node: root, offset: root.childNodes.length }
+}
+
+/**
+ * Insert a snippet into a textarea or a lexxy-editor element.
+ * @param {HTMLElement} field
+ * @param {string} content - Snippet source, with tab stops
+ * @param {Object} [options]
+ * @param {string} [options.position] - "append" (after a blank line), "replace",
+ *   or "cursor" (at the caret, on a line of its own)
+ * @returns {Promise<Array<{start: number, end: number}>|null>} The stops as
+ *   offsets in the field's text, or null when nothing was inserted
+ */
+export async function insertSnippet(field, content, { position = "append" } = {}) {
+  const { text, stops } = parseSnippet(content)
+  const end = isRichText(field)
+    ? await insertRichText(field, text, position)
+    : insertPlainText(field, text, position)
+  if (end === null) return null
+
+  return stops.map(stop => ({ start: end - text.length + stop.start, end: end - text.length + stop.end }))
+}
+
+// Returns the offset just past the inserted text
+function insertPlainText(textarea, text, position) {
+  const value = textarea.value
+  let before = value
+  let after = ""
+
+  if (position === "replace" || value.trim() === "") {
+    before = ""
+  } else if (position === "cursor") {
+    before = value.substring(0, textarea.selectionStart)
+    after = value.substring(textarea.selectionEnd)
+  }
+
+  const separator = before === "" || before.endsWith("\n") ? "" : position === "cursor" ? "\n" : "\n\n"
+  const trailing = after === "" || after.startsWith("\n") ? "" : "\n"
+  textarea.value = before + separator + text + trailing + after
+
+  // Trigger input event for autosave and preview
+  textarea.dispatchEvent(new Event("input", { bubbles: true }))
+  textarea.focus()
+  const end = before.length + separator.length + text.length
+  textarea.setSelectionRange(end, end)
+  return end
+}
+
+// Types the text through the browser's insertText so Lexical records it like
+// typing (undo works, lexxy:change fires for autosave)
+async function insertRichText(element, text, position) {
+  const editable = editableFor(element)
+  const current = plainText(editable)
+  const selection = window.getSelection()
+  const atCaret = position === "cursor" && selection.rangeCount > 0 && editable.contains(selection.anchorNode)
+  const replace = position === "replace" || current.trim() === ""
+  editable.focus()
+
+  let before = current
+  if (atCaret && !replace) {
+    const range = selection.getRangeAt(0)
+    before = current.slice(0, textOffset(editable, range.startContainer, range.startOffset))
+  } else {
+    const range = document.createRange()
+    range.selectNodeContents(editable)
+    if (!replace) range.collapse(false)
+    selection.removeAllRanges()
+    selection.addRange(range)
+  }
+
+  const separator = replace || before === "" || before.endsWith("\n") ? "" : position === "cursor" ? "\n" : "\n\n"
+  if (!document.execCommand("insertText", false, separator + text)) return null
+
+  // Lexical reconciles the DOM after the update
+  await new Promise(resolve => requestAnimationFrame(resolve))
+  const caret = window.getSelection()
+  return caret.rangeCount > 0 && editable.contains(caret.focusNode)
+    ? textOffset(editable, caret.focusNode, caret.focusOffset)
+    : plainText(editable).length
+}
+
+/**
+ * Tab / Shift+Tab between the stops of an inserted snippet.
+ *
+ * Whatever was typed since the last jump was typed in the current stop, so
+ * that stop grows by the change in length and the text after it shifts.
+ */
+export class TabStops {
+  /**
+   * @param {HTMLElement} field - The textarea or lexxy-editor
+   * @param {Array<{start: number, end: number}>} stops - From insertSnippet
+   */
+  constructor(field, stops) {
+    this.field = field
+    this.stops = stops.map(stop => ({ ...stop }))
+    this.current = -1
+    this.length = null
+    this.handleKeydown = this.handleKeydown.bind(this)
+    this.stop = this.stop.bind(this)
+  }
+
+  start() {
+    if (this.stops.length === 0) return
+
+    // Capture phase, ahead of Lexical and of the browser's focus change
+    this.field.addEventListener("keydown", this.handleKeydown, true)
+    this.field.addEventListener("mousedown", this.stop)
+    this.moveTo(0)
+  }
+
+  stop() {
+    this.field.removeEventListener("keydown", this.handleKeydown, true)
+    this.field.removeEventListener("mousedown", this.stop)
+  }
+
+  handleKeydown(event) {
+    // The variable autocomplete dropdown has Tab to itself while it's open
+    if (document.querySelector(".variable-autocomplete-dropdown")) return
+
+    if (event.key === "Escape") {
+      this.stop()
+    } else if (event.key === "Tab" && !event.ctrlKey && !event.altKey && !event.metaKey) {
+      event.preventDefault()
+      event.stopPropagation()
+      this.moveTo(this.current + (event.shiftKey ? -1 : 1))
+    }
+  }
+
+  moveTo(index) {
+    if (this.current >= 0) {
+      const delta = fieldText(this.field).length - this.length
+      const current = this.stops[this.current]
+      this.stops.forEach(stop => {
+        if (stop !== current && stop.start >= current.end) {
+          stop.start += delta
+          stop.end += delta
+        }
+      })
+      current.end = Math.max(current.start, current.end + delta)
+    }
+
+    this.current = Math.max(0, Math.min(index, this.stops.length - 1))
+    this.length = fieldText(this.field).length
+    const { start, end } = this.stops[this.current]
+
+    if (isRichText(this.field)) {
+      const editable = editableFor(this.field)
+      editable.focus()
+      selectText(editable, start, end)
+    } else {
+      this.field.focus()
+      this.field.setSelectionRange(start, end)
+    }
+
+    if (this.current === this.stops.length - 1) this.stop()
+  }
+}
+
+function isRichText(field) {
+  return field.tagName === "LEXXY-EDITOR"
+}
+
+function editableFor(element) {
+  return element.querySelector("[contenteditable='true']") || element
+}
+
+function fieldText(field) {
+  return isRichText(field) ? plainText(editableFor(field)) : field.value
+}
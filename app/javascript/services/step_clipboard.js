@@ -0,0 +1,155 @@
+/**
+ * Step Clipboard
+ *
+ * Copies a set of steps (visual editor shape, see serialize_steps_for_editor)
+ * with the transitions between them, and pastes them back as new steps.
+ * Transitions to steps outside the copied set can't come along; they're
+ * dropped on copy and reported on paste, so the user knows what to reconnect.
+ *
+ * The payload goes to the system clipboard as JSON, so it can be pasted in
+ * another tab or workflow. A copy also goes to localStorage, read only where
+ * the page isn't allowed to read the clipboard; anywhere else it would paste
+ * steps over whatever was copied since.
+ *
+ * Payload:
+ *   { format: "turboflows/steps", version: 1, workflowId, steps: [...],
+ *     externalReferences: [{ stepId, stepTitle, targetUuid, targetTitle, condition }] }
+ *
+ * Usage:
+ *   const payload = copySteps(steps, selectedIds, { workflowId })
+ *   writeClipboard(payload, event.clipboardData)
+ *   ...
+ *   const { steps, idMap, externalReferences } = pasteSteps(await readClipboard(event.clipboardData))
+ */
+
+export const CLIPBOARD_FORMAT = "turboflows/steps"
+const STORAGE_KEY = "turboflows:step-clipboard"
+
+/**
+ * @param {Array<Object>} steps - All steps of the workflow
+ * @param {Iterable<string>} ids - The steps to copy
+ * @param {Object} [options]
+ * @param {number} [options.workflowId]
+ * @returns {Object|null} Payload, or null when nothing matched
+ */
+export function copySteps(steps, ids, { workflowId = null } = {}) {
+  const selected = new Set(ids)
+  const byId = new Map(steps.map(step => [step.id, step]))
+  const copied = steps.filter(step => selected.has(step.id))
+  if (copied.length === 0) return null
+
+  const externalReferences = []
+  const clean = copied.map(step => {
+    const { field_versions: _versions, ...rest } = structuredClone(step)
+    rest.transitions = (rest.transitions || []).filter(t => {
+      if (selected.has(t.target_uuid)) return true
+      externalReferences.push({
+        stepId: step.id,
+        stepTitle: step.title || "Untitled",
+        targetUuid: t.target_uuid,
+        targetTitle: byId.get(t.target_uuid)?.title || "a missing step",
+        condition: t.condition || ""
+      })
+      return false
+    })
+    return rest
+  })
+
+  return { format: CLIPBOARD_FORMAT, version: 1, workflowId, steps: clean, externalReferences }
+}
+
+/**
+ * Turn a payload into new steps: every step gets a fresh UUID and
+ * target_uuids are remapped to the new ids.
+ * @param {Object} payload - From copySteps()
+ * @param {Object} [options]
+ * @param {{x: number, y: number}} [options.offset] - Added to canvas positions
+ * @returns {{steps: Array<Object>, idMap: Map<string, string>, externalReferences: Array<Object>}}
+ */
+export function pasteSteps(payload, { offset = { x: 0, y: 0 } } = {}) {
+  const idMap = new Map(payload.steps.map(step => [step.id, crypto.randomUUID()]))
+
+  const steps = payload.steps.map(step => {
+    const copy = structuredClone(step)
+    copy.id = idMap.get(step.id)
+    copy.transitions = (copy.transitions || [])
+      .filter(t => idMap.has(t.target_uuid))
+      .map(t => ({ ...t, target_uuid: idMap.get(t.target_uuid) }))
+    if (copy.position_x != null) copy.position_x += offset.x
+    if (copy.position_y != null) copy.position_y += offset.y
+    return copy
+  })
+
+  return { steps, idMap, externalReferences: payload.externalReferences || [] }
+}
+
+/**
+ * Put a payload on the clipboard. Pass the clipboardData of a copy event to
+ * write synchronously; otherwise the async Clipboard API is tried.
+ * @param {Object} payload
+ * @param {DataTransfer} [clipboardData]
+ */
+export function writeClipboard(payload, clipboardData = null) {
+  const json = JSON.stringify(payload)
+  try {
+    localStorage.setItem(STORAGE_KEY, json)
+  } catch {
+    // Storage full or disabled; the system clipboard still has it
+  }
+
+  if (clipboardData) {
+    clipboardData.setData("text/plain", json)
+  } else {
+    navigator.clipboard?.writeText(json).catch(() => {})
+  }
+}
+
+/**
+ * Read a payload from a paste event's clipboardData, or else the async
+ * Clipboard API. The last copy in this browser is only used when the
+ * clipboard can't be read. Resolves to null when the clipboard holds
+ * something else (e.g. text copied from a field).
+ * @param {DataTransfer} [clipboardData]
+ * @returns {Promise<Object|null>}
+ */
+export async function readClipboard(clipboardData = null) {
+  if (clipboardData) return parsePayload(clipboardData.getData("text/plain"))
+
+  try {
+    return parsePayload(await navigator.clipboard.readText())
+  } catch {
+    // No Clipboard API, or no permission to read it
+  }
+
+  try {
+    return parsePayload(localStorage.getItem(STORAGE_KEY))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * "2 connections to steps that weren't copied were left out: ..."
+ * @param {Array<Object>} references
+ * @returns {string}
+ */
+export function describeExternalReferences(references) {
+  if (references.length === 0) return ""
+
+  const list = references.map(ref => `“${ref.stepTitle}” → “${ref.targetTitle}”`).join(", ")
+  const count = references.length === 1 ? "1 connection" : `${references.length} connections`
+  return `${count} to steps that weren't copied ${references.length === 1 ? "was" : "were"} left out: ${list}`
+}
+
+function parsePayload(text) {
+  if (!text) return null
+  try {
+    const payload = JSON.parse(text)
+    if (payload?.format !== CLIPBOARD_FORMAT || !Array.isArray(payload.steps) || payload.steps.length === 0) return null
+    return payload
+  } catch {
+    return null
+  }
+}
+
+export default copySteps
@@ -0,0 +1,213 @@
+/**
+ * Step Fields
+ *
+ * Field definitions and form rendering for the visual editor's step
+ * inspector and step modal. Both controllers render the same form from
+ * these definitions and read edits back with readStepFields().
+ *
+ * Rich text fields (instructions, content, notes) are stored as HTML; the
+ * editor shows them as plain text and only rewrites the HTML when the text
+ * was actually changed.
+ */
+
+export const ANSWER_TYPES = [
+  ["text", "Text"],
+  ["yes_no", "Yes/No"],
+  ["multiple_choice", "Multiple Choice"],
+  ["dropdown", "Dropdown"],
+  ["date", "Date"],
+  ["number", "Number"],
+  ["file", "File Upload"]
+]
+
+export const STEP_FIELDS = {
+  question: [
+    { name: "question", label: "Question Text", kind: "text", placeholder: "What would you like to ask?" },
+    { name: "answer_type", label: "Answer Type", kind: "select", options: ANSWER_TYPES },
+    { name: "variable_name", label: "Variable Name", kind: "text", placeholder: "e.g., customer_name" },
+    { name: "options", label: "Options (one per line)", kind: "options" }
+  ],
+  action: [
+    { name: "action_type", label: "Action Type", kind: "text", placeholder: "Instruction" },
+    { name: "instructions", label: "Instructions", kind: "richtext" },
+    { name: "can_resolve", label: "Can resolve the issue", kind: "checkbox" }
+  ],
+  message: [
+    { name: "content", label: "Message", kind: "richtext" },
+    { name: "can_resolve", label: "Can resolve the issue", kind: "checkbox" }
+  ],
+  escalate: [
+    { name: "target_type", label: "Escalation Target Type", kind: "select",
+      options: [["", "Select..."], ["department", "Department"], ["supervisor", "Supervisor"], ["channel", "Channel"], ["ticket", "Ticket"]] },
+    { name: "target_value", label: "Target Name/ID", kind: "text" },
+    { name: "priority", label: "Priority", kind: "select",
+      options: [["low", "Low"], ["normal", "Normal"], ["medium", "Medium"], ["high", "High"], ["critical", "Critical"]] },
+    { name: "reason_required", label: "Require a reason for escalation", kind: "checkbox" },
+    { name: "notes", label: "Notes", kind: "richtext" }
+  ],
+  resolve: [
+    { name: "resolution_type", label: "Resolution Type", kind: "select",
+      options: [["success", "Success"], ["transfer", "Transfer"], ["ticket", "Ticket"], ["manager_escalation", "Manager Escalation"]] },
+    { name: "resolution_code", label: "Resolution Code", kind: "text" },
+    { name: "notes_required", label: "Require resolution notes", kind: "checkbox" },
+    { name: "survey_trigger", label: "Trigger customer survey", kind: "checkbox" }
+  ],
+  sub_flow: [
+    { name: "target_workflow_id", label: "Target Workflow ID", kind: "number" }
+  ]
+}
+
+/**
+ * Render the edit form for a step.
+ * @param {Object} step - Step data in editor shape
+ * @param {Object} [options]
+ * @param {boolean} [options.isStart] - Whether the step is the start node
+ * @returns {string} HTML string
+ */
+export function renderStepFields(step, { isStart = false } = {}) {
+  const fields = STEP_FIELDS[step.type] || []
+
+  return `
+    <div class="form-group">
+      <label class="form-label" for="ve-field-title">Title</label>
+      <input type="text" id="ve-field-title" class="form-input" data-step-field="title"
+             value="${escapeHtml(step.title || "")}" placeholder="Enter a descriptive title...">
+    </div>
+    ${fields.map(field => renderField(field, step)).join("")}
+    <div class="form-group">
+      <label class="flex items-center gap-2 cursor-pointer">
+        <input type="checkbox" class="form-checkbox" data-step-field="_start" ${isStart ? "checked" : ""}>
+        <span class="text-sm">Start step</span>
+      </label>
+    </div>
+  `
+}
+
+/**
+ * Read edited values back from a rendered step form.
+ * @param {Element} container - Element containing the rendered fields
+ * @param {Object} step - The step the form was rendered for
+ * @returns {{attrs: Object, isStart: boolean}}
+ */
+export function readStepFields(container, step) {
+  const attrs = {}
+  const titleInput = container.querySelector('[data-step-field="title"]')
+  if (titleInput) attrs.title = titleInput.value.trim()
+
+  for (const field of STEP_FIELDS[step.type] || []) {
+    const input = container.querySelector(`[data-step-field="${field.name}"]`)
+    if (!input) continue
+
+    switch (field.kind) {
+      case "checkbox":
+        attrs[field.name] = input.checked
+        break
+      case "number":
+        attrs[field.name] = input.value === "" ? "" : parseInt(input.value, 10)
+        break
+      case "options":
+        attrs[field.name] = input.value.split("\n").map(line => line.trim()).filter(Boolean).map(line => {
+          const [label, value] = line.split("|").map(part => part.trim())
+          return { label, value: value || label }
+        })
+        break
+      case "richtext":
+        if (input.value !== htmlToText(step[field.name])) {
+          attrs[field.name] = textToHtml(input.value)
+        }
+        break
+      default:
+        attrs[field.name] = input.value
+    }
+  }
+
+  const startInput = container.querySelector('[data-step-field="_start"]')
+  return { attrs, isStart: Boolean(startInput?.checked) }
+}
+
+/**
+ * Keep only the values that differ from the step as it was when the form
+ * opened, so saving the form doesn't write back fields a collaborator has
+ * changed in the meantime.
+ * @param {Object} attrs - From readStepFields
+ * @param {Object} original - The step the form was rendered for
+ * @returns {Object}
+ */
+export function changedStepFields(attrs, original) {
+  return Object.fromEntries(Object.entries(attrs).filter(([name, value]) =>
+    JSON.stringify(value ?? "") !== JSON.stringify(original[name] ?? "")
+  ))
+}
+
+function renderField(field, step) {
+  const id = `ve-field-${field.name}`
+  const value = step[field.name]
+
+  switch (field.kind) {
+    case "checkbox":
+      return `
+        <div class="form-group">
+          <label class="flex items-center gap-2 cursor-pointer">
+            <input type="checkbox" id="${id}" class="form-checkbox" data-step-field="${field.name}" ${value ? "checked" : ""}>
+            <span class="text-sm">${escapeHtml(field.label)}</span>
+          </label>
+        </div>`
+    case "select":
+      return `
+        <div class="form-group">
+          <label class="form-label" for="${id}">${escapeHtml(field.label)}</label>
+          <select id="${id}" class="form-select" data-step-field="${field.name}">
+            ${field.options.map(([optValue, optLabel]) =>
+              `<option value="${escapeHtml(optValue)}" ${String(value ?? "") === optValue ? "selected" : ""}>${escapeHtml(optLabel)}</option>`
+            ).join("")}
+          </select>
+        </div>`
+    case "options": {
+      const lines = (Array.isArray(value) ? value : []).map(opt => {
+        if (typeof opt !== "object" || opt === null) return String(opt)
+        return opt.value && opt.value !== opt.label ? `${opt.label}|${opt.value}` : (opt.label || opt.value || "")
+      })
+      return `
+        <div class="form-group">
+          <label class="form-label" for="${id}">${escapeHtml(field.label)}</label>
+          <textarea id="${id}" class="form-textarea" rows="3" data-step-field="${field.name}"
+                    placeholder="Label or Label|value">${escapeHtml(lines.join("\n"))}</textarea>
+        </div>`
+    }
+    case "richtext":
+      return `
+        <div class="form-group">
+          <label class="form-label" for="${id}">${escapeHtml(field.label)}</label>
+          <textarea id="${id}" class="form-textarea" rows="4" data-step-field="${field.name}">${escapeHtml(htmlToText(value))}</textarea>
+        </div>`
+    default:
+      return `
+        <div class="form-group">
+          <label class="form-label" for="${id}">${escapeHtml(field.label)}</label>
+          <input type="${field.kind === "number" ? "number" : "text"}" id="${id}" class="form-input"
+                 data-step-field="${field.name}" value="${escapeHtml(value ?? "")}"
+                 placeholder="${escapeHtml(field.placeholder || "")}">
+        </div>`
+  }
+}
+
+export function htmlToText(html) {
+  if (!html) return ""
+  const doc = new DOMParser().parseFromString(String(html).replace(/<\/(p|div|h\d|li)>|<br\s*\/?>/gi, "$&\n"), "text/html")
+  return doc.body.textContent.replace(/\n{3,}/g, "\n\n").trim()
+}
+
+function textToHtml(text) {
+  return text.split(/\n{2,}/).map(block => block.trim()).filter(Boolean)
+    .map(block => `<p>${escapeHtml(block).replace(/\n/g, "<br>")}</p>`)
+    .join("")
+}
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
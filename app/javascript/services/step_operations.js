@@ -0,0 +1,318 @@
+/**
+ * Step Operations
+ *
+ * UUID-keyed edit operations for collaborative editing — the client side of
+ * StepOperationApplier. Steps use the visual editor shape
+ * (serialize_steps_for_editor), including each step's field_versions.
+ *
+ * Operations:
+ *   { op: "set_field", step_uuid, field, value, base_version }
+ *   { op: "add_step", step, index }
+ *   { op: "remove_step", step_uuid }
+ *   { op: "reorder_steps", order: [uuid, ...] }
+ *   { op: "set_start", step_uuid }
+ *
+ * Usage:
+ *   const ops = diffSteps(saved, current, { baseStartUuid, startUuid })
+ *   const { operations, conflicts } = transformOperations(ops, remoteOps)
+ *   const { steps, startUuid } = applyOperations(steps, startUuid, operations)
+ *   const { undo, redo } = changeOperations(before, after, [uuid], { beforeStartUuid, afterStartUuid })
+ */
+
+// Fields the server versions (Step::Versioned); anything else in the step
+// JSON is display-only
+export const VERSIONED_FIELDS = [
+  "title", "position_x", "position_y", "transitions",
+  "question", "answer_type", "variable_name", "options",
+  "action_type", "can_resolve", "instructions", "output_fields", "jumps", "content",
+  "target_type", "target_value", "priority", "reason_required", "notes",
+  "resolution_type", "resolution_code", "notes_required", "survey_trigger",
+  "target_workflow_id", "variable_mapping"
+]
+
+/**
+ * Operations that turn `base` into `current`. New steps are added without
+ * their transitions, which follow as set_field operations, so a transition
+ * to another new step never arrives before its target.
+ * @param {Array<Object>} base
+ * @param {Array<Object>} current
+ * @param {Object} [options]
+ * @param {string} [options.baseStartUuid]
+ * @param {string} [options.startUuid]
+ * @returns {Array<Object>}
+ */
+export function diffSteps(base, current, { baseStartUuid = null, startUuid = null } = {}) {
+  const baseById = new Map(base.map(step => [step.id, step]))
+  const currentIds = new Set(current.map(step => step.id))
+  const removed = []
+  const added = []
+  const fields = []
+
+  base.forEach(step => {
+    if (!currentIds.has(step.id)) removed.push({ op: "remove_step", step_uuid: step.id })
+  })
+
+  current.forEach((step, index) => {
+    const before = baseById.get(step.id)
+    if (!before) {
+      const { transitions = [], field_versions, ...attrs } = step
+      added.push({ op: "add_step", step: { ...structuredClone(attrs), transitions: [] }, index })
+      if (transitions.length > 0) fields.push(setField(step.id, "transitions", transitions, 0))
+      return
+    }
+
+    VERSIONED_FIELDS.forEach(field => {
+      if (!sameValue(before[field], step[field])) {
+        fields.push(setField(step.id, field, step[field], fieldVersion(before, field)))
+      }
+    })
+  })
+
+  const operations = [...removed, ...added, ...fields]
+
+  const kept = current.filter(step => baseById.has(step.id)).map(step => step.id)
+  const baseOrder = base.filter(step => currentIds.has(step.id)).map(step => step.id)
+  if (added.length > 0 || !sameValue(kept, baseOrder)) {
+    operations.push({ op: "reorder_steps", order: current.map(step => step.id) })
+  }
+
+  if (startUuid && startUuid !== baseStartUuid) operations.push({ op: "set_start", step_uuid: startUuid })
+
+  return operations
+}
+
+/**
+ * Operations that undo and redo one change, from the steps before and after
+ * it. Only the named steps are compared, plus the transitions of steps that
+ * lead to them, so anything else that changed in between (someone else's
+ * edits) is left alone. Each set_field carries the field's version on the
+ * side it starts from, so the server turns an undo down when the field has
+ * been edited since.
+ * @param {Array<Object>} before
+ * @param {Array<Object>} after
+ * @param {Array<string>} stepUuids - The steps the change was made to
+ * @param {Object} [options]
+ * @param {string} [options.beforeStartUuid]
+ * @param {string} [options.afterStartUuid]
+ * @param {Array<string>} [options.fields] - Only compare these fields of the named steps
+ * @param {boolean} [options.order] - The change was a reorder
+ * @returns {{undo: Array<Object>, redo: Array<Object>}}
+ */
+export function changeOperations(before, after, stepUuids, { beforeStartUuid = null, afterStartUuid = null, fields = VERSIONED_FIELDS, order = false } = {}) {
+  const scope = { changed: new Set(stepUuids), fields, order }
+  return {
+    undo: scopedOperations(after, before, afterStartUuid, beforeStartUuid, scope),
+    redo: scopedOperations(before, after, beforeStartUuid, afterStartUuid, scope)
+  }
+}
+
+/**
+ * Bring the base versions of operations up to date with operations the
+ * server just applied (which come back with their new versions), so the
+ * operations that reverse them aren't turned down as stale.
+ * @param {Array<Object>} operations
+ * @param {Array<Object>} applied - From the server
+ * @returns {Array<Object>}
+ */
+export function rebaseVersions(operations, applied) {
+  const versions = new Map()
+  applied.forEach(op => {
+    if (op.op === "set_field" && op.version !== undefined) versions.set(fieldKey(op), op.version)
+    if (op.op === "add_step") {
+      Object.entries(op.step?.field_versions || {}).forEach(([field, version]) => {
+        versions.set(fieldKey({ step_uuid: op.step.id, field }), version)
+      })
+    }
+  })
+
+  return operations.map(op => (op.op === "set_field" && versions.has(fieldKey(op)) ? { ...op, base_version: versions.get(fieldKey(op)) } : op))
+}
+
+function scopedOperations(from, to, fromStartUuid, toStartUuid, { changed, fields, order }) {
+  const fromById = new Map(from.map(step => [step.id, step]))
+  const toById = new Map(to.map(step => [step.id, step]))
+  const removed = []
+  const added = []
+  const fieldOps = []
+
+  changed.forEach(id => {
+    const before = fromById.get(id)
+    const after = toById.get(id)
+    if (before && !after) {
+      removed.push({ op: "remove_step", step_uuid: id })
+    } else if (!before && after) {
+      const { transitions = [], field_versions, ...attrs } = after
+      added.push({ op: "add_step", step: { ...structuredClone(attrs), transitions: [] }, index: to.indexOf(after) })
+      if (transitions.length > 0) fieldOps.push(setField(id, "transitions", transitions, 0))
+    } else if (before && after) {
+      fields.forEach(field => {
+        if (!sameValue(before[field], after[field])) fieldOps.push(setField(id, field, after[field], fieldVersion(before, field)))
+      })
+    }
+  })
+
+  // Transitions into the changed steps, e.g. from the step a new one was
+  // added after, or into a removed step
+  to.forEach(step => {
+    const before = fromById.get(step.id)
+    if (!before || changed.has(step.id)) return
+
+    const leadsIn = [...(before.transitions || []), ...(step.transitions || [])].some(t => changed.has(t.target_uuid))
+    if (leadsIn && !sameValue(before.transitions, step.transitions)) {
+      fieldOps.push(setField(step.id, "transitions", step.transitions || [], fieldVersion(before, "transitions")))
+    }
+  })
+
+  const operations = [...removed, ...added, ...fieldOps]
+  if (order) operations.push({ op: "reorder_steps", order: to.map(step => step.id) })
+  if (toStartUuid && toStartUuid !== fromStartUuid && (changed.has(toStartUuid) || changed.has(fromStartUuid))) {
+    operations.push({ op: "set_start", step_uuid: toStartUuid })
+  }
+  return operations
+}
+
+/**
+ * Apply operations to a copy of the steps.
+ * @param {Array<Object>} steps
+ * @param {string|null} startUuid
+ * @param {Array<Object>} operations
+ * @returns {{steps: Array<Object>, startUuid: string|null}}
+ */
+export function applyOperations(steps, startUuid, operations) {
+  const state = { steps: structuredClone(steps), startUuid }
+
+  operations.forEach(op => {
+    switch (op.op) {
+      case "set_field": {
+        const step = state.steps.find(s => s.id === op.step_uuid)
+        if (!step) break
+        step[op.field] = structuredClone(op.value)
+        if (op.version !== undefined) step.field_versions = { ...step.field_versions, [op.field]: op.version }
+        break
+      }
+      case "add_step": {
+        if (state.steps.some(s => s.id === op.step.id)) break
+        const step = { ...structuredClone(op.step), transitions: structuredClone(op.step.transitions || []) }
+        state.steps.splice(Math.min(Math.max(op.index ?? state.steps.length, 0), state.steps.length), 0, step)
+        break
+      }
+      case "remove_step":
+        state.steps = state.steps.filter(s => s.id !== op.step_uuid)
+        state.steps.forEach(s => {
+          s.transitions = (s.transitions || []).filter(t => t.target_uuid !== op.step_uuid)
+        })
+        if (state.startUuid === op.step_uuid) state.startUuid = state.steps[0]?.id || null
+        break
+      case "reorder_steps": {
+        const rank = new Map((op.order || []).map((id, index) => [id, index]))
+        const unranked = state.steps.filter(s => !rank.has(s.id))
+        state.steps = [...state.steps.filter(s => rank.has(s.id)).sort((a, b) => rank.get(a.id) - rank.get(b.id)), ...unranked]
+        break
+      }
+      case "set_start":
+        if (state.steps.some(s => s.id === op.step_uuid)) state.startUuid = op.step_uuid
+        break
+    }
+  })
+
+  return state
+}
+
+/**
+ * Rebase local operations onto remote ones that reached the server first.
+ * The remote side wins where both changed the same thing, matching the
+ * server, which rejects a set_field whose field moved on since base_version.
+ * Edits to different fields of the same step both survive.
+ * @param {Array<Object>} local
+ * @param {Array<Object>} remote
+ * @returns {{operations: Array<Object>, conflicts: Array<{operation: Object, reason: string, value?: *}>}}
+ */
+export function transformOperations(local, remote) {
+  const removed = new Set(remote.filter(op => op.op === "remove_step").map(op => op.step_uuid))
+  const remoteFields = new Map(remote.filter(op => op.op === "set_field").map(op => [fieldKey(op), op]))
+  const remoteReorder = remote.some(op => op.op === "reorder_steps")
+  const remoteStart = remote.find(op => op.op === "set_start")
+  const operations = []
+  const conflicts = []
+
+  local.forEach(op => {
+    switch (op.op) {
+      case "set_field": {
+        if (removed.has(op.step_uuid)) {
+          conflicts.push({ operation: op, reason: "missing" })
+          return
+        }
+        const theirs = remoteFields.get(fieldKey(op))
+        if (theirs) {
+          if (!sameValue(theirs.value, op.value)) conflicts.push({ operation: op, reason: "conflict", value: theirs.value })
+          return
+        }
+        if (op.field === "transitions" && Array.isArray(op.value)) {
+          operations.push({ ...op, value: op.value.filter(t => !removed.has(t.target_uuid)) })
+          return
+        }
+        operations.push(op)
+        return
+      }
+      case "remove_step":
+        if (!removed.has(op.step_uuid)) operations.push(op)
+        return
+      case "reorder_steps":
+        // Order is cosmetic; keep theirs rather than report a conflict
+        if (!remoteReorder) operations.push({ ...op, order: op.order.filter(id => !removed.has(id)) })
+        return
+      case "set_start":
+        if (removed.has(op.step_uuid) || (remoteStart && remoteStart.step_uuid !== op.step_uuid)) {
+          conflicts.push({ operation: op, reason: "conflict" })
+          return
+        }
+        operations.push(op)
+        return
+      default:
+        operations.push(op)
+    }
+  })
+
+  return { operations, conflicts }
+}
+
+/**
+ * @param {Object} op - A set_field operation
+ * @returns {string} "<step uuid>:<field>"
+ */
+export function fieldKey(op) {
+  return `${op.step_uuid}:${op.field}`
+}
+
+function setField(stepUuid, field, value, baseVersion) {
+  return { op: "set_field", step_uuid: stepUuid, field, value: structuredClone(value), base_version: baseVersion }
+}
+
+function fieldVersion(step, field) {
+  return step.field_versions?.[field] || 0
+}
+
+/**
+ * Deep equality that treats null, undefined and "" alike, since the server
+ * stores blank strings as NULL.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function sameValue(a, b) {
+  if (isBlank(a) && isBlank(b)) return true
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => sameValue(item, b[i]))
+  }
+  if (a && b && typeof a === "object" && typeof b === "object") {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+    return [...keys].every(key => sameValue(a[key], b[key]))
+  }
+  return a === b
+}
+
+export function isBlank(value) {
+  return value === null || value === undefined || value === ""
+}
+
+export default diffSteps
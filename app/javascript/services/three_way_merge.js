@@ -0,0 +1,215 @@
+/**
+ * Three-Way Merge
+ *
+ * Compares two edited copies of a workflow's steps ("mine" and "theirs")
+ * against the copy both started from ("base"), for the merge conflict dialog.
+ * Steps use the visual editor shape (serialize_steps_for_editor); steps
+ * without an id (the legacy step form) are matched by position.
+ *
+ * A field changed on one side only takes that side's value. A field both
+ * sides changed differently is a conflict and defaults to theirs, as the
+ * server does for collaborative edits; the user can pick either side for
+ * any field that differs.
+ *
+ * Usage:
+ *   const merge = mergeSteps(base, mine, theirs, { baseStartUuid, mineStartUuid, theirsStartUuid })
+ *   merge.steps.filter(s => s.conflicted)       // what the dialog lists
+ *   const { steps, startUuid } = resolveMerge(merge, { [stepId]: { fields: { title: "mine" }, keep: true } })
+ */
+
+import { sameValue } from "services/step_operations"
+
+// Not compared: identity and bookkeeping
+const IGNORED_FIELDS = ["id", "field_versions"]
+
+/**
+ * @param {Array<Object>} base
+ * @param {Array<Object>} mine
+ * @param {Array<Object>} theirs
+ * @param {Object} [starts]
+ * @returns {{steps: Array<Object>, order: {mine: Array<string>, theirs: Array<string>}, start: Object}}
+ */
+export function mergeSteps(base, mine, theirs, { baseStartUuid = null, mineStartUuid = null, theirsStartUuid = null } = {}) {
+  const baseById = indexSteps(base)
+  const mineById = indexSteps(mine)
+  const theirsById = indexSteps(theirs)
+  const ids = [...new Set([...mineById.keys(), ...theirsById.keys(), ...baseById.keys()])]
+
+  const steps = ids.map(id => mergeStep(id, baseById.get(id), mineById.get(id), theirsById.get(id)))
+
+  return {
+    steps,
+    order: { mine: [...mineById.keys()], theirs: [...theirsById.keys()] },
+    start: mergeValue(baseStartUuid, mineStartUuid, theirsStartUuid)
+  }
+}
+
+/**
+ * Three-way merge of a single value.
+ * @returns {{base: *, mine: *, theirs: *, value: *, source: "both"|"mine"|"theirs", conflict: boolean}}
+ */
+export function mergeValue(base, mine, theirs) {
+  if (sameValue(mine, theirs)) return { base, mine, theirs, value: mine, source: "both", conflict: false }
+  if (sameValue(base, mine)) return { base, mine, theirs, value: theirs, source: "theirs", conflict: false }
+  if (sameValue(base, theirs)) return { base, mine, theirs, value: mine, source: "mine", conflict: false }
+  return { base, mine, theirs, value: theirs, source: "theirs", conflict: true }
+}
+
+/**
+ * Build the merged steps from the user's choices. Steps and fields without
+ * a choice keep the default from mergeSteps().
+ * @param {Object} merge - From mergeSteps()
+ * @param {Object} [choices] - { [stepId]: { keep?: boolean, fields?: { [field]: "mine"|"theirs" } } }
+ * @returns {{steps: Array<Object>, startUuid: string|null}}
+ */
+export function resolveMerge(merge, choices = {}) {
+  const kept = new Map()
+
+  merge.steps.forEach(stepMerge => {
+    const choice = choices[stepMerge.id] || {}
+    const keep = choice.keep ?? stepMerge.keep
+    if (!keep) return
+
+    if (stepMerge.kind !== "both") {
+      kept.set(stepMerge.id, structuredClone(stepMerge.mine || stepMerge.theirs))
+      return
+    }
+
+    const step = structuredClone(stepMerge.theirs)
+    stepMerge.fields.forEach(field => {
+      const side = choice.fields?.[field.field]
+      const value = side ? field[side] : field.value
+      if (value === undefined) {
+        delete step[field.field]
+      } else {
+        step[field.field] = structuredClone(value)
+      }
+    })
+    kept.set(stepMerge.id, step)
+  })
+
+  const steps = orderSteps(kept, merge.order)
+  steps.forEach(step => {
+    if (Array.isArray(step.transitions)) step.transitions = step.transitions.filter(t => kept.has(t.target_uuid))
+  })
+
+  const startUuid = [merge.start.value, merge.start.theirs, merge.start.mine, steps[0]?.id]
+    .find(id => id && kept.has(id)) || null
+
+  return { steps, startUuid }
+}
+
+/**
+ * Word-level diff for rich text fields.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: "same"|"added"|"removed", text: string}>}
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before)
+  const b = tokenize(after)
+
+  // Keep the table small; past this just show a replacement
+  if (a.length * b.length > 250000) {
+    return [{ type: "removed", text: a.join("") }, { type: "added", text: b.join("") }].filter(s => s.text)
+  }
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+
+  const segments = []
+  const push = (type, text) => {
+    const last = segments[segments.length - 1]
+    if (last?.type === type) last.text += text
+    else segments.push({ type, text })
+  }
+
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("same", a[i++])
+      j++
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push("removed", a[i++])
+    } else {
+      push("added", b[j++])
+    }
+  }
+  while (i < a.length) push("removed", a[i++])
+  while (j < b.length) push("added", b[j++])
+
+  return segments
+}
+
+function mergeStep(id, base, mine, theirs) {
+  const title = theirs?.title || mine?.title || base?.title || "Untitled"
+
+  if (mine && theirs) {
+    const keys = [...new Set([...Object.keys(base || {}), ...Object.keys(mine), ...Object.keys(theirs)])]
+      .filter(key => !IGNORED_FIELDS.includes(key))
+    const fields = keys
+      .map(key => ({ field: key, ...mergeValue(base?.[key], mine[key], theirs[key]) }))
+      .filter(field => field.source !== "both")
+
+    return { id, title, kind: "both", base, mine, theirs, fields, keep: true, conflicted: fields.some(f => f.conflict) }
+  }
+
+  // Only one side still has the step: it was added there, or removed on
+  // the other side. A removal of a step the other side edited is a conflict.
+  const side = mine ? "mine" : "theirs"
+  const present = mine || theirs
+  if (!present) {
+    return { id, title, kind: "removed_both", base, mine, theirs, fields: [], keep: false, conflicted: false }
+  }
+  if (!base) {
+    return { id, title, kind: `added_${side}`, base, mine, theirs, fields: [], keep: true, conflicted: false }
+  }
+
+  const editedAfterRemoval = !sameValue(withoutIgnored(base), withoutIgnored(present))
+  return {
+    id,
+    title,
+    kind: `removed_${side === "mine" ? "theirs" : "mine"}`,
+    base,
+    mine,
+    theirs,
+    fields: [],
+    // A step I removed comes back if they edited it; one they removed stays gone
+    keep: side === "theirs" && editedAfterRemoval,
+    conflicted: editedAfterRemoval
+  }
+}
+
+// Theirs' order, with steps only mine has placed after the step that
+// precedes them in mine
+function orderSteps(kept, order) {
+  const ids = order.theirs.filter(id => kept.has(id))
+  order.mine.forEach((id, index) => {
+    if (!kept.has(id) || ids.includes(id)) return
+    const previous = order.mine.slice(0, index).reverse().find(prev => ids.includes(prev))
+    ids.splice(previous ? ids.indexOf(previous) + 1 : 0, 0, id)
+  })
+  kept.forEach((_step, id) => { if (!ids.includes(id)) ids.push(id) })
+  return ids.map(id => kept.get(id))
+}
+
+function indexSteps(steps) {
+  return new Map((steps || []).map((step, index) => [String(step.id ?? `#${index}`), step]))
+}
+
+function withoutIgnored(step) {
+  const copy = { ...step }
+  IGNORED_FIELDS.forEach(field => delete copy[field])
+  return copy
+}
+
+function tokenize(text) {
+  return String(text ?? "").match(/\s+|[^\s]+/g) || []
+}
+
+export default mergeSteps
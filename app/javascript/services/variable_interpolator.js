@@ -0,0 +1,55 @@
+/**
+ * Variable Interpolator
+ *
+ * Client-side counterpart of app/services/variable_interpolator.rb: replaces
+ * {{variable_name}} patterns with values from a variables object. Missing
+ * variables are left as-is so authors can see what didn't resolve.
+ */
+
+export const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g
+
+/**
+ * @param {string|null} text - Text containing {{variable_name}} patterns
+ * @param {Object} variables - Variable name => value
+ * @param {Object} [options]
+ * @param {boolean} [options.escape] - HTML-escape substituted values (for HTML text)
+ * @returns {string}
+ */
+export function interpolate(text, variables = {}, { escape = false } = {}) {
+  if (text == null) return ""
+  if (!variables || Object.keys(variables).length === 0) return String(text)
+
+  return String(text).replace(VARIABLE_PATTERN, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) return match
+
+    const value = stringify(variables[name])
+    return escape ? escapeHtml(value) : value
+  })
+}
+
+/**
+ * Names of the {{variables}} referenced in a text, in order of appearance.
+ * @param {string|null} text
+ * @returns {Array<string>}
+ */
+export function referencedVariables(text) {
+  const names = [...String(text ?? "").matchAll(VARIABLE_PATTERN)].map(match => match[1])
+  return [...new Set(names)]
+}
+
+function stringify(value) {
+  if (value == null) return ""
+  if (typeof value === "object") return JSON.stringify(value)
+  return String(value)
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+export default interpolate
@@ -0,0 +1,177 @@
+/**
+ * Variable Registry
+ *
+ * Client side of VariableRegistry (app/services/variable_registry.rb): every
+ * variable a workflow uses with its type (text, number, boolean, enum, date),
+ * allowed values, description and sample value. Types are inferred from the
+ * steps that set each variable unless the author declared them in the
+ * variables panel.
+ *
+ * Registries are fetched once per URL and dropped when variables or steps
+ * change, so the pickers on one page share a request.
+ *
+ * Entry:
+ *   { name, type, allowed_values, description, sample_value, declared, source }
+ *
+ * Usage:
+ *   const registry = await loadVariableRegistry(variablesUrl(workflowId))
+ *   const entry = findVariable(registry, "plan")
+ *   operatorsFor(entry)      // => [{ value: "==", label: "Equals (==)" }, ...]
+ *   variablePresets(entry)   // => [{ displayLabel: "pro", condition: "plan == 'pro'", label: "pro" }, ...]
+ *   sampleResults(registry)  // => { plan: "pro", amount: "120" }
+ */
+
+import { buildComparison } from "services/condition_language"
+
+const cache = new Map()
+
+const EQUALITY_OPERATORS = [
+  { value: "==", label: "Equals (==)" },
+  { value: "!=", label: "Not Equals (!=)" }
+]
+
+const NUMERIC_OPERATORS = [
+  ...EQUALITY_OPERATORS,
+  { value: ">", label: "Greater Than (>)" },
+  { value: ">=", label: "Greater or Equal (>=)" },
+  { value: "<", label: "Less Than (<)" },
+  { value: "<=", label: "Less or Equal (<=)" }
+]
+
+const TEXT_OPERATORS = [
+  ...EQUALITY_OPERATORS,
+  { value: "contains", label: "Contains" }
+]
+
+export const TYPE_LABELS = {
+  text: "Text",
+  number: "Number",
+  boolean: "Yes / No",
+  enum: "List of values",
+  date: "Date"
+}
+
+/**
+ * The variables endpoint for a workflow.
+ * @param {number|string} workflowId
+ * @returns {string}
+ */
+export function variablesUrl(workflowId) {
+  return `/workflows/${workflowId}/variables.json`
+}
+
+/**
+ * Fetch a workflow's registry. Resolves to [] when the request fails, so
+ * callers can fall back to what they infer from the page.
+ * @param {string} url - The variables endpoint
+ * @returns {Promise<Array<Object>>}
+ */
+export function loadVariableRegistry(url) {
+  if (!url) return Promise.resolve([])
+  if (cache.has(url)) return cache.get(url)
+
+  const request = fetch(url, { headers: { "Accept": "application/json" } })
+    .then(response => response.ok ? response.json() : {})
+    .then(data => Array.isArray(data.registry) ? data.registry : [])
+    .catch(() => {
+      cache.delete(url)
+      return []
+    })
+
+  cache.set(url, request)
+  return request
+}
+
+export function clearVariableRegistry() {
+  cache.clear()
+}
+
+/**
+ * @param {Array<Object>} registry
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function findVariable(registry, name) {
+  if (!Array.isArray(registry) || !name) return null
+  return registry.find(entry => entry.name === name) || null
+}
+
+/**
+ * Comparison operators that make sense for a variable's type.
+ * @param {Object|null} entry - Registry entry (text when unknown)
+ * @returns {Array<{value: string, label: string}>}
+ */
+export function operatorsFor(entry) {
+  switch (entry?.type) {
+    case "number":
+      return NUMERIC_OPERATORS
+    case "boolean":
+    case "enum":
+    case "date":
+      return EQUALITY_OPERATORS
+    default:
+      return TEXT_OPERATORS
+  }
+}
+
+/**
+ * One-click conditions for a variable: one per allowed value for booleans and
+ * enums, comparisons around the sample for numbers, and empty checks for text.
+ * @param {Object} entry - Registry entry
+ * @returns {Array<{displayLabel: string, condition: string, label: string}>}
+ */
+export function variablePresets(entry) {
+  if (!entry?.name) return []
+
+  const name = entry.name
+  const values = Array.isArray(entry.allowed_values) ? entry.allowed_values : []
+
+  switch (entry.type) {
+    case "boolean":
+    case "enum":
+      return values.map(value => ({
+        displayLabel: value,
+        condition: buildComparison(name, "==", value),
+        label: value
+      }))
+    case "number": {
+      const threshold = /^-?\d+(\.\d+)?$/.test(String(entry.sample_value ?? "").trim())
+        ? String(entry.sample_value).trim()
+        : "0"
+      return [">", "==", "<"].map(operator => ({
+        displayLabel: `${operator === "==" ? "=" : operator} ${threshold}`,
+        condition: buildComparison(name, operator, threshold, { numeric: true }),
+        label: `${operator === "==" ? "=" : operator} ${threshold}`
+      }))
+    }
+    default:
+      return [
+        { displayLabel: "Is empty", condition: `${name} is empty`, label: "Empty" },
+        { displayLabel: "Is not empty", condition: `${name} is not empty`, label: "Not empty" }
+      ]
+  }
+}
+
+/**
+ * Sample values by variable name, for seeding simulations and previews.
+ * @param {Array<Object>} registry
+ * @returns {Object}
+ */
+export function sampleResults(registry) {
+  const results = {}
+  if (!Array.isArray(registry)) return results
+
+  registry.forEach(entry => {
+    if (entry.sample_value !== null && entry.sample_value !== undefined && entry.sample_value !== "") {
+      results[entry.name] = entry.sample_value
+    }
+  })
+  return results
+}
+
+// Declarations and inferred types change when the variables panel or a step
+// form saves, and when steps come and go
+if (typeof document !== "undefined") {
+  ["workflow-builder:variables-changed", "workflow-builder:step-added", "workflow-builder:step-removed", "turbo:submit-end"]
+    .forEach(name => document.addEventListener(name, clearVariableRegistry))
+}
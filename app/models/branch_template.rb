@@ -0,0 +1,105 @@
+# A set of branches saved from a step's connections, offered in the branch
+# template picker (branch_template_selector_controller) next to the built-in
+# templates of services/branch_template_service.js. Templates belong to the
+# editor who saved them; shared with a group, they're also offered to its
+# members and to members of its subgroups.
+#
+# Conditions and labels are stored with placeholders: {{variable}} for the
+# variable the branches test, and {{value_1}}, {{value_2}}, ... for the values
+# it's compared with. Each value placeholder keeps the value it was saved with
+# as its default, and whether it's a number (written as is) or a string
+# (quoted) when filled in:
+#
+#   BranchTemplate.from_branches([{ condition: "plan == 'pro'", label: "If pro" },
+#                                 { condition: "plan != 'pro'", label: "Otherwise" }])
+#   # branches:     [{ "condition" => "{{variable}} == {{value_1}}", "label" => "If {{value_1}}" }, ...]
+#   # placeholders: [{ "key" => "value_1", "default" => "pro", "numeric" => false }]
+#   # variable:     "plan"
+class BranchTemplate < ApplicationRecord
+  PLACEHOLDER_PATTERN = /\{\{(variable|value_\d+)\}\}/
+
+  belongs_to :user
+  belongs_to :group, optional: true
+
+  validates :name, presence: true, length: { maximum: 100 }, uniqueness: { scope: :user_id }
+  validates :description, length: { maximum: 255 }
+  validates :variable, presence: { message: "couldn't be found in the conditions" }
+  validates :branches, presence: { message: "must include at least one connection" }
+  validate :group_is_one_of_the_users
+
+  # The user's own templates plus those shared with their groups or the
+  # groups above them
+  def self.available_to(user)
+    group_ids = user.groups.pluck(:id)
+    group_ids += group_ids.flat_map { |id| Group.ancestor_ids_for(id) }
+
+    where(user_id: user.id).or(where(group_id: group_ids.uniq))
+  end
+
+  # A new template from branches ({ condition:, label: }) as they are on a
+  # step. Without a variable, the one tested most often is used. Conditions
+  # that don't parse are kept as written.
+  def self.from_branches(branches, variable: nil, **attributes)
+    branches = Array(branches).map { |branch| branch.to_h.stringify_keys }
+    variable = variable.presence || most_tested_variable(branches)
+    placeholders = []
+
+    parameterized = branches.map do |branch|
+      condition, used = parameterize_condition(branch["condition"].to_s.strip, variable, placeholders)
+      label = used.reduce(branch["label"].to_s.strip) do |text, placeholder|
+        text.gsub(/(?<!\w)#{Regexp.escape(placeholder['default'])}(?!\w)/, "{{#{placeholder['key']}}}")
+      end
+      { "condition" => condition, "label" => label }
+    end
+
+    new(attributes.merge(variable:, branches: parameterized, placeholders:))
+  end
+
+  def self.most_tested_variable(branches)
+    branches.flat_map { |branch| ConditionLanguage.variables(branch["condition"].to_s) }
+            .tally.max_by { |_, count| count }&.first
+  end
+
+  # Returns the condition with placeholders and the value placeholders it uses
+  def self.parameterize_condition(condition, variable, placeholders)
+    return [condition, []] if condition.empty?
+
+    tokens = ConditionLanguage::Tokenizer.new(condition).tokens.select do |token|
+      %i[string number].include?(token[:type]) || (token[:type] == :identifier && token[:value] == variable)
+    end
+    used = []
+    replacements = tokens.map do |token|
+      next [token, "{{variable}}"] if token[:type] == :identifier
+
+      placeholder = placeholder_for(token, placeholders)
+      used << placeholder
+      [token, "{{#{placeholder['key']}}}"]
+    end
+
+    source = replacements.reverse.each_with_object(condition.dup) do |(token, text), result|
+      result[token[:position], token[:raw].length] = text
+    end
+    [source, used.uniq]
+  rescue ConditionLanguage::ParseError
+    [condition, []]
+  end
+
+  # The same value gets the same placeholder throughout the template
+  def self.placeholder_for(token, placeholders)
+    numeric = token[:type] == :number
+    default = numeric ? token[:raw] : token[:value]
+
+    placeholders.find { |placeholder| placeholder["default"] == default && placeholder["numeric"] == numeric } ||
+      { "key" => "value_#{placeholders.size + 1}", "default" => default, "numeric" => numeric }.tap { |placeholder| placeholders << placeholder }
+  end
+
+  private_class_method :most_tested_variable, :parameterize_condition, :placeholder_for
+
+  private
+
+  def group_is_one_of_the_users
+    return if group_id.nil? || user.nil? || user.admin? || user.groups.exists?(group_id)
+
+    errors.add(:group, "must be one of your groups")
+  end
+end
@@ -0,0 +1,66 @@
+module Step::Versioned
+  extend ActiveSupport::Concern
+
+  # Editable fields, named as in the visual editor's step JSON, and the
+  # column each one is stored in. Rich text bodies and transitions live in
+  # other tables, so their versions are bumped explicitly.
+  FIELD_COLUMNS = {
+    "title" => "title",
+    "position_x" => "position_x",
+    "position_y" => "position_y",
+    "question" => "question",
+    "answer_type" => "answer_type",
+    "variable_name" => "variable_name",
+    "options" => "options",
+    "action_type" => "action_type",
+    "can_resolve" => "can_resolve",
+    "output_fields" => "output_fields",
+    "jumps" => "jumps",
+    "target_type" => "target_type",
+    "target_value" => "target_value",
+    "priority" => "priority",
+    "reason_required" => "reason_required",
+    "resolution_type" => "resolution_type",
+    "resolution_code" => "resolution_code",
+    "notes_required" => "notes_required",
+    "survey_trigger" => "survey_trigger",
+    "target_workflow_id" => "sub_flow_workflow_id",
+    "variable_mapping" => "variable_mapping"
+  }.freeze
+
+  RICH_TEXT_FIELDS = %w[instructions content notes].freeze
+
+  included do
+    before_save :bump_changed_field_versions
+  end
+
+  class_methods do
+    def versioned_field?(field)
+      FIELD_COLUMNS.key?(field.to_s) || RICH_TEXT_FIELDS.include?(field.to_s) || field.to_s == "transitions"
+    end
+  end
+
+  # Each field's version goes up every time the field changes. Collaborators
+  # send the version they edited from, so an edit to a field someone else has
+  # changed since can be told apart from an edit to a different field.
+  def field_version(field)
+    (field_versions || {})[field.to_s].to_i
+  end
+
+  def bump_field_versions!(*fields)
+    update_column(:field_versions, bumped_field_versions(fields.flatten))
+  end
+
+  private
+
+  def bump_changed_field_versions
+    changed = FIELD_COLUMNS.select { |_field, column| will_save_change_to_attribute?(column) }.keys
+    self.field_versions = bumped_field_versions(changed) if changed.any?
+  end
+
+  def bumped_field_versions(fields)
+    versions = (field_versions || {}).dup
+    fields.each { |field| versions[field.to_s] = versions[field.to_s].to_i + 1 }
+    versions
+  end
+end
@@ -7,6 +7,9 @@ class Group < ApplicationRecord
   has_many :user_groups, dependent: :destroy
   has_many :users, through: :user_groups
   has_many :folders, dependent: :destroy
+  has_many :instruction_snippets, dependent: :destroy
+  has_many :quick_actions, dependent: :destroy
+  has_many :branch_templates, dependent: :nullify
 
   # Validations
   validates :name, presence: true, uniqueness: { scope: :parent_id }
@@ -0,0 +1,48 @@
+# A reusable piece of action-step instructions, inserted from the builder's
+# instruction templates panel. Snippets without a group are offered to
+# everyone; a group's snippets are offered to its members (and members of
+# its subgroups) and on workflows filed in it.
+#
+# Content may use {{variable}} placeholders and tab stops the cursor jumps
+# through after insertion: $1, $2, ... or ${1:default text}, and $0 for where
+# the cursor ends up. A literal dollar sign before a digit is written \$.
+class InstructionSnippet < ApplicationRecord
+  DEFAULT_CATEGORIES = %w[Greeting Verification Troubleshooting Email DNS Closing].freeze
+  ICONS = %w[chat phone arrow-up shield globe device trash window eye-off refresh mail check-circle mail-open clock
+             search calendar].freeze
+
+  belongs_to :group, optional: true
+
+  validates :name, presence: true, length: { maximum: 255 }, uniqueness: { scope: :group_id }
+  validates :category, presence: true, length: { maximum: 50 }
+  validates :icon, inclusion: { in: ICONS }
+  validates :content, presence: true
+  validate :placeholders_are_variables
+
+  before_validation { self.category = category.to_s.squish }
+
+  scope :ordered, -> { order(:category, :position, :name) }
+
+  # Snippets for everyone plus those of the user's groups and the workflow's
+  # groups, including the groups above them
+  def self.available_to(user, workflow: nil)
+    group_ids = Array(user&.groups&.pluck(:id)) + Array(workflow&.groups&.pluck(:id))
+    group_ids += group_ids.flat_map { |id| Group.ancestor_ids_for(id) }
+
+    where(group_id: nil).or(where(group_id: group_ids.uniq))
+  end
+
+  # Variable names used in {{variable}} placeholders, in order of first use
+  def variables
+    content.to_s.scan(VariableInterpolator::VARIABLE_PATTERN).flatten.uniq
+  end
+
+  private
+
+  def placeholders_are_variables
+    leftover = content.to_s.gsub(VariableInterpolator::VARIABLE_PATTERN, "")
+    return unless leftover.include?("{{") || leftover.include?("}}")
+
+    errors.add(:content, "has a {{ }} placeholder that isn't a variable name")
+  end
+end
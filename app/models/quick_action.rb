@@ -0,0 +1,42 @@
+# A one-click button above an action step's instructions that inserts
+# preformatted text. Quick actions without a group are the default set; a
+# group that defines its own set replaces the default on its workflows (and
+# on workflows of its subgroups that don't define one).
+#
+# The template uses the snippet syntax (see InstructionSnippet): {{variable}}
+# placeholders and tab stops such as ${1:[what to tell them]}, which is
+# selected after insertion so it can be typed over.
+#
+# usage_count and last_used_at are bumped from the builder (record_use!) so
+# rarely used buttons can be found and pruned.
+class QuickAction < ApplicationRecord
+  # Names from services/icon_service.js (iconPath)
+  ICONS = %w[chat shield_check arrow_right cursor_click clock document pencil clipboard check_circle warning
+             lightbulb sparkles paperclip numbers question action message escalate resolve sub_flow].freeze
+
+  belongs_to :group, optional: true
+
+  validates :label, presence: true, length: { maximum: 40 }
+  validates :icon, inclusion: { in: ICONS }
+  validates :template, presence: true
+  validates :position, numericality: { only_integer: true, greater_than_or_equal_to: 0 }
+
+  scope :ordered, -> { order(:position, :label) }
+  scope :defaults, -> { where(group_id: nil) }
+
+  # The quick actions shown on a workflow: for each of its groups, the set of
+  # the nearest group (itself or one above it) that defines any, falling back
+  # to the default set
+  def self.for_workflow(workflow)
+    defining = where.not(group_id: nil).distinct.pluck(:group_id).to_set
+    group_ids = Array(workflow&.groups&.pluck(:id)).filter_map do |id|
+      [id, *Group.ancestor_ids_for(id)].find { |candidate| defining.include?(candidate) }
+    end
+
+    group_ids.any? ? where(group_id: group_ids.uniq).ordered : defaults.ordered
+  end
+
+  def record_use!
+    self.class.increment_counter(:usage_count, id, touch: :last_used_at)
+  end
+end
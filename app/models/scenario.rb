@@ -234,12 +234,16 @@ class Scenario < ApplicationRecord
     # If child is still running, wait
     return false if child && !child.complete?
 
+    resume_step = workflow.steps.find_by(uuid: resume_node_uuid)
+
+    # This run's exit replaces whatever an earlier run of the sub-flow left
+    self.results = (self.results || {}).except(*subflow_exit_keys(resume_step)) if child
+
     # Merge child results back to parent
     if child&.results.present?
       self.results ||= {}
 
       # Get variable mapping from the sub-flow step
-      resume_step = workflow.steps.find_by(uuid: resume_node_uuid)
       variable_mapping = resume_step&.variable_mapping || {}
       if variable_mapping.is_a?(String)
         variable_mapping = begin
@@ -273,7 +277,6 @@ class Scenario < ApplicationRecord
     self.status = 'active'
 
     resolver = StepResolver.new(workflow)
-    resume_step = workflow.steps.find_by(uuid: resume_node_uuid)
     next_step = resolver.resolve_next_after_subflow(resume_step, self.results) if resume_step
     next_uuid = next_step.is_a?(Step) ? next_step.uuid : nil
 
@@ -507,8 +510,9 @@ class Scenario < ApplicationRecord
       stale_child.update!(status: 'stopped')
     end
 
-    # Create child scenario with inherited variables
-    child_results = (self.results || {}).dup
+    # Create child scenario with inherited variables. Exits recorded by an
+    # earlier run of the sub-flow are left out, so each run starts without one.
+    child_results = (self.results || {}).except(*subflow_exit_keys(step))
 
     # Apply variable mapping if defined
     variable_mapping = step.variable_mapping || {}
@@ -551,6 +555,17 @@ class Scenario < ApplicationRecord
     true
   end
 
+  # Result keys an extracted sub-flow records to say which exit a run took:
+  # the exit names SubflowExtractor gives them (e.g. "exit_to_refund"), which
+  # the sub_flow step's transitions check for. Other results are left alone.
+  def subflow_exit_keys(subflow_step)
+    return [] unless subflow_step
+
+    subflow_step.transitions.flat_map { |transition| ConditionLanguage.variables(transition.condition.to_s) }
+                .select { |name| name.start_with?(SubflowExtractor::EXIT_PREFIX) }
+                .uniq
+  end
+
   # Resolve the scenario at the current step (mid-step resolution via can_resolve flag)
   def resolve_at_current_step(step)
     # Mark the last execution path entry as resolved
@@ -1,5 +1,6 @@
 class Step < ApplicationRecord
   include Step::Positionable
+  include Step::Versioned
 
   belongs_to :workflow, counter_cache: :steps_count
   has_many :transitions, dependent: :destroy
@@ -9,6 +9,7 @@ class User < ApplicationRecord
   has_many :scenarios, dependent: :destroy
   has_many :user_groups, dependent: :destroy
   has_many :groups, through: :user_groups
+  has_many :branch_templates, dependent: :destroy
 
   # String-backed enum — maps to existing column values with no migration needed.
   # :regular maps to DB value "user" to avoid User.user naming collision.
@@ -79,6 +80,11 @@ class User < ApplicationRecord
     display_name.presence || email
   end
 
+  # How collaborators see the user in presence and change notices
+  def collaborator_info
+    { id: id, email: email, name: email.split("@").first.titleize }
+  end
+
   # Avatar display helpers
   def avatar_initial
     display_label[0].upcase
@@ -22,6 +22,9 @@ class Workflow < ApplicationRecord
   belongs_to :start_step, class_name: "Step", optional: true
   has_rich_text :description
 
+  # Declared variable types, allowed values and samples (see VariableRegistry)
+  has_many :variable_definitions, class_name: "WorkflowVariable", dependent: :destroy
+
   # Versioning associations
   has_many :versions, class_name: "WorkflowVersion", dependent: :destroy
   belongs_to :published_version, class_name: "WorkflowVersion", optional: true
@@ -336,6 +339,28 @@ class Workflow < ApplicationRecord
     steps.where(type: "Steps::SubFlow").exists?
   end
 
+  # Re-render the builder's step list for everyone with the workflow open
+  def broadcast_steps_list
+    broadcast_update_to "workflow_#{id}",
+                        target: "steps-list",
+                        partial: "workflows/steps_list_items",
+                        locals: { workflow: self, steps: steps.includes(:transitions, :incoming_transitions) }
+  end
+
+  # Relay applied step operations (StepOperationApplier) to every open
+  # builder; the sender spots its own by client_id
+  def broadcast_step_operations(result, client_id:, user:)
+    ActionCable.server.broadcast("workflow:#{id}", {
+                                   type: "step_operations",
+                                   operations: result.applied,
+                                   rejected: result.rejected,
+                                   lock_version: result.lock_version,
+                                   client_id: client_id,
+                                   user: user.collaborator_info,
+                                   timestamp: Time.current.iso8601
+                                 })
+  end
+
   # Convert workflow to template format
   def convert_to_template(name: nil, category: nil, description: nil, is_public: true)
     {
@@ -0,0 +1,49 @@
+# A variable the workflow's author has described: its type, the values it
+# can take, what it means and a sample value for previews and simulation.
+# Variables nobody has described are still inferred from the steps that set
+# them (see VariableRegistry).
+class WorkflowVariable < ApplicationRecord
+  TYPES = %w[text number boolean enum date].freeze
+  NAME_FORMAT = /\A[A-Za-z_]\w*\z/
+
+  belongs_to :workflow
+
+  validates :name, presence: true, format: { with: NAME_FORMAT, message: "must start with a letter and use only letters, numbers and underscores" },
+                   uniqueness: { scope: :workflow_id }
+  validates :variable_type, inclusion: { in: TYPES }
+  validate :enum_has_allowed_values
+  validate :sample_value_matches_type
+
+  before_validation :normalize_allowed_values
+
+  # Accepts an array or a comma-separated string ("gold, silver, bronze")
+  def allowed_values=(values)
+    values = values.split(",") if values.is_a?(String)
+    super(Array(values))
+  end
+
+  private
+
+  def normalize_allowed_values
+    self.allowed_values = Array(allowed_values).map { |value| value.to_s.strip }.compact_blank.uniq
+    self.allowed_values = [] unless variable_type.in?(%w[enum boolean])
+  end
+
+  def enum_has_allowed_values
+    errors.add(:allowed_values, "can't be empty for a list of values") if variable_type == "enum" && allowed_values.empty?
+  end
+
+  def sample_value_matches_type
+    return if sample_value.blank?
+
+    valid = case variable_type
+            when "number" then sample_value.to_s.strip.match?(/\A-?\d+(\.\d+)?\z/)
+            when "date" then Date.parse(sample_value.to_s).present?
+            when "enum", "boolean" then allowed_values.empty? || allowed_values.any? { |value| value.casecmp?(sample_value.to_s.strip) }
+            else true
+            end
+    errors.add(:sample_value, "isn't a valid #{variable_type == 'enum' ? 'choice' : variable_type}") unless valid
+  rescue Date::Error
+    errors.add(:sample_value, "isn't a valid date")
+  end
+end
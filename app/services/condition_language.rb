@@ -0,0 +1,82 @@
+# Condition language for transition conditions.
+#
+# The grammar and evaluation rules mirror app/javascript/services/condition_language.js
+# so builder previews and scenario runs agree — change both together.
+#
+#   expression := or
+#   or         := and ( "||" and )*
+#   and        := unary ( "&&" unary )*
+#   unary      := "!" unary | "(" expression ")" | comparison
+#   comparison := operand ( ("==" | "!=" | "<" | "<=" | ">" | ">=" | "contains") operand
+#                         | "in" list
+#                         | "is" ["not"] "empty" )
+#   operand    := identifier | string | number
+#   list       := "[" [ literal ( "," literal )* ] "]"
+#
+# Usage:
+#   ConditionLanguage.valid?("status == 'active' && count > 3")
+#   ConditionLanguage.evaluate("plan in ['pro', 'team']", { "plan" => "Pro" })  # => true
+module ConditionLanguage
+  class ParseError < StandardError
+    attr_reader :position
+
+    def initialize(message, position = nil)
+      super(message)
+      @position = position
+    end
+  end
+
+  module_function
+
+  # Parse a condition into an AST (nested hashes). Raises ParseError.
+  def parse(source)
+    raise ParseError.new("Condition is empty", 0) if source.to_s.strip.empty?
+
+    Parser.new(Tokenizer.new(source).tokens).parse
+  end
+
+  def valid?(source)
+    parse(source)
+    true
+  rescue ParseError
+    false
+  end
+
+  # Evaluate a condition (string or AST) against a results hash.
+  # Blank or invalid conditions evaluate to false.
+  def evaluate(condition, results)
+    return false unless results.is_a?(Hash)
+
+    ast = condition.is_a?(Hash) ? condition : parse(condition)
+    Evaluator.new(results).evaluate(ast)
+  rescue ParseError
+    false
+  end
+
+  # Names of all variables referenced by a condition.
+  def variables(condition)
+    ast = condition.is_a?(Hash) ? condition : parse(condition)
+    collect_variables(ast).uniq
+  rescue ParseError
+    []
+  end
+
+  # Rewrite references to a variable, leaving strings and the rest of the
+  # source as written. Invalid conditions come back unchanged.
+  #   ConditionLanguage.rename_variable("plan == 'plan'", "plan", "tier")  # => "tier == 'plan'"
+  def rename_variable(condition, from, to)
+    return condition unless variables(condition.to_s).include?(from)
+
+    Tokenizer.new(condition).tokens
+             .select { |token| token[:type] == :identifier && token[:value] == from }
+             .reverse
+             .each_with_object(condition.dup) { |token, source| source[token[:position], from.length] = to }
+  end
+
+  def collect_variables(node)
+    return [] unless node.is_a?(Hash)
+    return [node[:name]] if node[:type] == :variable
+
+    [node[:left], node[:right], node[:operand], *node[:items]].flat_map { |child| collect_variables(child) }
+  end
+end
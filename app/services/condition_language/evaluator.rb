@@ -0,0 +1,112 @@
+module ConditionLanguage
+  # Evaluates a parsed condition against a results hash (variable name => value).
+  #
+  # - Identifiers are looked up by exact key, then "answer" as the last answer,
+  #   then case-insensitively. A bare word on the right of a comparison that
+  #   isn't a known variable is read as text.
+  # - == / != compare numerically when both sides look numeric, otherwise as
+  #   case-insensitive strings. A missing variable is never equal.
+  # - < <= > >= compare numerically; missing or non-numeric values count as 0.
+  # - contains is a case-insensitive substring test (element test for arrays).
+  # - is empty is true for missing values, blank strings and empty arrays.
+  class Evaluator
+    NUMERIC = /\A\s*-?\d+(\.\d+)?\s*\z/
+    LEADING_NUMBER = /\A\s*(-?\d+(\.\d+)?)/
+
+    def initialize(results)
+      @results = results
+    end
+
+    def evaluate(node)
+      case node[:type]
+      when :or then evaluate(node[:left]) || evaluate(node[:right])
+      when :and then evaluate(node[:left]) && evaluate(node[:right])
+      when :not then !evaluate(node[:operand])
+      when :empty then blank?(operand_value(node[:operand])) != node[:negated]
+      when :compare then compare(node[:operator], operand_value(node[:left]), compared_value(node[:right]))
+      else false
+      end
+    end
+
+    def lookup_value(name)
+      direct = @results[name]
+      return direct unless blank?(direct)
+
+      if name.downcase == "answer"
+        last = @results.values.last
+        return last unless blank?(last)
+      end
+
+      @results.find { |key, _| key.to_s.downcase == name.downcase }&.last
+    end
+
+    private
+
+    def operand_value(node)
+      case node[:type]
+      when :variable then lookup_value(node[:name])
+      when :number then node[:raw]
+      when :list then node[:items].map { |item| operand_value(item) }
+      else node[:value]
+      end
+    end
+
+    # Legacy conditions compare against bare words (status == active): a
+    # right-hand identifier that isn't a known variable is read as text
+    def compared_value(node)
+      return operand_value(node) unless node[:type] == :variable
+
+      value = lookup_value(node[:name])
+      value.nil? ? node[:name] : value
+    end
+
+    def compare(operator, left, right)
+      case operator
+      when "==" then values_equal?(left, right)
+      when "!=" then !values_equal?(left, right)
+      when "<" then to_number(left) < to_number(right)
+      when "<=" then to_number(left) <= to_number(right)
+      when ">" then to_number(left) > to_number(right)
+      when ">=" then to_number(left) >= to_number(right)
+      when "contains"
+        return false if left.nil? || right.nil?
+        return left.any? { |item| values_equal?(item, right) } if left.is_a?(Array)
+
+        stringify(left).downcase.include?(stringify(right).downcase)
+      when "in"
+        !left.nil? && right.any? { |item| values_equal?(left, item) }
+      else
+        false
+      end
+    end
+
+    def values_equal?(left, right)
+      return false if left.nil? || right.nil?
+      return to_number(left) == to_number(right) if numeric?(left) && numeric?(right)
+
+      stringify(left).downcase == stringify(right).downcase
+    end
+
+    def blank?(value)
+      value.nil? || value == false || (value.respond_to?(:empty?) && (value.is_a?(String) ? value.strip.empty? : value.empty?))
+    end
+
+    def numeric?(value)
+      value.is_a?(Numeric) || (value.is_a?(String) && value.match?(NUMERIC))
+    end
+
+    def to_number(value)
+      return value.to_f if value.is_a?(Numeric)
+
+      match = stringify(value).match(LEADING_NUMBER)
+      match ? match[1].to_f : 0.0
+    end
+
+    def stringify(value)
+      return "" if value.nil?
+      return value.map { |item| stringify(item) }.join(", ") if value.is_a?(Array)
+
+      value.to_s
+    end
+  end
+end
@@ -0,0 +1,128 @@
+module ConditionLanguage
+  # Recursive-descent parser producing an AST of hashes:
+  #   { type: :or | :and, left:, right: }
+  #   { type: :not, operand: }
+  #   { type: :compare, operator: "==" | "!=" | "<" | "<=" | ">" | ">=" | "contains" | "in", left:, right: }
+  #   { type: :empty, negated:, operand: }
+  #   { type: :variable, name: } / { type: :string, value: } / { type: :number, value:, raw: } / { type: :list, items: }
+  class Parser
+    COMPARISON_OPERATORS = %w[== != < <= > >=].freeze
+
+    def initialize(tokens)
+      @tokens = tokens
+      @index = 0
+    end
+
+    def parse
+      ast = parse_or
+      fail!("Unexpected '#{peek[:raw]}'") unless peek[:type] == :eof
+      ast
+    end
+
+    private
+
+    def parse_or
+      left = parse_and
+      left = { type: :or, left: left, right: parse_and } while accept_symbol("||")
+      left
+    end
+
+    def parse_and
+      left = parse_unary
+      left = { type: :and, left: left, right: parse_unary } while accept_symbol("&&")
+      left
+    end
+
+    def parse_unary
+      return { type: :not, operand: parse_unary } if accept_symbol("!")
+
+      if accept_symbol("(")
+        expression = parse_or
+        expect_symbol(")")
+        return expression
+      end
+
+      parse_comparison
+    end
+
+    def parse_comparison
+      left = parse_operand
+      token = peek
+
+      if token[:type] == :symbol && COMPARISON_OPERATORS.include?(token[:value])
+        @index += 1
+        return { type: :compare, operator: token[:value], left: left, right: parse_operand }
+      end
+
+      return { type: :compare, operator: "contains", left: left, right: parse_operand } if accept_word("contains")
+      return { type: :compare, operator: "in", left: left, right: parse_list } if accept_word("in")
+
+      if accept_word("is")
+        negated = accept_word("not")
+        fail!("Expected 'empty'") unless accept_word("empty")
+        return { type: :empty, negated: negated, operand: left }
+      end
+
+      fail!("Expected a comparison operator")
+    end
+
+    def parse_operand
+      token = peek
+      case token[:type]
+      when :identifier
+        @index += 1
+        { type: :variable, name: token[:value] }
+      when :string
+        @index += 1
+        { type: :string, value: token[:value] }
+      when :number
+        @index += 1
+        { type: :number, value: token[:value], raw: token[:raw] }
+      else
+        fail!("Expected a variable or value")
+      end
+    end
+
+    def parse_list
+      expect_symbol("[")
+      items = []
+      unless accept_symbol("]")
+        loop do
+          operand = parse_operand
+          fail!("Lists may only contain values", -1) if operand[:type] == :variable
+          items << operand
+          break unless accept_symbol(",")
+        end
+        expect_symbol("]")
+      end
+      { type: :list, items: items }
+    end
+
+    def peek
+      @tokens[@index]
+    end
+
+    def accept_symbol(value)
+      return false unless peek[:type] == :symbol && peek[:value] == value
+
+      @index += 1
+      true
+    end
+
+    def accept_word(word)
+      return false unless peek[:type] == :identifier && peek[:value].downcase == word
+
+      @index += 1
+      true
+    end
+
+    def expect_symbol(value)
+      fail!("Expected '#{value}'") unless accept_symbol(value)
+    end
+
+    def fail!(message, offset = 0)
+      token = @tokens[[@index + offset, 0].max]
+      raise ParseError.new(message, token[:position])
+    end
+  end
+end
@@ -0,0 +1,85 @@
+module ConditionLanguage
+  # Splits a condition string into tokens:
+  #   { type: :string | :number | :identifier | :symbol | :eof, value:, raw:, position: }
+  class Tokenizer
+    SYMBOLS = %w[== != <= >= && || < > ! ( ) \[ \] ,].freeze
+    NUMBER = /\A-?\d+(\.\d+)?/
+    WORD = /\A[A-Za-z_]\w*/
+
+    def initialize(source)
+      @text = source.to_s
+    end
+
+    def tokens
+      @tokens ||= scan
+    end
+
+    private
+
+    def scan
+      tokens = []
+      i = 0
+
+      while i < @text.length
+        char = @text[i]
+
+        if char.match?(/\s/)
+          i += 1
+          next
+        end
+
+        if char == "'" || char == '"'
+          token, i = scan_string(i, char)
+          tokens << token
+          next
+        end
+
+        rest = @text[i..]
+
+        if (number = rest[NUMBER]) && (char != "-" || !ends_operand?(tokens))
+          tokens << { type: :number, value: number.to_f, raw: number, position: i }
+          i += number.length
+          next
+        end
+
+        if (word = rest[WORD])
+          tokens << { type: :identifier, value: word, raw: word, position: i }
+          i += word.length
+          next
+        end
+
+        if (symbol = SYMBOLS.find { |s| rest.start_with?(s) })
+          # "===" and "=" are common mistakes; reject them instead of reading "==" "="
+          raise ParseError.new("Unexpected '='", i + 2) if symbol == "==" && @text[i + 2] == "="
+
+          tokens << { type: :symbol, value: symbol, raw: symbol, position: i }
+          i += symbol.length
+          next
+        end
+
+        raise ParseError.new("Unexpected '#{char}'", i)
+      end
+
+      tokens << { type: :eof, value: nil, raw: "", position: @text.length }
+    end
+
+    def scan_string(start, quote)
+      value = +""
+      i = start + 1
+      while i < @text.length && @text[i] != quote
+        i += 1 if @text[i] == "\\" && i + 1 < @text.length
+        value << @text[i]
+        i += 1
+      end
+      raise ParseError.new("Unterminated string", start) if i >= @text.length
+
+      i += 1
+      [{ type: :string, value: value, raw: @text[start...i], position: start }, i]
+    end
+
+    def ends_operand?(tokens)
+      last = tokens.last
+      last && (last[:type] != :symbol || [")", "]"].include?(last[:value]))
+    end
+  end
+end
@@ -0,0 +1,227 @@
+# Applies collaborative editing operations to a workflow's steps.
+#
+# Operations name steps by UUID, never by list position, so they keep their
+# meaning when several people edit at once:
+#
+#   { "op" => "set_field", "step_uuid" => "...", "field" => "title", "value" => "...", "base_version" => 3 }
+#   { "op" => "add_step", "step" => { visual editor step JSON }, "index" => 2 }
+#   { "op" => "remove_step", "step_uuid" => "..." }
+#   { "op" => "reorder_steps", "order" => ["uuid", ...] }
+#   { "op" => "set_start", "step_uuid" => "..." }
+#
+# A set_field carries the version of the field it was edited from (see
+# Step::Versioned). When someone else has changed that same field since, the
+# operation is rejected and the current value returned; edits to other
+# fields of the step still apply. The client side of this lives in
+# app/javascript/services/step_operations.js.
+class StepOperationApplier
+  Result = Data.define(:applied, :rejected, :lock_version)
+
+  OPERATIONS = %w[set_field add_step remove_step reorder_steps set_start].freeze
+
+  def self.call(workflow, operations)
+    new(workflow, operations).call
+  end
+
+  def initialize(workflow, operations)
+    @workflow = workflow
+    @operations = Array(operations).map { |op| normalize(op) }
+  end
+
+  def call
+    applied = []
+    rejected = []
+
+    Workflow.transaction do
+      @steps = load_steps
+
+      @operations.each do |op|
+        outcome = apply(op)
+        outcome.key?("reason") ? rejected << outcome : applied << outcome
+      end
+
+      @workflow.touch if applied.any?
+    end
+
+    Result.new(applied:, rejected:, lock_version: @workflow.reload.lock_version)
+  end
+
+  private
+
+  def apply(op)
+    return reject(op, "invalid") unless OPERATIONS.include?(op["op"])
+
+    send(:"apply_#{op['op']}", op)
+  rescue ActiveRecord::RecordInvalid => e
+    reject(op, "invalid", message: e.record.errors.full_messages.to_sentence)
+  end
+
+  def apply_set_field(op)
+    step = @steps[op["step_uuid"]]
+    field = op["field"].to_s
+    return reject(op, "missing") unless step
+    return reject(op, "invalid") unless writable_field?(step, field)
+
+    if op["base_version"].to_i < step.field_version(field)
+      current = field_value(step, field)
+      return reject(op, "conflict", value: current, version: step.field_version(field)) unless same_value?(current, op["value"], field)
+    else
+      write_field(step, field, op["value"])
+    end
+
+    op.merge("version" => step.field_version(field))
+  end
+
+  def apply_add_step(op)
+    step_data = normalize(op["step"] || {})
+    uuid = step_data["id"].presence
+    return reject(op, "invalid") unless uuid
+    return reject(op, "exists") if @steps.key?(uuid)
+
+    position = op["index"].to_i.clamp(0, @steps.size)
+    Step.insert_at(@workflow, position)
+
+    step = Step.create!(StepBuilder.build_attrs(step_data, position).merge(
+                          workflow: @workflow,
+                          type: StepBuilder.sti_class_for(step_data["type"]).name,
+                          uuid: uuid
+                        ))
+    StepBuilder::RICH_TEXT_FIELDS.each_key do |field|
+      write_field(step, field, step_data[field]) if step.respond_to?(field) && step_data[field].present?
+    end
+    @steps = load_steps
+    write_field(@steps[uuid], "transitions", step_data["transitions"]) if step_data["transitions"].present?
+
+    op.merge("step" => step_data.merge("field_versions" => @steps[uuid].reload.field_versions))
+  end
+
+  def apply_remove_step(op)
+    step = @steps.delete(op["step_uuid"])
+    return op unless step
+
+    # Move the start off the step first; workflows.start_step_id is a foreign key
+    if @workflow.start_step_id == step.id
+      @workflow.update_column(:start_step_id, ordered_steps.first&.id)
+    end
+
+    step.incoming_transitions.delete_all
+    step.destroy!
+    Step.rebalance_positions(@workflow)
+    @steps = load_steps
+
+    op
+  end
+
+  # Steps named in the order go first, in that order; steps the sender
+  # didn't know about (added concurrently) keep their relative order after.
+  def apply_reorder_steps(op)
+    order = Array(op["order"]).map(&:to_s).select { |uuid| @steps.key?(uuid) }.uniq
+    rest = ordered_steps.map(&:uuid) - order
+
+    (order + rest).each_with_index do |uuid, index|
+      step = @steps[uuid]
+      step.update_column(:position, index) if step.position != index
+    end
+
+    op.merge("order" => order + rest)
+  end
+
+  def apply_set_start(op)
+    step = @steps[op["step_uuid"]]
+    return reject(op, "missing") unless step
+
+    @workflow.update_column(:start_step_id, step.id)
+    op
+  end
+
+  # ===========================================================================
+  # Fields
+  # ===========================================================================
+
+  def writable_field?(step, field)
+    return false unless Step.versioned_field?(field)
+    return step.respond_to?(field) if Step::Versioned::RICH_TEXT_FIELDS.include?(field)
+
+    true
+  end
+
+  def field_value(step, field)
+    if field == "transitions"
+      steps_by_id = @steps.values.index_by(&:id)
+      step.transitions.reload.filter_map do |t|
+        target = steps_by_id[t.target_step_id]
+        { "target_uuid" => target.uuid, "condition" => t.condition, "label" => t.label } if target
+      end
+    elsif Step::Versioned::RICH_TEXT_FIELDS.include?(field)
+      step.send(field)&.body&.to_s || ""
+    else
+      step.public_send(Step::Versioned::FIELD_COLUMNS.fetch(field))
+    end
+  end
+
+  def write_field(step, field, value)
+    if field == "transitions"
+      replace_transitions(step, value)
+      step.bump_field_versions!(field)
+    elsif Step::Versioned::RICH_TEXT_FIELDS.include?(field)
+      step.send(:"#{field}=", value.to_s)
+      step.save!
+      step.bump_field_versions!(field)
+    else
+      column = Step::Versioned::FIELD_COLUMNS.fetch(field)
+      value = value.presence&.to_i if %w[position_x position_y].include?(field)
+      step.update!(column => value)
+    end
+  end
+
+  def replace_transitions(step, transitions)
+    step.transitions.destroy_all
+
+    Array(transitions).grep(Hash).each_with_index do |t, position|
+      target = @steps[t["target_uuid"]]
+      next unless target
+
+      Transition.create!(step: step, target_step: target, condition: t["condition"].presence,
+                         label: t["label"].presence, position: position)
+    end
+  end
+
+  def same_value?(current, value, field)
+    return normalize_transitions(current) == normalize_transitions(value) if field == "transitions"
+
+    current.presence.to_s == value.presence.to_s || current == value
+  end
+
+  def normalize_transitions(transitions)
+    Array(transitions).grep(Hash).map do |t|
+      t = t.stringify_keys
+      [t["target_uuid"], t["condition"].presence, t["label"].presence]
+    end
+  end
+
+  # ===========================================================================
+  # Helpers
+  # ===========================================================================
+
+  def load_steps
+    Step.unscoped.where(workflow_id: @workflow.id).includes(:transitions).index_by(&:uuid)
+  end
+
+  def ordered_steps
+    @steps.values.sort_by(&:position)
+  end
+
+  def reject(op, reason, **details)
+    { "operation" => op, "reason" => reason }.merge(details.stringify_keys)
+  end
+
+  def normalize(data)
+    if data.respond_to?(:permit!)
+      data.permit!.to_h
+    elsif data.respond_to?(:stringify_keys)
+      data.stringify_keys
+    else
+      data.to_h.stringify_keys
+    end
+  end
+end
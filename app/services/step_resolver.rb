@@ -80,8 +80,8 @@ class StepResolver
         return target
       end
 
-      # Try full condition expression first (e.g., "variable == 'value'" or "variable == value")
-      if transition.condition.match?(/[=!<>]/)
+      # Try full condition expression first (e.g., "variable == 'value'" or "tags contains 'vip'")
+      if ConditionEvaluator.valid?(transition.condition)
         return target if ConditionEvaluator.evaluate(transition.condition, results)
         next
       end
@@ -113,8 +113,13 @@ class StepSyncer
         { target_step_id: target.id, condition: t["condition"].presence, label: t["label"].presence }
       end
 
-      # Remove stale transitions
       existing_trans = Transition.unscoped.where(step_id: source_step.id).to_a
+      current = existing_trans.sort_by(&:position).map { |et| [et.target_step_id, et.condition, et.label] }
+      unless current == desired.map { |d| d.values_at(:target_step_id, :condition, :label) }
+        source_step.bump_field_versions!("transitions")
+      end
+
+      # Remove stale transitions
       existing_trans.each do |et|
         match = desired.find { |d| d[:target_step_id] == et.target_step_id && d[:condition] == et.condition }
         et.destroy! unless match
@@ -151,8 +156,10 @@ class StepSyncer
   def assign_rich_text_fields(step_record, step_data)
     StepBuilder::RICH_TEXT_FIELDS.each do |field, klass|
       if step_record.is_a?(klass) && step_data[field].present?
+        before = step_record.send(field)&.body&.to_s
         step_record.send(:"#{field}=", step_data[field])
         step_record.save!
+        step_record.bump_field_versions!(field) if step_record.send(field)&.body&.to_s != before
       end
     end
   end
@@ -0,0 +1,339 @@
+# Moves a connected group of steps into a new workflow and puts a single
+# sub_flow step in their place.
+#
+# The group needs exactly one entry: the only step that steps outside the
+# group (or the workflow start) lead to. Incoming transitions are pointed at
+# the new sub_flow step, which takes over the group's exits:
+#
+#   - Each step outside the group that the group leads to becomes an exit.
+#     In the new workflow, transitions to it end at a Resolve step instead,
+#     since a sub-flow hands control back when it resolves.
+#   - With one exit and no Resolve steps of its own, the sub_flow step simply
+#     continues to that exit. Otherwise each exit Resolve step is named after
+#     its exit (e.g. "exit_to_refund"), which the sub-flow records as a
+#     result, and the sub_flow step's transitions check for that name. A run
+#     that ends at one of the group's own Resolve steps matches none of
+#     them, so the parent finishes there too.
+#   - A group with no exits ends the workflow; the sub_flow step is followed
+#     by a new Resolve step.
+#
+# variable_mapping maps every variable the group reads (conditions and
+# {{variable}} references) or writes (question answers, action outputs) to
+# the same name in the sub-flow, so the values go in and come back out.
+# Declared types for those variables (WorkflowVariable) are copied along.
+#
+# The new workflow belongs to the given user, shares the original's groups
+# and is published right away so the sub_flow step can run it.
+#
+#   result = SubflowExtractor.call(workflow, %w[uuid-1 uuid-2], user: current_user, title: "Verify identity")
+#   result.subflow_step # => Steps::SubFlow
+#   result.workflow     # => the new Workflow
+class SubflowExtractor
+  Result = Data.define(:subflow_step, :workflow, :variable_mapping, :published, :error) do
+    def success?
+      error.nil?
+    end
+  end
+
+  class ExtractionError < StandardError; end
+
+  TEXT_FIELDS = %w[title question instructions content notes].freeze
+  EXIT_PREFIX = "exit_to_".freeze
+
+  def self.call(workflow, step_uuids, user:, title: nil)
+    new(workflow, step_uuids, user:, title:).call
+  end
+
+  def initialize(workflow, step_uuids, user:, title: nil)
+    @workflow = workflow
+    @step_uuids = Array(step_uuids).map(&:to_s).uniq
+    @user = user
+    @title = title.presence
+  end
+
+  def call
+    load_steps
+    validate_group!
+
+    subflow_step = nil
+    child = nil
+    published = false
+
+    Workflow.transaction do
+      child = create_child_workflow!
+      subflow_step = replace_group!(child)
+      published = WorkflowPublisher.publish(child, @user, changelog: "Extracted from #{@workflow.title}").success?
+      @workflow.touch
+    end
+
+    Result.new(subflow_step:, workflow: child, variable_mapping:, published:, error: nil)
+  rescue ExtractionError => e
+    failure(e.message)
+  rescue ActiveRecord::RecordInvalid => e
+    failure(e.record.errors.full_messages.to_sentence)
+  end
+
+  private
+
+  def failure(message)
+    Result.new(subflow_step: nil, workflow: nil, variable_mapping: {}, published: false, error: message)
+  end
+
+  # ===========================================================================
+  # The group
+  # ===========================================================================
+
+  def load_steps
+    @steps = @workflow.steps.includes(:transitions).to_a
+    @steps_by_id = @steps.index_by(&:id)
+    @group = @steps.select { |step| @step_uuids.include?(step.uuid) }
+    @group_ids = @group.to_set(&:id)
+  end
+
+  def validate_group!
+    raise ExtractionError, "Select at least one step to extract." if @group.empty?
+    raise ExtractionError, "Some of the selected steps no longer exist." if @group.size < @step_uuids.size
+    raise ExtractionError, "Leave at least one step outside the sub-flow." if @group.size == @steps.size
+    raise ExtractionError, "The selected steps must be connected." unless connected?
+
+    entries = entry_steps
+    if entries.size > 1
+      raise ExtractionError, "The selected steps must have a single entry point; #{entries.map { |s| "“#{s.title}”" }.to_sentence} are reached from outside."
+    end
+  end
+
+  def connected?
+    seen = Set[@group.first.id]
+    queue = [@group.first.id]
+    until queue.empty?
+      id = queue.shift
+      neighbours = internal_transitions.filter_map do |t|
+        if t.step_id == id then t.target_step_id
+        elsif t.target_step_id == id then t.step_id
+        end
+      end
+      neighbours.each { |n| queue << n if seen.add?(n) }
+    end
+    seen.size == @group.size
+  end
+
+  def internal_transitions
+    @internal_transitions ||= @group.flat_map(&:transitions).select { |t| @group_ids.include?(t.target_step_id) }
+  end
+
+  # Group steps reached from outside the group, plus the start step
+  def entry_steps
+    @entry_steps ||= begin
+      targets = (@steps - @group).flat_map(&:transitions).map(&:target_step_id)
+      targets << @workflow.start_step_id if @workflow.start_step_id
+      @group.select { |step| targets.include?(step.id) }
+    end
+  end
+
+  # An unreachable group still needs a start: the first step nothing in it leads to
+  def entry_step
+    @entry_step ||= entry_steps.first ||
+                    @group.find { |step| internal_transitions.none? { |t| t.target_step_id == step.id } } ||
+                    @group.first
+  end
+
+  # Transitions leaving the group, in step and transition order
+  def exit_transitions
+    @exit_transitions ||= @group.flat_map { |step| step.transitions.sort_by(&:position) }
+                                .reject { |t| @group_ids.include?(t.target_step_id) }
+                                .select { |t| @steps_by_id.key?(t.target_step_id) }
+  end
+
+  def exit_targets
+    @exit_targets ||= exit_transitions.map { |t| @steps_by_id[t.target_step_id] }.uniq
+  end
+
+  # Exits need to be told apart when there's more than one way out of the sub-flow
+  def named_exits?
+    exit_targets.size > 1 || @group.any? { |step| step.is_a?(Steps::Resolve) }
+  end
+
+  def exit_names
+    @exit_names ||= begin
+      taken = Set.new(@group.map(&:title))
+      exit_targets.to_h do |target|
+        base = "#{EXIT_PREFIX}#{target.title.to_s.parameterize(separator: '_').presence || 'step'}"
+        name = base
+        suffix = 1
+        name = "#{base}_#{suffix += 1}" until taken.add?(name)
+        [target.id, name]
+      end
+    end
+  end
+
+  # ===========================================================================
+  # Variables
+  # ===========================================================================
+
+  def variable_mapping
+    @variable_mapping ||= (read_variables + written_variables).uniq.to_h { |name| [name, name] }
+  end
+
+  def read_variables
+    from_conditions = @group.flat_map(&:transitions).flat_map { |t| ConditionLanguage.variables(t.condition.to_s) }
+    from_text = @group.flat_map do |step|
+      TEXT_FIELDS.flat_map { |field| text_of(step, field).scan(VariableInterpolator::VARIABLE_PATTERN).flatten }
+    end
+    from_subflows = @group.grep(Steps::SubFlow).flat_map { |step| mapping_of(step).keys }
+
+    from_conditions + from_text + from_subflows
+  end
+
+  def written_variables
+    @group.flat_map do |step|
+      case step
+      when Steps::Question then [step.variable_name]
+      when Steps::Action then Array(step.output_fields).filter_map { |field| field.is_a?(Hash) ? field["name"] || field[:name] : nil }
+      when Steps::SubFlow then mapping_of(step).keys
+      else []
+      end
+    end.compact_blank
+  end
+
+  def text_of(step, field)
+    return "" unless step.respond_to?(field)
+
+    value = step.public_send(field)
+    value.respond_to?(:body) ? value.body.to_s : value.to_s
+  end
+
+  def mapping_of(step)
+    mapping = step.variable_mapping
+    mapping = JSON.parse(mapping) if mapping.is_a?(String)
+    mapping.is_a?(Hash) ? mapping : {}
+  rescue JSON::ParserError
+    {}
+  end
+
+  # ===========================================================================
+  # The new workflow
+  # ===========================================================================
+
+  def child_title
+    @title || "#{entry_step.title.presence || 'Extracted steps'} (sub-flow)"
+  end
+
+  def create_child_workflow!
+    child = Workflow.create!(
+      title: child_title,
+      user: @user,
+      graph_mode: true,
+      is_public: @workflow.is_public
+    )
+    @workflow.group_workflows.each do |group_workflow|
+      child.group_workflows.create!(group_id: group_workflow.group_id, is_primary: group_workflow.is_primary)
+    end
+
+    StepBuilder.call(child, child_steps_data, start_node_uuid: new_uuids[entry_step.id])
+    copy_variable_definitions!(child)
+    child
+  end
+
+  def copy_variable_definitions!(child)
+    @workflow.variable_definitions.where(name: variable_mapping.keys).find_each do |definition|
+      child.variable_definitions.create!(definition.attributes.slice("name", "variable_type", "allowed_values", "description", "sample_value"))
+    end
+  end
+
+  def new_uuids
+    @new_uuids ||= @group.to_h { |step| [step.id, SecureRandom.uuid] }
+  end
+
+  def exit_step_uuids
+    @exit_step_uuids ||= exit_targets.to_h { |target| [target.id, SecureRandom.uuid] }
+  end
+
+  def child_steps_data
+    serialized = StepSerializer.call(@workflow).index_by { |data| data["id"] }
+
+    copies = @group.map do |step|
+      data = serialized.fetch(step.uuid).except("position")
+      data["id"] = new_uuids[step.id]
+      data["position_x"] = step.position_x
+      data["position_y"] = step.position_y
+      data["jumps"] = remapped_jumps(step) if step.respond_to?(:jumps) && step.jumps.present?
+      data["transitions"] = step.transitions.sort_by(&:position).filter_map do |t|
+        target_uuid = new_uuids[t.target_step_id] || exit_step_uuids[t.target_step_id]
+        { "target_uuid" => target_uuid, "condition" => t.condition, "label" => t.label }.compact if target_uuid
+      end
+      data
+    end
+
+    copies + exit_targets.map do |target|
+      {
+        "id" => exit_step_uuids[target.id],
+        "type" => "resolve",
+        "title" => named_exits? ? exit_names[target.id] : "Continue to #{target.title}",
+        "resolution_type" => "success",
+        "transitions" => []
+      }
+    end
+  end
+
+  # Jumps to steps that move along keep working; the rest can't follow
+  def remapped_jumps(step)
+    uuids_by_old = @group.to_h { |s| [s.uuid, new_uuids[s.id]] }
+    Array(step.jumps).filter_map do |jump|
+      next jump unless jump.is_a?(Hash)
+
+      target = jump["next_step_id"] || jump[:next_step_id]
+      jump.merge("next_step_id" => uuids_by_old[target]) if uuids_by_old.key?(target)
+    end
+  end
+
+  # ===========================================================================
+  # The original workflow
+  # ===========================================================================
+
+  def replace_group!(child)
+    position = Step.insert_at(@workflow, entry_step.position)
+    subflow_step = Steps::SubFlow.create!(
+      workflow: @workflow,
+      uuid: SecureRandom.uuid,
+      title: child.title,
+      position: position,
+      position_x: entry_step.position_x,
+      position_y: entry_step.position_y,
+      sub_flow_workflow_id: child.id,
+      variable_mapping: variable_mapping
+    )
+
+    retarget_entry_transitions(subflow_step)
+    add_exit_transitions(subflow_step)
+
+    @workflow.update_column(:start_step_id, subflow_step.id) if @group_ids.include?(@workflow.start_step_id)
+    @group.each do |step|
+      step.incoming_transitions.delete_all
+      step.destroy!
+    end
+    Step.rebalance_positions(@workflow)
+
+    subflow_step
+  end
+
+  def retarget_entry_transitions(subflow_step)
+    sources = Transition.where(target_step_id: entry_step.id).where.not(step_id: @group_ids.to_a)
+    source_steps = Step.unscoped.where(id: sources.select(:step_id)).to_a
+    sources.update_all(target_step_id: subflow_step.id)
+    source_steps.each { |step| step.bump_field_versions!("transitions") }
+  end
+
+  def add_exit_transitions(subflow_step)
+    if exit_targets.empty?
+      done = Steps::Resolve.create!(workflow: @workflow, uuid: SecureRandom.uuid, title: "Done",
+                                    resolution_type: "success", position: Step.insert_at(@workflow, subflow_step.position + 1))
+      Transition.create!(step: subflow_step, target_step: done, position: 0)
+      return
+    end
+
+    exit_targets.each_with_index do |target, index|
+      condition = "#{exit_names[target.id]} is not empty" if named_exits?
+      Transition.create!(step: subflow_step, target_step: target, condition:, label: target.title, position: index)
+    end
+  end
+end
@@ -0,0 +1,117 @@
+# Every variable a workflow uses, with a type (text, number, boolean, enum,
+# date), the values it can take, a description and a sample value.
+#
+# Types are inferred from the steps that set the variable: a question's
+# answer type and options, or text for action output fields and sub-flow
+# mappings. Variables that are only read (conditions, {{variable}}) are
+# listed as text. The author's declarations (WorkflowVariable) override
+# whatever was inferred, and can describe variables no step uses yet.
+#
+# The builder's condition presets, operator pickers, autocomplete and
+# simulator read this list from the variables endpoint.
+#
+#   VariableRegistry.call(workflow)
+#   # => [#<data Entry name="plan", type="enum", allowed_values=["free", "pro"], declared=false, source="question", ...>]
+class VariableRegistry
+  Entry = Data.define(:name, :type, :allowed_values, :description, :sample_value, :declared, :source) do
+    def as_json(*)
+      to_h
+    end
+  end
+
+  ANSWER_TYPES = {
+    "yes_no" => "boolean",
+    "multiple_choice" => "enum",
+    "dropdown" => "enum",
+    "number" => "number",
+    "date" => "date"
+  }.freeze
+
+  BOOLEAN_VALUES = %w[yes no].freeze
+
+  def self.call(workflow, usages: nil)
+    new(workflow, usages:).call
+  end
+
+  def initialize(workflow, usages: nil)
+    @workflow = workflow
+    @usages = usages
+  end
+
+  def call
+    inferred = inferred_entries
+    declared = @workflow.variable_definitions.index_by(&:name)
+    names = (inferred.keys + declared.keys + usages.map(&:name)).uniq.sort
+
+    names.map do |name|
+      entry = inferred[name] || blank_entry(name)
+      declared[name] ? apply_declaration(entry, declared[name]) : entry
+    end
+  end
+
+  private
+
+  def usages
+    @usages ||= VariableUsages.call(@workflow)
+  end
+
+  # The first step that sets a variable decides its inferred type
+  def inferred_entries
+    entries = {}
+
+    @workflow.steps.each do |step|
+      case step
+      when Steps::Question
+        next if step.variable_name.blank?
+
+        entries[step.variable_name] ||= question_entry(step)
+      when Steps::Action
+        Array(step.output_fields).grep(Hash).each do |field|
+          entries[field["name"]] ||= blank_entry(field["name"], source: "action") if field["name"].present?
+        end
+      when Steps::SubFlow
+        mapping = step.variable_mapping.is_a?(Hash) ? step.variable_mapping : {}
+        mapping.each_key { |name| entries[name] ||= blank_entry(name, source: "sub_flow") }
+      end
+    end
+
+    entries
+  end
+
+  def question_entry(step)
+    type = ANSWER_TYPES.fetch(step.answer_type.to_s, "text")
+    allowed = case type
+              when "enum" then option_values(step)
+              when "boolean" then BOOLEAN_VALUES
+              else []
+              end
+    type = "text" if type == "enum" && allowed.empty?
+
+    blank_entry(step.variable_name, source: "question").with(type:, allowed_values: allowed, description: step.title.presence)
+  end
+
+  def option_values(step)
+    Array(step.options).filter_map do |option|
+      value = option.is_a?(Hash) ? option["value"].presence || option["label"] : option
+      value.to_s.strip.presence
+    end.uniq
+  end
+
+  def blank_entry(name, source: "condition")
+    Entry.new(name:, type: "text", allowed_values: [], description: nil, sample_value: nil, declared: false, source:)
+  end
+
+  def apply_declaration(entry, declaration)
+    allowed = declaration.allowed_values.presence
+    allowed ||= entry.allowed_values if entry.type == declaration.variable_type
+    allowed ||= BOOLEAN_VALUES if declaration.variable_type == "boolean"
+
+    entry.with(
+      type: declaration.variable_type,
+      allowed_values: allowed || [],
+      description: declaration.description.presence || entry.description,
+      sample_value: declaration.sample_value.presence,
+      declared: true
+    )
+  end
+end
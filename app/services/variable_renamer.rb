@@ -0,0 +1,145 @@
+# Renames a variable everywhere a workflow uses it (see VariableUsages) in
+# one change: the question or action that sets it, conditions, {{variable}}
+# references, sub-flow mappings and its declaration in the variable registry.
+# Values inside condition strings and the sub-flow's own variable names are
+# left alone.
+#
+# The rename is refused when the new name is already in use, since the two
+# variables couldn't be told apart afterwards.
+#
+#   result = VariableRenamer.call(workflow, from: "plan", to: "tier")
+#   result.success?     # => true
+#   result.step_uuids   # => steps that changed
+#   result.lock_version # => the workflow's new lock_version
+class VariableRenamer
+  Result = Data.define(:step_uuids, :lock_version, :error) do
+    def success?
+      error.nil?
+    end
+  end
+
+  CONDITION_KEYWORDS = %w[contains in is not empty].freeze
+
+  def self.call(workflow, from:, to:)
+    new(workflow, from:, to:).call
+  end
+
+  def initialize(workflow, from:, to:)
+    @workflow = workflow
+    @from = from.to_s.strip
+    @to = to.to_s.strip
+  end
+
+  def call
+    error = validation_error
+    return Result.new(step_uuids: [], lock_version: @workflow.lock_version, error:) if error
+
+    changed = []
+    Workflow.transaction do
+      @workflow.steps.includes(:transitions).each do |step|
+        changed << step.uuid if rename_in(step)
+      end
+      @workflow.variable_definitions.find_by(name: @from)&.update!(name: @to)
+      @workflow.touch if changed.any?
+    end
+
+    Result.new(step_uuids: changed, lock_version: @workflow.reload.lock_version, error: nil)
+  rescue ActiveRecord::RecordInvalid => e
+    Result.new(step_uuids: [], lock_version: @workflow.reload.lock_version, error: e.record.errors.full_messages.to_sentence)
+  end
+
+  private
+
+  def validation_error
+    names = VariableUsages.call(@workflow).map(&:name) | @workflow.variable_definitions.pluck(:name)
+
+    if @to !~ WorkflowVariable::NAME_FORMAT
+      "“#{@to}” isn't a valid variable name. Use letters, numbers and underscores, starting with a letter."
+    elsif [@from, @to].intersect?(CONDITION_KEYWORDS)
+      "“#{(CONDITION_KEYWORDS & [@from, @to]).first}” is a condition keyword, so it can't be renamed or used as a name."
+    elsif names.exclude?(@from)
+      "This workflow doesn't use a variable called “#{@from}”."
+    elsif @to == @from
+      "The new name is the same as the old one."
+    elsif names.include?(@to)
+      "“#{@to}” is already used in this workflow. Pick a name that isn't."
+    end
+  end
+
+  # Returns whether anything in the step changed
+  def rename_in(step)
+    rename_columns(step)
+    columns_changed = step.changed?
+    step.save! if columns_changed
+
+    transitions_changed = rename_transitions(step)
+    rich_text_changed = rename_rich_text(step)
+    columns_changed || transitions_changed || rich_text_changed
+  end
+
+  def rename_columns(step)
+    step.variable_name = @to if step.is_a?(Steps::Question) && step.variable_name == @from
+    step.title = rename_references(step.title) if step.title
+    step.question = rename_references(step.question) if step.question
+
+    if step.is_a?(Steps::Action) && step.output_fields.is_a?(Array)
+      fields = step.output_fields.map do |field|
+        field.is_a?(Hash) && field["name"] == @from ? field.merge("name" => @to) : field
+      end
+      step.output_fields = fields unless fields == step.output_fields
+    end
+
+    if step.is_a?(Steps::SubFlow) && mapping_of(step).key?(@from)
+      step.variable_mapping = mapping_of(step).transform_keys { |name| name == @from ? @to : name }
+    end
+
+    if step.jumps.is_a?(Array)
+      jumps = step.jumps.map do |jump|
+        jump.is_a?(Hash) && jump["condition"].present? ? jump.merge("condition" => ConditionLanguage.rename_variable(jump["condition"], @from, @to)) : jump
+      end
+      step.jumps = jumps unless jumps == step.jumps
+    end
+  end
+
+  def rename_transitions(step)
+    renamed = step.transitions.select do |transition|
+      next false if transition.condition.blank?
+
+      condition = ConditionLanguage.rename_variable(transition.condition, @from, @to)
+      condition != transition.condition && transition.update!(condition:)
+    end
+    step.bump_field_versions!("transitions") if renamed.any?
+    renamed.any?
+  end
+
+  def rename_rich_text(step)
+    renamed = Step::Versioned::RICH_TEXT_FIELDS.select do |field|
+      next false unless step.respond_to?(field)
+
+      html = step.public_send(field)&.body&.to_html
+      next false if html.blank?
+
+      updated = rename_references(html)
+      next false if updated == html
+
+      step.public_send(:"#{field}=", updated)
+      step.save!
+      step.bump_field_versions!(field)
+      true
+    end
+    renamed.any?
+  end
+
+  def rename_references(text)
+    text.gsub("{{#{@from}}}", "{{#{@to}}}")
+  end
+
+  # Older sub-flow steps stored the mapping as a JSON string
+  def mapping_of(step)
+    mapping = step.variable_mapping
+    mapping = JSON.parse(mapping) if mapping.is_a?(String)
+    mapping.is_a?(Hash) ? mapping : {}
+  rescue JSON::ParserError
+    {}
+  end
+end
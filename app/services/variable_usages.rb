@@ -0,0 +1,112 @@
+# Lists every variable a workflow uses and where it's used:
+#
+#   - set by a question (variable_name) or an action (output_fields)
+#   - read by transition and jump conditions
+#   - interpolated as {{variable}} in titles, questions and rich text
+#   - passed to or from a sub-flow (variable_mapping keys)
+#
+# Fields are named as in the visual editor's step JSON, so the builder can
+# point at them. Variables that are only read (e.g. set by a sub-flow) are
+# listed too; they're the ones that aren't `assigned?`.
+#
+#   VariableUsages.call(workflow)
+#   # => [#<data Variable name="plan", usages=[#<data Usage step_uuid="...", field="variable_name", kind=:assignment ...>]>]
+class VariableUsages
+  Usage = Data.define(:step_uuid, :step_title, :field, :kind, :detail)
+
+  Variable = Data.define(:name, :usages) do
+    def assigned?
+      usages.any? { |usage| usage.kind == :assignment || usage.kind == :mapping }
+    end
+
+    def as_json(*)
+      { name:, assigned: assigned?, usages: usages.map(&:to_h) }
+    end
+  end
+
+  TEXT_FIELDS = %w[title question].freeze
+
+  def self.call(workflow)
+    new(workflow).call
+  end
+
+  def initialize(workflow)
+    @workflow = workflow
+  end
+
+  def call
+    usages = Hash.new { |hash, name| hash[name] = [] }
+
+    steps.each do |step|
+      each_usage(step) { |name, usage| usages[name] << usage }
+    end
+
+    usages.map { |name, list| Variable.new(name:, usages: list) }.sort_by(&:name)
+  end
+
+  private
+
+  def steps
+    @steps ||= @workflow.steps.includes(:transitions).to_a
+  end
+
+  def steps_by_id
+    @steps_by_id ||= steps.index_by(&:id)
+  end
+
+  def steps_by_uuid
+    @steps_by_uuid ||= steps.index_by(&:uuid)
+  end
+
+  def each_usage(step)
+    usage = ->(field, kind, detail = nil) { Usage.new(step_uuid: step.uuid, step_title: step.title, field:, kind:, detail:) }
+
+    case step
+    when Steps::Question
+      yield step.variable_name, usage.call("variable_name", :assignment) if step.variable_name.present?
+    when Steps::Action
+      Array(step.output_fields).grep(Hash).each do |field|
+        yield field["name"], usage.call("output_fields", :assignment) if field["name"].present?
+      end
+    when Steps::SubFlow
+      mapping_of(step).each_key { |name| yield name, usage.call("variable_mapping", :mapping) }
+    end
+
+    step.transitions.sort_by(&:position).each do |transition|
+      target = steps_by_id[transition.target_step_id]
+      ConditionLanguage.variables(transition.condition.to_s).each do |name|
+        yield name, usage.call("transitions", :condition, "→ #{target&.title || 'missing step'}: #{transition.condition}")
+      end
+    end
+
+    Array(step.jumps).grep(Hash).each do |jump|
+      condition = jump["condition"].to_s
+      target = steps_by_uuid[jump["next_step_id"]]
+      ConditionLanguage.variables(condition).each do |name|
+        yield name, usage.call("jumps", :condition, "→ #{target&.title || 'missing step'}: #{condition}")
+      end
+    end
+
+    text_fields(step).each do |field, text|
+      text.scan(VariableInterpolator::VARIABLE_PATTERN).flatten.uniq.each do |name|
+        yield name, usage.call(field, :text)
+      end
+    end
+  end
+
+  def text_fields(step)
+    fields = TEXT_FIELDS.select { |field| step.respond_to?(field) }.to_h { |field| [field, step.public_send(field).to_s] }
+    Step::Versioned::RICH_TEXT_FIELDS.each do |field|
+      fields[field] = step.public_send(field)&.body&.to_s || "" if step.respond_to?(field)
+    end
+    fields
+  end
+
+  def mapping_of(step)
+    mapping = step.variable_mapping
+    mapping = JSON.parse(mapping) if mapping.is_a?(String)
+    mapping.is_a?(Hash) ? mapping : {}
+  rescue JSON::ParserError
+    {}
+  end
+end
@@ -0,0 +1,223 @@
+# Imports a bundle written by WorkflowExporters::BundleExporter. Every entry
+# goes through WorkflowImporter once its sub-flow steps point at the right
+# workflows here:
+#   - targets inside the bundle get the id of the workflow that entry became
+#     (or of the existing workflow it was matched to)
+#   - targets outside it keep their id when a workflow with that id and title
+#     exists here, otherwise JsonParser looks them up by target_workflow_title
+#
+# An entry whose title matches a workflow the user can already see is a
+# duplicate, resolved per entry (keyed by the entry's id in the bundle):
+#   skip       keep the existing workflow and point sub-flows at it (default)
+#   overwrite  replace the existing workflow's steps (needs edit rights)
+#   copy       import it alongside as "Title (copy)"
+#
+# The whole bundle is imported in one transaction.
+#
+# Usage:
+#   importer = WorkflowBundleImporter.new(user, content: json, resolutions: { "12" => "overwrite" })
+#   importer.preview  # => { bundle: true, title:, workflows: [{ key:, title:, duplicate:, ... }], warnings:, errors: }
+#   result = importer.call
+#   result.workflows  # => the imported and overwritten workflows
+class WorkflowBundleImporter
+  RESOLUTIONS = %w[skip overwrite copy].freeze
+
+  Result = Data.define(:success, :workflows, :skipped, :errors, :warnings) do
+    def success? = success
+  end
+
+  # Whether JSON content is a bundle rather than a single workflow
+  def self.bundle?(content)
+    data = JSON.parse(content)
+    data.is_a?(Hash) && data["workflows"].is_a?(Array)
+  rescue JSON::ParserError
+    false
+  end
+
+  def initialize(user, content:, resolutions: {})
+    @user = user
+    @content = content
+    @resolutions = (resolutions || {}).to_h.transform_keys(&:to_s)
+  end
+
+  def preview
+    errors = bundle_errors
+    return { bundle: true, title: nil, workflows: [], warnings: [], errors: } if errors.any?
+
+    {
+      bundle: true,
+      title: "Bundle of #{entries.size} #{'workflow'.pluralize(entries.size)}",
+      workflows: entries.map { |entry| preview_entry(entry) },
+      warnings: outside_subflow_warnings,
+      errors: []
+    }
+  end
+
+  def call
+    errors = bundle_errors
+    errors = resolution_errors if errors.empty?
+    return failure(errors) if errors.any?
+
+    imported = []
+    skipped = []
+    warnings = []
+
+    Workflow.transaction do
+      targets = entries.to_h { |entry| [entry[:key], target_for(entry)] }
+      id_map = targets.transform_values(&:id)
+
+      entries.each do |entry|
+        if resolution_for(entry) == "skip"
+          skipped << targets[entry[:key]]
+          next
+        end
+
+        content = remap(entry, id_map).to_json
+        result = WorkflowImporter.new(@user, format: :json, content:, workflow: targets[entry[:key]]).call
+        title = entry[:data]["title"]
+
+        unless result.success?
+          errors.concat(result.errors.map { |error| "#{title}: #{error}" })
+          raise ActiveRecord::Rollback
+        end
+
+        imported << result.workflow
+        warnings.concat(result.warnings.map { |warning| "#{title}: #{warning}" })
+      end
+    end
+
+    return failure(errors, warnings:) if errors.any?
+
+    Result.new(success: true, workflows: imported, skipped:, errors: [], warnings:)
+  rescue StandardError => e
+    failure([e.message])
+  end
+
+  private
+
+  def bundle
+    @bundle ||= JSON.parse(@content)
+  end
+
+  # [{ key: "12", data: { "title" => ..., "steps" => [...] } }]
+  def entries
+    @entries ||= bundle["workflows"].each_with_index.filter_map do |data, index|
+      { key: (data["id"] || "entry-#{index + 1}").to_s, data: } if data.is_a?(Hash)
+    end
+  end
+
+  def bundle_errors
+    return ["The file isn't a workflow bundle"] unless bundle.is_a?(Hash) && bundle["workflows"].is_a?(Array)
+    return ["The bundle has no workflows"] if entries.empty?
+
+    entries.each_with_index.filter_map do |entry, index|
+      "Workflow #{index + 1} in the bundle has no title" if entry[:data]["title"].blank?
+    end
+  rescue JSON::ParserError => e
+    ["Invalid JSON format: #{e.message}"]
+  end
+
+  # Looks up every entry's duplicate before anything is created, so entries
+  # never match workflows imported earlier in the same bundle
+  def resolution_errors
+    entries.filter_map do |entry|
+      duplicate = duplicate_for(entry)
+      next unless resolution_for(entry) == "overwrite" && !duplicate.can_be_edited_by?(@user)
+
+      "You don't have permission to overwrite '#{duplicate.title}'"
+    end
+  end
+
+  def duplicate_for(entry)
+    @duplicates ||= {}
+    return @duplicates[entry[:key]] if @duplicates.key?(entry[:key])
+
+    @duplicates[entry[:key]] = Workflow.visible_to(@user)
+                                       .where("LOWER(workflows.title) = LOWER(?)", entry[:data]["title"].to_s.strip)
+                                       .order(:id).first
+  end
+
+  # "new" for entries without a duplicate, otherwise the requested resolution
+  def resolution_for(entry)
+    return "new" unless duplicate_for(entry)
+
+    requested = @resolutions[entry[:key]].to_s
+    RESOLUTIONS.include?(requested) ? requested : "skip"
+  end
+
+  # The workflow an entry ends up as: the duplicate it's matched to, or a new
+  # one to import into (created up front so every id is known for remapping)
+  def target_for(entry)
+    case resolution_for(entry)
+    when "skip", "overwrite" then duplicate_for(entry)
+    else @user.workflows.create!(title: title_for(entry), is_public: false, status: "published")
+    end
+  end
+
+  def title_for(entry)
+    title = entry[:data]["title"].to_s.strip
+    resolution_for(entry) == "copy" ? "#{title} (copy)" : title
+  end
+
+  def remap(entry, id_map)
+    data = entry[:data].deep_dup
+    data["title"] = title_for(entry)
+
+    subflow_steps(data).each do |step|
+      source_id = step["target_workflow_id"].to_s
+      if id_map.key?(source_id)
+        step["target_workflow_id"] = id_map[source_id]
+        step.delete("target_workflow_title")
+      elsif !local_target?(step)
+        step.delete("target_workflow_id")
+      end
+    end
+
+    data
+  end
+
+  def subflow_steps(data)
+    Array(data["steps"]).select do |step|
+      step.is_a?(Hash) && step["type"] == "sub_flow" && step["target_workflow_id"].present?
+    end
+  end
+
+  # The sub-flow's id already names the same workflow here
+  def local_target?(step)
+    workflow = Workflow.find_by(id: step["target_workflow_id"])
+    workflow.present? && (step["target_workflow_title"].blank? || workflow.title.casecmp?(step["target_workflow_title"].to_s))
+  end
+
+  def preview_entry(entry)
+    duplicate = duplicate_for(entry)
+    bundle_keys = entries.map { |other| other[:key] }
+
+    {
+      key: entry[:key],
+      title: entry[:data]["title"],
+      step_count: Array(entry[:data]["steps"]).size,
+      subflows: subflow_steps(entry[:data]).map do |step|
+        { title: step["target_workflow_title"], in_bundle: bundle_keys.include?(step["target_workflow_id"].to_s) }
+      end,
+      duplicate: duplicate && { id: duplicate.id, title: duplicate.title, editable: duplicate.can_be_edited_by?(@user) },
+      resolution: resolution_for(entry)
+    }
+  end
+
+  def outside_subflow_warnings
+    bundle_keys = entries.map { |entry| entry[:key] }
+
+    entries.flat_map do |entry|
+      subflow_steps(entry[:data]).filter_map do |step|
+        next if bundle_keys.include?(step["target_workflow_id"].to_s) || local_target?(step)
+
+        target = step["target_workflow_title"].presence || "workflow ##{step['target_workflow_id']}"
+        "'#{entry[:data]['title']}' runs '#{target}' as a sub-flow, which isn't in the bundle; it will be looked up by title"
+      end
+    end.uniq
+  end
+
+  def failure(errors, warnings: [])
+    Result.new(success: false, workflows: [], skipped: [], errors:, warnings:)
+  end
+end
@@ -0,0 +1,82 @@
+# Exports several workflows as one JSON bundle, optionally with every
+# workflow they run as a sub-flow (and those workflows' sub-flows). Each
+# entry is the native JSON export plus the workflow's id, which sub-flow
+# steps' target_workflow_id refer to; WorkflowBundleImporter remaps them.
+# Sub-flow steps also carry target_workflow_title so a target left out of
+# the bundle can be found by title where it's imported.
+#
+# Only workflows the user can see are exported, sub-flow targets included.
+#
+# Usage:
+#   WorkflowExporters::BundleExporter.call(user, [12, 15], include_subflows: true)
+#   # => { bundle_version: "1.0", exported_at: "...", workflows: [{ id: 12, title: ..., steps: [...] }, ...] }
+module WorkflowExporters
+  class BundleExporter
+    VERSION = "1.0".freeze
+
+    def self.call(...)
+      new(...).call
+    end
+
+    def initialize(user, workflow_ids, include_subflows: false)
+      @user = user
+      @workflow_ids = Array(workflow_ids).map(&:to_i).uniq
+      @include_subflows = include_subflows
+    end
+
+    def call
+      {
+        bundle_version: VERSION,
+        exported_at: Time.current.iso8601,
+        workflows: workflows.map { |workflow| entry(workflow) }
+      }
+    end
+
+    # Selected workflows first, then the sub-flows they pull in
+    def workflows
+      @workflows ||= begin
+        found = visible.where(id: @workflow_ids).index_by(&:id)
+        selected = @workflow_ids.filter_map { |id| found[id] }
+        @include_subflows ? with_subflows(selected) : selected
+      end
+    end
+
+    private
+
+    def visible
+      Workflow.visible_to(@user)
+    end
+
+    def with_subflows(selected)
+      collected = selected.index_by(&:id)
+      pending = collected.keys
+
+      while pending.any?
+        target_ids = Steps::SubFlow.where(workflow_id: pending).where.not(sub_flow_workflow_id: nil)
+                                   .distinct.pluck(:sub_flow_workflow_id) - collected.keys
+        added = visible.where(id: target_ids).to_a
+        added.each { |workflow| collected[workflow.id] = workflow }
+        pending = added.map(&:id)
+      end
+
+      collected.values
+    end
+
+    def entry(workflow)
+      data = JsonExporter.call(workflow).except(:exported_at)
+      data[:steps].each do |step|
+        title = subflow_titles[step["target_workflow_id"]] if step["type"] == "sub_flow"
+        step["target_workflow_title"] = title if title
+      end
+
+      { id: workflow.id, **data }
+    end
+
+    def subflow_titles
+      @subflow_titles ||= begin
+        ids = Steps::SubFlow.where(workflow_id: workflows.map(&:id)).distinct.pluck(:sub_flow_workflow_id).compact
+        Workflow.where(id: ids).pluck(:id, :title).to_h
+      end
+    end
+  end
+end
@@ -0,0 +1,108 @@
+# Renders a workflow as an uncompressed draw.io (diagrams.net) file. Steps are
+# shapes styled by type and transitions are connectors; both carry TurboFlows
+# attributes (turboflows_type, condition, turboflows_start) so that
+# WorkflowParsers::DrawioParser can read the file back after editing.
+#
+# Shapes sit where the visual editor placed them, or in rows by depth from
+# the start step (FlowDiagramService) when some steps were never placed.
+#
+# Usage:
+#   WorkflowExporters::DrawioExporter.call(workflow)  # => "<?xml ...><mxfile ...>"
+module WorkflowExporters
+  class DrawioExporter
+    STYLES = {
+      "question" => "rhombus;whiteSpace=wrap;html=1;fillColor=#dae8fc;strokeColor=#6c8ebf;",
+      "action" => "rounded=0;whiteSpace=wrap;html=1;fillColor=#d5e8d4;strokeColor=#82b366;",
+      "message" => "shape=document;whiteSpace=wrap;html=1;boundedLbl=1;fillColor=#fff2cc;strokeColor=#d6b656;",
+      "escalate" => "shape=hexagon;perimeter=hexagonPerimeter2;whiteSpace=wrap;html=1;fixedSize=1;fillColor=#f8cecc;strokeColor=#b85450;",
+      "resolve" => "ellipse;whiteSpace=wrap;html=1;fillColor=#e1d5e7;strokeColor=#9673a6;",
+      "sub_flow" => "shape=process;whiteSpace=wrap;html=1;backgroundOutline=1;fillColor=#f5f5f5;strokeColor=#666666;"
+    }.freeze
+    EDGE_STYLE = "edgeStyle=orthogonalEdgeStyle;rounded=1;html=1;endArrow=block;endFill=1;".freeze
+
+    NODE_WIDTH = 160
+    NODE_HEIGHT = 80
+    QUESTION_HEIGHT = 100
+    COLUMN_SPACING = 220
+    ROW_SPACING = 160
+    MARGIN = 40
+
+    def self.call(workflow)
+      new(workflow).call
+    end
+
+    def initialize(workflow)
+      @workflow = workflow
+      @steps = workflow.steps.includes(:transitions).to_a
+    end
+
+    def call
+      Nokogiri::XML::Builder.new(encoding: "UTF-8") do |xml|
+        xml.mxfile(host: "TurboFlows", type: "device") do
+          xml.diagram(id: "workflow-#{@workflow.id}", name: @workflow.title) do
+            xml.mxGraphModel(grid: 1, gridSize: 10, guides: 1, arrows: 1, connect: 1, page: 1) do
+              xml.root do
+                xml.mxCell(id: "0")
+                xml.mxCell(id: "1", parent: "0")
+                @steps.each { |step| vertex(xml, step) }
+                @steps.each { |step| step.transitions.each { |transition| edge(xml, step, transition) } }
+              end
+            end
+          end
+        end
+      end.to_xml
+    end
+
+    private
+
+    def vertex(xml, step)
+      type = step.type.demodulize.underscore
+      attributes = { id: step.uuid, label: html_label(step.title), turboflows_type: type }
+      attributes[:turboflows_start] = "1" if step.id == @workflow.start_step_id
+      x, y = positions.fetch(step.id)
+
+      xml.object(attributes) do
+        xml.mxCell(style: STYLES.fetch(type, STYLES["action"]), vertex: "1", parent: "1") do
+          xml.mxGeometry(x: x, y: y, width: NODE_WIDTH, height: type == "question" ? QUESTION_HEIGHT : NODE_HEIGHT, as: "geometry")
+        end
+      end
+    end
+
+    def edge(xml, step, transition)
+      target = steps_by_id[transition.target_step_id]
+      return unless target
+
+      attributes = { id: "transition-#{transition.id}", label: html_label(transition.label.presence || transition.condition) }
+      attributes[:condition] = transition.condition if transition.condition.present?
+
+      xml.object(attributes) do
+        xml.mxCell(style: EDGE_STYLE, edge: "1", parent: "1", source: step.uuid, target: target.uuid) do
+          xml.mxGeometry(relative: "1", as: "geometry")
+        end
+      end
+    end
+
+    def steps_by_id
+      @steps_by_id ||= @steps.index_by(&:id)
+    end
+
+    # { step id => [x, y] }
+    def positions
+      @positions ||=
+        if @steps.all? { |step| step.position_x && step.position_y }
+          @steps.to_h { |step| [step.id, [step.position_x, step.position_y]] }
+        else
+          FlowDiagramService.call(@workflow).each_with_index.each_with_object({}) do |(level, row), layout|
+            level.each_with_index do |step, column|
+              layout[step.id] = [MARGIN + (column * COLUMN_SPACING), MARGIN + (row * ROW_SPACING)]
+            end
+          end
+        end
+    end
+
+    # Shapes use html=1 so long titles wrap
+    def html_label(text)
+      ERB::Util.html_escape(text.to_s)
+    end
+  end
+end
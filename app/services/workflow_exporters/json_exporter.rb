@@ -0,0 +1,32 @@
+# Builds the native JSON export (export_version 2.0): the workflow's title,
+# description and start step with its steps as StepSerializer writes them.
+# WorkflowParsers::JsonParser reads it back.
+#
+# Usage:
+#   WorkflowExporters::JsonExporter.call(workflow)
+#   # => { title: "Refunds", graph_mode: true, start_node_uuid: "...", steps: [...], ... }
+module WorkflowExporters
+  class JsonExporter
+    VERSION = "2.0".freeze
+
+    def self.call(workflow)
+      new(workflow).call
+    end
+
+    def initialize(workflow)
+      @workflow = workflow
+    end
+
+    def call
+      {
+        title: @workflow.title,
+        description: @workflow.description_text || "",
+        graph_mode: true,
+        start_node_uuid: @workflow.start_step&.uuid || @workflow.steps.first&.uuid,
+        steps: StepSerializer.call(@workflow),
+        exported_at: Time.current.iso8601,
+        export_version: VERSION
+      }
+    end
+  end
+end
@@ -0,0 +1,68 @@
+# Renders a workflow as a Mermaid flowchart for documentation sites and wikis.
+# Step types map to node shapes (the shapes WorkflowParsers::MermaidParser
+# reads back) and transitions become edges, labelled with their condition so
+# a re-import keeps the routing, or with their label when they have none.
+#
+# Usage:
+#   WorkflowExporters::MermaidExporter.call(workflow)
+#   # => "---\ntitle: \"Refunds\"\n---\nflowchart TD\n  s1{\"Which plan?\"}\n  ..."
+module WorkflowExporters
+  class MermaidExporter
+    SHAPES = {
+      "question" => %w[{ }],
+      "action" => %w[[ ]],
+      "message" => %w[( )],
+      "escalate" => %w[{{ }}],
+      "resolve" => %w[([ ])],
+      "sub_flow" => %w[[[ ]]]
+    }.freeze
+
+    def self.call(workflow)
+      new(workflow).call
+    end
+
+    def initialize(workflow)
+      @workflow = workflow
+    end
+
+    def call
+      lines = ["---", "title: #{@workflow.title.to_json}", "---", "flowchart TD"]
+      steps.each { |step| lines << "  #{node_ids[step.id]}#{node(step)}" }
+      steps.each do |step|
+        step.transitions.each do |transition|
+          target = node_ids[transition.target_step_id]
+          next unless target
+
+          text = transition.condition.presence || transition.label.presence
+          arrow = text ? "-->|#{quote(text)}|" : "-->"
+          lines << "  #{node_ids[step.id]} #{arrow} #{target}"
+        end
+      end
+      "#{lines.join("\n")}\n"
+    end
+
+    private
+
+    # The start step first, so renderers put it at the top
+    def steps
+      @steps ||= @workflow.steps.includes(:transitions).to_a.sort_by do |step|
+        [step.id == @workflow.start_step_id ? 0 : 1, step.position]
+      end
+    end
+
+    def node_ids
+      @node_ids ||= steps.each_with_index.to_h { |step, index| [step.id, "s#{index + 1}"] }
+    end
+
+    def node(step)
+      opening, closing = SHAPES.fetch(step.type.demodulize.underscore, SHAPES["action"])
+      "#{opening}#{quote(step.title)}#{closing}"
+    end
+
+    # Mermaid writes characters that would end a label as entity codes
+    def quote(text)
+      escaped = text.to_s.gsub("#", "#35;").gsub('"', "#quot;").gsub("|", "#124;").gsub(/\r?\n/, "<br>")
+      "\"#{escaped}\""
+    end
+  end
+end
@@ -4,10 +4,13 @@ class WorkflowImporter
     def incomplete_steps? = incomplete_steps_count.to_i > 0
   end
 
-  def initialize(user, format:, content:)
+  # Pass workflow: to import into an existing workflow, replacing its title,
+  # description and steps, instead of creating a new one.
+  def initialize(user, format:, content:, workflow: nil)
     @user = user
     @format = format.to_sym
     @content = content
+    @workflow = workflow
   end
 
   def call
@@ -26,13 +29,13 @@ class WorkflowImporter
     warnings = parser.warnings.dup
     warnings.concat(validate_parsed_graph(steps_data, workflow_data[:start_node_uuid])) if workflow_data[:graph_mode] != false
 
-    workflow = @user.workflows.build(
+    workflow = @workflow || @user.workflows.build(is_public: false, status: "published")
+    workflow.assign_attributes(
       title: workflow_data[:title],
       description: workflow_data[:description] || "",
-      graph_mode: workflow_data[:graph_mode] != false,
-      is_public: false,
-      status: "published"
+      graph_mode: workflow_data[:graph_mode] != false
     )
+    destroy_existing_steps(workflow) if workflow.persisted?
 
     if workflow.save
       # Create AR Step and Transition records from the parsed data
@@ -58,18 +61,51 @@ class WorkflowImporter
     failure([e.message])
   end
 
+  # Parses the file without saving anything, for the import screen's preview.
+  # Returns { title:, start_node_uuid:, steps:, warnings:, errors: } with
+  # steps in the same hash format the import would create them from.
+  def preview
+    parser = create_parser
+    workflow_data = parser.parse
+
+    unless workflow_data
+      return preview_result(errors: parser.errors.presence || ["Failed to parse file"], warnings: parser.warnings)
+    end
+
+    steps_data = workflow_data[:steps] || []
+    preview_result(
+      title: workflow_data[:title],
+      start_node_uuid: workflow_data[:start_node_uuid],
+      steps: steps_data,
+      warnings: (parser.warnings + validate_parsed_graph(steps_data, workflow_data[:start_node_uuid])).uniq
+    )
+  rescue StandardError => e
+    preview_result(errors: [e.message])
+  end
+
   private
 
+  def preview_result(title: nil, start_node_uuid: nil, steps: [], warnings: [], errors: [])
+    { title:, start_node_uuid:, steps:, warnings:, errors: }
+  end
+
   def create_parser
     case @format
     when :json     then WorkflowParsers::JsonParser.new(@content)
     when :csv      then WorkflowParsers::CsvParser.new(@content)
     when :yaml     then WorkflowParsers::YamlParser.new(@content)
     when :markdown then WorkflowParsers::MarkdownParser.new(@content)
+    when :mermaid  then WorkflowParsers::MermaidParser.new(@content)
+    when :drawio   then WorkflowParsers::DrawioParser.new(@content)
     else raise ArgumentError, "Unsupported format: #{@format}"
     end
   end
 
+  def destroy_existing_steps(workflow)
+    workflow.update_column(:start_step_id, nil)
+    workflow.steps.destroy_all
+  end
+
   # Create ActiveRecord Step and Transition records from parsed step hashes.
   # Runs after workflow is saved so we have a workflow_id.
   def create_ar_steps(workflow, steps_data, start_node_uuid = nil)
@@ -88,6 +124,8 @@ class WorkflowImporter
         position: index,
         title: step_hash["title"].presence || "Untitled Step"
       }
+      attrs[:position_x] = step_hash["position_x"] if step_hash["position_x"].present?
+      attrs[:position_y] = step_hash["position_y"] if step_hash["position_y"].present?
 
       # Type-specific attributes
       case step_type
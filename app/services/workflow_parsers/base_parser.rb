@@ -330,6 +330,12 @@ module WorkflowParsers
         normalized['jumps'] = step['jumps'] || step[:jumps]
       end
 
+      # Preserve canvas positions (e.g. from a draw.io diagram)
+      %w[position_x position_y].each do |field|
+        value = step[field] || step[field.to_sym]
+        normalized[field] = value.to_i if value.present?
+      end
+
       # Preserve import conversion flags from upstream parsers
       if step[:_import_converted] || step['_import_converted']
         normalized['_import_converted'] = true
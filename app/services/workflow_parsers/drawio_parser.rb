@@ -0,0 +1,201 @@
+# draw.io (diagrams.net) Parser for TurboFlows workflow imports
+# Reads the first page of a .drawio file, compressed or not. Vertices become
+# steps, typed by their turboflows_type attribute (set by our draw.io export)
+# or by shape (see type_for_style); edges become transitions. A `condition`
+# attribute on an edge, or edge text that is a valid condition, becomes the
+# transition's condition. Vertex positions are kept for the visual editor.
+require 'base64'
+require 'zlib'
+
+module WorkflowParsers
+  class DrawioParser < BaseParser
+    STEP_TYPES = %w[question action message escalate resolve sub_flow].freeze
+
+    # Step field that receives the vertex text, so imported steps aren't incomplete
+    TEXT_FIELDS = { 'question' => 'question', 'action' => 'instructions', 'message' => 'content' }.freeze
+
+    # Draw.io's default page names say nothing about the workflow
+    DEFAULT_PAGE_NAME = /\APage-\d+\z/
+
+    def parse
+      document = Nokogiri::XML(@file_content.to_s, &:strict)
+      model = graph_model(document)
+
+      unless model
+        add_error("No readable diagram found in the draw.io file")
+        return nil
+      end
+
+      cells = read_cells(model)
+      vertices = cells.select { |cell| step_vertex?(cell, cells) }
+
+      if vertices.empty?
+        add_error("No shapes found in the draw.io diagram")
+        return nil
+      end
+
+      steps = build_steps(vertices, read_edges(cells, vertices))
+      title = @page_name.to_s.strip.presence unless @page_name.to_s.match?(DEFAULT_PAGE_NAME)
+
+      to_workflow_data(
+        title: title,
+        description: '',
+        start_node_uuid: start_step_uuid(vertices, steps),
+        steps: steps
+      )
+    rescue Nokogiri::XML::SyntaxError => e
+      add_error("Invalid draw.io XML: #{e.message}")
+      nil
+    rescue StandardError => e
+      add_error("Error parsing draw.io file: #{e.message}")
+      nil
+    end
+
+    private
+
+    # The <mxGraphModel> of the first page. Pages saved compressed hold it as
+    # Base64 of raw-deflated, URI-encoded XML.
+    def graph_model(document)
+      return document.root if document.root&.name == 'mxGraphModel'
+
+      diagrams = document.xpath('//diagram')
+      diagram = diagrams.first
+      return nil unless diagram
+
+      add_warning("Only the first page ('#{diagram['name']}') was imported; the file has #{diagrams.size} pages") if diagrams.size > 1
+      @page_name = diagram['name']
+
+      diagram.at_xpath('mxGraphModel') || inflate(diagram.text)
+    end
+
+    def inflate(text)
+      return nil if text.strip.empty?
+
+      xml = URI.decode_uri_component(Zlib::Inflate.new(-Zlib::MAX_WBITS).inflate(Base64.decode64(text.strip)))
+      Nokogiri::XML(xml).at_xpath('//mxGraphModel')
+    rescue Zlib::Error
+      nil
+    end
+
+    # Cells are either bare <mxCell>s or an <object>/<UserObject> wrapping one,
+    # which carries the id, label and any custom attributes
+    def read_cells(model)
+      model.xpath('./root/*').filter_map do |node|
+        cell = node.name == 'mxCell' ? node : node.at_xpath('mxCell')
+        next unless cell
+
+        wrapped = node != cell
+        style = cell['style'].to_s
+        geometry = cell.at_xpath('mxGeometry')
+        {
+          id: node['id'],
+          text: plain_text(wrapped ? node['label'] : cell['value'], html: style.include?('html=1')),
+          style: style,
+          vertex: cell['vertex'] == '1',
+          edge: cell['edge'] == '1',
+          parent: cell['parent'],
+          source: cell['source'],
+          target: cell['target'],
+          x: geometry && geometry['x'].to_f.round,
+          y: geometry && geometry['y'].to_f.round,
+          attributes: wrapped ? node.attributes.transform_values(&:value) : {}
+        }
+      end
+    end
+
+    # Skips the root cells, text-only shapes, containers and edge labels
+    def step_vertex?(cell, cells)
+      return false unless cell[:vertex]
+      return false if cell[:style].match?(/(?:\A|;)(?:text|edgeLabel|swimlane|group)(?:;|\z)|container=1/)
+
+      cells.none? { |other| other[:edge] && other[:id] == cell[:parent] }
+    end
+
+    def read_edges(cells, vertices)
+      vertex_ids = vertices.pluck(:id)
+      edges = cells.select { |cell| cell[:edge] }
+
+      edges.filter_map do |edge|
+        unless vertex_ids.include?(edge[:source]) && vertex_ids.include?(edge[:target])
+          add_warning("Skipped an arrow#{" ('#{edge[:text]}')" if edge[:text].present?} that isn't connected to a shape at both ends")
+          next
+        end
+
+        # Text placed on an arrow is a child cell of the edge
+        label_text = cells.select { |cell| cell[:vertex] && cell[:parent] == edge[:id] }.pluck(:text)
+        edge.merge(text: [edge[:text], *label_text].compact_blank.join(' '))
+      end
+    end
+
+    def build_steps(vertices, edges)
+      uuids = vertices.to_h { |vertex| [vertex[:id], SecureRandom.uuid] }
+
+      vertices.map do |vertex|
+        title = vertex[:text].presence || 'Untitled Step'
+        type = step_type(vertex)
+        outgoing = edges.select { |edge| edge[:source] == vertex[:id] }
+
+        # A terminator with exits usually marks where the flow starts
+        if type == 'resolve' && outgoing.any?
+          type = 'message'
+          add_warning("'#{title}' is drawn as an end shape but has outgoing arrows; imported as a message step")
+        end
+        add_warning("Sub-flow step '#{title}': choose the workflow to run after import") if type == 'sub_flow'
+
+        step = { 'id' => uuids[vertex[:id]], 'type' => type, 'title' => title }
+        step[TEXT_FIELDS[type]] = title if TEXT_FIELDS[type]
+        step['position_x'] = vertex[:x] if vertex[:x]
+        step['position_y'] = vertex[:y] if vertex[:y]
+        step['transitions'] = outgoing.map { |edge| transition_for(uuids[edge[:target]], edge) }
+        step
+      end
+    end
+
+    def step_type(vertex)
+      type = vertex[:attributes]['turboflows_type']
+      STEP_TYPES.include?(type) ? type : type_for_style(vertex[:style])
+    end
+
+    def type_for_style(style)
+      case style
+      when /\brhombus\b|flowchart\.decision/ then 'question'
+      when /\bhexagon\b/ then 'escalate'
+      when /shape=process\b|flowchart\.predefined_process/ then 'sub_flow'
+      when /shape=(?:document|note)\b|flowchart\.document/ then 'message'
+      when /\bellipse\b|doubleEllipse|terminator|flowchart\.(?:start|terminator)/ then 'resolve'
+      else 'action'
+      end
+    end
+
+    def transition_for(target_uuid, edge)
+      transition = { 'target_uuid' => target_uuid }
+      condition = edge[:attributes]['condition'].to_s.strip
+
+      if condition.present?
+        transition['condition'] = condition
+        transition['label'] = edge[:text] if edge[:text].present?
+      elsif edge[:text].present?
+        transition[ConditionLanguage.valid?(edge[:text]) ? 'condition' : 'label'] = edge[:text]
+      end
+      transition
+    end
+
+    # The vertex marked turboflows_start, else the first one nothing points to
+    def start_step_uuid(vertices, steps)
+      marked = vertices.index { |vertex| vertex[:attributes]['turboflows_start'] == '1' }
+      return steps[marked]['id'] if marked
+
+      targets = steps.flat_map { |step| step['transitions'].pluck('target_uuid') }
+      (steps.find { |step| targets.exclude?(step['id']) } || steps.first)['id']
+    end
+
+    # Labels are HTML when the shape's style has html=1
+    def plain_text(value, html:)
+      return nil if value.blank?
+      return value.squish.presence unless html
+
+      value = value.gsub(%r{<br\s*/?>|</(?:div|p|li)>}i, ' ')
+      Nokogiri::HTML::DocumentFragment.parse(value).text.squish.presence
+    end
+  end
+end
@@ -0,0 +1,214 @@
+# Mermaid Parser for TurboFlows workflow imports
+# Reads `flowchart` / `graph` diagrams: node shapes map to step types (see
+# SHAPES) and edges become transitions. Edge text that is a valid condition
+# becomes the transition's condition, anything else its label.
+require 'strscan'
+
+module WorkflowParsers
+  class MermaidParser < BaseParser
+    # [opening, closing, step type] — longer openings first so "([" wins over "("
+    SHAPES = [
+      ['([', '])', 'resolve'],
+      ['((', '))', 'resolve'],
+      ['[[', ']]', 'sub_flow'],
+      ['[(', ')]', 'action'],
+      ['{{', '}}', 'escalate'],
+      ['{', '}', 'question'],
+      ['(', ')', 'message'],
+      ['>', ']', 'message'],
+      ['[', ']', 'action']
+    ].freeze
+
+    # Step field that receives the node text, so imported steps aren't incomplete
+    TEXT_FIELDS = { 'question' => 'question', 'action' => 'instructions', 'message' => 'content' }.freeze
+
+    # Mermaid's entity codes (#quot; or #35;)
+    ENTITIES = { 'quot' => '"', 'amp' => '&', 'lt' => '<', 'gt' => '>', 'nbsp' => ' ' }.freeze
+
+    HEADER = /\A(?:flowchart|graph)\b/i
+    IGNORED_STATEMENTS = /\A(?:subgraph|end|direction|classDef|class|style|linkStyle|click|accDescr)\b/
+    NODE_ID = /\w+(?:-\w+)*/
+    TEXT_EDGE = /\s*(?:--|==|-\.)\s+(.+?)\s+(?:-{2,}>|={2,}>|\.-+>|-{3,}|={3,}|\.-)/
+    EDGE = /\s*<?(?:-{2,}|={2,}|-\.+-)[>ox]?/
+    EDGE_TEXT = /\s*\|("[^"]*"|[^|]*)\|/
+
+    def parse
+      content = @file_content.to_s.sub(/\A\uFEFF/, '')
+      title = extract_frontmatter_title!(content)
+      statements = split_statements(content)
+
+      unless statements.first&.last&.match?(HEADER)
+        add_error("Not a Mermaid flowchart: the diagram must start with 'flowchart' or 'graph'")
+        return nil
+      end
+
+      @nodes = {}
+      @edges = []
+      statements.drop(1).each do |line_number, statement|
+        if (acc_title = statement[/\AaccTitle\s*:\s*(.+)/, 1])
+          title ||= acc_title.strip
+        elsif !statement.match?(IGNORED_STATEMENTS)
+          parse_statement(statement, line_number)
+        end
+      end
+
+      if @nodes.empty?
+        add_error("No nodes found in the Mermaid diagram")
+        return nil
+      end
+
+      steps = build_steps
+
+      to_workflow_data(
+        title: title.presence,
+        description: '',
+        start_node_uuid: start_step_uuid(steps),
+        steps: steps
+      )
+    rescue StandardError => e
+      add_error("Error parsing Mermaid: #{e.message}")
+      nil
+    end
+
+    private
+
+    def extract_frontmatter_title!(content)
+      match = content.match(/\A\s*---\s*\n(.*?)\n---\s*\n/m)
+      return nil unless match
+
+      content.replace(content[match.end(0)..])
+      frontmatter = YAML.safe_load(match[1])
+      frontmatter['title'].to_s.strip.presence if frontmatter.is_a?(Hash)
+    rescue Psych::SyntaxError
+      add_warning("Ignored unreadable frontmatter")
+      nil
+    end
+
+    # [[line number, statement], ...] without comments or blank lines.
+    # Statements on one line may be separated by semicolons.
+    def split_statements(content)
+      content.lines.each_with_index.flat_map do |line, index|
+        line = line.strip
+        next [] if line.empty? || line.start_with?('%%')
+
+        line.scan(/(?:"[^"]*"|[^;"])+/).map(&:strip).reject(&:empty?).map { |statement| [index + 1, statement] }
+      end
+    end
+
+    # A chain of node groups joined by edges: A --> B & C -->|text| D
+    def parse_statement(statement, line_number)
+      scanner = StringScanner.new(statement)
+      sources = scan_node_group(scanner)
+      unless sources
+        add_warning("Line #{line_number}: Skipped '#{statement.truncate(60)}'")
+        return
+      end
+
+      until scanner.skip(/\s*/) && scanner.eos?
+        text = scan_edge(scanner)
+        targets = text && scan_node_group(scanner)
+        unless targets
+          add_warning("Line #{line_number}: Skipped the rest of '#{statement.truncate(60)}'")
+          return
+        end
+
+        sources.product(targets) { |from, to| @edges << [from, to, text] }
+        sources = targets
+      end
+    end
+
+    def scan_node_group(scanner)
+      group = []
+      loop do
+        id = scan_node(scanner)
+        return nil unless id
+
+        group << id
+        break unless scanner.skip(/\s*&/)
+      end
+      group
+    end
+
+    def scan_node(scanner)
+      scanner.skip(/\s*/)
+      id = scanner.scan(NODE_ID)
+      return nil unless id
+
+      node = (@nodes[id] ||= { label: id, type: nil })
+      opening, closing, type = SHAPES.find { |open, _, _| scanner.peek(open.length) == open }
+      if opening
+        scanner.pos += opening.length
+        label = scan_shape_text(scanner, closing)
+        return nil unless label
+
+        node[:label] = decode(label.delete_prefix('/').delete_prefix('\\').delete_suffix('/').delete_suffix('\\')).presence || id
+        node[:type] = type
+      end
+      scanner.skip(/:::[\w-]+/)
+      id
+    end
+
+    def scan_shape_text(scanner, closing)
+      if scanner.skip(/\s*"/)
+        text = scanner.scan_until(/"/)
+        text&.chomp('"') if scanner.skip(/\s*#{Regexp.escape(closing)}/)
+      else
+        scanner.scan_until(/#{Regexp.escape(closing)}/)&.delete_suffix(closing)
+      end
+    end
+
+    # Edge text ("" when unlabelled), or nil when there is no edge here
+    def scan_edge(scanner)
+      if scanner.scan(TEXT_EDGE)
+        decode(scanner[1])
+      elsif scanner.skip(EDGE)
+        scanner.scan(EDGE_TEXT) ? decode(scanner[1]) : ''
+      end
+    end
+
+    def decode(text)
+      text.to_s.strip.delete_prefix('"').delete_suffix('"')
+          .gsub(%r{<br\s*/?>}i, ' ')
+          .gsub(/#(\w+);/) { decode_entity(::Regexp.last_match(1)) || ::Regexp.last_match(0) }
+          .squish
+    end
+
+    def decode_entity(code)
+      code.match?(/\A\d+\z/) ? code.to_i.chr(Encoding::UTF_8) : ENTITIES[code]
+    end
+
+    def build_steps
+      uuids = @nodes.keys.index_with { SecureRandom.uuid }
+
+      @nodes.map do |id, node|
+        type = node[:type] || 'action'
+        outgoing = @edges.select { |from, _, _| from == id }
+
+        # A stadium or circle with exits usually marks where the flow starts
+        if type == 'resolve' && outgoing.any?
+          type = 'message'
+          add_warning("'#{node[:label]}' is drawn as an end shape but has outgoing edges; imported as a message step")
+        end
+        add_warning("Sub-flow step '#{node[:label]}': choose the workflow to run after import") if type == 'sub_flow'
+
+        step = { 'id' => uuids[id], 'type' => type, 'title' => node[:label] }
+        step[TEXT_FIELDS[type]] = node[:label] if TEXT_FIELDS[type]
+        step['transitions'] = outgoing.map { |_, to, text| transition_for(uuids[to], text) }
+        step
+      end
+    end
+
+    def transition_for(target_uuid, text)
+      return { 'target_uuid' => target_uuid } if text.blank?
+
+      key = ConditionLanguage.valid?(text) ? 'condition' : 'label'
+      { 'target_uuid' => target_uuid, key => text }
+    end
+
+    # The first step nothing points to, else the first step
+    def start_step_uuid(steps)
+      targets = steps.flat_map { |step| step['transitions'].pluck('target_uuid') }
+      (steps.find { |step| targets.exclude?(step['id']) } || steps.first)['id']
+    end
+  end
+end
@@ -0,0 +1,191 @@
+# Compares two snapshots of a workflow: published versions (steps_snapshot and
+# metadata_snapshot) or the current draft serialized the same way.
+#
+# Steps are matched by UUID. Each step comes back as a StepChange with a status
+# of :added, :removed, :changed or :unchanged and, for changed steps, the
+# fields that differ. Steps are listed in the newer snapshot's order, with
+# removed steps placed after the step they followed.
+#
+#   diff = WorkflowVersionDiff.call(
+#     { steps: old_version.steps_snapshot, metadata: old_version.metadata_snapshot },
+#     { steps: StepSerializer.call(workflow), metadata: { "title" => workflow.title } }
+#   )
+#   diff.changed.each { |change| change.fields.each { |field| ... } }
+class WorkflowVersionDiff
+  # Bookkeeping, not content: position is the step's index in the list
+  IGNORED_FIELDS = %w[id position].freeze
+  RICH_TEXT_FIELDS = %w[instructions content notes].freeze
+  METADATA_FIELDS = %w[title description graph_mode].freeze
+
+  FieldChange = Data.define(:field, :before, :after) do
+    def rich_text?
+      WorkflowVersionDiff::RICH_TEXT_FIELDS.include?(field)
+    end
+  end
+
+  StepChange = Data.define(:uuid, :status, :before, :after, :fields) do
+    def step
+      after || before
+    end
+
+    def title
+      step["title"].presence || "Untitled"
+    end
+
+    def type
+      step["type"]
+    end
+  end
+
+  Result = Data.define(:steps, :metadata, :start_before, :start_after) do
+    %i[added removed changed unchanged].each do |status|
+      define_method(status) { steps.select { |change| change.status == status } }
+    end
+
+    def start_changed?
+      start_before != start_after
+    end
+
+    def any?
+      steps.any? { |change| change.status != :unchanged } || metadata.any? || start_changed?
+    end
+
+    def status_by_uuid
+      steps.to_h { |change| [change.uuid, change.status] }
+    end
+  end
+
+  def self.call(from, to)
+    new(from, to).call
+  end
+
+  # Word-level diff of two rich text bodies, as [[:same | :added | :removed, text], ...]
+  def self.word_diff(before, after)
+    a = tokenize(plain_text(before))
+    b = tokenize(plain_text(after))
+    return [[:removed, a.join], [:added, b.join]].reject { |_, text| text.empty? } if a.size * b.size > 250_000
+
+    lcs = Array.new(a.size + 1) { Array.new(b.size + 1, 0) }
+    (a.size - 1).downto(0) do |i|
+      (b.size - 1).downto(0) do |j|
+        lcs[i][j] = a[i] == b[j] ? lcs[i + 1][j + 1] + 1 : [lcs[i + 1][j], lcs[i][j + 1]].max
+      end
+    end
+
+    segments = []
+    push = lambda do |type, text|
+      if segments.last&.first == type
+        segments.last[1] += text
+      else
+        segments << [type, +text]
+      end
+    end
+
+    i = j = 0
+    while i < a.size && j < b.size
+      if a[i] == b[j]
+        push.call(:same, a[i])
+        i += 1
+        j += 1
+      elsif lcs[i + 1][j] >= lcs[i][j + 1]
+        push.call(:removed, a[i])
+        i += 1
+      else
+        push.call(:added, b[j])
+        j += 1
+      end
+    end
+    a[i..].each { |token| push.call(:removed, token) }
+    b[j..].each { |token| push.call(:added, token) }
+
+    segments
+  end
+
+  def self.plain_text(html)
+    return "" if html.blank?
+
+    ActionText::Content.new(html.to_s).to_plain_text
+  end
+
+  def self.tokenize(text)
+    text.scan(/\s+|\S+/)
+  end
+
+  def initialize(from, to)
+    @from_steps = Array(from[:steps])
+    @to_steps = Array(to[:steps])
+    @from_metadata = from[:metadata] || {}
+    @to_metadata = to[:metadata] || {}
+  end
+
+  def call
+    Result.new(
+      steps: ordered_uuids.map { |uuid| step_change(uuid) },
+      metadata: metadata_changes,
+      start_before: @from_metadata["start_node_uuid"] || @from_steps.first&.dig("id"),
+      start_after: @to_metadata["start_node_uuid"] || @to_steps.first&.dig("id")
+    )
+  end
+
+  private
+
+  def step_change(uuid)
+    before = from_by_uuid[uuid]
+    after = to_by_uuid[uuid]
+
+    if before.nil?
+      StepChange.new(uuid:, status: :added, before:, after:, fields: [])
+    elsif after.nil?
+      StepChange.new(uuid:, status: :removed, before:, after:, fields: [])
+    else
+      fields = field_changes(before, after)
+      StepChange.new(uuid:, status: fields.any? ? :changed : :unchanged, before:, after:, fields:)
+    end
+  end
+
+  def field_changes(before, after)
+    keys = (before.keys | after.keys) - IGNORED_FIELDS
+    keys.filter_map do |field|
+      old_value = normalize(field, before[field])
+      new_value = normalize(field, after[field])
+      FieldChange.new(field:, before: before[field], after: after[field]) unless old_value == new_value
+    end
+  end
+
+  def metadata_changes
+    METADATA_FIELDS.filter_map do |field|
+      old_value = @from_metadata[field]
+      new_value = @to_metadata[field]
+      FieldChange.new(field:, before: old_value, after: new_value) unless old_value.presence == new_value.presence
+    end
+  end
+
+  # Blank values compare equal, and rich text compares by its text so
+  # markup-only differences don't show up as changes
+  def normalize(field, value)
+    return self.class.plain_text(value).squish if RICH_TEXT_FIELDS.include?(field)
+    return Array(value).map { |t| t.to_h.slice("target_uuid", "condition", "label").compact_blank } if field == "transitions"
+
+    value.presence
+  end
+
+  def ordered_uuids
+    order = @to_steps.map { |step| step["id"] }
+    @from_steps.each_with_index do |step, index|
+      uuid = step["id"]
+      next if order.include?(uuid)
+
+      previous = @from_steps[0...index].reverse.map { |s| s["id"] }.find { |id| order.include?(id) }
+      order.insert(previous ? order.index(previous) + 1 : 0, uuid)
+    end
+    order
+  end
+
+  def from_by_uuid
+    @from_by_uuid ||= @from_steps.index_by { |step| step["id"] }
+  end
+
+  def to_by_uuid
+    @to_by_uuid ||= @to_steps.index_by { |step| step["id"] }
+  end
+end
@@ -18,6 +18,7 @@ pin "lexxy", to: "lexxy.js"
 pin "sortablejs", to: "sortablejs.js"
 pin "fuse.js", to: "fuse.js"
 pin "spark-md5", to: "spark-md5.js"
+pin "js-yaml", to: "js-yaml.js"
 
 pin "dagre", to: "dagre.js"
 
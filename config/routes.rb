@@ -11,10 +11,14 @@ Rails.application.routes.draw do
     collection do
       get :import
       post :import_file
+      post :import_preview
+      get :export_bundle
     end
     member do
       get :export
       get :export_pdf
+      get :export_mermaid
+      get :export_drawio
       get :preview
       get :variables
       post :save_as_template
@@ -25,17 +29,25 @@ Rails.application.routes.draw do
       get :versions
       # AR step persistence
       patch :sync_steps
+      patch :apply_operations
+      post :extract_subflow
+      patch :rename_variable
       # Builder panel routes
       get :flow_diagram
+      get :simulate
       get :settings
     end
     resources :versions, only: [:show], controller: "workflow_versions" do
+      collection do
+        get :compare
+      end
       member do
         post :restore
       end
     end
+    resources :variables, only: %i[create update destroy], controller: "workflow_variables", param: :name
     resources :scenarios, only: %i[new create]
-    resources :steps, except: [:index] do
+    resources :steps do
       member do
         patch :reorder
         get :panel_edit
@@ -43,6 +55,14 @@ Rails.application.routes.draw do
     end
   end
 
+  resources :instruction_snippets, only: [:index]
+  resources :branch_templates, only: %i[index create destroy]
+  resources :quick_actions, only: [] do
+    member do
+      post :use
+    end
+  end
+
   # Folder management (accessible to editors/admins)
   patch 'folders/move_workflow', to: 'folders#move_workflow', as: :move_workflow_folder
 
@@ -76,6 +96,8 @@ Rails.application.routes.draw do
       end
     end
     resources :templates, except: [:show]
+    resources :instruction_snippets, except: [:show]
+    resources :quick_actions, except: [:show]
     resources :workflows, only: %i[index show destroy]
     resources :groups do
       patch 'folders/reorder', to: 'folders#reorder', as: :reorder_folders
@@ -0,0 +1,5 @@
+class AddFieldVersionsToSteps < ActiveRecord::Migration[8.1]
+  def change
+    add_column :steps, :field_versions, :json, default: {}, null: false
+  end
+end
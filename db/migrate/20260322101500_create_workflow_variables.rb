@@ -0,0 +1,14 @@
+class CreateWorkflowVariables < ActiveRecord::Migration[8.1]
+  def change
+    create_table :workflow_variables do |t|
+      t.references :workflow, null: false, foreign_key: true
+      t.string :name, null: false
+      t.string :variable_type, null: false, default: "text"
+      t.json :allowed_values, default: [], null: false
+      t.text :description
+      t.string :sample_value
+      t.timestamps
+    end
+    add_index :workflow_variables, %i[workflow_id name], unique: true
+  end
+end
@@ -0,0 +1,14 @@
+class CreateInstructionSnippets < ActiveRecord::Migration[8.1]
+  def change
+    create_table :instruction_snippets do |t|
+      t.references :group, foreign_key: true
+      t.string :name, null: false
+      t.string :category, null: false
+      t.string :icon, null: false, default: "chat"
+      t.text :content, null: false
+      t.integer :position, null: false, default: 0
+      t.timestamps
+    end
+    add_index :instruction_snippets, %i[category position]
+  end
+end
@@ -0,0 +1,15 @@
+class CreateQuickActions < ActiveRecord::Migration[8.1]
+  def change
+    create_table :quick_actions do |t|
+      t.references :group, foreign_key: true
+      t.string :label, null: false
+      t.string :icon, null: false, default: "pencil"
+      t.text :template, null: false
+      t.integer :position, null: false, default: 0
+      t.integer :usage_count, null: false, default: 0
+      t.datetime :last_used_at
+      t.timestamps
+    end
+    add_index :quick_actions, %i[group_id position]
+  end
+end
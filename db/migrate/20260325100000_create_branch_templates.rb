@@ -0,0 +1,15 @@
+class CreateBranchTemplates < ActiveRecord::Migration[8.1]
+  def change
+    create_table :branch_templates do |t|
+      t.references :user, null: false, foreign_key: true
+      t.references :group, foreign_key: true
+      t.string :name, null: false
+      t.string :description
+      t.string :variable, null: false
+      t.json :branches, null: false, default: []
+      t.json :placeholders, null: false, default: []
+      t.timestamps
+    end
+    add_index :branch_templates, %i[user_id name], unique: true
+  end
+end
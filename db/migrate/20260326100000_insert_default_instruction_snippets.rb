@@ -0,0 +1,64 @@
+# The instruction snippets offered to everyone (group_id nil), so every
+# environment starts with them, not only those that ran db:seed. Departments
+# add their own under Admin > Snippets.
+class InsertDefaultInstructionSnippets < ActiveRecord::Migration[8.1]
+  class InstructionSnippet < ActiveRecord::Base
+    self.table_name = "instruction_snippets"
+  end
+
+  SNIPPETS = [
+    ["Greeting", "Standard Greeting", "chat",
+     "Thank the customer for calling and introduce yourself by name. Verify you're speaking with the account holder."],
+    ["Greeting", "Callback Greeting", "phone",
+     "Thank the customer for returning the call. Reference ${1:the previous ticket/issue} and confirm they're ready to continue troubleshooting.$0"],
+    ["Greeting", "Escalation Introduction", "arrow-up",
+     "Introduce yourself as a senior support representative. Acknowledge the customer's previous experience and assure them you'll work to resolve the issue."],
+    ["Verification", "Account Verification", "shield",
+     "Ask the customer to verify their account by providing:\n- Full name on the account\n- Email address associated with the account\n- Last 4 digits of payment method (if applicable)"],
+    ["Verification", "Domain Ownership", "globe",
+     "Verify ownership of ${1:the domain} by asking the customer to confirm:\n- Domain name\n- Registrant email address\n- Date of registration (approximate)"],
+    ["Verification", "Two-Factor Auth", "device",
+     "Inform the customer a verification code has been sent to their registered ${1:phone/email}. Ask them to provide the code to proceed."],
+    ["Troubleshooting", "Clear Browser Cache", "trash",
+     "Ask the customer to clear their browser cache and cookies:\n1. Press Ctrl+Shift+Delete (Windows) or Cmd+Shift+Delete (Mac)\n2. Select 'All time' for the time range\n3. Check 'Cached images and files' and 'Cookies'\n4. Click 'Clear data'\n5. Restart the browser and try again"],
+    ["Troubleshooting", "Try Different Browser", "window",
+     "Ask the customer to try accessing the service using a different browser (Chrome, Firefox, Safari, or Edge) to rule out browser-specific issues."],
+    ["Troubleshooting", "Try Incognito Mode", "eye-off",
+     "Ask the customer to open an incognito/private browsing window:\n- Chrome: Ctrl+Shift+N (Windows) or Cmd+Shift+N (Mac)\n- Firefox: Ctrl+Shift+P (Windows) or Cmd+Shift+P (Mac)\n- Then navigate to ${1:the page} and try again"],
+    ["Troubleshooting", "Restart Device", "refresh",
+     "Ask the customer to restart their ${1:device} and try the operation again after it fully reboots."],
+    ["Email", "Check Spam Folder", "mail",
+     "Ask the customer to check their spam/junk folder for the expected email. If found, mark it as 'Not Spam' to ensure future emails arrive in the inbox."],
+    ["Email", "Whitelist Our Domain", "check-circle",
+     "Ask the customer to add our email domain to their contacts or safe senders list to prevent future emails from being filtered."],
+    ["Email", "Resend Verification Email", "mail-open",
+     "Inform the customer you're resending the verification email. Ask them to wait ${1:5-10} minutes and check both inbox and spam folders."],
+    ["DNS", "DNS Propagation Wait", "clock",
+     "Explain to the customer that DNS changes can take up to 24-48 hours to propagate globally. Recommend checking back in 24 hours if changes are not yet visible."],
+    ["DNS", "Flush DNS Cache", "refresh",
+     "Guide the customer to flush their local DNS cache:\n\nWindows:\n1. Open Command Prompt as Administrator\n2. Type: ipconfig /flushdns\n3. Press Enter\n\nMac:\n1. Open Terminal\n2. Type: sudo dscacheutil -flushcache; sudo killall -HUP mDNSResponder\n3. Press Enter and provide password if prompted"],
+    ["DNS", "Verify DNS Records", "search",
+     "Use a DNS lookup tool to verify the customer's DNS records are correctly configured. Check ${1:A records, CNAME records, MX records, and TXT records} as applicable."],
+    ["Closing", "Issue Resolved", "check-circle",
+     "Confirm with the customer that the issue has been resolved. Ask if there's anything else you can help with today. Thank them for their patience and for choosing our service."],
+    ["Closing", "Follow-up Required", "calendar",
+     "Explain that the issue requires further investigation. Provide ticket number ${1:ticket number} and let them know to expect a follow-up within ${2:2 business days}. Assure the customer they'll receive an update via email."],
+    ["Closing", "Escalation Handoff", "arrow-up",
+     "Explain that you're escalating the issue to ${1:a specialist team}. Provide the escalation ticket number and expected response time. Thank the customer for their patience."]
+  ].freeze
+
+  def up
+    now = Time.current
+    existing = InstructionSnippet.where(group_id: nil).pluck(:name)
+    rows = SNIPPETS.each_with_index.filter_map do |(category, name, icon, content), index|
+      next if existing.include?(name)
+
+      { group_id: nil, category:, name:, icon:, content:, position: index, created_at: now, updated_at: now }
+    end
+    InstructionSnippet.insert_all(rows) if rows.any?
+  end
+
+  def down
+    InstructionSnippet.where(group_id: nil, name: SNIPPETS.map(&:second)).delete_all
+  end
+end
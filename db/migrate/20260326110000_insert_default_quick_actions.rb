@@ -0,0 +1,34 @@
+# The default quick-action buttons (group_id nil), offered to groups without
+# their own set, so every environment starts with them, not only those that
+# ran db:seed.
+class InsertDefaultQuickActions < ActiveRecord::Migration[8.1]
+  class QuickAction < ActiveRecord::Base
+    self.table_name = "quick_actions"
+  end
+
+  ACTIONS = [
+    ["Tell customer", "chat", "Tell the customer: ${1:[what to tell them]}"],
+    ["Ask customer", "question", "Ask the customer: ${1:[question to ask]}"],
+    ["Verify", "shield_check", "Verify that: ${1:[what to verify]}"],
+    ["Navigate to", "arrow_right", "Navigate to: ${1:[location/page/section]}"],
+    ["Click", "cursor_click", "Click on: ${1:[button/link/element]}"],
+    ["Wait for", "clock", "Wait for: ${1:[condition/time period]}"],
+    ["Confirm", "check_circle", "Confirm with the customer that: ${1:[what to confirm]}"],
+    ["Document", "document", "Document the following in the ticket: ${1:[what to document]}"]
+  ].freeze
+
+  def up
+    now = Time.current
+    existing = QuickAction.where(group_id: nil).pluck(:label)
+    rows = ACTIONS.each_with_index.filter_map do |(label, icon, template), index|
+      next if existing.include?(label)
+
+      { group_id: nil, label:, icon:, template:, position: index, created_at: now, updated_at: now }
+    end
+    QuickAction.insert_all(rows) if rows.any?
+  end
+
+  def down
+    QuickAction.where(group_id: nil, label: ACTIONS.map(&:first)).delete_all
+  end
+end
@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.1].define(version: 2026_03_20_113337) do
+ActiveRecord::Schema[8.1].define(version: 2026_03_26_110000) do
   create_table "action_text_rich_texts", force: :cascade do |t|
     t.text "body"
     t.datetime "created_at", null: false
@@ -49,6 +49,21 @@ ActiveRecord::Schema[8.1].define(version: 2026_03_20_113337) do
     t.index ["blob_id", "variation_digest"], name: "index_active_storage_variant_records_uniqueness", unique: true
   end
 
+  create_table "branch_templates", force: :cascade do |t|
+    t.json "branches", default: [], null: false
+    t.datetime "created_at", null: false
+    t.string "description"
+    t.integer "group_id"
+    t.string "name", null: false
+    t.json "placeholders", default: [], null: false
+    t.datetime "updated_at", null: false
+    t.integer "user_id", null: false
+    t.string "variable", null: false
+    t.index ["group_id"], name: "index_branch_templates_on_group_id"
+    t.index ["user_id", "name"], name: "index_branch_templates_on_user_id_and_name", unique: true
+    t.index ["user_id"], name: "index_branch_templates_on_user_id"
+  end
+
   create_table "folders", force: :cascade do |t|
     t.datetime "created_at", null: false
     t.text "description"
@@ -88,6 +103,33 @@ ActiveRecord::Schema[8.1].define(version: 2026_03_20_113337) do
     t.index ["parent_id"], name: "index_groups_on_parent_id"
   end
 
+  create_table "instruction_snippets", force: :cascade do |t|
+    t.string "category", null: false
+    t.text "content", null: false
+    t.datetime "created_at", null: false
+    t.integer "group_id"
+    t.string "icon", default: "chat", null: false
+    t.string "name", null: false
+    t.integer "position", default: 0, null: false
+    t.datetime "updated_at", null: false
+    t.index ["category", "position"], name: "index_instruction_snippets_on_category_and_position"
+    t.index ["group_id"], name: "index_instruction_snippets_on_group_id"
+  end
+
+  create_table "quick_actions", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.integer "group_id"
+    t.string "icon", default: "pencil", null: false
+    t.string "label", null: false
+    t.datetime "last_used_at"
+    t.integer "position", default: 0, null: false
+    t.text "template", null: false
+    t.datetime "updated_at", null: false
+    t.integer "usage_count", default: 0, null: false
+    t.index ["group_id", "position"], name: "index_quick_actions_on_group_id_and_position"
+    t.index ["group_id"], name: "index_quick_actions_on_group_id"
+  end
+
   create_table "scenarios", force: :cascade do |t|
     t.datetime "completed_at"
     t.datetime "created_at", null: false
@@ -125,6 +167,7 @@ ActiveRecord::Schema[8.1].define(version: 2026_03_20_113337) do
     t.string "answer_type"
     t.boolean "can_resolve", default: false
     t.datetime "created_at", null: false
+    t.json "field_versions", default: {}, null: false
     t.json "jumps"
     t.integer "lock_version", default: 0, null: false
     t.boolean "notes_required", default: false
@@ -212,6 +255,19 @@ ActiveRecord::Schema[8.1].define(version: 2026_03_20_113337) do
     t.index ["unlock_token"], name: "index_users_on_unlock_token", unique: true
   end
 
+  create_table "workflow_variables", force: :cascade do |t|
+    t.json "allowed_values", default: [], null: false
+    t.datetime "created_at", null: false
+    t.text "description"
+    t.string "name", null: false
+    t.string "sample_value"
+    t.datetime "updated_at", null: false
+    t.string "variable_type", default: "text", null: false
+    t.integer "workflow_id", null: false
+    t.index ["workflow_id", "name"], name: "index_workflow_variables_on_workflow_id_and_name", unique: true
+    t.index ["workflow_id"], name: "index_workflow_variables_on_workflow_id"
+  end
+
   create_table "workflow_versions", force: :cascade do |t|
     t.text "changelog"
     t.datetime "created_at", null: false
@@ -255,10 +311,14 @@ ActiveRecord::Schema[8.1].define(version: 2026_03_20_113337) do
 
   add_foreign_key "active_storage_attachments", "active_storage_blobs", column: "blob_id"
   add_foreign_key "active_storage_variant_records", "active_storage_blobs", column: "blob_id"
+  add_foreign_key "branch_templates", "groups"
+  add_foreign_key "branch_templates", "users"
   add_foreign_key "folders", "groups"
   add_foreign_key "group_workflows", "folders"
   add_foreign_key "group_workflows", "groups"
   add_foreign_key "group_workflows", "workflows"
+  add_foreign_key "instruction_snippets", "groups"
+  add_foreign_key "quick_actions", "groups"
   add_foreign_key "scenarios", "scenarios", column: "parent_scenario_id", on_delete: :nullify
   add_foreign_key "scenarios", "users"
   add_foreign_key "scenarios", "workflow_versions", on_delete: :nullify
@@ -268,6 +328,7 @@ ActiveRecord::Schema[8.1].define(version: 2026_03_20_113337) do
   add_foreign_key "transitions", "steps", column: "target_step_id"
   add_foreign_key "user_groups", "groups"
   add_foreign_key "user_groups", "users"
+  add_foreign_key "workflow_variables", "workflows"
   add_foreign_key "workflow_versions", "users", column: "published_by_id"
   add_foreign_key "workflow_versions", "workflows"
   add_foreign_key "workflows", "steps", column: "start_step_id"
@@ -1,6 +1,8 @@
 require "test_helper"
 
 class WorkflowChannelLogicTest < ActiveSupport::TestCase
+  include ActionCable::TestHelper
+
   setup do
     @user = User.create!(
       email: "channel-test-#{SecureRandom.hex(4)}@example.com",
@@ -25,4 +27,38 @@ class WorkflowChannelLogicTest < ActiveSupport::TestCase
     key = @channel.send(:presence_redis_key, @workflow)
     assert_equal "turboflows:presence:workflow:#{@workflow.id}", key
   end
+
+  test "apply_operations broadcasts the result with the sender's client id" do
+    step = Steps::Action.create!(workflow: @workflow, uuid: "a1", position: 0, title: "Old")
+    @channel.instance_variable_set(:@params, { workflow_id: @workflow.id }.with_indifferent_access)
+    operation = { "op" => "set_field", "step_uuid" => "a1", "field" => "title", "value" => "New",
+                  "base_version" => step.field_version("title") }
+
+    assert_broadcasts("workflow:#{@workflow.id}", 1) do
+      @channel.apply_operations("client_id" => "tab-1", "operations" => [operation])
+    end
+
+    message = JSON.parse(broadcasts("workflow:#{@workflow.id}").last)
+    assert_equal "step_operations", message["type"]
+    assert_equal "tab-1", message["client_id"]
+    assert_equal "New", message["operations"].first["value"]
+    assert_equal "New", step.reload.title
+  end
+
+  test "update_cursor shares the open step and field with presence" do
+    @channel.instance_variable_set(:@params, { workflow_id: @workflow.id }.with_indifferent_access)
+    @channel.send(:add_presence, @workflow)
+
+    @channel.update_cursor("step_uuid" => "a1", "field" => "title")
+    me = @channel.send(:get_active_users, @workflow).find { |user| user[:id] == @user.id }
+    assert_equal "a1", me[:step_uuid]
+    assert_equal "title", me[:field]
+
+    @channel.update_cursor("step_uuid" => nil, "field" => "title")
+    me = @channel.send(:get_active_users, @workflow).find { |user| user[:id] == @user.id }
+    assert_nil me[:step_uuid]
+    assert_nil me[:field]
+  ensure
+    @channel.send(:remove_presence, @workflow)
+  end
 end
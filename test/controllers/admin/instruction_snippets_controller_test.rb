@@ -0,0 +1,71 @@
+require "test_helper"
+
+class Admin::InstructionSnippetsControllerTest < ActionDispatch::IntegrationTest
+  def setup
+    @admin = User.create!(
+      email: "admin-snippets-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "admin"
+    )
+    @editor = User.create!(
+      email: "editor-snippets-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @group = Group.create!(name: "Snippet Group #{SecureRandom.hex(3)}")
+    @snippet = InstructionSnippet.create!(name: "Check Spam Folder", category: "Email", content: "Ask the customer to check spam.")
+  end
+
+  test "admin should be able to list snippets by group" do
+    sign_in @admin
+    get admin_instruction_snippets_path(group_id: "everyone")
+
+    assert_response :success
+    assert_match "Check Spam Folder", response.body
+  end
+
+  test "non-admin should not be able to manage snippets" do
+    sign_in @editor
+    get admin_instruction_snippets_path
+
+    assert_redirected_to root_path
+  end
+
+  test "admin should be able to create a group snippet" do
+    sign_in @admin
+
+    assert_difference("InstructionSnippet.count", 1) do
+      post admin_instruction_snippets_path, params: {
+        instruction_snippet: { name: "Billing Greeting", category: "Greeting", icon: "chat", group_id: @group.id,
+                               content: "Thanks for calling billing, {{customer_name}}. $1" }
+      }
+    end
+
+    assert_redirected_to admin_instruction_snippets_path
+    assert_equal @group, InstructionSnippet.find_by!(name: "Billing Greeting").group
+  end
+
+  test "invalid snippets render the form again" do
+    sign_in @admin
+
+    assert_no_difference("InstructionSnippet.count") do
+      post admin_instruction_snippets_path, params: { instruction_snippet: { name: "", category: "Greeting", content: "Hi" } }
+    end
+
+    assert_response :unprocessable_content
+  end
+
+  test "admin should be able to update and delete a snippet" do
+    sign_in @admin
+
+    patch admin_instruction_snippet_path(@snippet), params: { instruction_snippet: { content: "Check the junk folder too." } }
+    assert_redirected_to admin_instruction_snippets_path
+    assert_equal "Check the junk folder too.", @snippet.reload.content
+
+    assert_difference("InstructionSnippet.count", -1) do
+      delete admin_instruction_snippet_path(@snippet)
+    end
+  end
+end
@@ -0,0 +1,72 @@
+require "test_helper"
+
+class Admin::QuickActionsControllerTest < ActionDispatch::IntegrationTest
+  def setup
+    @admin = User.create!(
+      email: "admin-quick-actions-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "admin"
+    )
+    @editor = User.create!(
+      email: "editor-quick-actions-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @group = Group.create!(name: "Quick Action Group #{SecureRandom.hex(3)}")
+    @quick_action = QuickAction.create!(label: "Wait for", icon: "clock", template: "Wait for: ${1:[condition]}",
+                                        usage_count: 7)
+  end
+
+  test "admin should be able to list quick actions with their usage" do
+    sign_in @admin
+    get admin_quick_actions_path(group_id: "default", sort: "usage")
+
+    assert_response :success
+    assert_match "Wait for", response.body
+    assert_match "Used 7 times", response.body
+  end
+
+  test "non-admin should not be able to manage quick actions" do
+    sign_in @editor
+    get admin_quick_actions_path
+
+    assert_redirected_to root_path
+  end
+
+  test "admin should be able to create a group quick action" do
+    sign_in @admin
+
+    assert_difference("QuickAction.count", 1) do
+      post admin_quick_actions_path, params: {
+        quick_action: { label: "Refund", icon: "check_circle", group_id: @group.id, template: "Refund ${1:amount}" }
+      }
+    end
+
+    assert_redirected_to admin_quick_actions_path
+    assert_equal @group, QuickAction.find_by!(label: "Refund").group
+  end
+
+  test "invalid quick actions render the form again" do
+    sign_in @admin
+
+    assert_no_difference("QuickAction.count") do
+      post admin_quick_actions_path, params: { quick_action: { label: "", icon: "chat", template: "Hi" } }
+    end
+
+    assert_response :unprocessable_content
+  end
+
+  test "admin should be able to update and delete a quick action" do
+    sign_in @admin
+
+    patch admin_quick_action_path(@quick_action), params: { quick_action: { label: "Hold" } }
+    assert_redirected_to admin_quick_actions_path
+    assert_equal "Hold", @quick_action.reload.label
+
+    assert_difference("QuickAction.count", -1) do
+      delete admin_quick_action_path(@quick_action)
+    end
+  end
+end
@@ -0,0 +1,73 @@
+require "test_helper"
+
+class BranchTemplatesControllerTest < ActionDispatch::IntegrationTest
+  def setup
+    @editor = User.create!(
+      email: "branch-templates-editor-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @group = Group.create!(name: "Branch Templates #{SecureRandom.hex(3)}")
+    UserGroup.create!(user: @editor, group: @group)
+  end
+
+  test "saves a step's branches as a template shared with a group" do
+    sign_in @editor
+
+    assert_difference("BranchTemplate.count", 1) do
+      post branch_templates_path(format: :json), params: {
+        branch_template: {
+          name: "Plan tiers", description: "Pro or not", group_id: @group.id,
+          branches: [{ condition: "plan == 'pro'", label: "If pro" }, { condition: "", label: "Otherwise" }]
+        }
+      }, as: :json
+    end
+
+    assert_response :created
+    template = response.parsed_body
+    assert_equal "plan", template["variable"]
+    assert_equal "{{variable}} == {{value_1}}", template["branches"].first["condition"]
+    assert_equal @group.name, template["group"]
+    assert template["deletable"]
+  end
+
+  test "reports why a template couldn't be saved" do
+    sign_in @editor
+
+    post branch_templates_path(format: :json), params: { branch_template: { name: "", branches: [] } }, as: :json
+
+    assert_response :unprocessable_content
+    assert_includes response.parsed_body["errors"], "Name can't be blank"
+  end
+
+  test "lists templates shared with the user's groups and lets only their author delete them" do
+    author = User.create!(email: "branch-templates-author-#{SecureRandom.hex(4)}@example.com", password: "password123!",
+                          password_confirmation: "password123!", role: "editor")
+    UserGroup.create!(user: author, group: @group)
+    template = BranchTemplate.from_branches([{ condition: "score > 10", label: "High" }], user: author, name: "Score",
+                                            group: @group).tap(&:save!)
+
+    sign_in @editor
+    get branch_templates_path(format: :json)
+
+    assert_response :success
+    listed = response.parsed_body.find { |entry| entry["id"] == template.id }
+    assert_equal author.display_label, listed["created_by"]
+    assert_not listed["deletable"]
+
+    assert_no_difference("BranchTemplate.count") do
+      delete branch_template_path(template, format: :json)
+    end
+    assert_response :forbidden
+  end
+
+  test "requires an editor" do
+    user = User.create!(email: "branch-templates-user-#{SecureRandom.hex(4)}@example.com", password: "password123!",
+                        password_confirmation: "password123!", role: "user")
+    sign_in user
+    get branch_templates_path(format: :json)
+
+    assert_redirected_to root_path
+  end
+end
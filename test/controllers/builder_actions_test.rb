@@ -20,6 +20,11 @@ class BuilderActionsRoutingTest < ActionDispatch::IntegrationTest
     assert_response :success
   end
 
+  test "simulate route responds" do
+    get simulate_workflow_path(@workflow)
+    assert_response :success
+  end
+
   test "settings route responds" do
     get settings_workflow_path(@workflow)
     assert_response :success
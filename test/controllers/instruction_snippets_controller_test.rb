@@ -0,0 +1,49 @@
+require "test_helper"
+
+class InstructionSnippetsControllerTest < ActionDispatch::IntegrationTest
+  def setup
+    @editor = User.create!(
+      email: "snippets-editor-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @group = Group.create!(name: "Snippets #{SecureRandom.hex(3)}")
+    @workflow = Workflow.create!(title: "Snippet Workflow", user: @editor)
+    GroupWorkflow.create!(group: @group, workflow: @workflow)
+
+    @snippet = InstructionSnippet.create!(name: "Department greeting", category: "Greeting", icon: "phone",
+                                          content: "Hi {{customer_name}}, ${1:how can I help}?", group: @group)
+  end
+
+  test "lists the snippets for the workflow's groups" do
+    sign_in @editor
+    get instruction_snippets_path(format: :json, workflow_id: @workflow.id)
+
+    assert_response :success
+    snippet = response.parsed_body.find { |entry| entry["id"] == @snippet.id }
+
+    assert_equal "Greeting", snippet["category"]
+    assert_equal "phone", snippet["icon"]
+    assert_equal @snippet.content, snippet["content"]
+    assert_equal ["customer_name"], snippet["variables"]
+    assert_equal @group.name, snippet["group"]
+  end
+
+  test "leaves out other groups' snippets" do
+    sign_in @editor
+    get instruction_snippets_path(format: :json)
+
+    assert_response :success
+    assert_not_includes response.parsed_body.pluck("id"), @snippet.id
+  end
+
+  test "requires an editor" do
+    user = User.create!(email: "snippets-user-#{SecureRandom.hex(4)}@example.com", password: "password123!",
+                        password_confirmation: "password123!", role: "user")
+    sign_in user
+    get instruction_snippets_path(format: :json)
+
+    assert_redirected_to root_path
+  end
+end
@@ -0,0 +1,57 @@
+require "test_helper"
+
+class QuickActionsControllerTest < ActionDispatch::IntegrationTest
+  def setup
+    @editor = User.create!(
+      email: "quick-actions-editor-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @workflow = Workflow.create!(title: "Quick Action Workflow", user: @editor)
+    @quick_action = QuickAction.create!(label: "Verify", icon: "shield_check", template: "Verify that: ${1:[what to verify]}")
+  end
+
+  test "counts a use" do
+    sign_in @editor
+
+    assert_difference -> { @quick_action.reload.usage_count }, 1 do
+      post use_quick_action_path(@quick_action, workflow_id: @workflow.id)
+    end
+
+    assert_response :no_content
+    assert_not_nil @quick_action.reload.last_used_at
+  end
+
+  test "requires an editor" do
+    user = User.create!(email: "quick-actions-user-#{SecureRandom.hex(4)}@example.com", password: "password123!",
+                        password_confirmation: "password123!", role: "user")
+    sign_in user
+    post use_quick_action_path(@quick_action, workflow_id: @workflow.id)
+
+    assert_redirected_to root_path
+    assert_equal 0, @quick_action.reload.usage_count
+  end
+
+  test "doesn't count another group's quick action" do
+    other_group = Group.create!(name: "Other Group #{SecureRandom.hex(3)}")
+    other_action = QuickAction.create!(label: "Refund", icon: "check_circle", template: "Refund issued", group: other_group)
+    sign_in @editor
+
+    post use_quick_action_path(other_action, workflow_id: @workflow.id)
+
+    assert_response :not_found
+    assert_equal 0, other_action.reload.usage_count
+  end
+
+  test "doesn't count uses on a workflow the user can't edit" do
+    other_editor = User.create!(email: "quick-actions-other-#{SecureRandom.hex(4)}@example.com", password: "password123!",
+                                password_confirmation: "password123!", role: "editor")
+    sign_in other_editor
+
+    post use_quick_action_path(@quick_action, workflow_id: @workflow.id)
+
+    assert_response :not_found
+    assert_equal 0, @quick_action.reload.usage_count
+  end
+end
@@ -72,6 +72,59 @@ class StepsControllerTest < ActionDispatch::IntegrationTest
     assert_equal "Updated Title", json["title"]
   end
 
+  test "update step via turbo stream reports edits still queued offline" do
+    patch workflow_step_path(@workflow, @step),
+      params: { step: { title: "Replayed Title" }, autosave_pending: 2 },
+      headers: { "Accept" => "text/vnd.turbo-stream.html" }
+
+    assert_response :ok
+    assert_equal "Replayed Title", @step.reload.title
+    assert_includes response.body, "builder__autosave--offline"
+    assert_includes response.body, "2 unsaved changes"
+
+    patch workflow_step_path(@workflow, @step),
+      params: { step: { title: "Last Replayed Title" }, autosave_pending: 0 },
+      headers: { "Accept" => "text/vnd.turbo-stream.html" }
+
+    assert_includes response.body, "builder__autosave--saved"
+  end
+
+  test "update step returns the new lock_version for the form's next save" do
+    patch workflow_step_path(@workflow, @step),
+      params: { step: { title: "Saved Once", lock_version: @step.lock_version } },
+      headers: { "Accept" => "text/vnd.turbo-stream.html" }
+
+    assert_response :ok
+    assert_equal @step.reload.lock_version.to_s, response.headers["X-Lock-Version"]
+  end
+
+  test "saves name the step for the builder's undo history" do
+    headers = { "Accept" => "text/vnd.turbo-stream.html" }
+
+    post workflow_steps_path(@workflow), params: { step: { type: "action", title: "Added" } }, headers: headers
+    added = @workflow.steps.find_by!(title: "Added")
+    assert_equal added.uuid, response.headers["X-Step-Uuid"]
+
+    patch workflow_step_path(@workflow, @step), params: { step: { title: "Edited" } }, headers: headers
+    assert_equal @step.uuid, response.headers["X-Step-Uuid"]
+
+    delete workflow_step_path(@workflow, added), headers: headers
+    assert_equal added.uuid, response.headers["X-Step-Uuid"]
+  end
+
+  test "update step with a stale lock_version is a conflict" do
+    stale_version = @step.lock_version
+    @step.update!(title: "Changed Elsewhere")
+
+    patch workflow_step_path(@workflow, @step),
+      params: { step: { title: "Mine", lock_version: stale_version } },
+      headers: { "Accept" => "text/vnd.turbo-stream.html" }
+
+    assert_response :conflict
+    assert_includes response.body, "changed by someone else"
+    assert_equal "Changed Elsewhere", @step.reload.title
+  end
+
   # 5. destroy step via JSON returns 204 no content
   test "destroy step via JSON returns 204 no content" do
     assert_difference("Step.count", -1) do
@@ -106,6 +159,20 @@ class StepsControllerTest < ActionDispatch::IntegrationTest
     assert_includes response.body, "append"
   end
 
+  test "create step after another step inserts and connects it" do
+    last = Steps::Resolve.create!(workflow: @workflow, position: 1, title: "Done", resolution_type: "success")
+
+    post workflow_steps_path(@workflow),
+      params: { step_type: "question", after: @step.uuid },
+      headers: { "Accept" => "text/vnd.turbo-stream.html" }
+
+    assert_response :ok
+    assert_includes response.body, "update"
+    question = @workflow.steps.find_by!(type: "Steps::Question")
+    assert_equal [@step, question, last].map(&:id), @workflow.steps.reload.order(:position).map(&:id)
+    assert_equal [question], @step.reload.transitions.map(&:target_step)
+  end
+
   # 8. edit action returns edit form partial
   test "edit action returns edit form for step" do
     get edit_workflow_step_path(@workflow, @step),
@@ -199,4 +266,50 @@ class StepsControllerTest < ActionDispatch::IntegrationTest
     assert_redirected_to workflows_path
     assert_match(/permission/, flash[:alert])
   end
+
+  # 15. index returns an editor snapshot of the workflow's steps
+  test "index returns editor snapshot as JSON" do
+    target = Steps::Resolve.create!(workflow: @workflow, position: 1, title: "Done")
+    Transition.create!(step: @step, target_step: target, position: 0)
+    @workflow.update!(start_step: @step)
+
+    get workflow_steps_path(@workflow), as: :json
+
+    assert_response :ok
+    json = response.parsed_body
+    assert_equal @step.uuid, json["start_node_uuid"]
+    assert_equal @workflow.reload.lock_version, json["lock_version"]
+    assert_equal [@step.uuid, target.uuid], json["steps"].map { |s| s["id"] }
+    assert_equal target.uuid, json["steps"].first["transitions"].first["target_uuid"]
+  end
+
+  # 16. an index snapshot can be written back through sync_steps (builder undo)
+  test "index snapshot restores a deleted step through sync_steps" do
+    get workflow_steps_path(@workflow), as: :json
+    snapshot = response.parsed_body
+
+    delete workflow_step_path(@workflow, @step), as: :json
+    assert_equal 0, @workflow.steps.reload.count
+
+    patch sync_steps_workflow_path(@workflow),
+      params: { steps: snapshot["steps"], start_node_uuid: snapshot["start_node_uuid"] },
+      as: :json
+
+    assert_response :ok
+    restored = @workflow.steps.reload
+    assert_equal [@step.uuid], restored.map(&:uuid)
+    assert_equal "Existing Step", restored.first.title
+  end
+
+  # 17. index lists which sub-flow targets still exist (builder lint)
+  test "index reports existing sub-flow targets" do
+    child = Workflow.create!(title: "Child WF", user: @editor, graph_mode: true)
+    Steps::SubFlow.create!(workflow: @workflow, position: 1, title: "Run child", sub_flow_workflow_id: child.id)
+    Steps::SubFlow.create!(workflow: @workflow, position: 2, title: "Run missing", sub_flow_workflow_id: child.id + 1000)
+
+    get workflow_steps_path(@workflow), as: :json
+
+    assert_response :ok
+    assert_equal [child.id], response.parsed_body["subflow_workflow_ids"]
+  end
 end
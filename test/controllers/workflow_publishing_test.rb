@@ -82,6 +82,32 @@ class WorkflowPublishingTest < ActionDispatch::IntegrationTest
     assert_match "Q1", response.body
   end
 
+  test "editor can compare a version with the draft" do
+    sign_in @editor
+    result = WorkflowPublisher.publish(@workflow, @editor)
+    @q1_step.update!(title: "Q1 renamed")
+    Steps::Message.create!(workflow: @workflow, position: 2, title: "Extra note")
+
+    get compare_workflow_versions_path(@workflow, from: result.version.id, to: "draft")
+
+    assert_response :success
+    assert_match "Q1 renamed", response.body
+    assert_match "Extra note", response.body
+    assert_select ".version-diff__step--changed", 1
+    assert_select ".version-diff__step--added", 1
+    assert_select "[data-controller='version-diff']"
+  end
+
+  test "compare defaults to the published version against the draft" do
+    sign_in @editor
+    WorkflowPublisher.publish(@workflow, @editor)
+
+    get compare_workflow_versions_path(@workflow)
+
+    assert_response :success
+    assert_match "no differences", response.body
+  end
+
   test "editor can restore a version" do
     sign_in @editor
     WorkflowPublisher.publish(@workflow, @editor)
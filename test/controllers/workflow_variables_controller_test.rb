@@ -0,0 +1,68 @@
+require "test_helper"
+
+class WorkflowVariablesControllerTest < ActionDispatch::IntegrationTest
+  def setup
+    @editor = User.create!(
+      email: "variables-editor-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @user = User.create!(
+      email: "variables-user-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "user"
+    )
+    @workflow = Workflow.create!(title: "Billing", user: @editor)
+    Steps::Question.create!(workflow: @workflow, position: 0, title: "Which plan?", question: "Plan?", variable_name: "plan")
+    sign_in @editor
+  end
+
+  test "create declares a variable and goes back to the panel" do
+    post workflow_variables_path(@workflow), params: {
+      workflow_variable: { name: "region", variable_type: "enum", allowed_values: "eu, us", sample_value: "eu" }
+    }
+
+    assert_redirected_to variables_workflow_path(@workflow, mode: "edit")
+    variable = @workflow.variable_definitions.find_by!(name: "region")
+    assert_equal %w[eu us], variable.allowed_values
+  end
+
+  test "update declares a type for an inferred variable" do
+    patch workflow_variable_path(@workflow, "plan"), params: {
+      workflow_variable: { variable_type: "boolean", description: "Paid plan?" }
+    }
+
+    assert_redirected_to variables_workflow_path(@workflow, mode: "edit")
+    assert_equal "boolean", @workflow.variable_definitions.find_by!(name: "plan").variable_type
+  end
+
+  test "an invalid declaration renders the panel with errors" do
+    patch workflow_variable_path(@workflow, "plan"), params: {
+      workflow_variable: { variable_type: "number", sample_value: "lots" }
+    }
+
+    assert_response :unprocessable_content
+    assert_includes response.body, "Sample value isn&#39;t a valid number"
+    assert_not @workflow.variable_definitions.exists?(name: "plan")
+  end
+
+  test "destroy forgets the declaration" do
+    @workflow.variable_definitions.create!(name: "plan", variable_type: "text")
+
+    delete workflow_variable_path(@workflow, "plan")
+
+    assert_redirected_to variables_workflow_path(@workflow, mode: "edit")
+    assert_not @workflow.variable_definitions.exists?(name: "plan")
+  end
+
+  test "users who can't edit the workflow can't declare variables" do
+    sign_in @user
+
+    post workflow_variables_path(@workflow), params: { workflow_variable: { name: "region" } }
+
+    assert_redirected_to workflows_path
+    assert_not @workflow.variable_definitions.exists?(name: "region")
+  end
+end
@@ -0,0 +1,78 @@
+require "test_helper"
+
+class WorkflowsApplyOperationsTest < ActionDispatch::IntegrationTest
+  include Devise::Test::IntegrationHelpers
+
+  setup do
+    @user = User.create!(
+      email: "operations-test-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    sign_in @user
+    @workflow = Workflow.create!(title: "Operations Workflow", user: @user, graph_mode: true)
+    @ask = Steps::Question.create!(workflow: @workflow, position: 0, title: "Ask plan", question: "Which plan?",
+                                   answer_type: "text", variable_name: "plan")
+    @check = Steps::Action.create!(workflow: @workflow, position: 1, title: "Check limits")
+  end
+
+  test "undoing a title edit leaves a collaborator's edit to another step alone" do
+    @ask.update!(title: "Ask the plan")
+    edited_version = @ask.reload.field_version("title")
+    # Someone else renames the other step before the undo
+    @check.update!(title: "Check plan limits")
+
+    patch apply_operations_workflow_path(@workflow), params: {
+      operations: [{ op: "set_field", step_uuid: @ask.uuid, field: "title", value: "Ask plan", base_version: edited_version }],
+      client_id: "client-1"
+    }, as: :json
+
+    assert_response :success
+    assert_equal 1, response.parsed_body["applied"].size
+    assert_equal "Ask plan", @ask.reload.title
+    assert_equal "Check plan limits", @check.reload.title
+  end
+
+  test "an undo of a field someone changed since is turned down" do
+    @ask.update!(title: "Ask the plan")
+    edited_version = @ask.reload.field_version("title")
+    @ask.update!(title: "Ask for the plan")
+
+    patch apply_operations_workflow_path(@workflow), params: {
+      operations: [{ op: "set_field", step_uuid: @ask.uuid, field: "title", value: "Ask plan", base_version: edited_version }]
+    }, as: :json
+
+    assert_response :success
+    assert_equal ["conflict"], response.parsed_body["rejected"].map { |op| op["reason"] }
+    assert_equal "Ask for the plan", @ask.reload.title
+  end
+
+  test "undoing a removal adds the step back with its transitions" do
+    data = { "id" => SecureRandom.uuid, "type" => "resolve", "title" => "Done", "resolution_type" => "success", "transitions" => [] }
+
+    patch apply_operations_workflow_path(@workflow), params: {
+      operations: [
+        { op: "add_step", step: data, index: 2 },
+        { op: "set_field", step_uuid: @check.uuid, field: "transitions", value: [{ target_uuid: data["id"] }], base_version: 0 }
+      ]
+    }, as: :json
+
+    assert_response :success
+    done = @workflow.steps.find_by!(uuid: data["id"])
+    assert_equal [done.id], @check.reload.transitions.map(&:target_step_id)
+  end
+
+  test "requires permission to edit the workflow" do
+    other = User.create!(email: "operations-other-#{SecureRandom.hex(4)}@example.com", password: "password123!",
+                         password_confirmation: "password123!", role: "editor")
+    sign_in other
+
+    patch apply_operations_workflow_path(@workflow), params: {
+      operations: [{ op: "set_field", step_uuid: @ask.uuid, field: "title", value: "Hijacked", base_version: 1 }]
+    }, as: :json
+
+    assert_redirected_to workflows_path
+    assert_equal "Ask plan", @ask.reload.title
+  end
+end
@@ -553,6 +553,34 @@ class WorkflowsControllerTest < ActionDispatch::IntegrationTest
     assert_not_nil @workflow.published_version
   end
 
+  test "extract_subflow moves steps into a new workflow" do
+    sign_in @editor
+    q1 = @workflow.steps.find_by!(title: "Question 1")
+    q0 = Steps::Question.create!(workflow: @workflow, position: 0, title: "Intro", question: "Ready?")
+    Transition.create!(step: q0, target_step: q1, position: 0)
+    @workflow.update_column(:start_step_id, q0.id)
+
+    assert_difference("Workflow.count", 1) do
+      post extract_subflow_workflow_path(@workflow), params: { step_uuids: [q1.uuid], title: "Ask name" }, as: :json
+    end
+
+    assert_response :success
+    json = response.parsed_body
+    assert json["success"]
+    subflow = @workflow.steps.find_by!(uuid: json["step_uuid"])
+    assert_equal "Ask name", subflow.title
+    assert_equal [subflow.id], q0.transitions.map(&:target_step_id)
+  end
+
+  test "extract_subflow reports steps that can't be extracted" do
+    sign_in @editor
+
+    post extract_subflow_workflow_path(@workflow), params: { step_uuids: ["missing"] }, as: :json
+
+    assert_response :unprocessable_content
+    assert response.parsed_body["error"].present?
+  end
+
   test "publish with invalid graph fails" do
     sign_in @editor
     bad_wf = Workflow.create!(title: "Bad Graph", user: @editor, status: "draft")
@@ -575,6 +603,44 @@ class WorkflowsControllerTest < ActionDispatch::IntegrationTest
     assert_response :success
     json = response.parsed_body
     assert json["variables"].is_a?(Array)
+    assert json["usages"].is_a?(Array)
+  end
+
+  test "variables renders the variables panel with usages" do
+    sign_in @editor
+    @workflow.steps.find_by!(title: "Question 1").update!(variable_name: "customer_name")
+
+    get variables_workflow_path(@workflow, mode: "edit")
+
+    assert_response :success
+    assert_includes response.body, "customer_name"
+    assert_includes response.body, "variable-rename"
+  end
+
+  test "rename_variable renames a variable in every step" do
+    sign_in @editor
+    q1 = @workflow.steps.find_by!(title: "Question 1")
+    q1.update!(variable_name: "customer_name")
+    q1.transitions.first.update!(condition: "customer_name is not empty")
+
+    patch rename_variable_workflow_path(@workflow), params: { from: "customer_name", to: "caller" }, as: :json
+
+    assert_response :success
+    assert_equal [q1.uuid], response.parsed_body["step_uuids"]
+    assert_equal "caller", q1.reload.variable_name
+    assert_equal "caller is not empty", q1.transitions.first.condition
+  end
+
+  test "rename_variable refuses a name already in use" do
+    sign_in @editor
+    q1 = @workflow.steps.find_by!(title: "Question 1")
+    q1.update!(variable_name: "customer_name")
+    Steps::Question.create!(workflow: @workflow, position: 2, title: "Phone", question: "Phone?", variable_name: "phone")
+
+    patch rename_variable_workflow_path(@workflow), params: { from: "customer_name", to: "phone" }, as: :json
+
+    assert_response :unprocessable_content
+    assert_match(/already used/, response.parsed_body["error"])
   end
 
 end
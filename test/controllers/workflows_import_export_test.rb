@@ -83,6 +83,25 @@ class WorkflowsImportExportTest < ActionDispatch::IntegrationTest
     assert_equal 'application/pdf', response.content_type
   end
 
+  test "export Mermaid returns a flowchart file" do
+    get export_mermaid_workflow_path(@graph_workflow)
+
+    assert_response :success
+    assert_match(%r{text/plain}, response.content_type)
+    assert_match(/graph-mode-workflow\.mmd/, response.headers["Content-Disposition"])
+    assert_includes response.body, "flowchart TD"
+    assert_includes response.body, %(s1 --> s2)
+  end
+
+  test "export draw.io returns a diagram file" do
+    get export_drawio_workflow_path(@graph_workflow)
+
+    assert_response :success
+    assert_match(%r{application/xml}, response.content_type)
+    assert_match(/graph-mode-workflow\.drawio/, response.headers["Content-Disposition"])
+    assert_equal 4, Nokogiri::XML(response.body).xpath("//object[@turboflows_type]").size
+  end
+
   # ============================================================================
   # Import Page Tests
   # ============================================================================
@@ -284,6 +303,140 @@ class WorkflowsImportExportTest < ActionDispatch::IntegrationTest
     assert_equal 3, imported.steps.reload.count
   end
 
+  # ============================================================================
+  # Mermaid / draw.io Import Tests
+  # ============================================================================
+
+  test "import Mermaid flowchart" do
+    mermaid = <<~MMD
+      ---
+      title: Mermaid Import Test
+      ---
+      flowchart TD
+        A{Which plan?} -->|"plan == 'pro'"| B[Issue refund]
+        A --> C([Done])
+        B --> C
+    MMD
+
+    file = Rack::Test::UploadedFile.new(StringIO.new(mermaid), 'text/plain', original_filename: 'refunds.mmd')
+
+    assert_difference("Workflow.count") do
+      post import_file_workflows_path, params: { file: file }
+    end
+
+    imported = Workflow.last
+
+    assert_equal "Mermaid Import Test", imported.title
+    assert_equal %w[Steps::Question Steps::Action Steps::Resolve], imported.steps.map(&:type)
+    assert_equal "Which plan?", imported.start_step.title
+    assert_equal ["plan == 'pro'", nil], imported.start_step.transitions.map(&:condition)
+  end
+
+  test "draw.io export imports back with positions" do
+    @graph_workflow.steps.each_with_index { |step, index| step.update_columns(position_x: 200 * index, position_y: 40) }
+    get export_drawio_workflow_path(@graph_workflow)
+
+    file = Rack::Test::UploadedFile.new(StringIO.new(response.body), 'application/xml', original_filename: 'graph.drawio')
+
+    assert_difference("Workflow.count") do
+      post import_file_workflows_path, params: { file: file }
+    end
+
+    imported = Workflow.last
+
+    assert_equal "Graph Mode Workflow", imported.title
+    assert_equal ["Get Name", "Check Name", "Welcome", "Exit"], imported.steps.map(&:title)
+    assert_equal [0, 200, 400, 600], imported.steps.map(&:position_x)
+    assert_equal "Get Name", imported.start_step.title
+  end
+
+  test "import preview returns steps without saving" do
+    file = Rack::Test::UploadedFile.new(StringIO.new("flowchart LR\n  A[Greet] --> B([Done])\n"), 'text/plain', original_filename: 'greet.mmd')
+
+    assert_no_difference("Workflow.count") do
+      post import_preview_workflows_path, params: { file: file }
+    end
+
+    assert_response :success
+    preview = response.parsed_body
+
+    assert_equal "mermaid", preview["format"]
+    assert_equal %w[Greet Done], preview["steps"].pluck("title")
+    assert_equal preview["steps"].first["id"], preview["start_node_uuid"]
+    assert_empty preview["errors"]
+  end
+
+  test "import preview reports parse errors" do
+    file = Rack::Test::UploadedFile.new(StringIO.new("{ not json"), 'application/json', original_filename: 'broken.json')
+
+    post import_preview_workflows_path, params: { file: file }
+
+    assert_response :unprocessable_content
+    assert_match(/invalid json/i, response.parsed_body["errors"].first)
+  end
+
+  # ============================================================================
+  # Bundle Tests
+  # ============================================================================
+
+  test "export bundle includes the selected workflows and their sub-flows" do
+    parent = Workflow.create!(title: "Bundle Parent", user: @editor)
+    Steps::SubFlow.create!(workflow: parent, position: 0, title: "Run graph", sub_flow_workflow_id: @graph_workflow.id)
+
+    get export_bundle_workflows_path, params: { ids: [parent.id], include_subflows: "1" }
+
+    assert_response :success
+    assert_match(/workflows-bundle-.*\.json/, response.headers['Content-Disposition'])
+    bundle = JSON.parse(response.body)
+
+    assert_equal [parent.id, @graph_workflow.id], bundle['workflows'].pluck('id')
+    assert_equal "Graph Mode Workflow", bundle['workflows'].first['steps'].first['target_workflow_title']
+  end
+
+  test "export bundle without a selection redirects back" do
+    get export_bundle_workflows_path
+
+    assert_redirected_to workflows_path
+  end
+
+  test "import file with a bundle imports every workflow" do
+    suffix = SecureRandom.hex(3)
+    bundle = {
+      bundle_version: "1.0",
+      workflows: [
+        { id: 1, title: "Bundled Parent #{suffix}", steps: [{ id: "a", type: "sub_flow", title: "Child", target_workflow_id: 2 }] },
+        { id: 2, title: "Bundled Child #{suffix}", steps: [{ id: "b", type: "resolve", title: "Done" }] }
+      ]
+    }.to_json
+    file = Rack::Test::UploadedFile.new(StringIO.new(bundle), 'application/json', original_filename: 'bundle.json')
+
+    assert_difference("Workflow.count", 2) do
+      post import_file_workflows_path, params: { file: file }
+    end
+
+    child = Workflow.find_by!(title: "Bundled Child #{suffix}")
+    parent = Workflow.find_by!(title: "Bundled Parent #{suffix}")
+    assert_redirected_to workflows_path
+    assert_equal child.id, parent.steps.first.sub_flow_workflow_id
+  end
+
+  test "import preview lists a bundle's workflows and duplicates" do
+    bundle = { workflows: [{ id: 7, title: "graph mode workflow", steps: [] }] }.to_json
+    file = Rack::Test::UploadedFile.new(StringIO.new(bundle), 'application/json', original_filename: 'bundle.json')
+
+    assert_no_difference("Workflow.count") do
+      post import_preview_workflows_path, params: { file: file }
+    end
+
+    assert_response :success
+    preview = response.parsed_body
+
+    assert preview["bundle"]
+    assert_equal "7", preview["workflows"].first["key"]
+    assert_equal @graph_workflow.id, preview["workflows"].first["duplicate"]["id"]
+    assert_equal "skip", preview["workflows"].first["resolution"]
+  end
+
   # ============================================================================
   # Error Handling Tests
   # ============================================================================
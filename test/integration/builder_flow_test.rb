@@ -25,6 +25,100 @@ class BuilderFlowTest < ActionDispatch::IntegrationTest
     assert_match 'data-builder-mode-value="edit"', response.body
   end
 
+  test "edit mode lints the graph and shows the problems list" do
+    workflow = workflows(:graph_mode_workflow)
+    get workflow_path(workflow, edit: true)
+
+    assert_response :success
+    assert_match 'data-controller="builder graph-lint workflow-collaboration"', response.body
+    assert_match 'data-graph-lint-target="panel"', response.body
+  end
+
+  test "edit mode saves visual editor changes through the collaboration channel" do
+    workflow = workflows(:graph_mode_workflow)
+    get workflow_path(workflow, edit: true)
+
+    assert_match 'data-workflow-collaboration-target="presence"', response.body
+    assert_match "workflow:step_operations@document->visual-editor#receiveOperations", response.body
+    assert_match "workflow-collaboration:connected@document->visual-editor#retrySave", response.body
+    assert_match "data-visual-editor-steps-url-value=\"#{workflow_steps_path(workflow)}\"", response.body
+  end
+
+  test "edit mode tracks collaborator cursors" do
+    workflow = workflows(:graph_mode_workflow)
+    get workflow_path(workflow, edit: true)
+
+    assert_match "visual-editor:selected->workflow-collaboration#selectStep", response.body
+    assert_match "focusin->workflow-collaboration#focusField", response.body
+  end
+
+  test "edit mode includes the merge conflict dialog" do
+    workflow = workflows(:graph_mode_workflow)
+    get workflow_path(workflow, edit: true)
+
+    assert_match 'data-controller="merge-conflict"', response.body
+  end
+
+  test "edit mode handles copy and paste of steps" do
+    workflow = workflows(:graph_mode_workflow)
+    get workflow_path(workflow, edit: true)
+
+    assert_match "copy@document->builder#copySteps", response.body
+    assert_match "paste@document->visual-editor#paste", response.body
+  end
+
+  test "pasting copied steps adds new steps with their transitions remapped" do
+    workflow = Workflow.create!(title: "Paste Flow", user: @user, graph_mode: true)
+    ask = Steps::Question.create!(workflow: workflow, position: 0, title: "Ask", question: "Plan?", variable_name: "plan")
+    check = Steps::Action.create!(workflow: workflow, position: 1, title: "Check", instructions: "Look it up")
+    done = Steps::Resolve.create!(workflow: workflow, position: 2, title: "Done", resolution_type: "success")
+    Transition.create!(step: ask, target_step: check, condition: "plan == 'pro'", position: 0)
+    Transition.create!(step: check, target_step: done, position: 0)
+    workflow.update!(start_step: ask)
+
+    get workflow_steps_path(workflow), as: :json
+    snapshot = response.parsed_body
+
+    # What step_clipboard's pasteSteps makes of copying Ask and Check: fresh
+    # UUIDs, transitions between them remapped, Check -> Done left out
+    copied = snapshot["steps"].first(2)
+    id_map = copied.to_h { |step| [step["id"], SecureRandom.uuid] }
+    pasted = copied.map do |step|
+      transitions = step["transitions"].select { |t| id_map.key?(t["target_uuid"]) }
+                                       .map { |t| t.merge("target_uuid" => id_map[t["target_uuid"]]) }
+      step.merge("id" => id_map[step["id"]], "transitions" => transitions)
+    end
+
+    # The operations step_operations' changeOperations makes of the paste:
+    # the steps first, then their transitions
+    operations = pasted.each_with_index.map do |step, index|
+      { op: "add_step", step: step.except("field_versions").merge("transitions" => []), index: 3 + index }
+    end
+    pasted.each do |step|
+      operations << { op: "set_field", step_uuid: step["id"], field: "transitions", value: step["transitions"], base_version: 0 }
+    end
+    patch apply_operations_workflow_path(workflow), params: { operations: operations }, as: :json
+
+    assert_response :success
+    steps = workflow.steps.reload.index_by(&:uuid)
+    assert_equal 5, steps.size
+    ask_copy = steps.fetch(id_map[ask.uuid])
+    check_copy = steps.fetch(id_map[check.uuid])
+    assert_equal %w[Ask Check], [ask_copy.title, check_copy.title]
+    assert_not_includes [ask.id, check.id], ask_copy.id
+    assert_equal [[check_copy.id, "plan == 'pro'"]], ask_copy.transitions.map { |t| [t.target_step_id, t.condition] }
+    assert_empty check_copy.transitions
+    assert_equal [check.id], ask.reload.transitions.map(&:target_step_id)
+    assert_equal [done.id], check.reload.transitions.map(&:target_step_id)
+  end
+
+  test "view mode does not lint" do
+    workflow = workflows(:graph_mode_workflow)
+    get workflow_path(workflow)
+
+    assert_no_match "graph-lint", response.body
+  end
+
   test "adding a step via turbo stream appends step row" do
     workflow = workflows(:graph_mode_workflow)
     post workflow_steps_path(workflow),
@@ -53,6 +147,32 @@ class BuilderFlowTest < ActionDispatch::IntegrationTest
     assert_match "Flow Diagram", response.body
   end
 
+  test "flow_diagram embeds steps and panel urls for the client-side diagram" do
+    workflow = workflows(:graph_mode_workflow)
+    step = workflow.steps.create!(type: "Steps::Question", title: "Plan", question: "Which plan?", position: 0)
+
+    get flow_diagram_workflow_path(workflow)
+
+    assert_response :success
+    assert_match 'data-controller="flow-diagram canvas-zoom"', response.body
+    assert_match step.uuid, response.body
+    assert_match panel_edit_workflow_step_path(workflow, step), response.body
+  end
+
+  test "simulate renders simulator panel with step data" do
+    workflow = workflows(:graph_mode_workflow)
+    workflow.steps.create!(type: "Steps::Question", title: "Plan", question: "Which plan?", position: 0)
+
+    assert_no_difference "Scenario.count" do
+      get simulate_workflow_path(workflow)
+    end
+
+    assert_response :success
+    assert_match "builder-panel", response.body
+    assert_match 'data-controller="simulator"', response.body
+    assert_match "Which plan?", response.body
+  end
+
   test "settings renders details panel" do
     workflow = workflows(:graph_mode_workflow)
     get settings_workflow_path(workflow)
@@ -0,0 +1,82 @@
+require "test_helper"
+
+class BranchTemplateTest < ActiveSupport::TestCase
+  def setup
+    @user = User.create!(
+      email: "branch-template-test-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @support = Group.create!(name: "Support #{SecureRandom.hex(3)}")
+    @tier_one = Group.create!(name: "Tier 1", parent: @support)
+    @billing = Group.create!(name: "Billing #{SecureRandom.hex(3)}")
+  end
+
+  test "turns the tested variable and the values into placeholders" do
+    template = BranchTemplate.from_branches(
+      [{ condition: "plan == 'pro'", label: "If pro" }, { condition: "plan != 'pro'", label: "Otherwise" }],
+      user: @user, name: "Plan check"
+    )
+
+    assert_equal "plan", template.variable
+    assert_equal [{ "condition" => "{{variable}} == {{value_1}}", "label" => "If {{value_1}}" },
+                  { "condition" => "{{variable}} != {{value_1}}", "label" => "Otherwise" }], template.branches
+    assert_equal [{ "key" => "value_1", "default" => "pro", "numeric" => false }], template.placeholders
+    assert template.valid?
+  end
+
+  test "keeps numbers unquoted, other variables and empty conditions as they are" do
+    template = BranchTemplate.from_branches(
+      [{ condition: "score < 50 && region == 'eu'", label: "Low (< 50)" },
+       { condition: "score >= 50", label: "High" },
+       { condition: "", label: "Anything else" }],
+      user: @user, name: "Score"
+    )
+
+    assert_equal "{{variable}} < {{value_1}} && region == {{value_2}}", template.branches[0]["condition"]
+    assert_equal "Low (< {{value_1}})", template.branches[0]["label"]
+    assert_equal "{{variable}} >= {{value_1}}", template.branches[1]["condition"]
+    assert_equal "", template.branches[2]["condition"]
+    assert_equal({ "key" => "value_1", "default" => "50", "numeric" => true }, template.placeholders.first)
+  end
+
+  test "needs a variable to test and at least one branch" do
+    template = BranchTemplate.from_branches([], user: @user, name: "Empty")
+
+    assert_not template.valid?
+    assert_includes template.errors.full_messages, "Variable couldn't be found in the conditions"
+    assert_includes template.errors.full_messages, "Branches must include at least one connection"
+  end
+
+  test "can only be shared with the user's own groups" do
+    UserGroup.create!(user: @user, group: @support)
+    template = BranchTemplate.from_branches([{ condition: "plan == 'pro'" }], user: @user, name: "Shared", group: @billing)
+
+    assert_not template.valid?
+    assert_includes template.errors[:group], "must be one of your groups"
+
+    template.group = @support
+    assert template.valid?
+  end
+
+  test "offers the user's own templates and those shared with their groups" do
+    other = User.create!(email: "branch-template-other-#{SecureRandom.hex(4)}@example.com", password: "password123!",
+                         password_confirmation: "password123!", role: "editor")
+    UserGroup.create!(user: other, group: @support)
+    UserGroup.create!(user: other, group: @billing)
+    UserGroup.create!(user: @user, group: @tier_one)
+
+    own = BranchTemplate.from_branches([{ condition: "a == 1" }], user: @user, name: "Own").tap(&:save!)
+    shared = BranchTemplate.from_branches([{ condition: "a == 2" }], user: other, name: "Shared", group: @support).tap(&:save!)
+    elsewhere = BranchTemplate.from_branches([{ condition: "a == 3" }], user: other, name: "Billing", group: @billing).tap(&:save!)
+    private_one = BranchTemplate.from_branches([{ condition: "a == 4" }], user: other, name: "Private").tap(&:save!)
+
+    available = BranchTemplate.available_to(@user)
+
+    assert_includes available, own
+    assert_includes available, shared
+    assert_not_includes available, elsewhere
+    assert_not_includes available, private_one
+  end
+end
@@ -0,0 +1,61 @@
+require "test_helper"
+
+class InstructionSnippetTest < ActiveSupport::TestCase
+  def setup
+    @user = User.create!(
+      email: "snippet-test-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @support = Group.create!(name: "Support #{SecureRandom.hex(3)}")
+    @tier_one = Group.create!(name: "Tier 1", parent: @support)
+    @billing = Group.create!(name: "Billing #{SecureRandom.hex(3)}")
+
+    @everyone = InstructionSnippet.create!(name: "Greeting", category: "Greeting", content: "Hello")
+    @support_snippet = InstructionSnippet.create!(name: "Support greeting", category: "Greeting", content: "Hi", group: @support)
+    @billing_snippet = InstructionSnippet.create!(name: "Billing greeting", category: "Greeting", content: "Hey", group: @billing)
+  end
+
+  test "offers snippets for everyone and for the user's groups and the groups above them" do
+    UserGroup.create!(user: @user, group: @tier_one)
+
+    available = InstructionSnippet.available_to(@user)
+
+    assert_includes available, @everyone
+    assert_includes available, @support_snippet
+    assert_not_includes available, @billing_snippet
+  end
+
+  test "offers the snippets of the workflow's groups" do
+    workflow = Workflow.create!(title: "Refunds", user: @user)
+    GroupWorkflow.create!(group: @billing, workflow: workflow)
+
+    assert_equal [@everyone, @billing_snippet].sort_by(&:id), InstructionSnippet.available_to(@user, workflow:).sort_by(&:id)
+  end
+
+  test "lists the variables used in placeholders" do
+    snippet = InstructionSnippet.new(content: "Hi {{name}}, about {{plan}} and {{name}}: ${1:{{plan}}}")
+
+    assert_equal %w[name plan], snippet.variables
+  end
+
+  test "rejects placeholders that aren't variable names" do
+    snippet = InstructionSnippet.new(name: "Broken", category: "Greeting", content: "Hi {{first name}}")
+
+    assert_not snippet.valid?
+    assert_includes snippet.errors[:content], "has a {{ }} placeholder that isn't a variable name"
+
+    # Runs don't fill in placeholders with spaces (VariableInterpolator)
+    snippet.content = "Hi {{ name }}"
+    assert_not snippet.valid?
+  end
+
+  test "requires a known icon and tidies the category" do
+    snippet = InstructionSnippet.new(name: "Odd", category: "  Billing   questions ", content: "Text", icon: "rocket")
+
+    assert_not snippet.valid?
+    assert snippet.errors[:icon].any?
+    assert_equal "Billing questions", snippet.category
+  end
+end
@@ -0,0 +1,50 @@
+require "test_helper"
+
+class QuickActionTest < ActiveSupport::TestCase
+  def setup
+    @user = User.create!(
+      email: "quick-action-test-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @support = Group.create!(name: "Support #{SecureRandom.hex(3)}")
+    @tier_one = Group.create!(name: "Tier 1", parent: @support)
+    @billing = Group.create!(name: "Billing #{SecureRandom.hex(3)}")
+
+    @default = QuickAction.create!(label: "Tell customer", icon: "chat", template: "Tell the customer: $1")
+    @support_action = QuickAction.create!(label: "Open ticket", icon: "clipboard", template: "Open a ticket for ${1:issue}",
+                                          group: @support)
+    @workflow = Workflow.create!(title: "Outage", user: @user)
+  end
+
+  test "uses the set of the nearest group above the workflow's group" do
+    GroupWorkflow.create!(group: @tier_one, workflow: @workflow)
+
+    assert_equal [@support_action], QuickAction.for_workflow(@workflow).to_a
+  end
+
+  test "falls back to the default set when no group defines one" do
+    GroupWorkflow.create!(group: @billing, workflow: @workflow)
+
+    assert_includes QuickAction.for_workflow(@workflow), @default
+    assert_not_includes QuickAction.for_workflow(@workflow), @support_action
+  end
+
+  test "records a use" do
+    @default.record_use!
+    @default.record_use!
+
+    @default.reload
+    assert_equal 2, @default.usage_count
+    assert_not_nil @default.last_used_at
+  end
+
+  test "requires a known icon and a short label" do
+    action = QuickAction.new(label: "x" * 41, icon: "rocket", template: "Text")
+
+    assert_not action.valid?
+    assert action.errors[:label].any?
+    assert action.errors[:icon].any?
+  end
+end
@@ -186,6 +186,70 @@ class ScenarioGraphExecutionTest < ActiveSupport::TestCase
                      "Parent should have moved past the sub-flow step"
   end
 
+  test "each run of a sub-flow picks its exit from that run's result" do
+    child_wf = Workflow.create!(title: "Child WF Exits", user: @user, graph_mode: true, status: "published")
+    retry_exit = Steps::Resolve.create!(workflow: child_wf, position: 0, title: "exit_to_try_again", resolution_type: "success")
+    Steps::Resolve.create!(workflow: child_wf, position: 1, title: "exit_to_done", resolution_type: "success")
+    child_wf.update_column(:start_step_id, retry_exit.id)
+
+    parent_wf = Workflow.create!(title: "Parent WF Exits", user: @user, graph_mode: true, status: "published")
+    sf = Steps::SubFlow.create!(workflow: parent_wf, position: 0, title: "Run Sub-flow", sub_flow_workflow_id: child_wf.id)
+    try_again = Steps::Action.create!(workflow: parent_wf, position: 1, title: "Try again")
+    done = Steps::Resolve.create!(workflow: parent_wf, position: 2, title: "Done", resolution_type: "success")
+    Transition.create!(step: sf, target_step: try_again, condition: "exit_to_try_again is not empty", position: 0)
+    Transition.create!(step: sf, target_step: done, condition: "exit_to_done is not empty", position: 1)
+    Transition.create!(step: try_again, target_step: sf, position: 0)
+    parent_wf.update_column(:start_step_id, sf.id)
+
+    parent_scenario = Scenario.create!(workflow: parent_wf, user: @user, current_node_uuid: sf.uuid,
+                                       inputs: {}, purpose: "simulation")
+
+    # First run ends at the "try again" exit
+    parent_scenario.process_step
+    first = parent_scenario.reload.child_scenarios.first
+    first.update!(status: "completed", outcome: "resolved", results: first.results.merge("exit_to_try_again" => "Issue resolved"))
+    parent_scenario.process_subflow_completion
+    assert_equal try_again.uuid, parent_scenario.reload.current_node_uuid
+
+    # Second run starts without the first run's exit and ends at "done"
+    parent_scenario.process_step
+    assert_equal sf.uuid, parent_scenario.reload.current_node_uuid
+    parent_scenario.process_step
+    second = parent_scenario.reload.child_scenarios.where.not(id: first.id).first
+    assert_not second.results.key?("exit_to_try_again")
+
+    second.update!(status: "completed", outcome: "resolved", results: second.results.merge("exit_to_done" => "Issue resolved"))
+    parent_scenario.process_subflow_completion
+    parent_scenario.reload
+
+    assert_not parent_scenario.results.key?("exit_to_try_again")
+    assert_equal done.uuid, parent_scenario.current_node_uuid
+  end
+
+  test "a sub-flow keeps parent results named like its Resolve steps" do
+    child_wf = Workflow.create!(title: "Child WF Titles", user: @user, graph_mode: true, status: "published")
+    resolved = Steps::Resolve.create!(workflow: child_wf, position: 0, title: "Resolved", resolution_type: "success")
+    child_wf.update_column(:start_step_id, resolved.id)
+
+    parent_wf = Workflow.create!(title: "Parent WF Titles", user: @user, graph_mode: true, status: "published")
+    sf = Steps::SubFlow.create!(workflow: parent_wf, position: 0, title: "Run Sub-flow", sub_flow_workflow_id: child_wf.id)
+    done = Steps::Resolve.create!(workflow: parent_wf, position: 1, title: "Done", resolution_type: "success")
+    Transition.create!(step: sf, target_step: done, position: 0)
+    parent_wf.update_column(:start_step_id, sf.id)
+
+    parent_scenario = Scenario.create!(workflow: parent_wf, user: @user, current_node_uuid: sf.uuid,
+                                       inputs: {}, results: { "Resolved" => "yes" }, purpose: "simulation")
+
+    parent_scenario.process_step
+    child = parent_scenario.reload.child_scenarios.first
+    assert_equal "yes", child.results["Resolved"]
+
+    child.update!(status: "completed", outcome: "resolved")
+    parent_scenario.process_subflow_completion
+
+    assert_equal "yes", parent_scenario.reload.results["Resolved"]
+  end
+
   # ---------------------------------------------------------------------------
   # 6. check_jumps navigates to jump target
   # ---------------------------------------------------------------------------
@@ -134,4 +134,32 @@ class StepTest < ActiveSupport::TestCase
     steps = @workflow.steps.to_a
     assert_equal [step1, step2, step3], steps
   end
+
+  # --- Field versions ---
+
+  test "bumps the version of each changed field" do
+    step = Steps::Question.create!(workflow: @workflow, title: "Q1", question: "Why?", position: 0)
+    title_version = step.field_version("title")
+
+    step.update!(title: "Renamed")
+
+    assert_equal title_version + 1, step.field_version("title")
+    assert_equal 1, step.field_version("question")
+  end
+
+  test "leaves versions alone when nothing changes" do
+    step = Steps::Question.create!(workflow: @workflow, title: "Q1", position: 0)
+
+    assert_no_changes -> { step.reload.field_versions } do
+      step.update!(title: "Q1")
+    end
+  end
+
+  test "versions sub-flow targets under the editor field name" do
+    step = Steps::SubFlow.create!(workflow: @workflow, title: "Sub", position: 0)
+
+    step.update!(sub_flow_workflow_id: @workflow.id)
+
+    assert_equal 1, step.field_version("target_workflow_id")
+  end
 end
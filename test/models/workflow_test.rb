@@ -1,6 +1,8 @@
 require "test_helper"
 
 class WorkflowTest < ActiveSupport::TestCase
+  include Turbo::Broadcastable::TestHelper
+
   def setup
     @user = User.create!(
       email: "test@example.com",
@@ -525,4 +527,15 @@ class WorkflowTest < ActiveSupport::TestCase
     step.update!(can_resolve: false)
     assert_equal false, step.reload.can_resolve
   end
+
+  test "broadcast_steps_list re-renders the builder's step list" do
+    workflow = Workflow.create!(title: "Broadcast list", user: @user)
+    Steps::Action.create!(workflow: workflow, position: 0, title: "Listed step")
+
+    streams = capture_turbo_stream_broadcasts("workflow_#{workflow.id}") { workflow.broadcast_steps_list }
+
+    assert_equal 1, streams.size
+    assert_equal %w[update steps-list], [streams.first["action"], streams.first["target"]]
+    assert_includes streams.first.to_html, "Listed step"
+  end
 end
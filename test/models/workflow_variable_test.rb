@@ -0,0 +1,45 @@
+require "test_helper"
+
+class WorkflowVariableTest < ActiveSupport::TestCase
+  def setup
+    @user = User.create!(
+      email: "workflow-variable-test@example.com",
+      password: "password123!",
+      password_confirmation: "password123!"
+    )
+    @workflow = Workflow.create!(title: "Billing", user: @user)
+  end
+
+  test "splits comma-separated allowed values" do
+    variable = @workflow.variable_definitions.create!(name: "plan", variable_type: "enum", allowed_values: "free, pro,, pro")
+
+    assert_equal %w[free pro], variable.allowed_values
+  end
+
+  test "requires allowed values for a list of values" do
+    variable = @workflow.variable_definitions.new(name: "plan", variable_type: "enum")
+
+    assert_not variable.valid?
+    assert_includes variable.errors[:allowed_values], "can't be empty for a list of values"
+  end
+
+  test "drops allowed values for types that don't use them" do
+    variable = @workflow.variable_definitions.create!(name: "notes", variable_type: "text", allowed_values: "a, b")
+
+    assert_empty variable.allowed_values
+  end
+
+  test "checks the sample value against the type" do
+    assert_not @workflow.variable_definitions.new(name: "seats", variable_type: "number", sample_value: "many").valid?
+    assert_not @workflow.variable_definitions.new(name: "due", variable_type: "date", sample_value: "someday").valid?
+    assert_not @workflow.variable_definitions.new(name: "plan", variable_type: "enum", allowed_values: "free", sample_value: "pro").valid?
+    assert @workflow.variable_definitions.new(name: "plan", variable_type: "enum", allowed_values: "free, pro", sample_value: "Pro").valid?
+  end
+
+  test "requires a valid, unique name" do
+    @workflow.variable_definitions.create!(name: "plan")
+
+    assert_not @workflow.variable_definitions.new(name: "plan").valid?
+    assert_not @workflow.variable_definitions.new(name: "2nd plan").valid?
+  end
+end
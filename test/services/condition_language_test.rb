@@ -0,0 +1,103 @@
+require "test_helper"
+
+class ConditionLanguageTest < ActiveSupport::TestCase
+  # ==========================================================================
+  # Parsing
+  # ==========================================================================
+
+  test "parses a simple comparison" do
+    ast = ConditionLanguage.parse("status == 'active'")
+
+    assert_equal :compare, ast[:type]
+    assert_equal "==", ast[:operator]
+    assert_equal({ type: :variable, name: "status" }, ast[:left])
+    assert_equal({ type: :string, value: "active" }, ast[:right])
+  end
+
+  test "&& binds tighter than ||" do
+    ast = ConditionLanguage.parse("a == 1 || b == 2 && c == 3")
+
+    assert_equal :or, ast[:type]
+    assert_equal :and, ast[:right][:type]
+  end
+
+  test "accepts the extended operators" do
+    assert ConditionLanguage.valid?("notes contains 'refund'")
+    assert ConditionLanguage.valid?("plan in ['pro', 'team', 3]")
+    assert ConditionLanguage.valid?("email is empty")
+    assert ConditionLanguage.valid?("email is not empty")
+    assert ConditionLanguage.valid?("!(status == 'closed') && (count > 1 || vip == 'yes')")
+  end
+
+  test "rejects malformed conditions with a position" do
+    error = assert_raises(ConditionLanguage::ParseError) { ConditionLanguage.parse("status == ") }
+    assert_equal 10, error.position
+
+    assert_not ConditionLanguage.valid?("x === 'yes'")
+    assert_not ConditionLanguage.valid?("x = 'yes'")
+    assert_not ConditionLanguage.valid?("(a == 1")
+    assert_not ConditionLanguage.valid?("a == 'open")
+    assert_not ConditionLanguage.valid?("a in [b]")
+    assert_not ConditionLanguage.valid?("a is full")
+  end
+
+  test "lists the variables a condition references" do
+    assert_equal %w[a b], ConditionLanguage.variables("a == 'x' && (b > 2 || a is empty)")
+    assert_equal [], ConditionLanguage.variables("not valid")
+  end
+
+  test "renames a variable without touching strings or other names" do
+    assert_equal "tier == 'plan' && tier_code > 2 || tier is empty",
+                 ConditionLanguage.rename_variable("plan == 'plan' && tier_code > 2 || plan is empty", "plan", "tier")
+    assert_equal "not valid plan", ConditionLanguage.rename_variable("not valid plan", "plan", "tier")
+  end
+
+  # ==========================================================================
+  # Evaluation
+  # ==========================================================================
+
+  test "evaluates boolean combinations" do
+    results = { "status" => "open", "count" => "5" }
+
+    assert ConditionLanguage.evaluate("status == 'open' && count > 3", results)
+    assert_not ConditionLanguage.evaluate("status == 'open' && count > 7", results)
+    assert ConditionLanguage.evaluate("status == 'closed' || count >= 5", results)
+    assert ConditionLanguage.evaluate("!(status == 'closed')", results)
+  end
+
+  test "contains matches substrings and array elements case-insensitively" do
+    assert ConditionLanguage.evaluate("notes contains 'REFUND'", { "notes" => "Wants a refund" })
+    assert ConditionLanguage.evaluate("tags contains 'vip'", { "tags" => %w[VIP new] })
+    assert_not ConditionLanguage.evaluate("tags contains 'vi'", { "tags" => %w[VIP new] })
+    assert_not ConditionLanguage.evaluate("notes contains 'x'", {})
+  end
+
+  test "in matches any listed value" do
+    assert ConditionLanguage.evaluate("plan in ['pro', 'team']", { "plan" => "Team" })
+    assert ConditionLanguage.evaluate("seats in [5, 10]", { "seats" => "10" })
+    assert_not ConditionLanguage.evaluate("plan in ['pro']", {})
+  end
+
+  test "is empty treats missing and blank values as empty" do
+    assert ConditionLanguage.evaluate("email is empty", {})
+    assert ConditionLanguage.evaluate("email is empty", { "email" => "  " })
+    assert ConditionLanguage.evaluate("tags is empty", { "tags" => [] })
+    assert ConditionLanguage.evaluate("email is not empty", { "email" => "a@b.co" })
+  end
+
+  test "compares numbers numerically" do
+    assert ConditionLanguage.evaluate("amount == 10", { "amount" => "10.0" })
+    assert ConditionLanguage.evaluate("temp > -5", { "temp" => "-2" })
+    assert ConditionLanguage.evaluate("score >= 2.5", { "score" => 3 })
+  end
+
+  test "bare words on the right are read as text" do
+    assert ConditionLanguage.evaluate("status == active", { "status" => "Active" })
+    assert ConditionLanguage.evaluate("status == other", { "status" => "x", "other" => "X" })
+  end
+
+  test "invalid conditions and non-hash results evaluate to false" do
+    assert_not ConditionLanguage.evaluate("status ==", { "status" => "x" })
+    assert_not ConditionLanguage.evaluate("status == 'x'", nil)
+  end
+end
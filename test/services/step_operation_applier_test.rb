@@ -0,0 +1,147 @@
+require "test_helper"
+
+class StepOperationApplierTest < ActiveSupport::TestCase
+  setup do
+    @user = User.create!(
+      email: "step-operations-test@example.com",
+      password: "password123!",
+      password_confirmation: "password123!"
+    )
+    @workflow = Workflow.create!(
+      title: "Operations Test Workflow",
+      user: @user,
+      graph_mode: true,
+      status: "draft"
+    )
+    @question = Steps::Question.create!(workflow: @workflow, uuid: "q1", position: 0, title: "Q1", question: "Ask?")
+    @resolve = Steps::Resolve.create!(workflow: @workflow, uuid: "r1", position: 1, title: "Done")
+  end
+
+  def set_field(field, value, base_version, step_uuid: "q1")
+    { "op" => "set_field", "step_uuid" => step_uuid, "field" => field, "value" => value, "base_version" => base_version }
+  end
+
+  test "sets a field and returns its new version" do
+    version = @question.field_version("title")
+
+    result = StepOperationApplier.call(@workflow, [set_field("title", "Renamed", version)])
+
+    assert_equal "Renamed", @question.reload.title
+    assert_equal [version + 1], result.applied.map { |op| op["version"] }
+    assert_empty result.rejected
+  end
+
+  test "merges concurrent edits to different fields of the same step" do
+    title_version = @question.field_version("title")
+    question_version = @question.field_version("question")
+
+    StepOperationApplier.call(@workflow, [set_field("title", "Theirs", title_version)])
+    result = StepOperationApplier.call(@workflow, [set_field("question", "Mine?", question_version)])
+
+    assert_empty result.rejected
+    @question.reload
+    assert_equal "Theirs", @question.title
+    assert_equal "Mine?", @question.question
+  end
+
+  test "rejects a stale edit to a field someone else changed" do
+    version = @question.field_version("title")
+
+    StepOperationApplier.call(@workflow, [set_field("title", "Theirs", version)])
+    result = StepOperationApplier.call(@workflow, [set_field("title", "Mine", version)])
+
+    assert_empty result.applied
+    rejection = result.rejected.first
+    assert_equal "conflict", rejection["reason"]
+    assert_equal "Theirs", rejection["value"]
+    assert_equal version + 1, rejection["version"]
+    assert_equal "Theirs", @question.reload.title
+  end
+
+  test "accepts a stale edit that matches the current value" do
+    version = @question.field_version("title")
+
+    StepOperationApplier.call(@workflow, [set_field("title", "Same", version)])
+    result = StepOperationApplier.call(@workflow, [set_field("title", "Same", version)])
+
+    assert_empty result.rejected
+  end
+
+  test "rejects edits to a removed step" do
+    StepOperationApplier.call(@workflow, [{ "op" => "remove_step", "step_uuid" => "q1" }])
+    result = StepOperationApplier.call(@workflow, [set_field("title", "Too late", 1)])
+
+    assert_equal "missing", result.rejected.first["reason"]
+  end
+
+  test "replaces transitions and versions them" do
+    ops = [set_field("transitions", [{ "target_uuid" => "r1", "condition" => "answer == 'yes'" }], 0)]
+
+    result = StepOperationApplier.call(@workflow, ops)
+
+    transition = @question.reload.transitions.first
+    assert_equal @resolve.id, transition.target_step_id
+    assert_equal "answer == 'yes'", transition.condition
+    assert_equal 1, result.applied.first["version"]
+  end
+
+  test "adds a step at the given index" do
+    op = { "op" => "add_step", "index" => 1,
+           "step" => { "id" => "a1", "type" => "action", "title" => "Check logs", "instructions" => "<p>Look</p>" } }
+
+    result = StepOperationApplier.call(@workflow, [op])
+
+    assert_equal %w[q1 a1 r1], @workflow.steps.reload.map(&:uuid)
+    assert_includes @workflow.steps.find_by(uuid: "a1").instructions.body.to_s, "Look"
+    assert result.applied.first["step"]["field_versions"].present?
+  end
+
+  test "rejects adding a step that already exists" do
+    op = { "op" => "add_step", "step" => { "id" => "q1", "type" => "question", "title" => "Dup" } }
+
+    result = StepOperationApplier.call(@workflow, [op])
+
+    assert_equal "exists", result.rejected.first["reason"]
+  end
+
+  test "removing the start step moves the start to the first remaining step" do
+    @workflow.update_column(:start_step_id, @question.id)
+
+    StepOperationApplier.call(@workflow, [{ "op" => "remove_step", "step_uuid" => "q1" }])
+
+    assert_equal @resolve.id, @workflow.reload.start_step_id
+  end
+
+  test "reorders by UUID and keeps unknown steps after" do
+    Steps::Action.create!(workflow: @workflow, uuid: "a2", position: 2, title: "Added meanwhile")
+
+    StepOperationApplier.call(@workflow, [{ "op" => "reorder_steps", "order" => %w[r1 q1] }])
+
+    assert_equal %w[r1 q1 a2], @workflow.steps.reload.map(&:uuid)
+  end
+
+  test "sets the start step" do
+    StepOperationApplier.call(@workflow, [{ "op" => "set_start", "step_uuid" => "r1" }])
+
+    assert_equal @resolve.id, @workflow.reload.start_step_id
+  end
+
+  test "reports invalid values without applying them" do
+    escalate = Steps::Escalate.create!(workflow: @workflow, uuid: "e1", position: 2, title: "Escalate")
+
+    result = StepOperationApplier.call(@workflow, [set_field("priority", "whenever", 0, step_uuid: "e1")])
+
+    assert_equal "invalid", result.rejected.first["reason"]
+    assert_nil escalate.reload.priority
+  end
+
+  test "bumps the workflow lock_version only when something applied" do
+    lock_version = @workflow.reload.lock_version
+
+    result = StepOperationApplier.call(@workflow, [{ "op" => "set_start", "step_uuid" => "missing" }])
+    assert_equal lock_version, result.lock_version
+
+    result = StepOperationApplier.call(@workflow, [set_field("title", "New", @question.field_version("title"))])
+    assert_operator result.lock_version, :>, lock_version
+  end
+end
@@ -0,0 +1,105 @@
+require "test_helper"
+
+class SubflowExtractorTest < ActiveSupport::TestCase
+  def setup
+    @user = User.create!(
+      email: "extractor-test@example.com",
+      password: "password123!",
+      password_confirmation: "password123!"
+    )
+    @workflow = Workflow.create!(title: "Support Call", user: @user, graph_mode: true)
+
+    # Start -> Account -> Verify -> Refund -> Done
+    @start = Steps::Question.create!(workflow: @workflow, position: 0, title: "Start", question: "Name?", variable_name: "name")
+    @account = Steps::Question.create!(workflow: @workflow, position: 1, title: "Account", question: "Account number?", variable_name: "account")
+    @verify = Steps::Action.create!(workflow: @workflow, position: 2, title: "Verify {{account}}")
+    @refund = Steps::Action.create!(workflow: @workflow, position: 3, title: "Refund")
+    @done = Steps::Resolve.create!(workflow: @workflow, position: 4, title: "Done", resolution_type: "success")
+    Transition.create!(step: @start, target_step: @account, position: 0)
+    Transition.create!(step: @account, target_step: @verify, condition: "name is not empty", position: 0)
+    Transition.create!(step: @verify, target_step: @refund, position: 0)
+    Transition.create!(step: @refund, target_step: @done, position: 0)
+    @workflow.update_column(:start_step_id, @start.id)
+  end
+
+  test "replaces the group with a sub_flow step wired to its entry and exit" do
+    result = SubflowExtractor.call(@workflow, [@account.uuid, @verify.uuid], user: @user, title: "Verify account")
+
+    assert result.success?, result.error
+    subflow = result.subflow_step
+    assert_instance_of Steps::SubFlow, subflow
+    assert_equal result.workflow.id, subflow.sub_flow_workflow_id
+    assert_equal "Verify account", result.workflow.title
+
+    assert_equal [subflow.id], @start.reload.transitions.map(&:target_step_id)
+    assert_equal [@refund.id], subflow.transitions.map(&:target_step_id)
+    assert_nil subflow.transitions.first.condition
+    assert_not Step.exists?(@account.id)
+    assert_not Step.exists?(@verify.id)
+    assert_equal ["Start", "Verify account", "Refund", "Done"], @workflow.steps.reload.map(&:title)
+  end
+
+  test "copies the group into a published workflow that resolves at its exit" do
+    result = SubflowExtractor.call(@workflow, [@account.uuid, @verify.uuid], user: @user)
+
+    child = result.workflow
+    assert result.published
+    assert_not_nil child.published_version
+    assert_equal "Account (sub-flow)", child.title
+    assert_equal ["Account", "Verify {{account}}", "Continue to Refund"], child.steps.map(&:title)
+    assert_equal "Account", child.start_step.title
+    assert_equal "name is not empty", child.steps.first.transitions.first.condition
+  end
+
+  test "maps the variables the group reads and writes" do
+    result = SubflowExtractor.call(@workflow, [@account.uuid, @verify.uuid], user: @user)
+
+    assert_equal({ "name" => "name", "account" => "account" }, result.variable_mapping)
+    assert_equal result.variable_mapping, result.subflow_step.variable_mapping
+  end
+
+  test "names each exit when the group has more than one way out" do
+    Transition.create!(step: @account, target_step: @done, condition: "account is empty", position: 1)
+
+    result = SubflowExtractor.call(@workflow, [@account.uuid, @verify.uuid], user: @user)
+
+    assert result.success?, result.error
+    transitions = result.subflow_step.transitions.order(:position)
+    assert_equal [@done.id, @refund.id], transitions.map(&:target_step_id)
+    assert_equal ["exit_to_done is not empty", "exit_to_refund is not empty"], transitions.map(&:condition)
+    assert_includes result.workflow.steps.map(&:title), "exit_to_refund"
+  end
+
+  test "moves the start to the sub_flow step when the group contains it" do
+    result = SubflowExtractor.call(@workflow, [@start.uuid, @account.uuid], user: @user)
+
+    assert result.success?, result.error
+    assert_equal result.subflow_step.id, @workflow.reload.start_step_id
+  end
+
+  test "rejects a group with more than one entry point" do
+    Transition.create!(step: @start, target_step: @verify, position: 1)
+
+    result = SubflowExtractor.call(@workflow, [@account.uuid, @verify.uuid], user: @user)
+
+    assert_not result.success?
+    assert_match(/single entry point/, result.error)
+    assert Step.exists?(@account.id)
+  end
+
+  test "rejects steps that aren't connected" do
+    result = SubflowExtractor.call(@workflow, [@account.uuid, @refund.uuid], user: @user)
+
+    assert_not result.success?
+    assert_match(/connected/, result.error)
+  end
+
+  test "rejects extracting every step" do
+    uuids = [@start, @account, @verify, @refund, @done].map(&:uuid)
+
+    assert_no_difference("Workflow.count") do
+      result = SubflowExtractor.call(@workflow, uuids, user: @user)
+      assert_match(/outside the sub-flow/, result.error)
+    end
+  end
+end
@@ -0,0 +1,78 @@
+require "test_helper"
+
+class VariableRegistryTest < ActiveSupport::TestCase
+  def setup
+    @user = User.create!(
+      email: "registry-test@example.com",
+      password: "password123!",
+      password_confirmation: "password123!"
+    )
+    @workflow = Workflow.create!(title: "Billing", user: @user, graph_mode: true)
+
+    @plan = Steps::Question.create!(workflow: @workflow, position: 0, title: "Which plan?", question: "Plan?",
+                                    variable_name: "plan", answer_type: "multiple_choice",
+                                    options: [{ "label" => "Free", "value" => "free" }, { "label" => "Pro", "value" => "pro" }])
+    @seats = Steps::Question.create!(workflow: @workflow, position: 1, title: "How many seats?", question: "Seats?",
+                                     variable_name: "seats", answer_type: "number")
+    @action = Steps::Action.create!(workflow: @workflow, position: 2, title: "Look up account",
+                                    output_fields: [{ "name" => "account_id", "value" => "" }])
+    @done = Steps::Resolve.create!(workflow: @workflow, position: 3, title: "Done", resolution_type: "success")
+    Transition.create!(step: @plan, target_step: @seats, condition: "region == 'eu'", position: 0)
+    Transition.create!(step: @seats, target_step: @action, position: 0)
+    Transition.create!(step: @action, target_step: @done, position: 0)
+  end
+
+  test "infers types from the steps that set each variable" do
+    entries = VariableRegistry.call(@workflow).index_by(&:name)
+
+    assert_equal %w[account_id plan region seats], entries.keys
+    assert_equal "enum", entries["plan"].type
+    assert_equal %w[free pro], entries["plan"].allowed_values
+    assert_equal "number", entries["seats"].type
+    assert_equal "action", entries["account_id"].source
+    assert_equal "text", entries["region"].type
+    assert_equal "condition", entries["region"].source
+    assert_not entries["plan"].declared
+  end
+
+  test "declarations override inferred types" do
+    @workflow.variable_definitions.create!(name: "region", variable_type: "enum", allowed_values: "eu, us",
+                                           description: "Data residency", sample_value: "eu")
+
+    region = VariableRegistry.call(@workflow).find { |entry| entry.name == "region" }
+
+    assert region.declared
+    assert_equal "enum", region.type
+    assert_equal %w[eu us], region.allowed_values
+    assert_equal "Data residency", region.description
+    assert_equal "eu", region.sample_value
+  end
+
+  test "declared allowed values win over the question's options" do
+    @workflow.variable_definitions.create!(name: "plan", variable_type: "enum", allowed_values: "free, pro", sample_value: "pro")
+    @plan.update!(options: [{ "label" => "Free", "value" => "free" }, { "label" => "Pro", "value" => "pro" }, { "label" => "Team", "value" => "team" }])
+
+    plan = VariableRegistry.call(@workflow).find { |entry| entry.name == "plan" }
+
+    assert_equal %w[free pro], plan.allowed_values
+    assert_equal "Which plan?", plan.description
+  end
+
+  test "lists declared variables no step uses yet" do
+    @workflow.variable_definitions.create!(name: "customer_tier", variable_type: "boolean")
+
+    tier = VariableRegistry.call(@workflow).find { |entry| entry.name == "customer_tier" }
+
+    assert_equal "boolean", tier.type
+    assert_equal %w[yes no], tier.allowed_values
+  end
+
+  test "renaming a variable renames its declaration" do
+    @workflow.variable_definitions.create!(name: "seats", variable_type: "number", sample_value: "5")
+
+    result = VariableRenamer.call(@workflow, from: "seats", to: "seat_count")
+
+    assert result.success?, result.error
+    assert_equal %w[seat_count], @workflow.variable_definitions.reload.map(&:name)
+  end
+end
@@ -0,0 +1,96 @@
+require "test_helper"
+
+class VariableRenamerTest < ActiveSupport::TestCase
+  def setup
+    @user = User.create!(
+      email: "renamer-test@example.com",
+      password: "password123!",
+      password_confirmation: "password123!"
+    )
+    @workflow = Workflow.create!(title: "Billing", user: @user, graph_mode: true)
+
+    @question = Steps::Question.create!(workflow: @workflow, position: 0, title: "Plan for {{customer}}",
+                                        question: "Which plan is {{customer}} on?", variable_name: "plan")
+    @action = Steps::Action.create!(workflow: @workflow, position: 1, title: "Look up account",
+                                    instructions: "<div>Check the {{plan}} limits</div>",
+                                    output_fields: [{ "name" => "customer", "value" => "" }],
+                                    jumps: [{ "condition" => "plan == 'plan'", "next_step_id" => "x" }])
+    @subflow = Steps::SubFlow.create!(workflow: @workflow, position: 2, title: "Upgrade",
+                                      variable_mapping: { "plan" => "current_plan" })
+    @done = Steps::Resolve.create!(workflow: @workflow, position: 3, title: "Done", resolution_type: "success")
+    @condition = Transition.create!(step: @question, target_step: @action, condition: "plan == 'pro'", position: 0)
+    Transition.create!(step: @question, target_step: @done, position: 1)
+    Transition.create!(step: @action, target_step: @subflow, position: 0)
+    Transition.create!(step: @subflow, target_step: @done, position: 0)
+    @workflow.update_column(:start_step_id, @question.id)
+  end
+
+  test "lists each variable with its usages" do
+    variables = VariableUsages.call(@workflow).index_by(&:name)
+
+    assert_equal %w[customer plan], variables.keys
+    assert_equal %w[variable_name transitions instructions jumps variable_mapping].sort,
+                 variables["plan"].usages.map(&:field).sort
+    assert_equal %w[output_fields title question].sort, variables["customer"].usages.map(&:field).sort
+    assert variables["plan"].assigned?
+  end
+
+  test "renames a variable everywhere it's used" do
+    result = VariableRenamer.call(@workflow, from: "plan", to: "tier")
+
+    assert result.success?, result.error
+    assert_equal "tier", @question.reload.variable_name
+    assert_equal "tier == 'pro'", @condition.reload.condition
+    assert_includes @action.reload.instructions.body.to_s, "{{tier}}"
+    assert_equal "tier == 'plan'", @action.jumps.first["condition"]
+    assert_equal({ "tier" => "current_plan" }, @subflow.reload.variable_mapping)
+    assert_equal [@question, @action, @subflow].map(&:uuid).sort, result.step_uuids.sort
+  end
+
+  test "renames sub-flow mappings stored as a JSON string" do
+    @subflow.update_column(:variable_mapping, { "plan" => "current_plan" }.to_json)
+
+    result = VariableRenamer.call(@workflow, from: "plan", to: "tier")
+
+    assert result.success?, result.error
+    assert_equal({ "tier" => "current_plan" }, @subflow.reload.variable_mapping)
+    assert_includes result.step_uuids, @subflow.uuid
+  end
+
+  test "renames interpolations and output fields" do
+    result = VariableRenamer.call(@workflow, from: "customer", to: "account_holder")
+
+    assert result.success?, result.error
+    assert_equal "Plan for {{account_holder}}", @question.reload.title
+    assert_equal "Which plan is {{account_holder}} on?", @question.question
+    assert_equal "account_holder", @action.reload.output_fields.first["name"]
+  end
+
+  test "bumps field versions and the workflow's lock_version" do
+    lock_version = @workflow.lock_version
+    variable_name_version = @question.field_version("variable_name")
+    transitions_version = @question.field_version("transitions")
+    instructions_version = @action.field_version("instructions")
+
+    result = VariableRenamer.call(@workflow, from: "plan", to: "tier")
+
+    assert_operator result.lock_version, :>, lock_version
+    assert_equal variable_name_version + 1, @question.reload.field_version("variable_name")
+    assert_equal transitions_version + 1, @question.field_version("transitions")
+    assert_equal instructions_version + 1, @action.reload.field_version("instructions")
+  end
+
+  test "refuses a name that's already in use" do
+    result = VariableRenamer.call(@workflow, from: "plan", to: "customer")
+
+    assert_not result.success?
+    assert_match(/already used/, result.error)
+    assert_equal "plan", @question.reload.variable_name
+  end
+
+  test "refuses invalid names and unknown variables" do
+    assert_match(/valid variable name/, VariableRenamer.call(@workflow, from: "plan", to: "new plan").error)
+    assert_match(/condition keyword/, VariableRenamer.call(@workflow, from: "plan", to: "empty").error)
+    assert_match(/doesn't use/, VariableRenamer.call(@workflow, from: "missing", to: "other").error)
+  end
+end
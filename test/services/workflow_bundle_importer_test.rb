@@ -0,0 +1,119 @@
+require "test_helper"
+
+class WorkflowBundleImporterTest < ActiveSupport::TestCase
+  setup do
+    @user = User.create!(
+      email: "bundle-import-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @suffix = SecureRandom.hex(3)
+  end
+
+  # Parent runs Child as a sub-flow; the ids are the exporting instance's
+  def bundle(parent_title: "Parent #{@suffix}", child_title: "Child #{@suffix}")
+    {
+      bundle_version: "1.0",
+      workflows: [
+        {
+          id: 901, title: parent_title, start_node_uuid: "p1",
+          steps: [
+            { id: "p1", type: "sub_flow", title: "Run child", target_workflow_id: 902, target_workflow_title: child_title,
+              transitions: [{ target_uuid: "p2" }] },
+            { id: "p2", type: "resolve", title: "Done", resolution_type: "success" }
+          ]
+        },
+        {
+          id: 902, title: child_title, start_node_uuid: "c1",
+          steps: [{ id: "c1", type: "resolve", title: "Child done", resolution_type: "success" }]
+        }
+      ]
+    }.to_json
+  end
+
+  def import(content = bundle, resolutions: {})
+    WorkflowBundleImporter.new(@user, content:, resolutions:).call
+  end
+
+  test "recognises bundles" do
+    assert WorkflowBundleImporter.bundle?(bundle)
+    assert_not WorkflowBundleImporter.bundle?({ title: "One", steps: [] }.to_json)
+    assert_not WorkflowBundleImporter.bundle?("not json")
+  end
+
+  test "imports every workflow and points sub-flows at the imported copies" do
+    result = nil
+    assert_difference("Workflow.count", 2) { result = import }
+
+    assert result.success?, result.errors.inspect
+    parent, child = result.workflows
+
+    assert_equal "Parent #{@suffix}", parent.title
+    assert_equal child.id, parent.steps.first.sub_flow_workflow_id
+    assert_equal "Run child", parent.start_step.title
+  end
+
+  test "skips workflows that already exist and uses them as sub-flows" do
+    existing = Workflow.create!(title: "child #{@suffix}", user: @user)
+    result = nil
+
+    assert_difference("Workflow.count", 1) { result = import }
+
+    assert result.success?, result.errors.inspect
+    assert_equal [existing], result.skipped
+    assert_equal existing.id, result.workflows.first.steps.first.sub_flow_workflow_id
+  end
+
+  test "overwrites an existing workflow's steps" do
+    existing = Workflow.create!(title: "Child #{@suffix}", user: @user)
+    Steps::Action.create!(workflow: existing, position: 0, title: "Old step")
+
+    result = import(resolutions: { "902" => "overwrite" })
+
+    assert result.success?, result.errors.inspect
+    assert_includes result.workflows, existing
+    assert_equal ["Child done"], existing.reload.steps.map(&:title)
+    assert_equal existing.id, result.workflows.first.steps.first.sub_flow_workflow_id
+  end
+
+  test "imports a copy alongside an existing workflow" do
+    existing = Workflow.create!(title: "Child #{@suffix}", user: @user)
+
+    result = import(resolutions: { "902" => "copy" })
+    copy = result.workflows.last
+
+    assert result.success?, result.errors.inspect
+    assert_equal "Child #{@suffix} (copy)", copy.title
+    assert_not_equal existing.id, copy.id
+    assert_equal copy.id, result.workflows.first.steps.first.sub_flow_workflow_id
+  end
+
+  test "refuses to overwrite a workflow the user can't edit" do
+    owner = User.create!(email: "bundle-import-#{SecureRandom.hex(4)}@example.com", password: "password123!",
+                         password_confirmation: "password123!", role: "admin")
+    Workflow.create!(title: "Child #{@suffix}", user: owner, is_public: true)
+
+    result = nil
+    assert_no_difference("Workflow.count") { result = import(resolutions: { "902" => "overwrite" }) }
+
+    assert_not result.success?
+    assert_match(/permission to overwrite/, result.errors.first)
+  end
+
+  test "preview lists duplicates without saving" do
+    existing = Workflow.create!(title: "Child #{@suffix}", user: @user)
+    preview = nil
+
+    assert_no_difference("Workflow.count") do
+      preview = WorkflowBundleImporter.new(@user, content: bundle).preview
+    end
+
+    parent, child = preview[:workflows]
+    assert_equal "Bundle of 2 workflows", preview[:title]
+    assert_equal "new", parent[:resolution]
+    assert_equal [{ title: "Child #{@suffix}", in_bundle: true }], parent[:subflows]
+    assert_equal({ id: existing.id, title: existing.title, editable: true }, child[:duplicate])
+    assert_equal "skip", child[:resolution]
+  end
+end
@@ -0,0 +1,49 @@
+require "test_helper"
+
+class WorkflowExporters::BundleExporterTest < ActiveSupport::TestCase
+  setup do
+    @user = User.create!(
+      email: "bundle-export-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @other = User.create!(
+      email: "bundle-export-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+
+    @leaf = Workflow.create!(title: "Verify identity", user: @user)
+    Steps::Resolve.create!(workflow: @leaf, position: 0, title: "Verified", resolution_type: "success")
+    @middle = Workflow.create!(title: "Reset password", user: @user)
+    Steps::SubFlow.create!(workflow: @middle, position: 0, title: "Check who it is", sub_flow_workflow_id: @leaf.id)
+    @root = Workflow.create!(title: "Account help", user: @user)
+    Steps::SubFlow.create!(workflow: @root, position: 0, title: "Reset", sub_flow_workflow_id: @middle.id)
+  end
+
+  test "exports the selected workflows with their ids" do
+    bundle = WorkflowExporters::BundleExporter.call(@user, [@root.id])
+
+    assert_equal "1.0", bundle[:bundle_version]
+    assert_equal [@root.id], bundle[:workflows].pluck(:id)
+    assert_equal "Account help", bundle[:workflows].first[:title]
+    assert_equal 1, bundle[:workflows].first[:steps].size
+  end
+
+  test "follows sub-flows when asked and names their targets" do
+    bundle = WorkflowExporters::BundleExporter.call(@user, [@root.id], include_subflows: true)
+    reset_step = bundle[:workflows].first[:steps].first
+
+    assert_equal [@root.id, @middle.id, @leaf.id], bundle[:workflows].pluck(:id)
+    assert_equal @middle.id, reset_step["target_workflow_id"]
+    assert_equal "Reset password", reset_step["target_workflow_title"]
+  end
+
+  test "leaves out workflows the user can't see" do
+    bundle = WorkflowExporters::BundleExporter.call(@other, [@root.id, @leaf.id], include_subflows: true)
+
+    assert_empty bundle[:workflows]
+  end
+end
@@ -0,0 +1,60 @@
+require "test_helper"
+
+class WorkflowExporters::DrawioExporterTest < ActiveSupport::TestCase
+  setup do
+    @user = User.create!(
+      email: "drawio-export-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @workflow = Workflow.create!(title: "Refunds", user: @user)
+    @plan = Steps::Question.create!(workflow: @workflow, position: 0, title: "Which plan?", question: "Which plan?", variable_name: "plan")
+    @refund = Steps::Action.create!(workflow: @workflow, position: 1, title: "Refund <full>")
+    @done = Steps::Resolve.create!(workflow: @workflow, position: 2, title: "Done", resolution_type: "success")
+    Transition.create!(step: @plan, target_step: @refund, condition: "plan == 'pro'", label: "Pro", position: 0)
+    Transition.create!(step: @plan, target_step: @done, position: 1)
+    Transition.create!(step: @refund, target_step: @done, position: 0)
+    @workflow.update_column(:start_step_id, @plan.id)
+  end
+
+  test "writes shapes by step type and connectors with conditions" do
+    document = Nokogiri::XML(WorkflowExporters::DrawioExporter.call(@workflow))
+    plan = document.at_xpath("//object[@id='#{@plan.uuid}']")
+    edge = document.at_xpath("//object[@condition]")
+
+    assert_equal "Refunds", document.at_xpath("//diagram")["name"]
+    assert_equal "question", plan["turboflows_type"]
+    assert_equal "1", plan["turboflows_start"]
+    assert_match(/\Arhombus;/, plan.at_xpath("mxCell")["style"])
+    assert_equal "Refund &lt;full&gt;", document.at_xpath("//object[@id='#{@refund.uuid}']")["label"]
+    assert_equal "plan == 'pro'", edge["condition"]
+    assert_equal "Pro", edge["label"]
+    assert_equal [@plan.uuid, @refund.uuid], [edge.at_xpath("mxCell")["source"], edge.at_xpath("mxCell")["target"]]
+  end
+
+  test "lays out unplaced steps in rows from the start step" do
+    document = Nokogiri::XML(WorkflowExporters::DrawioExporter.call(@workflow))
+    y = ->(step) { document.at_xpath("//object[@id='#{step.uuid}']/mxCell/mxGeometry")["y"].to_i }
+
+    assert_operator y.call(@plan), :<, y.call(@refund)
+  end
+
+  test "uses visual editor positions when every step has one" do
+    [@plan, @refund, @done].each_with_index { |step, index| step.update_columns(position_x: 100 * index, position_y: 500) }
+    geometry = Nokogiri::XML(WorkflowExporters::DrawioExporter.call(@workflow)).at_xpath("//object[@id='#{@refund.uuid}']/mxCell/mxGeometry")
+
+    assert_equal %w[100 500], [geometry["x"], geometry["y"]]
+  end
+
+  test "round-trips through the draw.io parser" do
+    result = WorkflowParsers::DrawioParser.new(WorkflowExporters::DrawioExporter.call(@workflow)).parse
+    plan = result[:steps].first
+
+    assert_equal "Refunds", result[:title]
+    assert_equal %w[question action resolve], result[:steps].pluck("type")
+    assert_equal ["Which plan?", "Refund <full>", "Done"], result[:steps].pluck("title")
+    assert_equal plan["id"], result[:start_node_uuid]
+    assert_equal [{ "condition" => "plan == 'pro'", "label" => "Pro" }, {}], plan["transitions"].map { |t| t.except("target_uuid") }
+  end
+end
@@ -0,0 +1,44 @@
+require "test_helper"
+
+class WorkflowExporters::MermaidExporterTest < ActiveSupport::TestCase
+  setup do
+    @user = User.create!(
+      email: "mermaid-export-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @workflow = Workflow.create!(title: "Refunds \"2024\"", user: @user)
+    @done = Steps::Resolve.create!(workflow: @workflow, position: 0, title: "Done", resolution_type: "success")
+    @plan = Steps::Question.create!(workflow: @workflow, position: 1, title: "Which plan?", question: "Which plan?", variable_name: "plan")
+    @refund = Steps::Action.create!(workflow: @workflow, position: 2, title: "Issue refund")
+    Transition.create!(step: @plan, target_step: @refund, condition: "plan == 'pro'", label: "Pro", position: 0)
+    Transition.create!(step: @plan, target_step: @done, label: "Other | free", position: 1)
+    Transition.create!(step: @refund, target_step: @done, position: 0)
+    @workflow.update_column(:start_step_id, @plan.id)
+  end
+
+  test "writes a flowchart with shapes by step type, start step first" do
+    mermaid = WorkflowExporters::MermaidExporter.call(@workflow)
+
+    assert_includes mermaid, %(title: "Refunds \\"2024\\"")
+    assert_includes mermaid, "flowchart TD"
+    assert_includes mermaid, %(s1{"Which plan?"})
+    assert_includes mermaid, %(s2(["Done"]))
+    assert_includes mermaid, %(s3["Issue refund"])
+    assert_includes mermaid, %(s1 -->|"plan == 'pro'"| s3)
+    assert_includes mermaid, %(s1 -->|"Other #124; free"| s2)
+    assert_includes mermaid, "s3 --> s2"
+  end
+
+  test "round-trips through the Mermaid parser" do
+    result = WorkflowParsers::MermaidParser.new(WorkflowExporters::MermaidExporter.call(@workflow)).parse
+    plan = result[:steps].first
+
+    assert_equal "Refunds \"2024\"", result[:title]
+    assert_equal plan["id"], result[:start_node_uuid]
+    assert_equal %w[question resolve action], result[:steps].pluck("type")
+    assert_equal ["plan == 'pro'", nil], plan["transitions"].pluck("condition")
+    assert_equal [nil, "Other | free"], plan["transitions"].pluck("label")
+  end
+end
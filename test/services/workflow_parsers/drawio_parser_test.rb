@@ -0,0 +1,126 @@
+require "test_helper"
+
+class WorkflowParsers::DrawioParserTest < ActiveSupport::TestCase
+  MODEL = <<~XML.freeze
+    <mxGraphModel>
+      <root>
+        <mxCell id="0"/>
+        <mxCell id="1" parent="0"/>
+        <mxCell id="start" value="Start" style="ellipse;whiteSpace=wrap;html=1;" vertex="1" parent="1">
+          <mxGeometry x="200" y="20" width="120" height="60" as="geometry"/>
+        </mxCell>
+        <mxCell id="plan" value="Which &lt;b&gt;plan&lt;/b&gt;?" style="rhombus;whiteSpace=wrap;html=1;" vertex="1" parent="1">
+          <mxGeometry x="180" y="140" width="160" height="100" as="geometry"/>
+        </mxCell>
+        <mxCell id="refund" value="Issue refund" style="rounded=1;whiteSpace=wrap;html=1;" vertex="1" parent="1">
+          <mxGeometry x="60" y="300" width="160" height="80" as="geometry"/>
+        </mxCell>
+        <mxCell id="billing" value="Billing team" style="shape=hexagon;whiteSpace=wrap;html=1;" vertex="1" parent="1">
+          <mxGeometry x="300" y="300" width="160" height="80" as="geometry"/>
+        </mxCell>
+        <mxCell id="note" value="Drawn for the wiki" style="text;html=1;" vertex="1" parent="1">
+          <mxGeometry x="500" y="20" width="120" height="30" as="geometry"/>
+        </mxCell>
+        <mxCell id="e1" style="edgeStyle=orthogonalEdgeStyle;html=1;" edge="1" parent="1" source="start" target="plan">
+          <mxGeometry relative="1" as="geometry"/>
+        </mxCell>
+        <mxCell id="e2" value="plan == 'pro'" style="edgeStyle=orthogonalEdgeStyle;" edge="1" parent="1" source="plan" target="refund">
+          <mxGeometry relative="1" as="geometry"/>
+        </mxCell>
+        <mxCell id="e3" style="edgeStyle=orthogonalEdgeStyle;html=1;" edge="1" parent="1" source="plan" target="billing">
+          <mxGeometry relative="1" as="geometry"/>
+        </mxCell>
+        <mxCell id="e3-label" value="Other plans" style="edgeLabel;html=1;" vertex="1" connectable="0" parent="e3">
+          <mxGeometry x="-0.2" relative="1" as="geometry"/>
+        </mxCell>
+      </root>
+    </mxGraphModel>
+  XML
+
+  def parse(source)
+    parser = WorkflowParsers::DrawioParser.new(source)
+    [parser.parse, parser]
+  end
+
+  def step_titled(result, title)
+    result[:steps].find { |step| step["title"] == title }
+  end
+
+  def drawio_file(model, name: "Refunds")
+    %(<mxfile host="app.diagrams.net"><diagram id="p1" name="#{name}">#{model}</diagram></mxfile>)
+  end
+
+  test "maps shapes to step types and skips text and edge labels" do
+    result, = parse(drawio_file(MODEL))
+
+    assert_not_nil result
+    assert_equal "Refunds", result[:title]
+    assert_equal ["Start", "Which plan?", "Issue refund", "Billing team"], result[:steps].pluck("title")
+    assert_equal %w[message question action escalate], result[:steps].pluck("type")
+  end
+
+  test "turns arrows into transitions with conditions or labels" do
+    result, = parse(drawio_file(MODEL))
+    transitions = step_titled(result, "Which plan?")["transitions"]
+
+    assert_equal({ "target_uuid" => step_titled(result, "Issue refund")["id"], "condition" => "plan == 'pro'" }, transitions[0])
+    assert_equal({ "target_uuid" => step_titled(result, "Billing team")["id"], "label" => "Other plans" }, transitions[1])
+    assert_equal step_titled(result, "Start")["id"], result[:start_node_uuid]
+  end
+
+  test "keeps shape positions" do
+    result, = parse(drawio_file(MODEL))
+    refund = step_titled(result, "Issue refund")
+
+    assert_equal 60, refund["position_x"]
+    assert_equal 300, refund["position_y"]
+  end
+
+  test "reads compressed diagrams" do
+    compressed = Zlib::Deflate.new(Zlib::DEFAULT_COMPRESSION, -Zlib::MAX_WBITS).deflate(ERB::Util.url_encode(MODEL), Zlib::FINISH)
+    result, = parse(drawio_file(Base64.strict_encode64(compressed)))
+
+    assert_not_nil result
+    assert_equal 4, result[:steps].size
+  end
+
+  test "prefers TurboFlows attributes over shapes" do
+    model = <<~XML
+      <mxGraphModel><root>
+        <mxCell id="0"/><mxCell id="1" parent="0"/>
+        <object id="a" label="Ask" turboflows_type="question">
+          <mxCell style="rounded=0;" vertex="1" parent="1"><mxGeometry x="0" y="0" width="160" height="80" as="geometry"/></mxCell>
+        </object>
+        <object id="b" label="Wrap up" turboflows_type="resolve" turboflows_start="1">
+          <mxCell style="rounded=0;" vertex="1" parent="1"><mxGeometry x="0" y="200" width="160" height="80" as="geometry"/></mxCell>
+        </object>
+        <object id="t" label="Pro customers" condition="plan == 'pro'">
+          <mxCell edge="1" parent="1" source="a" target="b"><mxGeometry relative="1" as="geometry"/></mxCell>
+        </object>
+      </root></mxGraphModel>
+    XML
+
+    result, = parse(drawio_file(model, name: "Page-1"))
+
+    assert_equal "Imported Workflow", result[:title]
+    assert_equal %w[question resolve], result[:steps].pluck("type")
+    assert_equal step_titled(result, "Wrap up")["id"], result[:start_node_uuid]
+    assert_equal({ "target_uuid" => step_titled(result, "Wrap up")["id"], "condition" => "plan == 'pro'", "label" => "Pro customers" },
+                 step_titled(result, "Ask")["transitions"].first)
+  end
+
+  test "warns about arrows that are not connected at both ends" do
+    model = MODEL.sub('source="start" target="plan"', 'source="start"')
+    result, parser = parse(drawio_file(model))
+
+    assert_empty step_titled(result, "Start")["transitions"]
+    assert(parser.warnings.any? { |warning| warning.include?("isn't connected") })
+  end
+
+  test "reports invalid XML" do
+    result, parser = parse("<mxfile><diagram>")
+
+    assert_nil result
+    assert_match(/Invalid draw.io XML/, parser.errors.first)
+  end
+end
@@ -0,0 +1,103 @@
+require "test_helper"
+
+class WorkflowParsers::MermaidParserTest < ActiveSupport::TestCase
+  def parse(source)
+    parser = WorkflowParsers::MermaidParser.new(source)
+    [parser.parse, parser]
+  end
+
+  def step_titled(result, title)
+    result[:steps].find { |step| step["title"] == title }
+  end
+
+  test "maps node shapes to step types" do
+    result, = parse(<<~MMD)
+      flowchart TD
+        A{Which plan?} --> B[Reset password]
+        B --> C(Tell the customer)
+        C --> D{{Escalate to billing}}
+        D --> E[[Refund flow]]
+        E --> F([Done])
+    MMD
+
+    assert_not_nil result
+    assert_equal %w[question action message escalate sub_flow resolve], result[:steps].pluck("type")
+    assert_equal "Which plan?", step_titled(result, "Which plan?")["question"]
+    assert_equal "Reset password", step_titled(result, "Reset password")["instructions"]
+    assert_not step_titled(result, "Reset password")["_import_incomplete"]
+  end
+
+  test "turns edges into transitions with conditions or labels" do
+    result, = parse(<<~MMD)
+      graph LR
+        A{Plan?} -->|"plan == 'pro'"| B[Refund]
+        A -- Not eligible --> C([Done])
+        B --> C
+    MMD
+
+    transitions = step_titled(result, "Plan?")["transitions"]
+    refund = step_titled(result, "Refund")
+    done = step_titled(result, "Done")
+
+    assert_equal({ "target_uuid" => refund["id"], "condition" => "plan == 'pro'" }, transitions[0])
+    assert_equal({ "target_uuid" => done["id"], "label" => "Not eligible" }, transitions[1])
+    assert_equal [{ "target_uuid" => done["id"] }], refund["transitions"]
+  end
+
+  test "reads chains, node groups and semicolon-separated statements" do
+    result, = parse("flowchart TD\n  A --> B & C --> D; D --> E\n")
+
+    a = step_titled(result, "A")
+    d = step_titled(result, "D")
+
+    assert_equal 5, result[:steps].size
+    assert_equal 2, a["transitions"].size
+    assert_equal 1, step_titled(result, "B")["transitions"].size
+    assert_equal [step_titled(result, "E")["id"]], d["transitions"].pluck("target_uuid")
+  end
+
+  test "takes the title from frontmatter and ignores comments and styling" do
+    result, parser = parse(<<~MMD)
+      ---
+      title: Customer Support Flow
+      ---
+      flowchart TD
+        %% Drawn for the support wiki
+        A[Greet] --> B([Done])
+        classDef done fill:#efe
+        class B done
+        style A stroke:#333
+    MMD
+
+    assert_equal "Customer Support Flow", result[:title]
+    assert_equal 2, result[:steps].size
+    assert_empty parser.warnings.grep(/Skipped/)
+  end
+
+  test "decodes quoted labels and entity codes" do
+    result, = parse(%(flowchart TD\n  A["Ask #quot;why?#quot; (politely)"] -->|"yes #124; no"| B\n))
+
+    assert_equal 'Ask "why?" (politely)', result[:steps].first["title"]
+    assert_equal "yes | no", result[:steps].first["transitions"].first["label"]
+  end
+
+  test "starts at the first node nothing points to" do
+    result, = parse("flowchart TD\n  B[Second] --> C[Third]\n  A[First] --> B\n")
+
+    assert_equal step_titled(result, "First")["id"], result[:start_node_uuid]
+  end
+
+  test "imports an end shape with exits as a message step" do
+    result, parser = parse("flowchart TD\n  S([Start]) --> A[Work]\n")
+
+    assert_equal "message", step_titled(result, "Start")["type"]
+    assert(parser.warnings.any? { |warning| warning.include?("end shape") })
+  end
+
+  test "rejects content that is not a flowchart" do
+    result, parser = parse("sequenceDiagram\n  Alice->>Bob: Hi\n")
+
+    assert_nil result
+    assert_match(/Not a Mermaid flowchart/, parser.errors.first)
+  end
+end
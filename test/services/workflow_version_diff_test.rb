@@ -0,0 +1,68 @@
+require "test_helper"
+
+class WorkflowVersionDiffTest < ActiveSupport::TestCase
+  def step(id, title, **fields)
+    { "id" => id, "type" => "action", "title" => title, "position" => 0, "transitions" => [] }.merge(fields.stringify_keys)
+  end
+
+  test "matches steps by uuid and classifies them" do
+    from = { steps: [step("a", "Start"), step("b", "Check"), step("c", "Old")] }
+    to = { steps: [step("a", "Start"), step("b", "Check it"), step("d", "New")] }
+
+    diff = WorkflowVersionDiff.call(from, to)
+
+    assert_equal({ "a" => :unchanged, "b" => :changed, "c" => :removed, "d" => :added }, diff.status_by_uuid)
+    assert_equal ["title"], diff.changed.first.fields.map(&:field)
+    assert_equal "Check", diff.changed.first.fields.first.before
+    assert_equal "Check it", diff.changed.first.fields.first.after
+  end
+
+  test "places removed steps after the step they followed" do
+    from = { steps: [step("a", "A"), step("b", "B"), step("c", "C")] }
+    to = { steps: [step("a", "A"), step("c", "C")] }
+
+    assert_equal %w[a b c], WorkflowVersionDiff.call(from, to).steps.map(&:uuid)
+  end
+
+  test "ignores position and blank differences" do
+    from = { steps: [step("a", "A", position: 0, notes: nil)] }
+    to = { steps: [step("a", "A", position: 3, notes: "")] }
+
+    assert_not WorkflowVersionDiff.call(from, to).any?
+  end
+
+  test "compares rich text by its text" do
+    from = { steps: [step("a", "A", instructions: "<div>Call the <strong>customer</strong></div>")] }
+    to = { steps: [step("a", "A", instructions: "<div>Call the customer</div>")] }
+
+    assert_not WorkflowVersionDiff.call(from, to).any?
+  end
+
+  test "reports transition changes" do
+    from = { steps: [step("a", "A", transitions: [{ "target_uuid" => "b", "condition" => nil }]), step("b", "B")] }
+    to = { steps: [step("a", "A", transitions: [{ "target_uuid" => "b", "condition" => "x == 1" }]), step("b", "B")] }
+
+    diff = WorkflowVersionDiff.call(from, to)
+
+    assert_equal ["transitions"], diff.changed.first.fields.map(&:field)
+  end
+
+  test "reports metadata and start step changes" do
+    from = { steps: [step("a", "A"), step("b", "B")], metadata: { "title" => "Old", "start_node_uuid" => "a" } }
+    to = { steps: [step("a", "A"), step("b", "B")], metadata: { "title" => "New", "start_node_uuid" => "b" } }
+
+    diff = WorkflowVersionDiff.call(from, to)
+
+    assert_equal ["title"], diff.metadata.map(&:field)
+    assert diff.start_changed?
+    assert diff.any?
+  end
+
+  test "word diff marks added and removed words" do
+    segments = WorkflowVersionDiff.word_diff("<div>Ask for the order number</div>", "<div>Ask for the account number</div>")
+
+    assert_includes segments, [:removed, "order"]
+    assert_includes segments, [:added, "account"]
+    assert_equal "Ask for the ", segments.first.last
+  end
+end
@@ -0,0 +1,51 @@
+require "application_system_test_case"
+
+class AutosaveReplayTest < ApplicationSystemTestCase
+  setup do
+    @editor = User.create!(
+      email: "wf-system-test-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @workflow = Workflow.create!(title: "Autosave Replay Workflow", user: @editor, graph_mode: true)
+    @ask = Steps::Question.create!(workflow: @workflow, position: 0, title: "Ask plan", question: "Which plan?",
+                                   answer_type: "text", variable_name: "plan")
+
+    sign_in_as @editor
+  end
+
+  test "a queued edit that conflicts on replay is merged with the other save" do
+    visit workflow_path(@workflow, edit: true)
+    find(".builder__list-row[data-step-uuid='#{@ask.uuid}']").click
+    title = find("#step_title", wait: 5)
+
+    # Offline: the edit waits in the outbox with the form's lock_version
+    page.execute_script(<<~JS)
+      window.offline = true
+      Object.defineProperty(navigator, "onLine", { configurable: true, get: () => !window.offline })
+    JS
+    title.set("Ask which plan")
+    assert_selector "#autosave-status", text: "1 unsaved change", wait: 5
+
+    # Someone else saves the step in the meantime
+    @ask.update!(question: "Which plan are you on?")
+
+    page.execute_script('window.offline = false; window.dispatchEvent(new Event("online"))')
+
+    Timeout.timeout(10) { sleep 0.2 until @ask.reload.title == "Ask which plan" }
+    assert_equal "Which plan are you on?", @ask.question
+    assert_equal 0, outbox_size
+  end
+
+  private
+
+  def outbox_size
+    page.evaluate_async_script(<<~JS, @workflow.id)
+      const [workflowId, done] = arguments
+      import("services/autosave_outbox")
+        .then(({ AutosaveOutbox }) => new AutosaveOutbox(workflowId).entries())
+        .then(entries => done(entries.length))
+    JS
+  end
+end
@@ -0,0 +1,71 @@
+require "application_system_test_case"
+
+class DiagramExportTest < ApplicationSystemTestCase
+  setup do
+    @editor = User.create!(
+      email: "wf-system-test-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @workflow = Workflow.create!(title: "Refund Request", user: @editor, graph_mode: true)
+    ask = Steps::Question.create!(workflow: @workflow, position: 0, title: "Ask order number",
+                                  question: "Order number?", answer_type: "text", variable_name: "order")
+    done = Steps::Resolve.create!(workflow: @workflow, position: 1, title: "Refund issued", resolution_type: "success")
+    Transition.create!(step: ask, target_step: done, position: 0)
+    @workflow.update!(start_step: ask)
+
+    sign_in_as @editor
+  end
+
+  test "exports the flow diagram as a standalone SVG" do
+    open_flow_diagram
+
+    click_button "SVG"
+    svg = exported_blob_text(0)
+
+    assert_match(/\A<svg[^>]+xmlns="http:\/\/www.w3.org\/2000\/svg"/, svg)
+    assert_includes svg, "Ask order number"
+    assert_includes svg, "Refund issued"
+    # Colors are written onto the elements instead of coming from the app's stylesheets
+    assert_match(/style="[^"]*fill:/, svg)
+    assert_equal "refund-request.svg", page.evaluate_script("window.exportedFiles[0]")
+  end
+
+  test "exports the flow diagram as a PNG" do
+    open_flow_diagram
+
+    click_button "PNG"
+
+    assert_equal "image/png", exported_blob_type(0)
+    assert_equal "refund-request.png", page.evaluate_script("window.exportedFiles[0]")
+    assert_operator page.evaluate_script("window.exportedBlobs[0].size"), :>, 0
+  end
+
+  private
+
+  # Keep each download's blob and file name instead of saving it
+  def open_flow_diagram
+    visit workflow_path(@workflow)
+    click_button "View Flow"
+    assert_selector ".flow-diagram .flowchart-svg", wait: 5
+
+    page.execute_script(<<~JS)
+      window.exportedBlobs = []
+      window.exportedFiles = []
+      const createObjectURL = URL.createObjectURL.bind(URL)
+      URL.createObjectURL = blob => { window.exportedBlobs.push(blob); return createObjectURL(blob) }
+      HTMLAnchorElement.prototype.click = function () { if (this.download) window.exportedFiles.push(this.download) }
+    JS
+  end
+
+  def exported_blob_type(index)
+    Timeout.timeout(10) { sleep 0.1 until page.evaluate_script("window.exportedBlobs.length") > index }
+    page.evaluate_script("window.exportedBlobs[#{index}].type")
+  end
+
+  def exported_blob_text(index)
+    exported_blob_type(index)
+    page.evaluate_async_script("window.exportedBlobs[#{index}].text().then(arguments[0])")
+  end
+end
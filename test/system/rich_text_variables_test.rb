@@ -0,0 +1,50 @@
+require "application_system_test_case"
+
+class RichTextVariablesTest < ApplicationSystemTestCase
+  setup do
+    @editor = User.create!(
+      email: "wf-system-test-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @workflow = Workflow.create!(title: "Rich Text Variables Workflow", user: @editor, graph_mode: true)
+    Steps::Question.create!(workflow: @workflow, position: 0, title: "Ask plan", question: "Which plan?",
+                            answer_type: "text", variable_name: "plan")
+    @action = Steps::Action.create!(workflow: @workflow, position: 1, title: "Check limits",
+                                    instructions: "<div>Look up the limits</div>")
+
+    sign_in_as @editor
+  end
+
+  test "typing {{ in instructions suggests variables and inserts a token" do
+    visit workflow_path(@workflow, edit: true)
+    find(".builder__list-row[data-step-uuid='#{@action.uuid}']").click
+
+    editor = find("lexxy-editor[name='step[instructions]'] [contenteditable='true']", wait: 5)
+    editor.click
+    editor.send_keys(:end, " for {{pl")
+
+    assert_selector ".variable-autocomplete-dropdown .variable-item", text: "plan", wait: 5
+    editor.send_keys(:enter)
+
+    assert_no_selector ".variable-autocomplete-dropdown"
+    assert_selector "lexxy-editor .variable-token", text: "{{plan}}"
+
+    # Saved as plain {{plan}}, which the server interpolates
+    Timeout.timeout(10) { sleep 0.2 until @action.reload.instructions.to_plain_text.include?("{{plan}}") }
+    assert_no_match "variable-token", @action.instructions.body.to_html
+  end
+
+  test "{{ with a space isn't a variable" do
+    visit workflow_path(@workflow, edit: true)
+    find(".builder__list-row[data-step-uuid='#{@action.uuid}']").click
+
+    editor = find("lexxy-editor[name='step[instructions]'] [contenteditable='true']", wait: 5)
+    editor.click
+    editor.send_keys(:end, " {{ plan }}")
+
+    assert_no_selector ".variable-autocomplete-dropdown"
+    assert_no_selector "lexxy-editor .variable-token"
+  end
+end
@@ -0,0 +1,38 @@
+require "application_system_test_case"
+
+class SimulatorCanvasTest < ApplicationSystemTestCase
+  setup do
+    @editor = User.create!(
+      email: "wf-system-test-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @workflow = Workflow.create!(title: "Simulator Canvas Workflow", user: @editor, graph_mode: true)
+    @check = Steps::Action.create!(workflow: @workflow, position: 0, title: "Check the account",
+                                   instructions: "<div>Look up the account</div>")
+    @done = Steps::Resolve.create!(workflow: @workflow, position: 1, title: "Account verified", resolution_type: "success")
+    Transition.create!(step: @check, target_step: @done, position: 0)
+    @workflow.update!(start_step: @check)
+
+    sign_in_as @editor
+  end
+
+  test "the simulator highlights its current step on the visual editor canvas" do
+    visit workflow_path(@workflow, edit: true)
+    click_button "Visual Editor"
+    click_button "Simulate"
+
+    assert_selector ".simulator__stage", text: "Check the account", wait: 5
+    assert_selector ".ve-node.is-simulated[data-step-id='#{@check.uuid}']"
+
+    within(".simulator__stage") { click_button "Mark complete" }
+
+    assert_selector ".ve-node.is-simulated[data-step-id='#{@done.uuid}']"
+    assert_selector ".ve-node.is-simulation-visited[data-step-id='#{@check.uuid}']"
+    assert_no_selector ".ve-node.is-simulated[data-step-id='#{@check.uuid}']"
+
+    find(".builder__panel-close").click
+    assert_no_selector ".ve-node.is-simulated"
+  end
+end
@@ -0,0 +1,39 @@
+require "application_system_test_case"
+
+class VisualEditorTest < ApplicationSystemTestCase
+  setup do
+    @editor = User.create!(
+      email: "wf-system-test-#{SecureRandom.hex(4)}@example.com",
+      password: "password123!",
+      password_confirmation: "password123!",
+      role: "editor"
+    )
+    @workflow = Workflow.create!(title: "Visual Editor Workflow", user: @editor, graph_mode: true)
+    @ask = Steps::Question.create!(workflow: @workflow, position: 0, title: "Ask plan", question: "Which plan?",
+                                   answer_type: "text", variable_name: "plan")
+    @check = Steps::Action.create!(workflow: @workflow, position: 1, title: "Check limits",
+                                   instructions: "<div>Look up the limits</div>")
+    @done = Steps::Resolve.create!(workflow: @workflow, position: 2, title: "Done", resolution_type: "success")
+    Transition.create!(step: @ask, target_step: @check, position: 0)
+    Transition.create!(step: @check, target_step: @done, position: 0)
+    @workflow.update!(start_step: @ask)
+
+    sign_in_as @editor
+  end
+
+  test "Delete removes every selected step as one undoable change" do
+    visit workflow_path(@workflow, edit: true)
+    click_button "Visual Editor"
+
+    find(".ve-node[data-step-id='#{@check.uuid}']").click
+    find(".ve-node[data-step-id='#{@done.uuid}']").click(:shift)
+    assert_selector ".ve-node.is-selected", count: 2
+
+    find("body").send_keys(:delete)
+    assert_selector ".ve-node", count: 1
+    assert_no_selector ".ve-node.is-selected"
+
+    find("body").send_keys([:control, "z"])
+    assert_selector ".ve-node", count: 3
+  end
+end